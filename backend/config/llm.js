@@ -0,0 +1,58 @@
+/**
+ * LLM configuration
+ * Which provider and model each AI task uses. Every task uses LLM_PROVIDER
+ * unless LLM_<TASK>_PROVIDER is set, and the provider's default model for
+ * the task unless LLM_<TASK>_MODEL is set (e.g. LLM_TRIAGE_MODEL).
+ */
+
+const providers = {
+  ollama: {
+    baseURL: process.env.OLLAMA_HOST || 'http://localhost:11434',
+    timeout: parseInt(process.env.OLLAMA_TIMEOUT) || 120000,
+    maxRetries: parseInt(process.env.OLLAMA_MAX_RETRIES) || 3
+  },
+  // Any server exposing the OpenAI HTTP API (llama.cpp server, vLLM, OpenAI)
+  openai: {
+    baseURL: process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    timeout: parseInt(process.env.OPENAI_TIMEOUT) || 120000,
+    maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES) || 3
+  },
+  mock: {}
+};
+
+const ollamaPrimary = process.env.OLLAMA_PRIMARY_MODEL || 'llama3:8b';
+const ollamaSecondary = process.env.OLLAMA_SECONDARY_MODEL || 'mistral:7b';
+const ollamaVision = process.env.OLLAMA_VISION_MODEL || 'llava:7b';
+const ollamaEmbedding = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+
+const openaiModel = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const openaiVision = process.env.OPENAI_VISION_MODEL || openaiModel;
+const openaiEmbedding = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+// Default model per task on each provider
+const taskModels = {
+  triage: { ollama: ollamaPrimary, openai: openaiModel },
+  chatbot: { ollama: ollamaPrimary, openai: openaiModel },
+  assignment: { ollama: ollamaPrimary, openai: openaiModel },
+  linguistic: { ollama: ollamaPrimary, openai: openaiModel },
+  deduplication: { ollama: ollamaPrimary, openai: openaiModel },
+  translation: { ollama: ollamaSecondary, openai: openaiModel },
+  followup: { ollama: ollamaSecondary, openai: openaiModel },
+  vision: { ollama: ollamaVision, openai: openaiVision },
+  embeddings: { ollama: ollamaEmbedding, openai: openaiEmbedding }
+};
+
+const defaultProvider = process.env.LLM_PROVIDER || 'ollama';
+
+const tasks = Object.fromEntries(Object.entries(taskModels).map(([task, models]) => {
+  const key = task.toUpperCase();
+  const provider = process.env[`LLM_${key}_PROVIDER`] || defaultProvider;
+
+  return [task, {
+    provider,
+    model: process.env[`LLM_${key}_MODEL`] || models[provider] || null
+  }];
+}));
+
+module.exports = { providers, tasks, defaultProvider };
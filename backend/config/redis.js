@@ -0,0 +1,10 @@
+/**
+ * Redis configuration
+ * Shared by the AI queue (BullMQ) and chatbot sessions
+ */
+
+module.exports = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD || undefined
+};
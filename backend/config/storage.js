@@ -0,0 +1,43 @@
+/**
+ * Storage configuration
+ * Where uploaded files are kept. STORAGE_DRIVER picks the backend:
+ * "local" (disk, one backend instance) or "s3" (any S3-compatible store,
+ * e.g. AWS S3 or MinIO, shared by every instance).
+ */
+
+const os = require('os');
+const path = require('path');
+
+const backendDir = path.resolve(__dirname, '..');
+
+const drivers = {
+  local: {
+    // Served at /uploads
+    publicDir: path.resolve(backendDir, process.env.UPLOADS_DIR || 'uploads'),
+    // Never served directly; read through signed URLs
+    privateDir: path.resolve(backendDir, process.env.PRIVATE_UPLOADS_DIR || 'private-uploads'),
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'fallback_secret'
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET || 'swachhsetu',
+    region: process.env.S3_REGION || 'us-east-1',
+    // Leave unset for AWS; e.g. http://localhost:9000 for MinIO
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO needs path-style URLs (http://host/bucket/key)
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Base URL public objects are read from (bucket URL or a CDN in front of it)
+    publicUrl: process.env.S3_PUBLIC_URL,
+    publicPrefix: process.env.S3_PUBLIC_PREFIX ?? 'uploads/',
+    privatePrefix: process.env.S3_PRIVATE_PREFIX ?? 'private/'
+  }
+};
+
+module.exports = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  drivers,
+  // Uploads are received and processed here before going to storage
+  tempDir: path.resolve(process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'swachhsetu-uploads')),
+  signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 900
+};
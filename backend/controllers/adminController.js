@@ -1,6 +1,16 @@
+const mongoose = require('mongoose');
 const Report = require('../models/Report');
 const User = require('../models/User');
 const Gamification = require('../models/Gamification');
+const Ward = require('../models/Ward');
+const notificationService = require('../services/notificationService');
+const reportHistoryService = require('../services/reportHistoryService');
+const reportWorkflowService = require('../services/reportWorkflowService');
+const resolutionEvidenceService = require('../services/resolutionEvidenceService');
+const inspectorService = require('../services/inspectorService');
+const slaService = require('../services/slaService');
+const reportMergeService = require('../services/reportMergeService');
+const storageService = require('../services/storageService');
 
 // @desc    Get all reports for admin management
 // @route   GET /api/admin/reports
@@ -14,15 +24,32 @@ exports.getAllReports = async (req, res) => {
       page = 1, 
       limit = 20,
       search,
+      flagged,
+      overdue,
+      ward,
+      zone,
       sortBy = 'createdAt',
       order = 'desc'
     } = req.query;
 
     const query = {};
     
-    if (status) query.status = status;
+    // Merged duplicates live on in their canonical report
+    query.status = status || { $ne: 'merged' };
     if (category) query.category = category;
     if (severity) query.severity = severity;
+    if (flagged === 'true') query['resolutionEvidence.flagged'] = true;
+    if (overdue === 'true') {
+      // Past the SLA due date and still open (an explicit status filter wins)
+      query['sla.dueAt'] = { $lt: new Date() };
+      if (!status) query.status = { $in: ['pending', 'in-progress'] };
+    }
+    if (zone) query.zone = zone;
+    if (ward) {
+      const wardDoc = await Ward.resolve(ward);
+      // Unknown ward matches nothing
+      query.ward = wardDoc ? wardDoc._id : { $in: [] };
+    }
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -37,6 +64,9 @@ exports.getAllReports = async (req, res) => {
     const reports = await Report.find(query)
       .populate('userId', 'name email phone avatar level points')
       .populate('assignedTo', 'name email')
+      .populate('ward', 'code name zone')
+      .populate('coReporters', 'name')
+      .populate('mergedReports.reportId', 'title createdAt')
       .sort(sortOptions)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -66,7 +96,16 @@ exports.getAllReports = async (req, res) => {
 // @access  Private (Admin/Moderator)
 exports.updateReport = async (req, res) => {
   try {
-    const { status, assignedTo, priority, estimatedResolutionTime } = req.body;
+    const { status, assignedTo, priority, estimatedResolutionTime, note, reason } = req.body;
+    const transitionReason = reason || note;
+
+    const noteError = reportHistoryService.noteError(transitionReason);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
 
     const report = await Report.findById(req.params.id);
     
@@ -77,31 +116,83 @@ exports.updateReport = async (req, res) => {
       });
     }
 
+    const before = reportHistoryService.snapshot(report);
     const oldStatus = report.status;
+    const statusChanged = Boolean(status) && status !== oldStatus;
+
+    // Reports can only be assigned to active inspectors
+    let inspector = null;
+    if (assignedTo && String(assignedTo) !== String(report.assignedTo || '')) {
+      inspector = await inspectorService.findActiveInspector(assignedTo);
+      if (!inspector) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reports can only be assigned to an active inspector'
+        });
+      }
+    }
 
-    if (status) report.status = status;
-    if (assignedTo) report.assignedTo = assignedTo;
+    if (statusChanged) {
+      const check = reportWorkflowService.validateTransition(report, status, req.user, {
+        reason: transitionReason
+      });
+      if (!check.allowed) {
+        return res.status(check.statusCode).json({
+          success: false,
+          message: check.message,
+          code: check.code,
+          allowedTransitions: check.allowedTransitions
+        });
+      }
+      reportWorkflowService.applyTransition(report, status, req.user, { reason: transitionReason });
+    }
+
+    if (inspector) {
+      inspectorService.applyAssignment(report, inspector, { assignedBy: req.user._id });
+    }
     if (priority !== undefined) report.priority = priority;
     if (estimatedResolutionTime) report.estimatedResolutionTime = estimatedResolutionTime;
-    
-    if (status === 'resolved' && oldStatus !== 'resolved') {
-      report.resolvedAt = new Date();
-      report.verifiedBy = req.user.id;
+
+    const afterImages = req.files?.afterImages || [];
+    if (afterImages.length > 0) {
+      resolutionEvidenceService.attachAfterImages(report, afterImages, req.user);
     }
 
     await report.save();
 
-    // Create notification for user
-    const Notification = require('../models/Notification');
-    await Notification.create({
-      userId: report.userId,
-      type: 'report_update',
-      title: 'Report Status Updated',
-      message: `Your report "${report.title}" has been updated to ${status}`,
-      data: { reportId: report._id, oldStatus, newStatus: status },
-      link: `/reports/${report._id}`
+    await reportHistoryService.recordChanges(before, report, {
+      user: req.user,
+      note: transitionReason,
+      attachments: reportHistoryService.attachmentsFromFiles(req.files?.attachments),
+      source: 'admin-panel'
     });
 
+    if (inspector) {
+      await inspectorService.afterAssignment(inspector, report);
+    }
+
+    // Check the after photos of a new resolution, or new photos on an existing one
+    if ((statusChanged && report.status === 'resolved') ||
+        (afterImages.length > 0 && ['resolved', 'verified'].includes(report.status))) {
+      resolutionEvidenceService.evaluateInBackground(report._id);
+    }
+
+    // Notify the reporter and everyone whose duplicate was merged in
+    if (statusChanged) {
+      for (const reporterId of report.getReporterIds()) {
+        await notificationService.createNotification({
+          userId: reporterId,
+          type: 'report_update',
+          template: {
+            key: 'statusUpdated',
+            params: { title: report.title, status: { key: `status.${status}` } }
+          },
+          data: { reportId: report._id, oldStatus, newStatus: status },
+          link: `/reports/${report._id}`
+        });
+      }
+    }
+
     // Emit socket event
     const io = req.app.get('io');
     io.emit('reportUpdated', report);
@@ -211,7 +302,7 @@ exports.updateUserRole = async (req, res) => {
   try {
     const { role } = req.body;
 
-    if (!['user', 'admin', 'moderator'].includes(role)) {
+    if (!['user', 'admin', 'moderator', 'inspector'].includes(role)) {
       return res.status(400).json({ 
         success: false, 
         message: 'Invalid role' 
@@ -262,7 +353,10 @@ exports.getAdminStatistics = async (req, res) => {
     const totalReports = await Report.countDocuments();
     const pendingReports = await Report.countDocuments({ status: 'pending' });
     const inProgressReports = await Report.countDocuments({ status: 'in-progress' });
-    const resolvedReports = await Report.countDocuments({ status: 'resolved' });
+    // Verified reports have been resolved and confirmed, so they count as resolved too
+    const resolvedReports = await Report.countDocuments({ status: { $in: ['resolved', 'verified'] } });
+    const verifiedReports = await Report.countDocuments({ status: 'verified' });
+    const rejectedReports = await Report.countDocuments({ status: 'rejected' });
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ 
       lastLogin: { $gte: lastMonth } 
@@ -332,7 +426,7 @@ exports.getAdminStatistics = async (req, res) => {
 
     // Average resolution time
     const resolvedWithTime = await Report.find({
-      status: 'resolved',
+      status: { $in: ['resolved', 'verified'] },
       resolvedAt: { $exists: true }
     }).select('createdAt resolvedAt');
 
@@ -345,6 +439,9 @@ exports.getAdminStatistics = async (req, res) => {
       avgResolutionTime = totalTime / resolvedWithTime.length / (1000 * 60 * 60); // in hours
     }
 
+    // SLA compliance
+    const sla = await slaService.getMetrics();
+
     // Reports trend (last 7 days)
     const last7Days = [];
     for (let i = 6; i >= 0; i--) {
@@ -372,6 +469,8 @@ exports.getAdminStatistics = async (req, res) => {
           pendingReports,
           inProgressReports,
           resolvedReports,
+          verifiedReports,
+          rejectedReports,
           totalUsers,
           activeUsers,
           newReportsToday,
@@ -382,6 +481,7 @@ exports.getAdminStatistics = async (req, res) => {
         reportsBySeverity,
         criticalReports,
         topReporters: topReportersWithDetails,
+        sla,
         trend: last7Days
       }
     });
@@ -400,7 +500,16 @@ exports.getAdminStatistics = async (req, res) => {
 // @access  Private (Admin/Moderator)
 exports.bulkUpdateReports = async (req, res) => {
   try {
-    const { reportIds, status, assignedTo } = req.body;
+    const { reportIds, status, assignedTo, note, reason } = req.body;
+    const transitionReason = reason || note;
+
+    const noteError = reportHistoryService.noteError(transitionReason);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
 
     if (!reportIds || !Array.isArray(reportIds) || reportIds.length === 0) {
       return res.status(400).json({ 
@@ -409,23 +518,85 @@ exports.bulkUpdateReports = async (req, res) => {
       });
     }
 
-    const updateData = {};
-    if (status) updateData.status = status;
-    if (assignedTo) updateData.assignedTo = assignedTo;
-    if (status === 'resolved') {
-      updateData.resolvedAt = new Date();
-      updateData.verifiedBy = req.user.id;
+    let inspector = null;
+    if (assignedTo) {
+      inspector = await inspectorService.findActiveInspector(assignedTo);
+      if (!inspector) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reports can only be assigned to an active inspector'
+        });
+      }
     }
 
-    const result = await Report.updateMany(
-      { _id: { $in: reportIds } },
-      { $set: updateData }
-    );
+    const reports = await Report.find({ _id: { $in: reportIds } });
+
+    const changes = [];
+    const failed = [];
+
+    // Each report goes through the same transition rules as a single update
+    for (const report of reports) {
+      const before = reportHistoryService.snapshot(report);
+
+      if (status && status !== report.status) {
+        const check = reportWorkflowService.validateTransition(report, status, req.user, {
+          reason: transitionReason
+        });
+        if (!check.allowed) {
+          failed.push({
+            reportId: report._id,
+            status: report.status,
+            code: check.code,
+            message: check.message
+          });
+          continue;
+        }
+        reportWorkflowService.applyTransition(report, status, req.user, { reason: transitionReason });
+      }
+
+      if (inspector && String(report.assignedTo || '') !== String(assignedTo)) {
+        inspectorService.applyAssignment(report, inspector, { assignedBy: req.user._id });
+      }
+
+      if (report.isModified()) {
+        await report.save();
+        changes.push({ before, report });
+      }
+    }
+
+    const foundIds = new Set(reports.map(report => report._id.toString()));
+    reportIds
+      .filter(id => !foundIds.has(String(id)))
+      .forEach(id => failed.push({ reportId: id, code: 'NOT_FOUND', message: 'Report not found' }));
+
+    await reportHistoryService.recordBulkChanges(changes, {
+      user: req.user,
+      note: transitionReason,
+      source: 'bulk-update'
+    });
+
+    if (inspector) {
+      const assigned = changes.filter(({ before }) => String(before.assignedTo || '') !== String(assignedTo));
+      for (const { report } of assigned) {
+        await inspectorService.afterAssignment(inspector, report);
+      }
+    }
+
+    // Nothing could be updated because of conflicting states
+    if (changes.length === 0 && failed.some(f => f.code !== 'NOT_FOUND')) {
+      return res.status(409).json({
+        success: false,
+        message: 'None of the selected reports can be moved to this status',
+        modifiedCount: 0,
+        failed
+      });
+    }
 
     res.json({
       success: true,
-      message: `${result.modifiedCount} reports updated successfully`,
-      modifiedCount: result.modifiedCount
+      message: `${changes.length} reports updated successfully`,
+      modifiedCount: changes.length,
+      failed
     });
   } catch (error) {
     console.error('Bulk update error:', error);
@@ -437,12 +608,271 @@ exports.bulkUpdateReports = async (req, res) => {
   }
 };
 
+// @desc    Get AI-suggested duplicates awaiting review
+// @route   GET /api/admin/duplicates
+// @access  Private (Admin/Moderator)
+exports.getDuplicateQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = {
+      'aiAnalysis.duplicateDetected': true,
+      'aiAnalysis.duplicateOf': { $exists: true, $ne: null },
+      status: { $nin: ['merged', 'rejected'] }
+    };
+
+    const reports = await Report.find(query)
+      .populate('userId', 'name email avatar')
+      .populate('aiAnalysis.duplicateOf', 'title description category status images location userId createdAt')
+      .sort({ 'aiAnalysis.duplicateConfidence': -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Report.countDocuments(query);
+
+    res.json({
+      success: true,
+      duplicates: reports,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      total: count
+    });
+  } catch (error) {
+    console.error('Get duplicate queue error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch duplicate queue', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Merge a duplicate report into its canonical report
+// @route   POST /api/admin/reports/:id/merge
+// @access  Private (Admin/Moderator)
+exports.mergeReport = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const noteError = reportHistoryService.noteError(note);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
+
+    const duplicate = await Report.findById(req.params.id);
+    
+    if (!duplicate) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report not found' 
+      });
+    }
+
+    // Defaults to the report the AI matched it with
+    const canonicalId = req.body.canonicalId || duplicate.aiAnalysis?.duplicateOf;
+    if (canonicalId && !mongoose.isValidObjectId(canonicalId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid canonicalId'
+      });
+    }
+    const canonical = canonicalId ? await Report.findById(canonicalId) : null;
+
+    if (!canonical) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report to merge into not found' 
+      });
+    }
+
+    const check = reportMergeService.validateMerge(duplicate, canonical);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        code: check.code
+      });
+    }
+
+    const result = await reportMergeService.merge(duplicate, canonical, { user: req.user, note });
+
+    const io = req.app.get('io');
+    io.emit('reportUpdated', result.canonical);
+    io.emit('reportUpdated', result.duplicate);
+
+    res.json({
+      success: true,
+      report: result.canonical,
+      mergedReport: result.duplicate,
+      added: result.added,
+      message: 'Reports merged successfully'
+    });
+  } catch (error) {
+    console.error('Merge report error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to merge reports', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Undo a merge
+// @route   POST /api/admin/reports/:id/unmerge
+// @access  Private (Admin/Moderator)
+exports.unmergeReport = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const noteError = reportHistoryService.noteError(note);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
+
+    const duplicate = await Report.findById(req.params.id);
+    
+    if (!duplicate) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report not found' 
+      });
+    }
+
+    const result = await reportMergeService.unmerge(duplicate, { user: req.user, note });
+    if (result.error) {
+      return res.status(result.error.statusCode).json({
+        success: false,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    const io = req.app.get('io');
+    io.emit('reportUpdated', result.duplicate);
+    if (result.canonical) io.emit('reportUpdated', result.canonical);
+
+    res.json({
+      success: true,
+      report: result.duplicate,
+      canonicalReport: result.canonical,
+      message: 'Report unmerged successfully'
+    });
+  } catch (error) {
+    console.error('Unmerge report error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to unmerge report', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Dismiss an AI duplicate suggestion
+// @route   POST /api/admin/reports/:id/dismiss-duplicate
+// @access  Private (Admin/Moderator)
+exports.dismissDuplicate = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const noteError = reportHistoryService.noteError(note);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    
+    if (!report) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report not found' 
+      });
+    }
+
+    const before = reportHistoryService.snapshot(report);
+    // duplicateOf and the rationale are kept as a record of what was suggested
+    report.aiAnalysis.duplicateDetected = false;
+    await report.save();
+
+    await reportHistoryService.recordChanges(before, report, {
+      user: req.user,
+      note: note || `Not a duplicate of ${report.aiAnalysis.duplicateOf}`,
+      source: 'duplicate-review'
+    });
+
+    res.json({
+      success: true,
+      report,
+      message: 'Duplicate suggestion dismissed'
+    });
+  } catch (error) {
+    console.error('Dismiss duplicate error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to dismiss duplicate suggestion', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get a short-lived link to the original of a report photo (with its metadata)
+// @route   GET /api/admin/reports/:id/images/:imageId/original
+// @access  Private (Admin/Moderator)
+exports.getImageOriginal = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('images');
+    const image = report?.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Image not found' 
+      });
+    }
+
+    // Photos without metadata were never copied to private storage
+    const visibility = (await storageService.exists(image.url, 'private')) ? 'private' : 'public';
+    const url = await storageService.signedUrl(image.url, { visibility });
+
+    res.json({
+      success: true,
+      url,
+      expiresIn: storageService.signedUrlTtlSeconds
+    });
+  } catch (error) {
+    console.error('Get image original error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to get image original', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get the report status transition graph
+// @route   GET /api/admin/workflow
+// @access  Private (Admin/Moderator)
+exports.getReportWorkflow = async (req, res) => {
+  res.json({
+    success: true,
+    workflow: reportWorkflowService.describe()
+  });
+};
+
 // @desc    Get all waste dump reports with location data for map view
 // @route   GET /api/admin/waste-dump-map
 // @access  Private (Admin/Moderator)
 exports.getWasteDumpMapData = async (req, res) => {
   try {
-    const { category, status, severity, dateFrom, dateTo } = req.query;
+    const { category, status, severity, dateFrom, dateTo, ward, zone } = req.query;
 
     const query = {};
     
@@ -453,8 +883,13 @@ exports.getWasteDumpMapData = async (req, res) => {
       query.category = { $in: ['waste', 'beach', 'street', 'park', 'other'] };
     }
     
-    if (status) query.status = status;
+    query.status = status || { $ne: 'merged' };
     if (severity) query.severity = severity;
+    if (zone) query.zone = zone;
+    if (ward) {
+      const wardDoc = await Ward.resolve(ward);
+      query.ward = wardDoc ? wardDoc._id : { $in: [] };
+    }
     
     // Date range filter
     if (dateFrom || dateTo) {
@@ -467,7 +902,8 @@ exports.getWasteDumpMapData = async (req, res) => {
     const reports = await Report.find(query)
       .populate('userId', 'name email phone avatar')
       .populate('assignedTo', 'name email')
-      .select('title description category status severity location images createdAt resolvedAt userId assignedTo priority')
+      .populate('ward', 'code name zone')
+      .select('title description category status severity location images createdAt resolvedAt userId assignedTo priority ward zone')
       .sort({ createdAt: -1 })
       .lean();
 
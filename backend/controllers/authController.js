@@ -2,6 +2,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Gamification = require('../models/Gamification');
+const { LANGUAGES } = require('../utils/i18n');
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -15,7 +16,7 @@ const generateToken = (id) => {
 // @access  Public
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, language } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ email });
@@ -35,7 +36,9 @@ exports.register = async (req, res) => {
       name,
       email,
       password: hashedPassword,
-      phone
+      phone,
+      // The language they signed up in, when we have it
+      language: LANGUAGES[language] ? language : undefined
     });
 
     // Create gamification profile (optional - don't block registration if it fails)
@@ -59,7 +62,8 @@ exports.register = async (req, res) => {
         email: user.email,
         role: user.role,
         points: user.points,
-        level: user.level
+        level: user.level,
+        language: user.language
       }
     });
   } catch (error) {
@@ -115,7 +119,8 @@ exports.login = async (req, res) => {
         points: user.points,
         level: user.level,
         avatar: user.avatar,
-        darkMode: user.darkMode
+        darkMode: user.darkMode,
+        language: user.language
       }
     });
   } catch (error) {
@@ -156,7 +161,14 @@ exports.getMe = async (req, res) => {
 // @access  Private
 exports.updateProfile = async (req, res) => {
   try {
-    const { name, phone, darkMode, notifications, location } = req.body;
+    const { name, phone, darkMode, notifications, location, language } = req.body;
+
+    if (language !== undefined && !LANGUAGES[language]) {
+      return res.status(400).json({
+        success: false,
+        message: `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`
+      });
+    }
 
     const user = await User.findById(req.user.id);
     
@@ -165,6 +177,7 @@ exports.updateProfile = async (req, res) => {
     if (darkMode !== undefined) user.darkMode = darkMode;
     if (notifications) user.notifications = { ...user.notifications, ...notifications };
     if (location) user.location = location;
+    if (language) user.language = language;
 
     await user.save();
 
@@ -176,6 +189,7 @@ exports.updateProfile = async (req, res) => {
         email: user.email,
         phone: user.phone,
         darkMode: user.darkMode,
+        language: user.language,
         notifications: user.notifications
       }
     });
@@ -1,4 +1,15 @@
 const GarbageSchedule = require('../models/GarbageSchedule');
+const Ward = require('../models/Ward');
+const wardService = require('../services/wardService');
+const { escapeRegex } = require('../utils/regex');
+
+const WARD_FIELDS = 'code name number zone officer';
+
+// Resolve the ward of a schedule from an explicit ward (id/code/name) or its location
+const resolveScheduleWard = async (data) => {
+  if (data.ward) return Ward.resolve(data.ward);
+  return wardService.findWardForLocation(data.location?.coordinates);
+};
 
 // @desc    Get garbage schedule by area
 // @route   GET /api/garbage/schedule
@@ -9,23 +20,31 @@ exports.getScheduleByArea = async (req, res) => {
 
     let query = { isActive: true };
 
-    // Search by area name
+    // Search by area name (or the name/code of its ward)
     if (area) {
+      const pattern = new RegExp(escapeRegex(area), 'i');
+      const matchingWards = await Ward.find({
+        $or: [{ name: pattern }, { code: pattern }]
+      }).select('_id');
       query.$or = [
-        { area: new RegExp(area, 'i') },
-        { ward: new RegExp(area, 'i') },
-        { zone: new RegExp(area, 'i') }
+        { area: pattern },
+        { ward: { $in: matchingWards.map(w => w._id) } },
+        { zone: pattern }
       ];
     }
 
-    // Filter by ward
+    // Filter by ward (id, code or name)
     if (ward) {
-      query.ward = new RegExp(ward, 'i');
+      const wardDoc = await Ward.resolve(ward);
+      if (!wardDoc) {
+        return res.json({ success: true, count: 0, schedules: [] });
+      }
+      query.ward = wardDoc._id;
     }
 
     // Filter by zone
     if (zone) {
-      query.zone = new RegExp(zone, 'i');
+      query.zone = new RegExp(escapeRegex(zone), 'i');
     }
 
     // Geospatial search if coordinates provided
@@ -43,6 +62,7 @@ exports.getScheduleByArea = async (req, res) => {
 
     const schedules = await GarbageSchedule.find(query)
       .populate('updatedBy', 'name email')
+      .populate('ward', WARD_FIELDS)
       .limit(20);
 
     // Add next collection info for each schedule
@@ -74,6 +94,7 @@ exports.getScheduleById = async (req, res) => {
   try {
     const schedule = await GarbageSchedule.findById(req.params.id)
       .populate('updatedBy', 'name email')
+      .populate('ward', WARD_FIELDS)
       .populate('subscribers.userId', 'name email phone');
 
     if (!schedule) {
@@ -105,8 +126,18 @@ exports.getScheduleById = async (req, res) => {
 // @access  Private (Admin)
 exports.createSchedule = async (req, res) => {
   try {
+    const ward = await resolveScheduleWard(req.body);
+    if (!ward) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not determine the ward for this schedule. Provide a valid ward or a location inside a ward boundary.'
+      });
+    }
+
     const scheduleData = {
       ...req.body,
+      ward: ward._id,
+      zone: ward.zone,
       updatedBy: req.user.id
     };
 
@@ -141,15 +172,28 @@ exports.updateSchedule = async (req, res) => {
       });
     }
 
+    const updates = { ...req.body };
+    if (updates.ward) {
+      const ward = await Ward.resolve(updates.ward);
+      if (!ward) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ward not found'
+        });
+      }
+      updates.ward = ward._id;
+      updates.zone = ward.zone;
+    }
+
     const updatedSchedule = await GarbageSchedule.findByIdAndUpdate(
       req.params.id,
       { 
-        ...req.body,
+        ...updates,
         updatedBy: req.user.id,
         lastUpdated: Date.now()
       },
       { new: true, runValidators: true }
-    );
+    ).populate('ward', WARD_FIELDS);
 
     // Emit socket event to notify subscribers
     const io = req.app.get('io');
@@ -296,15 +340,18 @@ exports.unsubscribeFromSchedule = async (req, res) => {
 exports.getUniqueLocations = async (req, res) => {
   try {
     const areas = await GarbageSchedule.distinct('area', { isActive: true });
-    const wards = await GarbageSchedule.distinct('ward', { isActive: true });
+    const wardIds = await GarbageSchedule.distinct('ward', { isActive: true });
+    const wards = await Ward.find({ _id: { $in: wardIds } })
+      .select('code name number zone')
+      .sort({ number: 1, name: 1 });
     const zones = await GarbageSchedule.distinct('zone', { isActive: true });
 
     res.json({
       success: true,
       locations: {
         areas: areas.sort(),
-        wards: wards.sort(),
-        zones: zones.sort()
+        wards,
+        zones: zones.filter(Boolean).sort()
       }
     });
   } catch (error) {
@@ -329,6 +376,7 @@ exports.getTodaySchedules = async (req, res) => {
       [`schedule.${today}.enabled`]: true
     })
     .populate('updatedBy', 'name')
+    .populate('ward', WARD_FIELDS)
     .limit(50);
 
     const todaySchedules = schedules.map(schedule => {
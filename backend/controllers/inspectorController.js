@@ -0,0 +1,421 @@
+const Inspector = require('../models/Inspector');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Ward = require('../models/Ward');
+const inspectorService = require('../services/inspectorService');
+const reportHistoryService = require('../services/reportHistoryService');
+
+// Profile fields admins may set
+const PROFILE_FIELDS = ['employeeId', 'skills', 'zone', 'shifts', 'status', 'maxCapacity'];
+
+const pickProfileFields = (body) => {
+  const fields = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Resolve a home ward given as id, code or name; null means "clear it"
+const resolveHomeWard = async (value) => {
+  if (value === undefined) return undefined;
+  if (!value) return null;
+  return Ward.resolve(value);
+};
+
+// Fetch a report assigned to the current inspector
+const findOwnAssignment = async (req, res) => {
+  const report = await Report.findById(req.params.reportId);
+
+  if (!report) {
+    res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+    return null;
+  }
+
+  if (report.assignedTo?.toString() !== req.user.id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'This report is not assigned to you'
+    });
+    return null;
+  }
+
+  return report;
+};
+
+// @desc    Get all inspectors with their open workload
+// @route   GET /api/inspectors
+// @access  Private (Admin/Moderator)
+exports.getInspectors = async (req, res) => {
+  try {
+    const { status, ward, skill } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (skill) query.skills = skill;
+    if (ward) {
+      const resolved = await Ward.resolve(ward);
+      query.homeWard = resolved ? resolved._id : { $in: [] };
+    }
+
+    const inspectors = await Inspector.find(query)
+      .populate('userId', 'name email phone')
+      .populate('homeWard', 'name code zone')
+      .sort({ createdAt: -1 });
+
+    const workload = await inspectorService.getWorkload(
+      inspectors.filter(inspector => inspector.userId).map(inspector => inspector.userId._id)
+    );
+
+    res.json({
+      success: true,
+      count: inspectors.length,
+      inspectors: inspectors.map(inspector => ({
+        ...inspector.toObject(),
+        activeTickets: inspector.userId ? workload.get(inspector.userId._id.toString()) || 0 : 0,
+        isAvailable: inspector.isAvailable()
+      }))
+    });
+  } catch (error) {
+    console.error('Get inspectors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inspectors',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create an inspector profile for a user (makes them an inspector)
+// @route   POST /api/inspectors
+// @access  Private (Admin)
+exports.createInspector = async (req, res) => {
+  try {
+    const { userId, homeWard } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await Inspector.exists({ userId: user._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user already has an inspector profile'
+      });
+    }
+
+    const fields = pickProfileFields(req.body);
+    const ward = await resolveHomeWard(homeWard);
+    if (ward) {
+      fields.homeWard = ward._id;
+      fields.zone = fields.zone || ward.zone;
+    }
+
+    const inspector = await Inspector.create({ userId: user._id, ...fields });
+
+    if (user.role === 'user') {
+      user.role = 'inspector';
+      await user.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      inspector,
+      message: 'Inspector profile created'
+    });
+  } catch (error) {
+    console.error('Create inspector error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create inspector',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an inspector profile
+// @route   PUT /api/inspectors/:id
+// @access  Private (Admin)
+exports.updateInspector = async (req, res) => {
+  try {
+    const inspector = await Inspector.findById(req.params.id);
+
+    if (!inspector) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspector not found'
+      });
+    }
+
+    inspector.set(pickProfileFields(req.body));
+
+    const ward = await resolveHomeWard(req.body.homeWard);
+    if (ward !== undefined) inspector.homeWard = ward ? ward._id : undefined;
+
+    await inspector.save();
+
+    res.json({
+      success: true,
+      inspector,
+      message: 'Inspector updated successfully'
+    });
+  } catch (error) {
+    console.error('Update inspector error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update inspector',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get my inspector profile
+// @route   GET /api/inspectors/me
+// @access  Private (Inspector)
+exports.getMyProfile = async (req, res) => {
+  try {
+    const inspector = await Inspector.findOne({ userId: req.user.id })
+      .populate('homeWard', 'name code zone');
+
+    if (!inspector) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspector profile not found'
+      });
+    }
+
+    const workload = await inspectorService.getWorkload([inspector.userId]);
+
+    res.json({
+      success: true,
+      inspector: {
+        ...inspector.toObject(),
+        activeTickets: workload.get(inspector.userId.toString()) || 0,
+        isAvailable: inspector.isAvailable()
+      }
+    });
+  } catch (error) {
+    console.error('Get inspector profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inspector profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update my live location
+// @route   PATCH /api/inspectors/me/location
+// @access  Private (Inspector)
+exports.updateMyLocation = async (req, res) => {
+  try {
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid latitude and longitude are required'
+      });
+    }
+
+    const inspector = await Inspector.findOneAndUpdate(
+      { userId: req.user.id },
+      {
+        currentLocation: { type: 'Point', coordinates: [longitude, latitude] },
+        locationUpdatedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!inspector) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspector profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      currentLocation: inspector.currentLocation,
+      locationUpdatedAt: inspector.locationUpdatedAt
+    });
+  } catch (error) {
+    console.error('Update inspector location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update location',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Go on or off duty
+// @route   PATCH /api/inspectors/me/availability
+// @access  Private (Inspector)
+exports.updateMyAvailability = async (req, res) => {
+  try {
+    const { onDuty } = req.body;
+
+    if (typeof onDuty !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'onDuty must be true or false'
+      });
+    }
+
+    const inspector = await Inspector.findOneAndUpdate(
+      { userId: req.user.id },
+      { onDuty },
+      { new: true }
+    );
+
+    if (!inspector) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspector profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      onDuty: inspector.onDuty,
+      isAvailable: inspector.isAvailable()
+    });
+  } catch (error) {
+    console.error('Update inspector availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update availability',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get reports assigned to me
+// @route   GET /api/inspectors/me/assignments
+// @access  Private (Inspector)
+exports.getMyAssignments = async (req, res) => {
+  try {
+    const { status, assignmentStatus, page = 1, limit = 20 } = req.query;
+
+    // Open work by default
+    const query = {
+      assignedTo: req.user.id,
+      status: status ? status : { $in: ['pending', 'in-progress'] }
+    };
+    if (assignmentStatus) query['assignment.status'] = assignmentStatus;
+
+    const reports = await Report.find(query)
+      .populate('ward', 'name code zone')
+      .select('-aiAnalysis')
+      .sort({ priority: -1, 'assignment.assignedAt': 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Report.countDocuments(query);
+
+    res.json({
+      success: true,
+      reports,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count
+    });
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assignments',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept an assignment
+// @route   POST /api/inspectors/me/assignments/:reportId/accept
+// @access  Private (Inspector)
+exports.acceptAssignment = async (req, res) => {
+  try {
+    const report = await findOwnAssignment(req, res);
+    if (!report) return;
+
+    if (report.assignment?.status === 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already accepted this assignment'
+      });
+    }
+
+    await inspectorService.accept(report, req.user);
+
+    res.json({
+      success: true,
+      report,
+      message: 'Assignment accepted'
+    });
+  } catch (error) {
+    console.error('Accept assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept assignment',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Decline an assignment (the report is offered to another inspector)
+// @route   POST /api/inspectors/me/assignments/:reportId/decline
+// @access  Private (Inspector)
+exports.declineAssignment = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for declining'
+      });
+    }
+
+    const noteError = reportHistoryService.noteError(reason);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
+
+    const report = await findOwnAssignment(req, res);
+    if (!report) return;
+
+    if (report.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Work on this report has already started and it can no longer be declined'
+      });
+    }
+
+    await inspectorService.decline(report, req.user, reason);
+
+    res.json({
+      success: true,
+      message: 'Assignment declined'
+    });
+  } catch (error) {
+    console.error('Decline assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline assignment',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+const MAX_PAGE_SIZE = 50;
+
+// @desc    Get current user's notifications (cursor paginated)
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const { cursor, type, unread, limit = 20 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 20, MAX_PAGE_SIZE);
+
+    const query = { userId: req.user.id };
+
+    if (type) {
+      const types = type.split(',');
+      const invalid = types.filter(t => !NOTIFICATION_TYPES.includes(t));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid notification type: ${invalid.join(', ')}`
+        });
+      }
+      query.type = { $in: types };
+    }
+
+    if (unread === 'true') query.read = false;
+
+    // The cursor is the _id of the last notification from the previous page
+    if (cursor) {
+      if (!mongoose.Types.ObjectId.isValid(cursor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      query._id = { $lt: cursor };
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const notifications = await Notification.find(query)
+      .sort({ _id: -1 })
+      .limit(pageSize + 1)
+      .lean();
+
+    const hasMore = notifications.length > pageSize;
+    if (hasMore) notifications.pop();
+
+    res.json({
+      success: true,
+      notifications,
+      hasMore,
+      nextCursor: hasMore ? notifications[notifications.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread/count
+// @access  Private
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.getUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+exports.markAsRead = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification id'
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+      await notificationService.emitUnreadCount(req.user.id);
+    }
+
+    res.json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    console.error('Mark as read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const { type } = req.body || {};
+
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification type'
+      });
+    }
+
+    const query = { userId: req.user.id, read: false };
+    if (type) query.type = type;
+
+    const result = await Notification.updateMany(query, {
+      $set: { read: true, readAt: new Date() }
+    });
+
+    await notificationService.emitUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      modifiedCount: result.modifiedCount,
+      message: `${result.modifiedCount} notifications marked as read`
+    });
+  } catch (error) {
+    console.error('Mark all as read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+exports.deleteNotification = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification id'
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read) {
+      await notificationService.emitUnreadCount(req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete all read notifications
+// @route   DELETE /api/notifications/read
+// @access  Private
+exports.clearReadNotifications = async (req, res) => {
+  try {
+    const result = await Notification.deleteMany({
+      userId: req.user.id,
+      read: true
+    });
+
+    res.json({
+      success: true,
+      deletedCount: result.deletedCount,
+      message: `${result.deletedCount} notifications deleted`
+    });
+  } catch (error) {
+    console.error('Clear notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notifications',
+      error: error.message
+    });
+  }
+};
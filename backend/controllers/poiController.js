@@ -0,0 +1,593 @@
+const POI = require('../models/POI');
+const hygieneService = require('../services/hygieneService');
+const { escapeRegex } = require('../utils/regex');
+
+const MAX_PAGE_SIZE = 100;
+const EARTH_RADIUS_METERS = 6378100;
+const RATING_FIELDS = ['rating', 'cleanliness', 'accessibility', 'maintenance'];
+
+// Helper to attach computed fields to a POI document
+const withComputedFields = (poi, now = new Date()) => {
+  const poiObj = poi.toObject();
+  poiObj.isOpenNow = poi.isOpenAt(now);
+  delete poiObj.reviews;
+  return poiObj;
+};
+
+// @desc    Get POIs (optionally near a location)
+// @route   GET /api/poi
+// @access  Public
+exports.getPOIs = async (req, res) => {
+  try {
+    const {
+      type,
+      search,
+      verified,
+      openNow,
+      lat,
+      lng,
+      radius = 5000, // 5km default
+      page = 1,
+      limit = 50
+    } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const query = { isActive: true };
+
+    // ?type=a,b and ?type=a&type=b
+    if (type) query.type = { $in: [].concat(type).flatMap(value => String(value).split(',')) };
+    if (verified !== undefined) query.verified = verified === 'true';
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { 'location.address': { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    // Geospatial query if coordinates provided; countDocuments does not
+    // support $near, so the count uses the same circle with $geoWithin
+    let countQuery = query;
+    if (lat && lng) {
+      const coordinates = [parseFloat(lng), parseFloat(lat)];
+      const maxDistance = parseInt(radius) || 5000;
+      countQuery = {
+        ...query,
+        location: { $geoWithin: { $centerSphere: [coordinates, maxDistance / EARTH_RADIUS_METERS] } }
+      };
+      query.location = {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates
+          },
+          $maxDistance: maxDistance
+        }
+      };
+    }
+
+    const now = new Date();
+    let pois;
+    let count;
+
+    if (openNow === 'true') {
+      // Opening hours are free-form strings, so filter after the query. Every
+      // match is streamed through; only the requested page is kept.
+      const start = (pageNumber - 1) * pageSize;
+      count = 0;
+      pois = [];
+      for await (const poi of POI.find(query).select('-reviews -hygiene.inspections').cursor()) {
+        if (!poi.isOpenAt(now)) continue;
+        if (count >= start && pois.length < pageSize) pois.push(poi);
+        count++;
+      }
+    } else {
+      pois = await POI.find(query)
+        .select('-reviews -hygiene.inspections')
+        .limit(pageSize)
+        .skip((pageNumber - 1) * pageSize)
+        .exec();
+      count = await POI.countDocuments(countQuery);
+    }
+
+    res.json({
+      success: true,
+      count,
+      pois: pois.map(poi => withComputedFields(poi, now)),
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: pageNumber
+    });
+  } catch (error) {
+    console.error('Get POIs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch places',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single POI with reviews
+// @route   GET /api/poi/:id
+// @access  Public
+exports.getPOI = async (req, res) => {
+  try {
+    const poi = await POI.findById(req.params.id)
+      .populate('addedBy', 'name')
+      .populate('verifiedBy', 'name')
+      .populate('reviews.userId', 'name avatar');
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const poiObj = poi.toObject();
+    poiObj.isOpenNow = poi.isOpenAt();
+
+    res.json({
+      success: true,
+      poi: poiObj
+    });
+  } catch (error) {
+    console.error('Get POI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch place',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create new POI
+// @route   POST /api/poi
+// @access  Private (Admin/Moderator)
+exports.createPOI = async (req, res) => {
+  try {
+    const { name, type, location } = req.body;
+
+    if (!name || !type || !location?.coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name, type and location coordinates'
+      });
+    }
+
+    // Ratings, reviews and hygiene scores are only ever derived from reviews and inspections
+    const { ratings, reviews, reviewCount, verified, verifiedBy, verifiedAt, hygiene, ...poiData } = req.body;
+
+    const poi = await POI.create({
+      ...poiData,
+      location: {
+        type: 'Point',
+        coordinates: location.coordinates,
+        address: location.address || ''
+      },
+      addedBy: req.user.id
+    });
+
+    if (poi.type === 'restaurant') {
+      await hygieneService.refreshPOI(poi);
+      await poi.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      poi,
+      message: 'Place created successfully'
+    });
+  } catch (error) {
+    console.error('Create POI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create place',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update POI
+// @route   PUT /api/poi/:id
+// @access  Private (Admin/Moderator)
+exports.updatePOI = async (req, res) => {
+  try {
+    const poi = await POI.findById(req.params.id);
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const { ratings, reviews, reviewCount, verified, verifiedBy, verifiedAt, addedBy, hygiene, ...updates } = req.body;
+
+    Object.assign(poi, updates);
+    await poi.save();
+
+    res.json({
+      success: true,
+      poi,
+      message: 'Place updated successfully'
+    });
+  } catch (error) {
+    console.error('Update POI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update place',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify or unverify POI
+// @route   PUT /api/poi/:id/verify
+// @access  Private (Admin/Moderator)
+exports.verifyPOI = async (req, res) => {
+  try {
+    const { verified = true } = req.body;
+
+    const poi = await POI.findById(req.params.id);
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    poi.verified = Boolean(verified);
+    poi.verifiedBy = poi.verified ? req.user.id : undefined;
+    poi.verifiedAt = poi.verified ? new Date() : undefined;
+    await poi.save();
+
+    res.json({
+      success: true,
+      poi,
+      message: poi.verified ? 'Place verified' : 'Place verification removed'
+    });
+  } catch (error) {
+    console.error('Verify POI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify place',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete POI
+// @route   DELETE /api/poi/:id
+// @access  Private (Admin)
+exports.deletePOI = async (req, res) => {
+  try {
+    const poi = await POI.findById(req.params.id);
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    await poi.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Place deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete POI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete place',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add or update the current user's review
+// @route   POST /api/poi/:id/reviews
+// @access  Private
+exports.addReview = async (req, res) => {
+  try {
+    const { comment, images } = req.body;
+
+    for (const field of RATING_FIELDS) {
+      const value = req.body[field];
+      if (value !== undefined && (typeof value !== 'number' || value < 1 || value > 5)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a number between 1 and 5`
+        });
+      }
+    }
+
+    if (req.body.rating === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Overall rating is required'
+      });
+    }
+
+    const poi = await POI.findById(req.params.id);
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const review = {
+      userId: req.user.id,
+      rating: req.body.rating,
+      cleanliness: req.body.cleanliness,
+      accessibility: req.body.accessibility,
+      maintenance: req.body.maintenance,
+      comment,
+      images: images || [],
+      createdAt: new Date()
+    };
+
+    // One review per user - replace the previous one
+    const existingIndex = poi.reviews.findIndex(
+      r => r.userId && r.userId.toString() === req.user.id.toString()
+    );
+
+    if (existingIndex > -1) {
+      poi.reviews.splice(existingIndex, 1, review);
+    } else {
+      poi.reviews.push(review);
+    }
+
+    poi.recalculateRatings();
+    await poi.save();
+
+    res.status(existingIndex > -1 ? 200 : 201).json({
+      success: true,
+      ratings: poi.ratings,
+      reviewCount: poi.reviewCount,
+      message: existingIndex > -1 ? 'Review updated' : 'Review added'
+    });
+  } catch (error) {
+    console.error('Add review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/poi/:id/reviews/:reviewId
+// @access  Private (review author or Admin/Moderator)
+exports.deleteReview = async (req, res) => {
+  try {
+    const poi = await POI.findById(req.params.id);
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const review = poi.reviews.id(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const isOwner = review.userId && review.userId.toString() === req.user.id.toString();
+    if (!isOwner && !['admin', 'moderator'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review'
+      });
+    }
+
+    review.deleteOne();
+    poi.recalculateRatings();
+    await poi.save();
+
+    res.json({
+      success: true,
+      ratings: poi.ratings,
+      reviewCount: poi.reviewCount,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Search restaurants by name, area and hygiene score band
+// @route   GET /api/poi/restaurants
+// @access  Public
+exports.searchRestaurants = async (req, res) => {
+  try {
+    const {
+      name,
+      area,
+      band,
+      minScore,
+      maxScore,
+      needsInspection,
+      sortBy = 'score',
+      page = 1,
+      limit = 20
+    } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 20, MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const query = { type: 'restaurant', isActive: true };
+
+    if (name) query.name = { $regex: escapeRegex(name), $options: 'i' };
+    if (area) query['location.address'] = { $regex: escapeRegex(area), $options: 'i' };
+    if (needsInspection !== undefined) query['hygiene.needsInspection'] = needsInspection === 'true';
+
+    if (band === 'unrated') {
+      query['hygiene.scoreBand'] = 'unrated';
+    } else if (band) {
+      const range = hygieneService.getBandRange(band);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid score band'
+        });
+      }
+      query['hygiene.score'] = { $gte: range.min, $lte: range.max };
+    }
+
+    if (minScore !== undefined || maxScore !== undefined) {
+      query['hygiene.score'] = {
+        ...query['hygiene.score'],
+        ...(minScore !== undefined && { $gte: Math.max(parseFloat(minScore), query['hygiene.score']?.$gte ?? 0) }),
+        ...(maxScore !== undefined && { $lte: Math.min(parseFloat(maxScore), query['hygiene.score']?.$lte ?? 100) })
+      };
+    }
+
+    const sortOptions = sortBy === 'name'
+      ? { name: 1 }
+      : sortBy === 'lastInspected'
+        ? { 'hygiene.lastInspectedAt': -1 }
+        : { 'hygiene.score': -1, name: 1 };
+
+    const restaurants = await POI.find(query)
+      .select('-reviews -hygiene.inspections')
+      .sort(sortOptions)
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize)
+      .exec();
+
+    const count = await POI.countDocuments(query);
+
+    res.json({
+      success: true,
+      restaurants,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: pageNumber,
+      totalRestaurants: count
+    });
+  } catch (error) {
+    console.error('Search restaurants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search restaurants',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a restaurant's inspection history
+// @route   GET /api/poi/:id/inspections
+// @access  Public
+exports.getInspections = async (req, res) => {
+  try {
+    const poi = await POI.findOne({ _id: req.params.id, type: 'restaurant' })
+      .select('name hygiene')
+      .populate('hygiene.inspections.inspector', 'name');
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    const inspections = [...poi.hygiene.inspections]
+      .sort((a, b) => b.inspectedAt - a.inspectedAt);
+
+    res.json({
+      success: true,
+      restaurant: { _id: poi._id, name: poi.name },
+      score: poi.hygiene.score,
+      scoreBand: poi.hygiene.scoreBand,
+      needsInspection: poi.hygiene.needsInspection,
+      needsInspectionReason: poi.hygiene.needsInspectionReason,
+      inspections
+    });
+  } catch (error) {
+    console.error('Get inspections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inspections',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record a hygiene inspection
+// @route   POST /api/poi/:id/inspections
+// @access  Private (Admin/Moderator)
+exports.addInspection = async (req, res) => {
+  try {
+    // The inspector is whoever records it
+    const { inspectedAt, checklist, photos, violations, notes } = req.body;
+
+    if (!checklist || typeof checklist !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Inspection checklist is required'
+      });
+    }
+
+    if (inspectedAt && new Date(inspectedAt) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inspection date cannot be in the future'
+      });
+    }
+
+    const poi = await POI.findOne({ _id: req.params.id, type: 'restaurant' });
+
+    if (!poi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    const inspection = await hygieneService.addInspection(poi, {
+      inspector: req.user.id,
+      inspectedAt,
+      checklist,
+      photos: photos || [],
+      violations: violations || [],
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      inspection,
+      hygiene: {
+        score: poi.hygiene.score,
+        scoreBand: poi.hygiene.scoreBand,
+        lastInspectedAt: poi.hygiene.lastInspectedAt,
+        needsInspection: poi.hygiene.needsInspection,
+        needsInspectionReason: poi.hygiene.needsInspectionReason
+      },
+      message: 'Inspection recorded successfully'
+    });
+  } catch (error) {
+    console.error('Add inspection error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to record inspection',
+      error: error.message
+    });
+  }
+};
@@ -1,10 +1,71 @@
 const Report = require('../models/Report');
+const ReportDraft = require('../models/ReportDraft');
 const User = require('../models/User');
 const Gamification = require('../models/Gamification');
-const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
 const { aiQueue } = require('../queues/aiQueue');
 const FollowUp = require('../models/FollowUp');
 const aiFollowupService = require('../services/aiFollowupService');
+const hygieneService = require('../services/hygieneService');
+const reportHistoryService = require('../services/reportHistoryService');
+const reportWorkflowService = require('../services/reportWorkflowService');
+const resolutionEvidenceService = require('../services/resolutionEvidenceService');
+const wardService = require('../services/wardService');
+const slaService = require('../services/slaService');
+const aiPipelineService = require('../services/aiPipelineService');
+const reportEmbeddingService = require('../services/reportEmbeddingService');
+const imageHashService = require('../services/imageHashService');
+const imageMetadataService = require('../services/imageMetadataService');
+const aiAnalysisService = require('../services/aiAnalysisService');
+const { t, languageOf } = require('../utils/i18n');
+
+// Days after resolution during which the reporter can still dispute it
+const REOPEN_WINDOW_DAYS = parseInt(process.env.REPORT_REOPEN_WINDOW_DAYS) || 30;
+// Priority added to a report each time the reporter reopens it
+const REOPEN_PRIORITY_BOOST = parseInt(process.env.REPORT_REOPEN_PRIORITY_BOOST) || 2;
+
+// Record the reporter's verdict on the latest resolution follow-up, if any
+const recordFollowUpResponse = async (reportId, response, text) => {
+  try {
+    const followUp = await FollowUp.findOne({ reportId, messageType: 'resolution' })
+      .sort({ createdAt: -1 });
+    if (followUp) {
+      await followUp.recordResponse(response, text);
+    }
+  } catch (followUpError) {
+    console.warn('Failed to record follow-up response:', followUpError.message);
+  }
+};
+
+// Send the reporter an acknowledgement that their report is being looked at again
+const queueReopenAcknowledgement = async (report, user, reason) => {
+  const userLanguage = languageOf(user);
+  let messageText = t(userLanguage, 'followUp.reopened', { title: report.title });
+
+  if (process.env.ENABLE_AI_FOLLOWUP === 'true') {
+    const result = await aiFollowupService.generateReopenNotification({
+      userName: user.name,
+      reportTitle: report.title,
+      reopenReason: reason,
+      userLanguage
+    });
+    if (result.success) {
+      messageText = result.message;
+    }
+  }
+
+  await FollowUp.create({
+    reportId: report._id,
+    userId: report.userId,
+    messageText,
+    messageType: 'reopen',
+    userLanguage,
+    scheduledAt: new Date(),
+    channel: 'in-app',
+    status: 'pending',
+    metadata: { reason }
+  });
+};
 
 // Helper function to award points and check achievements
 const awardPoints = async (userId, points, action) => {
@@ -37,11 +98,10 @@ const awardPoints = async (userId, points, action) => {
       
       // Create level up notification
       try {
-        await Notification.create({
+        await notificationService.createNotification({
           userId,
           type: 'level_up',
-          title: '🎉 Level Up!',
-          message: `Congratulations! You've reached level ${gamification.level.current}`,
+          template: { key: 'levelUp', params: { level: gamification.level.current } },
           priority: 'high'
         });
       } catch (notifError) {
@@ -61,7 +121,7 @@ const awardPoints = async (userId, points, action) => {
 // @access  Private
 exports.createReport = async (req, res) => {
   try {
-    const { category, title, description, severity } = req.body;
+    const { voiceTranscript, draftId } = req.body;
     
     // Parse location if it's a string
     let locationData;
@@ -71,6 +131,43 @@ exports.createReport = async (req, res) => {
       locationData = req.body.location;
     }
 
+    // Fields left out of the form are taken from the chatbot draft being submitted
+    let draft = null;
+    if (draftId) {
+      draft = await ReportDraft.findOne({ _id: draftId, userId: req.user.id });
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found'
+        });
+      }
+      locationData = {
+        ...locationData,
+        coordinates: locationData?.coordinates || draft.location?.coordinates,
+        address: locationData?.address || draft.location?.address,
+        landmark: locationData?.landmark || draft.location?.landmark
+      };
+    }
+
+    const category = req.body.category || draft?.category;
+    const title = req.body.title || draft?.title;
+    const description = req.body.description || draft?.description;
+    const severity = req.body.severity || draft?.severity;
+
+    // The reporter's own words when the chatbot translated the report to English
+    let original = req.body.original;
+    if (typeof original === 'string') {
+      try {
+        original = JSON.parse(original);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid original text'
+        });
+      }
+    }
+    original = original || draft?.original;
+
     // Validate required fields
     if (!category || !title || !description) {
       return res.status(400).json({
@@ -79,24 +176,95 @@ exports.createReport = async (req, res) => {
       });
     }
     
-    const report = await Report.create({
+    const location = {
+      type: 'Point',
+      coordinates: locationData?.coordinates || [0, 0],
+      address: locationData?.address || '',
+      landmark: locationData?.landmark || ''
+    };
+
+    // Assign the ward/zone whose boundary contains the report
+    let wardFields = {};
+    try {
+      wardFields = await wardService.wardFieldsForLocation(location);
+    } catch (wardError) {
+      console.warn('Failed to look up ward:', wardError.message);
+    }
+
+    const report = new Report({
       userId: req.user.id,
       category,
       title,
       description,
-      location: {
-        type: 'Point',
-        coordinates: locationData?.coordinates || [0, 0],
-        address: locationData?.address || '',
-        landmark: locationData?.landmark || ''
-      },
+      ...(original?.description && {
+        original: {
+          language: String(original.language || '').slice(0, 50),
+          title: String(original.title || '').slice(0, 200),
+          description: String(original.description).slice(0, 1000)
+        }
+      }),
+      voiceTranscript,
+      location,
+      ...wardFields,
       severity: severity || 'medium',
       images: req.files ? req.files.map(file => ({
-        url: `/uploads/${file.filename}`,
+        url: file.url,
+        width: file.width,
+        height: file.height,
+        variants: file.variants,
         uploadedAt: new Date()
       })) : []
     });
 
+    // Start the SLA clock
+    try {
+      await slaService.applyPolicy(report);
+    } catch (slaError) {
+      console.warn('Failed to apply SLA policy:', slaError.message);
+    }
+
+    // Check photo EXIF against the report (the public copies are already stripped)
+    try {
+      const metadataResults = await imageMetadataService.inspectReportImages(report);
+      aiAnalysisService.apply(report, aiAnalysisService.fromImageMetadata(metadataResults));
+    } catch (metadataError) {
+      console.warn('Failed to check photo metadata:', metadataError.message);
+    }
+
+    // Hash the photos and flag any already submitted elsewhere or by someone else
+    try {
+      await imageHashService.hashReportImages(report);
+      const recycled = await imageHashService.findRecycledPhotos(report);
+      aiAnalysisService.apply(report, aiAnalysisService.fromRecycledPhotos(recycled));
+    } catch (hashError) {
+      console.warn('Failed to check for recycled photos:', hashError.message);
+    }
+
+    await report.save();
+
+    // The draft has become a report
+    if (draft) {
+      try {
+        await draft.deleteOne();
+      } catch (draftError) {
+        console.warn('Failed to delete submitted draft:', draftError.message);
+      }
+    }
+
+    // Start the audit trail
+    try {
+      await reportHistoryService.recordCreated(report, req.user);
+    } catch (historyError) {
+      console.warn('Failed to record report history:', historyError.message);
+    }
+
+    // Link restaurant complaints to the restaurant's POI
+    try {
+      await hygieneService.linkReport(report, req.body.poiId);
+    } catch (hygieneError) {
+      console.warn('Failed to link report to restaurant:', hygieneError.message);
+    }
+
     // Award points for creating report (with error handling)
     try {
       await awardPoints(req.user.id, 10, 'reportsSubmitted');
@@ -119,9 +287,18 @@ exports.createReport = async (req, res) => {
       console.warn('Failed to emit socket event:', socketError.message);
     }
 
-    // Queue AI triage (async - don't wait)
+    // Embed the report text for duplicate detection (async - don't wait)
+    reportEmbeddingService.ensureEmbeddings([report.toObject()]).catch(embeddingError => {
+      console.warn('Failed to embed report:', embeddingError.message);
+    });
+
+    // Queue AI analysis (async - don't wait): the full pipeline when enabled,
+    // otherwise triage only
     try {
-      if (process.env.ENABLE_AI_TRIAGE === 'true') {
+      if (aiPipelineService.enabled) {
+        await aiPipelineService.start(report);
+        console.log(`AI pipeline queued for report ${report._id}`);
+      } else if (process.env.ENABLE_AI_TRIAGE === 'true') {
         await aiQueue.add('triage-report', {
           reportId: report._id.toString(),
           reportData: {
@@ -135,7 +312,7 @@ exports.createReport = async (req, res) => {
         console.log(`AI triage queued for report ${report._id}`);
       }
     } catch (aiError) {
-      console.warn('Failed to queue AI triage:', aiError.message);
+      console.warn('Failed to queue AI analysis:', aiError.message);
       // Don't fail the request if AI queueing fails
     }
 
@@ -172,7 +349,8 @@ exports.getReports = async (req, res) => {
     const query = {};
     
     if (category) query.category = category;
-    if (status) query.status = status;
+    // Merged duplicates live on in their canonical report
+    query.status = status || { $ne: 'merged' };
     if (severity) query.severity = severity;
 
     // Geospatial query if coordinates provided
@@ -221,6 +399,8 @@ exports.getReport = async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
       .populate('userId', 'name avatar level')
+      .populate('coReporters', 'name avatar')
+      .populate('ward', 'code name zone')
       .populate('comments.userId', 'name avatar');
 
     if (!report) {
@@ -230,6 +410,12 @@ exports.getReport = async (req, res) => {
       });
     }
 
+    // A merged duplicate redirects to the report it was merged into (?redirect=false shows it).
+    // Temporary, as an unmerge undoes it
+    if (report.merge?.into && req.query.redirect !== 'false') {
+      return res.redirect(307, `${req.baseUrl}/${report.merge.into}`);
+    }
+
     // Increment views
     report.views += 1;
     await report.save();
@@ -253,7 +439,16 @@ exports.getReport = async (req, res) => {
 // @access  Private (Admin/Moderator)
 exports.updateReportStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note, reason } = req.body;
+    const transitionReason = reason || note;
+
+    const noteError = reportHistoryService.noteError(transitionReason);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
 
     const report = await Report.findById(req.params.id);
     
@@ -264,17 +459,46 @@ exports.updateReportStatus = async (req, res) => {
       });
     }
 
+    const check = reportWorkflowService.validateTransition(report, status, req.user, {
+      reason: transitionReason
+    });
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        code: check.code,
+        allowedTransitions: check.allowedTransitions
+      });
+    }
+
+    const before = reportHistoryService.snapshot(report);
     const oldStatus = report.status;
-    report.status = status;
+    reportWorkflowService.applyTransition(report, status, req.user, { reason: transitionReason });
     if (status === 'resolved') {
-      report.resolvedAt = new Date();
-      
-      // Award points to report creator
-      await awardPoints(report.userId, 20, 'reportsVerified');
+      // Award points to the reporter and everyone whose duplicate was merged in
+      for (const reporterId of report.getReporterIds()) {
+        await awardPoints(reporterId, 20, 'reportsVerified');
+      }
+    }
+
+    const afterImages = req.files?.afterImages || [];
+    if (afterImages.length > 0) {
+      resolutionEvidenceService.attachAfterImages(report, afterImages, req.user);
     }
 
     await report.save();
 
+    await reportHistoryService.recordChanges(before, report, {
+      user: req.user,
+      note: transitionReason,
+      attachments: reportHistoryService.attachmentsFromFiles(req.files?.attachments),
+      source: 'status-update'
+    });
+
+    if (status === 'resolved') {
+      resolutionEvidenceService.evaluateInBackground(report._id);
+    }
+
     // Queue automated follow-up if resolved
     if (status === 'resolved' && oldStatus !== 'resolved' && process.env.ENABLE_AI_FOLLOWUP === 'true') {
       try {
@@ -287,7 +511,7 @@ exports.updateReportStatus = async (req, res) => {
             reportTitle: report.title,
             reportCategory: report.category,
             resolutionDate: report.resolvedAt,
-            userLanguage: report.aiAnalysis?.language?.code || 'en',
+            userLanguage: languageOf(user),
             scheduledDelay: 48 * 60 * 60 * 1000 // 48 hours
           }, {
             delay: 48 * 60 * 60 * 1000 // Delay 48 hours
@@ -299,15 +523,19 @@ exports.updateReportStatus = async (req, res) => {
       }
     }
 
-    // Create notification for report creator
-    await Notification.create({
-      userId: report.userId,
-      type: 'report_update',
-      title: 'Report Status Updated',
-      message: `Your report has been marked as ${status}`,
-      data: { reportId: report._id },
-      link: `/reports/${report._id}`
-    });
+    // Notify the reporter and everyone whose duplicate was merged in
+    for (const reporterId of report.getReporterIds()) {
+      await notificationService.createNotification({
+        userId: reporterId,
+        type: 'report_update',
+        template: {
+          key: 'statusUpdated',
+          params: { title: report.title, status: { key: `status.${status}` } }
+        },
+        data: { reportId: report._id, oldStatus, newStatus: status },
+        link: `/reports/${report._id}`
+      });
+    }
 
     // Emit socket event
     const io = req.app.get('io');
@@ -327,6 +555,190 @@ exports.updateReportStatus = async (req, res) => {
   }
 };
 
+// @desc    Reporter accepts the resolution of their report
+// @route   POST /api/reports/:id/confirm-resolution
+// @access  Private (Reporter)
+exports.confirmResolution = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const noteError = reportHistoryService.noteError(comment);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report not found' 
+      });
+    }
+
+    if (report.userId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the reporter can confirm this resolution' 
+      });
+    }
+
+    const check = reportWorkflowService.validateTransition(report, 'verified', req.user);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        code: check.code
+      });
+    }
+
+    const before = reportHistoryService.snapshot(report);
+    reportWorkflowService.applyTransition(report, 'verified', req.user);
+    await report.save();
+
+    await reportHistoryService.recordChanges(before, report, {
+      user: req.user,
+      note: comment,
+      source: 'citizen'
+    });
+    await recordFollowUpResponse(report._id, 'satisfied', comment);
+
+    // Let whoever resolved it know the citizen is happy
+    const resolverId = report.assignedTo || report.resolvedBy;
+    if (resolverId) {
+      await notificationService.createNotification({
+        userId: resolverId,
+        type: 'report_update',
+        template: { key: 'resolutionConfirmed', params: { title: report.title } },
+        data: { reportId: report._id },
+        link: `/reports/${report._id}`
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io) io.emit('reportUpdated', report);
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Confirm resolution error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to confirm resolution', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Reporter disputes the resolution and reopens their report
+// @route   POST /api/reports/:id/reopen
+// @access  Private (Reporter)
+exports.reopenReport = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const noteError = reportHistoryService.noteError(comment);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report not found' 
+      });
+    }
+
+    if (report.userId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the reporter can reopen this report' 
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please attach a new photo showing the problem is still there' 
+      });
+    }
+
+    const check = reportWorkflowService.validateTransition(report, 'in-progress', req.user, {
+      reason: comment
+    });
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        code: check.code
+      });
+    }
+
+    const windowEnd = new Date(report.resolvedAt || report.updatedAt);
+    windowEnd.setDate(windowEnd.getDate() + REOPEN_WINDOW_DAYS);
+    if (new Date() > windowEnd) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Reports can only be reopened within ${REOPEN_WINDOW_DAYS} days of being resolved`,
+        code: 'REOPEN_WINDOW_EXPIRED'
+      });
+    }
+
+    const before = reportHistoryService.snapshot(report);
+    reportWorkflowService.applyTransition(report, 'in-progress', req.user, { reason: comment });
+    report.priority = Math.min(10, (report.priority || 0) + REOPEN_PRIORITY_BOOST);
+    await report.save();
+
+    await reportHistoryService.recordChanges(before, report, {
+      user: req.user,
+      note: comment,
+      attachments: reportHistoryService.attachmentsFromFiles(req.files),
+      source: 'citizen'
+    });
+    await recordFollowUpResponse(report._id, 'unsatisfied', comment);
+
+    if (report.assignedTo) {
+      await notificationService.createNotification({
+        userId: report.assignedTo,
+        type: 'report_update',
+        template: { key: 'reportReopened', params: { title: report.title, comment } },
+        data: { reportId: report._id, reopenCount: report.reopenCount },
+        link: `/reports/${report._id}`,
+        priority: 'high'
+      });
+    }
+
+    // Acknowledge the reporter without holding up the response
+    queueReopenAcknowledgement(report, req.user, comment)
+      .catch(ackError => console.warn('Failed to queue reopen acknowledgement:', ackError.message));
+
+    const io = req.app.get('io');
+    if (io) io.emit('reportUpdated', report);
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Reopen report error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to reopen report', 
+      error: error.message 
+    });
+  }
+};
+
 // @desc    Upvote report
 // @route   POST /api/reports/:id/upvote
 // @access  Private
@@ -420,7 +832,8 @@ exports.addComment = async (req, res) => {
 // @access  Private
 exports.getMyReports = async (req, res) => {
   try {
-    const reports = await Report.find({ userId: req.user.id })
+    // Includes reports the user's duplicates were merged into
+    const reports = await Report.find({ $or: [{ userId: req.user.id }, { coReporters: req.user.id }] })
       .sort({ createdAt: -1 });
 
     res.json({
@@ -436,3 +849,120 @@ exports.getMyReports = async (req, res) => {
     });
   }
 };
+
+// @desc    Get user's report drafts (saved from the chatbot)
+// @route   GET /api/reports/drafts
+// @access  Private
+exports.getMyDrafts = async (req, res) => {
+  try {
+    const drafts = await ReportDraft.find({ userId: req.user.id })
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      drafts
+    });
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch drafts', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get a report draft
+// @route   GET /api/reports/drafts/:id
+// @access  Private (Owner)
+exports.getDraft = async (req, res) => {
+  try {
+    const draft = await ReportDraft.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch draft', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Discard a report draft
+// @route   DELETE /api/reports/drafts/:id
+// @access  Private (Owner)
+exports.deleteDraft = async (req, res) => {
+  try {
+    const draft = await ReportDraft.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Draft deleted'
+    });
+  } catch (error) {
+    console.error('Delete draft error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to delete draft', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get report status/assignment history
+// @route   GET /api/reports/:id/history
+// @access  Private (Reporter or Admin/Moderator)
+exports.getReportHistory = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('userId coReporters assignedTo');
+
+    if (!report) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report not found' 
+      });
+    }
+
+    const isOwner = report.getReporterIds().some(id => id.toString() === req.user.id.toString());
+    const isAssignee = report.assignedTo?.toString() === req.user.id.toString();
+    if (!isOwner && !isAssignee && !['admin', 'moderator'].includes(req.user.role)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to view this report history' 
+      });
+    }
+
+    const history = await reportHistoryService.getTimeline(report._id);
+
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    console.error('Get report history error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch report history', 
+      error: error.message 
+    });
+  }
+};
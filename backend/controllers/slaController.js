@@ -0,0 +1,125 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const slaService = require('../services/slaService');
+
+// Policy fields admins may set
+const POLICY_FIELDS = ['category', 'severity', 'resolutionHours', 'escalation', 'description', 'isActive'];
+
+const pickPolicyFields = (body) => {
+  const fields = {};
+  POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get SLA policies and the defaults used when none match
+// @route   GET /api/admin/sla-policies
+// @access  Private (Admin/Moderator)
+exports.getSlaPolicies = async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find().sort({ category: 1, severity: 1 });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      policies,
+      defaults: slaService.getDefaults()
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA policies',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create an SLA policy
+// @route   POST /api/admin/sla-policies
+// @access  Private (Admin)
+exports.createSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.create(pickPolicyFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      policy,
+      message: 'SLA policy created'
+    });
+  } catch (error) {
+    console.error('Create SLA policy error:', error);
+    const duplicate = error.code === 11000;
+    res.status(duplicate || error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: duplicate
+        ? 'A policy for this category and severity already exists'
+        : 'Failed to create SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an SLA policy (open reports using it get new due dates)
+// @route   PUT /api/admin/sla-policies/:id
+// @access  Private (Admin)
+exports.updateSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    policy.set(pickPolicyFields(req.body));
+    const hoursChanged = policy.isModified('resolutionHours');
+    await policy.save();
+
+    const reportsUpdated = hoursChanged ? await slaService.reapplyPolicy(policy) : 0;
+
+    res.json({
+      success: true,
+      policy,
+      reportsUpdated,
+      message: 'SLA policy updated'
+    });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete an SLA policy (existing due dates are kept)
+// @route   DELETE /api/admin/sla-policies/:id
+// @access  Private (Admin)
+exports.deleteSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'SLA policy deleted'
+    });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete SLA policy',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,225 @@
+const GlossaryTerm = require('../models/GlossaryTerm');
+const translationMemoryService = require('../services/translationMemoryService');
+
+// Glossary fields admins may set
+const GLOSSARY_FIELDS = ['term', 'language', 'translations', 'keepAsIs', 'note', 'isActive'];
+
+const pickGlossaryFields = (body) => {
+  const fields = {};
+  GLOSSARY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get cached translations for review
+// @route   GET /api/admin/translations
+// @access  Private (Admin/Moderator)
+exports.getTranslations = async (req, res) => {
+  try {
+    const { status, sourceLang, targetLang, q, page, limit } = req.query;
+    const [result, stats] = await Promise.all([
+      translationMemoryService.list({ status, sourceLang, targetLang, q, page, limit }),
+      translationMemoryService.getStats()
+    ]);
+
+    res.json({
+      success: true,
+      ...result,
+      stats
+    });
+  } catch (error) {
+    console.error('Get translations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch translations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve or correct a cached translation (it then overrides the model)
+// @route   PUT /api/admin/translations/:id
+// @access  Private (Admin/Moderator)
+exports.reviewTranslation = async (req, res) => {
+  try {
+    const { translatedText } = req.body;
+    if (translatedText !== undefined && (typeof translatedText !== 'string' || !translatedText.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'translatedText must be a non-empty string'
+      });
+    }
+
+    const translation = await translationMemoryService.review(req.params.id, { translatedText }, req.user);
+
+    if (!translation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Translation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      translation,
+      message: translation.status === 'corrected' ? 'Translation corrected' : 'Translation approved'
+    });
+  } catch (error) {
+    console.error('Review translation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review translation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a cached translation (the text is translated again next time)
+// @route   DELETE /api/admin/translations/:id
+// @access  Private (Admin/Moderator)
+exports.deleteTranslation = async (req, res) => {
+  try {
+    const translation = await translationMemoryService.remove(req.params.id);
+
+    if (!translation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Translation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Translation deleted'
+    });
+  } catch (error) {
+    console.error('Delete translation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete translation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get glossary terms
+// @route   GET /api/admin/glossary
+// @access  Private (Admin/Moderator)
+exports.getGlossary = async (req, res) => {
+  try {
+    const terms = await GlossaryTerm.find().sort({ term: 1 });
+
+    res.json({
+      success: true,
+      count: terms.length,
+      terms
+    });
+  } catch (error) {
+    console.error('Get glossary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch glossary',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a glossary term
+// @route   POST /api/admin/glossary
+// @access  Private (Admin)
+exports.createGlossaryTerm = async (req, res) => {
+  try {
+    const term = await GlossaryTerm.create(pickGlossaryFields(req.body));
+    const translationsDropped = await translationMemoryService.glossaryChanged(term.term);
+
+    res.status(201).json({
+      success: true,
+      term,
+      translationsDropped,
+      message: 'Glossary term added'
+    });
+  } catch (error) {
+    console.error('Create glossary term error:', error);
+    const duplicate = error.code === 11000;
+    res.status(duplicate || error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: duplicate
+        ? 'This term is already in the glossary'
+        : 'Failed to add glossary term',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a glossary term (unreviewed translations using it are redone)
+// @route   PUT /api/admin/glossary/:id
+// @access  Private (Admin)
+exports.updateGlossaryTerm = async (req, res) => {
+  try {
+    const term = await GlossaryTerm.findById(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Glossary term not found'
+      });
+    }
+
+    const previousTerm = term.term;
+    term.set(pickGlossaryFields(req.body));
+    await term.save();
+
+    let translationsDropped = await translationMemoryService.glossaryChanged(term.term);
+    if (previousTerm !== term.term) {
+      translationsDropped += await translationMemoryService.glossaryChanged(previousTerm);
+    }
+
+    res.json({
+      success: true,
+      term,
+      translationsDropped,
+      message: 'Glossary term updated'
+    });
+  } catch (error) {
+    console.error('Update glossary term error:', error);
+    const duplicate = error.code === 11000;
+    res.status(duplicate || error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: duplicate
+        ? 'This term is already in the glossary'
+        : 'Failed to update glossary term',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a glossary term
+// @route   DELETE /api/admin/glossary/:id
+// @access  Private (Admin)
+exports.deleteGlossaryTerm = async (req, res) => {
+  try {
+    const term = await GlossaryTerm.findByIdAndDelete(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Glossary term not found'
+      });
+    }
+
+    await translationMemoryService.glossaryChanged(term.term);
+
+    res.json({
+      success: true,
+      message: 'Glossary term deleted'
+    });
+  } catch (error) {
+    console.error('Delete glossary term error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete glossary term',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,176 @@
+const Ward = require('../models/Ward');
+const wardService = require('../services/wardService');
+const { escapeRegex } = require('../utils/regex');
+
+// @desc    Get all wards
+// @route   GET /api/wards
+// @access  Public
+exports.getWards = async (req, res) => {
+  try {
+    const { zone, search, includeBoundary } = req.query;
+
+    const query = { isActive: true };
+    if (zone) query.zone = zone;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { name: pattern },
+        { code: pattern }
+      ];
+    }
+
+    const wards = await Ward.find(query)
+      .select(includeBoundary === 'true' ? '' : '-boundary')
+      .sort({ number: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: wards.length,
+      wards
+    });
+  } catch (error) {
+    console.error('Get wards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wards',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Find the ward containing a point
+// @route   GET /api/wards/lookup?lat=&lng=
+// @access  Public
+exports.lookupWard = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({
+        success: false,
+        message: 'lat and lng are required'
+      });
+    }
+
+    const ward = await wardService.findWardForLocation([lng, lat]);
+
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location is outside all known ward boundaries'
+      });
+    }
+
+    res.json({
+      success: true,
+      ward
+    });
+  } catch (error) {
+    console.error('Ward lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up ward',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single ward with its boundary
+// @route   GET /api/wards/:id
+// @access  Public
+exports.getWard = async (req, res) => {
+  try {
+    const ward = await Ward.findById(req.params.id);
+
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ward
+    });
+  } catch (error) {
+    console.error('Get ward error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ward',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Import ward boundaries from a GeoJSON FeatureCollection
+// @route   POST /api/wards/import
+// @access  Private (Admin)
+exports.importWards = async (req, res) => {
+  try {
+    const { geojson, fields, source } = req.body;
+
+    const result = await wardService.importFeatureCollection(geojson, { fields, source });
+    const reportsAssigned = await wardService.backfillReports();
+
+    res.json({
+      success: true,
+      ...result,
+      reportsAssigned
+    });
+  } catch (error) {
+    console.error('Import wards error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to import wards',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update ward details and officer contacts
+// @route   PUT /api/wards/:id
+// @access  Private (Admin)
+exports.updateWard = async (req, res) => {
+  try {
+    // Boundaries are only changed through import
+    const { name, number, zone, officer, population, isActive } = req.body;
+
+    const ward = await Ward.findById(req.params.id).select('-boundary');
+
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found'
+      });
+    }
+
+    if (name !== undefined) ward.name = name;
+    if (number !== undefined) ward.number = number;
+    if (zone !== undefined) ward.zone = zone;
+    if (officer !== undefined) ward.officer = officer;
+    if (population !== undefined) ward.population = population;
+    if (isActive !== undefined) ward.isActive = isActive;
+
+    const zoneChanged = ward.isModified('zone');
+    await ward.save();
+
+    if (zoneChanged) {
+      await wardService.syncZone(ward);
+    }
+
+    res.json({
+      success: true,
+      ward,
+      message: 'Ward updated successfully'
+    });
+  } catch (error) {
+    console.error('Update ward error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ward',
+      error: error.message
+    });
+  }
+};
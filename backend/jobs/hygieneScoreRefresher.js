@@ -0,0 +1,53 @@
+/**
+ * Hygiene Score Refresher Job
+ * Re-applies score decay and needs-inspection rules to all restaurants
+ */
+
+const cron = require('node-schedule');
+const hygieneService = require('../services/hygieneService');
+const { acquireJobLock } = require('../utils/jobLock');
+
+// Held for an hour of the daily slot, so each run happens on one instance
+const LOCK_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Refresh stored hygiene scores
+ */
+async function refreshHygieneScores() {
+  try {
+    if (!await acquireJobLock('hygiene-score-refresh', LOCK_TTL_MS)) {
+      console.log('⏭️  Hygiene score refresh skipped: another instance is running it');
+      return;
+    }
+
+    console.log('🔄 Refreshing restaurant hygiene scores...');
+
+    const refreshed = await hygieneService.refreshAllScores();
+
+    console.log(`✅ Refreshed hygiene scores for ${refreshed} restaurants`);
+  } catch (error) {
+    console.error('Error in refreshHygieneScores:', error);
+  }
+}
+
+/**
+ * Start the hygiene score refresher cron job
+ * Runs daily at 02:00
+ */
+function startHygieneScoreRefresher() {
+  if (process.env.ENABLE_HYGIENE_SCORE_REFRESH === 'false') {
+    console.log('⏸️  Hygiene score refresher disabled (ENABLE_HYGIENE_SCORE_REFRESH=false)');
+    return;
+  }
+
+  const job = cron.scheduleJob('0 2 * * *', refreshHygieneScores);
+
+  console.log('✅ Hygiene score refresher cron job started (runs daily at 02:00)');
+
+  return job;
+}
+
+module.exports = {
+  refreshHygieneScores,
+  startHygieneScoreRefresher
+};
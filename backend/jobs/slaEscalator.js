@@ -0,0 +1,58 @@
+/**
+ * SLA Escalation Job
+ * Escalates open reports that are past their SLA due date
+ */
+
+const cron = require('node-schedule');
+const slaService = require('../services/slaService');
+const { acquireJobLock } = require('../utils/jobLock');
+
+// Held for most of the 15-minute interval, so each run happens on one instance
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Backfill missing due dates and escalate breached reports
+ */
+async function escalateBreachedReports() {
+  try {
+    if (!await acquireJobLock('sla-escalation', LOCK_TTL_MS)) {
+      console.log('⏭️  SLA check skipped: another instance is running it');
+      return;
+    }
+
+    console.log('🔄 Checking for SLA breaches...');
+
+    const backfilled = await slaService.backfillDueDates();
+    if (backfilled > 0) {
+      console.log(`🕒 Assigned SLA due dates to ${backfilled} older reports`);
+    }
+
+    const { checked, escalated } = await slaService.escalateBreached();
+
+    console.log(`✅ SLA check complete: ${checked} overdue reports, ${escalated} escalated`);
+  } catch (error) {
+    console.error('Error in escalateBreachedReports:', error);
+  }
+}
+
+/**
+ * Start the SLA escalation cron job
+ * Runs every 15 minutes
+ */
+function startSlaEscalator() {
+  if (process.env.ENABLE_SLA_ESCALATION === 'false') {
+    console.log('⏸️  SLA escalation disabled (ENABLE_SLA_ESCALATION=false)');
+    return;
+  }
+
+  const job = cron.scheduleJob('*/15 * * * *', escalateBreachedReports);
+
+  console.log('✅ SLA escalation cron job started (runs every 15 minutes)');
+
+  return job;
+}
+
+module.exports = {
+  escalateBreachedReports,
+  startSlaEscalator
+};
@@ -40,6 +40,24 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+exports.optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET || 'fallback_secret');
+    req.user = await User.findById(decoded.id).select('-password');
+  } catch (error) {
+    // An expired or invalid token is treated as anonymous
+    req.user = null;
+  }
+
+  next();
+};
+
 // Authorize specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
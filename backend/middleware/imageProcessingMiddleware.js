@@ -0,0 +1,52 @@
+const imageProcessingService = require('../services/imageProcessingService');
+const storageService = require('../services/storageService');
+
+// Multer puts files on req.file, req.files (array) or req.files (by field name)
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Runs after multer: renames, normalizes and resizes every uploaded image
+exports.processUploads = async (req, res, next) => {
+  const pending = [...uploadedFiles(req)];
+
+  try {
+    while (pending.length > 0) {
+      await imageProcessingService.processFile(pending[0]);
+      pending.shift();
+    }
+  } catch (error) {
+    console.error('Image processing error:', error);
+    // Processed files may be shared with other reports, so only temp files go
+    await Promise.all(pending.map(file => imageProcessingService.discard(file)));
+    return res.status(400).json({
+      success: false,
+      message: 'Could not process the uploaded image',
+      error: error.message
+    });
+  }
+
+  next();
+};
+
+// /uploads/<file>?size=thumb|medium|webp serves that variant when it exists
+exports.serveImageVariant = async (req, res, next) => {
+  const { size } = req.query;
+  if (!imageProcessingService.variants.includes(size)) return next();
+
+  let key;
+  try {
+    key = imageProcessingService.variantFilename(storageService.keyFromUrl(req.path), size);
+    if (!(await storageService.exists(key))) return next();
+  } catch {
+    // Not a valid key; let the next handler 404
+    return next();
+  }
+
+  const variantPath = storageService.localPath(key);
+  if (!variantPath) return res.redirect(storageService.url(key));
+
+  res.sendFile(variantPath, { maxAge: '30d', immutable: true });
+};
@@ -0,0 +1,33 @@
+const storageService = require('../services/storageService');
+
+// Files live in remote storage: send /uploads links to the stored file
+exports.redirectToStorage = (req, res) => {
+  try {
+    res.redirect(301, storageService.url(req.path));
+  } catch {
+    res.status(404).json({ success: false, message: 'File not found' });
+  }
+};
+
+// /private-uploads/<key>?expires=...&signature=... from local storage signedUrl()
+exports.serveSignedFile = (req, res) => {
+  const { expires, signature } = req.query;
+  const driver = storageService.driver;
+
+  let key;
+  try {
+    key = storageService.keyFromUrl(req.params.key);
+    if (!driver.verifySignature?.(key, expires, signature)) {
+      return res.status(403).json({ success: false, message: 'Link is invalid or has expired' });
+    }
+  } catch {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(driver.localPath(key, 'private'), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ success: false, message: 'File not found' });
+    }
+  });
+};
@@ -1,13 +1,14 @@
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
+const storageConfig = require('../config/storage');
 
-// Set storage engine
+// Set storage engine (files are moved to the storage backend after processing)
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
+  destination: storageConfig.tempDir,
+  // Temporary name; imageProcessingMiddleware stores it under its content hash
   filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
+    cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
   }
 });
 
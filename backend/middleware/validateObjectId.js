@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Reject route ids that aren't ObjectIds with a 400, instead of the query
+// failing with a CastError (500). Checks req.params.id unless names are given.
+exports.validateObjectId = (...names) => {
+  const params = names.length > 0 ? names : ['id'];
+
+  return (req, res, next) => {
+    const invalid = params.find(name => !mongoose.isValidObjectId(req.params[name]));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalid}`
+      });
+    }
+    next();
+  };
+};
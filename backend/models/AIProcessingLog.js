@@ -8,7 +8,11 @@ const aiProcessingLogSchema = new mongoose.Schema({
   // Job identification
   jobType: {
     type: String,
-    enum: ['triage-report', 'translate-text', 'generate-followup', 'assign-inspector'],
+    enum: [
+      'triage-report', 'translate-text', 'generate-followup', 'assign-inspector',
+      'analyze-image-forensics', 'verify-image-context', 'analyze-transcript',
+      'check-duplicate', 'complete-pipeline'
+    ],
     required: true,
     index: true
   },
@@ -31,7 +31,7 @@ const followUpSchema = new mongoose.Schema({
     required: true
   },
   
-  // User language
+  // Language code of messageText, the user's preference when it was written
   userLanguage: {
     type: String,
     default: 'en'
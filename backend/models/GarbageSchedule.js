@@ -8,13 +8,13 @@ const garbageScheduleSchema = new mongoose.Schema({
     index: true
   },
   ward: {
-    type: String,
-    required: true,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward',
+    required: true
   },
+  // Copied from the ward
   zone: {
     type: String,
-    required: true,
     trim: true
   },
   location: {
@@ -167,7 +167,8 @@ const garbageScheduleSchema = new mongoose.Schema({
 
 // Indexes
 garbageScheduleSchema.index({ location: '2dsphere' });
-garbageScheduleSchema.index({ area: 'text', ward: 'text', zone: 'text' });
+garbageScheduleSchema.index({ area: 'text', zone: 'text' });
+garbageScheduleSchema.index({ ward: 1 });
 garbageScheduleSchema.index({ 'route.routeNumber': 1 });
 garbageScheduleSchema.index({ isActive: 1 });
 
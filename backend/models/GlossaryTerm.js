@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Glossary Term Model
+ * Civic words and names that must be translated the same way every time,
+ * e.g. "nala" → "open drain", or ward names that are never translated.
+ * Terms found in a text are given to the model with their translations.
+ */
+const glossaryTermSchema = new mongoose.Schema({
+  // As it appears in reports, e.g. "nala" or "नाला"
+  term: {
+    type: String,
+    required: [true, 'Term is required'],
+    trim: true
+  },
+  // Language the term is written in; null matches text in any language
+  // (romanized words like "kachra" turn up in English text too)
+  language: {
+    type: String,
+    default: null
+  },
+  // Target language name → translation, e.g. { English: 'open drain' }
+  translations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Names (wards, places) used as they are in every language
+  keepAsIs: {
+    type: Boolean,
+    default: false
+  },
+  note: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+glossaryTermSchema.index(
+  { term: 1, language: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('GlossaryTerm', glossaryTermSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { DAYS, localTime, isWithinSlot } = require('../utils/localTime');
+
+/**
+ * Inspector Model
+ * Field staff profile used for report assignment: skills, shifts, home ward,
+ * live location and capacity. Open workload is counted from assigned reports.
+ */
+const shiftSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: DAYS,
+    required: true
+  },
+  start: {
+    type: String, // "09:00"
+    required: true
+  },
+  end: {
+    type: String, // "17:00" (earlier than start for overnight shifts)
+    required: true
+  }
+}, { _id: false });
+
+const inspectorSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  employeeId: {
+    type: String,
+    trim: true
+  },
+  // Report categories this inspector handles; "general" matches anything
+  skills: {
+    type: [String],
+    default: ['general']
+  },
+  homeWard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward'
+  },
+  zone: String,
+  shifts: [shiftSchema],
+  status: {
+    type: String,
+    enum: ['active', 'on-leave', 'inactive'],
+    default: 'active'
+  },
+  // Manual on/off duty switch, on top of the shift schedule
+  onDuty: {
+    type: Boolean,
+    default: true
+  },
+  // Last reported position; left unset until the inspector shares it
+  currentLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  locationUpdatedAt: Date,
+  maxCapacity: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  stats: {
+    assigned: { type: Number, default: 0 },
+    accepted: { type: Number, default: 0 },
+    declined: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+inspectorSchema.index({ currentLocation: '2dsphere' });
+inspectorSchema.index({ status: 1, homeWard: 1 });
+
+// Instance methods
+inspectorSchema.methods.isOnShift = function(date = new Date()) {
+  // No shifts configured means always on shift
+  if (!this.shifts || this.shifts.length === 0) return true;
+
+  // Shift times are in the city's local time
+  const now = localTime(date);
+  return this.shifts.some(shift => isWithinSlot(shift, now));
+};
+
+inspectorSchema.methods.isAvailable = function(date = new Date()) {
+  return this.status === 'active' && this.onDuty && this.isOnShift(date);
+};
+
+module.exports = mongoose.model('Inspector', inspectorSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Lock Model
+ * One document per scheduled job. An instance claims a run by taking the
+ * lock until it expires, so with several app instances a job runs once per
+ * schedule slot.
+ */
+const jobLockSchema = new mongoose.Schema({
+  // Job name, e.g. 'sla-escalation'
+  _id: String,
+  // host:pid of the instance holding the lock
+  owner: String,
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
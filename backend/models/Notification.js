@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const NOTIFICATION_TTL_DAYS = parseInt(process.env.NOTIFICATION_TTL_DAYS || 90);
+
 const notificationSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,7 +10,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['report_update', 'achievement', 'level_up', 'comment', 'upvote', 'system', 'event'],
+    enum: ['report_update', 'assignment', 'achievement', 'level_up', 'comment', 'upvote', 'system', 'event'],
     required: true
   },
   title: {
@@ -26,17 +28,30 @@ const notificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  readAt: Date,
   icon: String,
   link: String,
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
     default: 'medium'
+  },
+  // Removed automatically by the TTL index below
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + NOTIFICATION_TTL_DAYS * 24 * 60 * 60 * 1000)
   }
 }, {
   timestamps: true
 });
 
 notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, type: 1, _id: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ userId, read: false });
+};
 
 module.exports = mongoose.model('Notification', notificationSchema);
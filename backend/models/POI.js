@@ -1,4 +1,48 @@
 const mongoose = require('mongoose');
+const { localTime, isWithinSlot } = require('../utils/localTime');
+
+const inspectionSchema = new mongoose.Schema({
+  inspector: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  inspectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Each checklist item is scored 0-10
+  checklist: {
+    foodStorage: { type: Number, min: 0, max: 10 },
+    foodHandling: { type: Number, min: 0, max: 10 },
+    kitchenCleanliness: { type: Number, min: 0, max: 10 },
+    staffHygiene: { type: Number, min: 0, max: 10 },
+    pestControl: { type: Number, min: 0, max: 10 },
+    wasteDisposal: { type: Number, min: 0, max: 10 },
+    waterSupply: { type: Number, min: 0, max: 10 }
+  },
+  photos: [String],
+  violations: [{
+    code: String,
+    description: {
+      type: String,
+      required: true
+    },
+    severity: {
+      type: String,
+      enum: ['minor', 'major', 'critical'],
+      default: 'minor'
+    }
+  }],
+  notes: String,
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  }
+}, {
+  timestamps: true
+});
 
 const poiSchema = new mongoose.Schema({
   name: {
@@ -31,12 +75,19 @@ const poiSchema = new mongoose.Schema({
     maintenance: { type: Number, default: 0, min: 0, max: 5 },
     overall: { type: Number, default: 0, min: 0, max: 5 }
   },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
   reviews: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
     rating: Number,
+    cleanliness: { type: Number, min: 1, max: 5 },
+    accessibility: { type: Number, min: 1, max: 5 },
+    maintenance: { type: Number, min: 1, max: 5 },
     comment: String,
     images: [String],
     createdAt: {
@@ -63,10 +114,44 @@ const poiSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // For restaurants
+  hygiene: {
+    inspections: [inspectionSchema],
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    scoreBand: {
+      type: String,
+      enum: ['excellent', 'good', 'fair', 'poor', 'unrated'],
+      default: 'unrated'
+    },
+    scoreUpdatedAt: Date,
+    lastInspectedAt: Date,
+    needsInspection: {
+      type: Boolean,
+      default: false
+    },
+    needsInspectionReason: String,
+    recentReportCount: {
+      type: Number,
+      default: 0
+    }
+  },
   // For waste collection points
   schedule: [{
     day: String,
@@ -80,5 +165,40 @@ const poiSchema = new mongoose.Schema({
 // Index for geospatial queries
 poiSchema.index({ location: '2dsphere' });
 poiSchema.index({ type: 1 });
+poiSchema.index({ type: 1, 'hygiene.score': -1 });
+poiSchema.index({ type: 1, 'hygiene.needsInspection': 1 });
+
+// Methods
+// Opening hours are in the city's local time
+poiSchema.methods.isOpenAt = function(date = new Date()) {
+  const hours = this.operatingHours || {};
+  const now = localTime(date);
+
+  // Today's hours, or last night's still running
+  return [now.day, now.previousDay].some(day => isWithinSlot({
+    day,
+    start: hours[day]?.open,
+    end: hours[day]?.close
+  }, now));
+};
+
+poiSchema.methods.recalculateRatings = function() {
+  const average = (field) => {
+    const values = this.reviews
+      .map(review => review[field])
+      .filter(value => typeof value === 'number');
+    if (values.length === 0) return 0;
+    const sum = values.reduce((acc, value) => acc + value, 0);
+    return Math.round((sum / values.length) * 10) / 10;
+  };
+
+  this.ratings.cleanliness = average('cleanliness');
+  this.ratings.accessibility = average('accessibility');
+  this.ratings.maintenance = average('maintenance');
+  this.ratings.overall = average('rating');
+  this.reviewCount = this.reviews.length;
+
+  return this.ratings;
+};
 
 module.exports = mongoose.model('POI', poiSchema);
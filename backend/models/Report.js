@@ -1,5 +1,33 @@
 const mongoose = require('mongoose');
 
+// One step of the AI analysis pipeline
+const pipelineStageSchema = new mongoose.Schema({
+  // Unique within the run, e.g. "forensic:0" for the first image
+  key: String,
+  stage: {
+    type: String,
+    enum: ['forensic', 'geospatial', 'linguistic', 'deduplication', 'triage']
+  },
+  imageIndex: Number,
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'skipped']
+  },
+  // Why a stage was skipped or failed
+  reason: String,
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+// Privacy-safe EXIF summary of a photo (coordinates are never stored)
+const exifSummarySchema = new mongoose.Schema({
+  capturedAt: Date,
+  make: String,
+  model: String,
+  software: String,
+  hasGps: Boolean
+}, { _id: false });
+
 const reportSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -22,6 +50,34 @@ const reportSchema = new mongoose.Schema({
     required: [true, 'Description is required'],
     maxlength: 1000
   },
+  // Title and description as the reporter wrote them, when the chatbot
+  // translated them to English for the fields above
+  original: {
+    language: String,
+    title: {
+      type: String,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      maxlength: 1000
+    }
+  },
+  // Voice note transcript supplied with the report (any language)
+  voiceTranscript: {
+    type: String,
+    maxlength: 5000
+  },
+  // Embedding of category/title/description for duplicate shortlisting
+  textEmbedding: {
+    vector: {
+      type: [Number],
+      default: undefined,
+      select: false
+    },
+    model: String,
+    computedAt: Date
+  },
   location: {
     type: {
       type: String,
@@ -39,9 +95,31 @@ const reportSchema = new mongoose.Schema({
     },
     landmark: String
   },
+  // Assigned from the location by ward boundary lookup
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ward'
+  },
+  zone: String,
   images: [{
     url: String,
-    uploadedAt: Date
+    uploadedAt: Date,
+    width: Number,
+    height: Number,
+    // Resized WebP copies (see imageProcessingService)
+    variants: {
+      thumb: String,
+      medium: String,
+      webp: String
+    },
+    // Perceptual hashes (16 hex digits) for spotting re-used photos
+    dHash: String,
+    pHash: String,
+    // pHash split into indexed bands for near-match lookup
+    hashBands: {
+      type: [String],
+      default: undefined
+    }
   }],
   severity: {
     type: String,
@@ -50,7 +128,7 @@ const reportSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'in-progress', 'resolved', 'rejected', 'verified'],
+    enum: ['pending', 'in-progress', 'resolved', 'rejected', 'verified', 'merged'],
     default: 'pending'
   },
   priority: {
@@ -63,6 +141,42 @@ const reportSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Citizens whose duplicate reports were merged into this one
+  coReporters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Duplicates merged into this report, with what each one added (so it can be unmerged)
+  mergedReports: [{
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    mergedAt: Date,
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    images: [mongoose.Schema.Types.ObjectId],
+    comments: [mongoose.Schema.Types.ObjectId],
+    upvotes: [mongoose.Schema.Types.ObjectId],
+    reporters: [mongoose.Schema.Types.ObjectId],
+    _id: false
+  }],
+  // Set when this report was merged into another as a duplicate
+  merge: {
+    into: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    // Restored on unmerge
+    previousStatus: String,
+    mergedAt: Date,
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   downvotes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -75,6 +189,35 @@ const reportSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // State of the current assignment to assignedTo
+  assignment: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined']
+    },
+    method: {
+      type: String,
+      enum: ['manual', 'ai']
+    },
+    confidence: Number,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    respondedAt: Date,
+    declineReason: String,
+    // Inspectors who declined, so the report isn't offered to them again
+    declinedBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  // Place the report is about (e.g. the restaurant for hygiene complaints)
+  poiId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'POI'
+  },
   aiAnalysis: {
     cleanlinessScore: Number,
     suggestedCategory: String,
@@ -100,6 +243,17 @@ const reportSchema = new mongoose.Schema({
       min: 1,
       max: 10
     },
+    // Whether triage severity/priority were copied onto the report
+    triageApplied: {
+      type: Boolean,
+      default: false
+    },
+    // Reporter's values from before triage was applied
+    originalValues: {
+      severity: String,
+      priority: Number,
+      recordedAt: Date
+    },
     // Forensic analysis fields
     forensicAnalysis: {
       is_spam: Boolean,
@@ -113,7 +267,8 @@ const reportSchema = new mongoose.Schema({
         height: Number,
         format: String,
         size_mb: String,
-        aspect_ratio: String
+        aspect_ratio: String,
+        exif: exifSummarySchema
       },
       processing_time_ms: Number,
       analyzed_at: Date
@@ -145,7 +300,8 @@ const reportSchema = new mongoose.Schema({
         height: Number,
         format: String,
         hasAlpha: Boolean,
-        space: String
+        space: String,
+        exif: exifSummarySchema
       },
       processing_time_ms: Number,
       verified_at: Date
@@ -185,6 +341,43 @@ const reportSchema = new mongoose.Schema({
     },
     duplicateConfidence: Number,
     duplicateRationale: String,
+    // Photo EXIF checked against the reported location and submission time
+    metadataCheck: {
+      // 0-1: GPS mismatch, editing software, timestamps that don't add up
+      tamperScore: Number,
+      // 0-1: how long before submission the photos were taken
+      stalenessScore: Number,
+      flags: [String],
+      images: [{
+        imageIndex: Number,
+        capturedAt: Date,
+        make: String,
+        model: String,
+        software: String,
+        hasGps: Boolean,
+        gpsDistanceMeters: Number,
+        captureAgeHours: Number,
+        flags: [String],
+        tamperScore: Number,
+        stalenessScore: Number,
+        _id: false
+      }],
+      checkedAt: Date
+    },
+    // Earlier reports whose photo was re-used here by someone else or elsewhere
+    recycledPhotos: [{
+      reportId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Report'
+      },
+      distance: Number,
+      metersApart: Number,
+      reason: {
+        type: String,
+        enum: ['different_user', 'different_location']
+      },
+      _id: false
+    }],
     suggestedTitle: String,
     recommendedAction: {
       type: String,
@@ -205,6 +398,16 @@ const reportSchema = new mongoose.Schema({
       confidence: Number
     }
   },
+  // Progress of the AI analysis pipeline run when the report was created
+  aiPipeline: {
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'partial', 'failed']
+    },
+    startedAt: Date,
+    completedAt: Date,
+    stages: [pipelineStageSchema]
+  },
   comments: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -217,10 +420,68 @@ const reportSchema = new mongoose.Schema({
     }
   }],
   resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   estimatedResolutionTime: Date,
+  // Resolution deadline from the matching SLA policy
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    // Severity the deadline was computed for (the triaged one when available)
+    severity: String,
+    resolutionHours: Number,
+    startedAt: Date,
+    dueAt: Date,
+    breachedAt: Date,
+    escalationLevel: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date
+  },
   verifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  rejectionReason: String,
+  // "After" photos attached when resolving, checked against the original images
+  resolutionEvidence: {
+    afterImages: [{
+      url: String,
+      uploadedAt: Date,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      similarityToBefore: Number,
+      forensicAnalysis: {
+        is_spam: Boolean,
+        spam_reason: String,
+        civic_category: String,
+        severity_score: Number,
+        visual_evidence: String,
+        confidence: Number,
+        analyzed_at: Date
+      }
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'credible', 'suspicious', 'insufficient']
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String],
+    evaluatedAt: Date
+  },
+  reopenCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -229,6 +490,20 @@ const reportSchema = new mongoose.Schema({
 // Index for geospatial queries
 reportSchema.index({ location: '2dsphere' });
 reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ ward: 1, status: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ status: 1, 'sla.dueAt': 1 });
+reportSchema.index({ 'resolutionEvidence.flagged': 1, status: 1 });
 reportSchema.index({ userId: 1, createdAt: -1 });
+reportSchema.index({ poiId: 1, createdAt: -1 });
+reportSchema.index({ 'images.hashBands': 1 });
+reportSchema.index({ coReporters: 1 });
+
+// Instance methods
+// The original reporter and everyone whose duplicate was merged in
+reportSchema.methods.getReporterIds = function() {
+  const ids = [this.userId, ...(this.coReporters || [])].filter(Boolean);
+  return ids.filter((id, index) => ids.findIndex(other => String(other) === String(id)) === index);
+};
 
 module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['toilet', 'waste', 'restaurant', 'beach', 'street', 'park', 'water', 'other'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Report Draft Model
+ * Report details gathered by the chatbot, waiting for the user to add
+ * photos and a location and submit them. Text fields are in English. Drafts expire after
+ * REPORT_DRAFT_TTL_DAYS.
+ */
+const reportDraftSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  location: {
+    address: String,
+    landmark: String,
+    // [longitude, latitude] when the chatbot could place it
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES
+  },
+  // The fields above are in English; this is what the user wrote
+  original: {
+    language: String,
+    title: String,
+    description: String
+  },
+  source: {
+    type: String,
+    enum: ['chatbot'],
+    default: 'chatbot'
+  },
+  chatSessionId: String,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + (parseInt(process.env.REPORT_DRAFT_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+reportDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+// Draft fields from chatbot extracted data; values the model can't hold are dropped
+reportDraftSchema.statics.fieldsFromChat = function(extractedData = {}) {
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined);
+  const category = String(extractedData.category || '').toLowerCase();
+  const severity = String(extractedData.severity || '').toLowerCase();
+
+  return {
+    category: CATEGORIES.includes(category) ? category : (category ? 'other' : undefined),
+    title: text(extractedData.title, 200),
+    description: text(extractedData.description, 1000),
+    location: {
+      address: text(extractedData.location, 500),
+      landmark: text(extractedData.landmark, 200),
+      coordinates: Array.isArray(extractedData.coordinates) && extractedData.coordinates.length === 2
+        ? extractedData.coordinates.map(Number)
+        : undefined
+    },
+    severity: SEVERITIES.includes(severity) ? severity : undefined
+  };
+};
+
+module.exports = mongoose.model('ReportDraft', reportDraftSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * Report History Model
+ * Append-only audit trail of status and assignment changes on a report
+ */
+const reportHistorySchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'status_change', 'assignment', 'priority_change', 'note', 'escalation', 'merge', 'unmerge'],
+    required: true
+  },
+  // Who made the change (absent for system/AI changes)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedByRole: String,
+  fromStatus: String,
+  toStatus: String,
+  fromAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  toAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The other report in a merge or unmerge
+  relatedReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  fromPriority: Number,
+  toPriority: Number,
+  note: {
+    type: String,
+    maxlength: 1000
+  },
+  attachments: [{
+    url: String,
+    uploadedAt: Date
+  }],
+  // Where the change came from (e.g. admin-panel, bulk-update, ai-triage)
+  source: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reportHistorySchema.index({ reportId: 1, createdAt: 1 });
+reportHistorySchema.index({ changedBy: 1, createdAt: -1 });
+
+// History entries are immutable once written
+const rejectMutation = function(next) {
+  next(new Error('Report history is append-only'));
+};
+
+reportHistorySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+reportHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Report history is append-only'));
+  }
+  next();
+});
+
+// Static methods
+reportHistorySchema.statics.getTimeline = function(reportId) {
+  return this.find({ reportId })
+    .sort({ createdAt: 1 })
+    .populate('changedBy', 'name role')
+    .populate('fromAssignee', 'name')
+    .populate('toAssignee', 'name')
+    .populate('relatedReport', 'title');
+};
+
+module.exports = mongoose.model('ReportHistory', reportHistorySchema);
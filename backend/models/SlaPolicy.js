@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['toilet', 'waste', 'restaurant', 'beach', 'street', 'park', 'water', 'other'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * SLA Policy Model
+ * Resolution deadline and escalation steps for a category × severity.
+ * "any" matches every category (or severity); the most specific policy wins.
+ */
+const escalationStepSchema = new mongoose.Schema({
+  // Hours after the due date before this step fires
+  afterHours: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notify: [{
+    type: String,
+    enum: ['ward_officer', 'assignee', 'admin']
+  }]
+}, { _id: false });
+
+const slaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: [...CATEGORIES, 'any'],
+    default: 'any'
+  },
+  severity: {
+    type: String,
+    enum: [...SEVERITIES, 'any'],
+    default: 'any'
+  },
+  resolutionHours: {
+    type: Number,
+    required: [true, 'Resolution hours are required'],
+    min: 1
+  },
+  escalation: [escalationStepSchema],
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+slaPolicySchema.index({ category: 1, severity: 1 }, { unique: true });
+
+// Static methods
+slaPolicySchema.statics.findForReport = async function(category, severity) {
+  const policies = await this.find({
+    isActive: true,
+    category: { $in: [category, 'any'] },
+    severity: { $in: [severity, 'any'] }
+  });
+
+  // Exact match first, then category-wide, then severity-wide, then the catch-all
+  const rank = (policy) => (policy.category === 'any' ? 2 : 0) + (policy.severity === 'any' ? 1 : 0);
+  return policies.sort((a, b) => rank(a) - rank(b))[0] || null;
+};
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Translation Memory Model
+ * Every translation the model has made, keyed by the normalized source text
+ * and language pair, so the same text is only translated once. Reviewed
+ * entries (approved or corrected by a moderator) are used as they are and
+ * never replaced by the model.
+ */
+const translationMemorySchema = new mongoose.Schema({
+  // sha256 of "<sourceLang>|<targetLang>|<normalizedText>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sourceLang: {
+    type: String,
+    required: true
+  },
+  targetLang: {
+    type: String,
+    required: true
+  },
+  // As first seen
+  sourceText: {
+    type: String,
+    required: true
+  },
+  normalizedText: {
+    type: String,
+    required: true
+  },
+  translatedText: {
+    type: String,
+    required: true
+  },
+  // The model's output, kept when a moderator corrects it
+  modelText: String,
+  model: String,
+  status: {
+    type: String,
+    enum: ['unreviewed', 'approved', 'corrected'],
+    default: 'unreviewed'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+translationMemorySchema.index({ status: 1, hits: -1 });
+translationMemorySchema.index({ sourceLang: 1, targetLang: 1 });
+
+// Static methods
+// Whitespace, case and Unicode form don't change the translation
+translationMemorySchema.statics.normalize = function(text) {
+  return String(text).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+translationMemorySchema.statics.keyFor = function(text, sourceLang, targetLang) {
+  return crypto.createHash('sha256')
+    .update(`${sourceLang.toLowerCase()}|${targetLang.toLowerCase()}|${this.normalize(text)}`)
+    .digest('hex');
+};
+
+module.exports = mongoose.model('TranslationMemory', translationMemorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/i18n');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,7 +26,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    enum: ['user', 'admin', 'moderator', 'inspector'],
     default: 'user'
   },
   avatar: {
@@ -65,6 +66,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Language of the app, notifications and follow-ups
+  language: {
+    type: String,
+    enum: Object.keys(LANGUAGES),
+    default: DEFAULT_LANGUAGE
+  },
   location: {
     type: {
       type: String,
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/regex');
+
+/**
+ * Ward Model
+ * Municipal ward boundaries (GeoJSON polygons) with zone and ward officer contacts
+ */
+const wardSchema = new mongoose.Schema({
+  // Official ward identifier, e.g. "WARD_012"
+  code: {
+    type: String,
+    required: [true, 'Ward code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Ward name is required'],
+    trim: true
+  },
+  number: Number,
+  zone: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  officer: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    designation: String,
+    phone: String,
+    email: String
+  },
+  population: Number,
+  // Where the boundary came from (file name, survey, etc.)
+  source: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+wardSchema.index({ boundary: '2dsphere' });
+wardSchema.index({ name: 'text', code: 'text', zone: 'text' });
+
+// Static methods
+wardSchema.statics.findByPoint = function(coordinates) {
+  return this.findOne({
+    isActive: true,
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates }
+      }
+    }
+  }).select('-boundary');
+};
+
+// Resolve a ward from an id, code or name (for query parameters and legacy strings)
+wardSchema.statics.resolve = function(value) {
+  if (!value) return null;
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    return this.findById(value).select('-boundary');
+  }
+  const pattern = new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i');
+  return this.findOne({ $or: [{ code: pattern }, { name: pattern }] }).select('-boundary');
+};
+
+module.exports = mongoose.model('Ward', wardSchema);
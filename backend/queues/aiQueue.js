@@ -1,29 +1,34 @@
-const { Queue, Worker } = require('bullmq');
+const { Queue, Worker, FlowProducer } = require('bullmq');
 const Redis = require('ioredis');
+const redisConfig = require('../config/redis');
 
 // Redis connection
 const connection = new Redis({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
+  ...redisConfig,
   maxRetriesPerRequest: null,
   enableReadyCheck: false
 });
 
+const defaultJobOptions = {
+  attempts: 3,
+  backoff: {
+    type: 'exponential',
+    delay: 2000
+  },
+  removeOnComplete: 100, // Keep last 100 completed jobs
+  removeOnFail: 200      // Keep last 200 failed jobs
+};
+
 // Create AI processing queue
 const aiQueue = new Queue('ai-processing', {
   connection,
-  defaultJobOptions: {
-    attempts: 3,
-    backoff: {
-      type: 'exponential',
-      delay: 2000
-    },
-    removeOnComplete: 100, // Keep last 100 completed jobs
-    removeOnFail: 200      // Keep last 200 failed jobs
-  }
+  defaultJobOptions
 });
 
+// Adds dependent job trees (the report analysis pipeline) to the queue.
+// Flow jobs don't inherit the queue's defaults, so each job passes them.
+const aiFlowProducer = new FlowProducer({ connection });
+
 // Queue event listeners
 aiQueue.on('error', (error) => {
   console.error('AI Queue Error:', error);
@@ -45,4 +50,8 @@ aiQueue.on('failed', (job, error) => {
   console.error(`Job ${job.id} failed:`, error.message);
 });
 
-module.exports = { aiQueue, connection };
+aiFlowProducer.on('error', (error) => {
+  console.error('AI Flow Producer Error:', error);
+});
+
+module.exports = { aiQueue, aiFlowProducer, defaultJobOptions, connection };
@@ -3,6 +3,15 @@ const { connection } = require('./aiQueue');
 const aiTriageService = require('../services/aiTriageService');
 const aiTranslationService = require('../services/aiTranslationService');
 const aiFollowupService = require('../services/aiFollowupService');
+const slaService = require('../services/slaService');
+const aiAnalysisService = require('../services/aiAnalysisService');
+const reportHistoryService = require('../services/reportHistoryService');
+const aiPipelineService = require('../services/aiPipelineService');
+const forensicImageAnalyzer = require('../services/forensicImageAnalyzer');
+const geospatialVerificationService = require('../services/geospatialVerificationService');
+const imageMetadataService = require('../services/imageMetadataService');
+const linguisticAnalystService = require('../services/linguisticAnalystService');
+const deduplicationService = require('../services/deduplicationService');
 const Report = require('../models/Report');
 const FollowUp = require('../models/FollowUp');
 const AIProcessingLog = require('../models/AIProcessingLog');
@@ -26,6 +35,21 @@ const aiWorker = new Worker(
         case 'generate-followup':
           return await processFollowupJob(job);
         
+        case 'analyze-image-forensics':
+          return await processStageJob(job, analyzeImageForensics);
+        
+        case 'verify-image-context':
+          return await processStageJob(job, verifyImageContext);
+        
+        case 'analyze-transcript':
+          return await processStageJob(job, analyzeTranscript);
+        
+        case 'check-duplicate':
+          return await processStageJob(job, checkDuplicate);
+        
+        case 'complete-pipeline':
+          return await processPipelineCompleteJob(job);
+        
         default:
           throw new Error(`Unknown job type: ${job.name}`);
       }
@@ -59,31 +83,53 @@ const aiWorker = new Worker(
  * Process report triage job
  */
 async function processTriageJob(job) {
-  const { reportId, reportData } = job.data;
+  const { reportId, reportData, stageKey } = job.data;
+  
+  // As a pipeline stage, triage also weighs the analysis stages' findings
+  let analysisContext = null;
+  if (stageKey) {
+    await aiPipelineService.markStage(reportId, stageKey, 'running');
+    analysisContext = aiPipelineService.buildTriageContext(await job.getChildrenValues());
+  }
   
   // Perform AI triage
-  const triageResult = await aiTriageService.triageReport(reportData);
+  const triageResult = await aiTriageService.triageReport({ ...reportData, analysisContext });
   
   if (!triageResult.success) {
     throw new Error(`Triage failed: ${triageResult.error}`);
   }
   
-  // Update report with AI results
-  await Report.findByIdAndUpdate(reportId, {
-    $set: {
-      'ai_analysis.triage_completed': true,
-      'ai_analysis.triage_timestamp': new Date(),
-      'ai_analysis.refined_category': triageResult.refined_category,
-      'ai_analysis.severity': triageResult.severity,
-      'ai_analysis.priority': triageResult.priority,
-      'ai_analysis.suggested_title': triageResult.suggested_title,
-      'ai_analysis.recommended_action': triageResult.recommended_action,
-      'ai_analysis.confidence': triageResult.confidence,
-      'ai_analysis.rationale': triageResult.rationale,
-      'ai_analysis.tags': triageResult.tags,
-      'ai_analysis.language': triageResult.language
+  const report = await Report.findById(reportId);
+  if (!report) {
+    throw new Error(`Report ${reportId} not found`);
+  }
+  
+  // Store the analysis and adopt severity/priority when confident enough
+  const before = reportHistoryService.snapshot(report);
+  const outcome = aiAnalysisService.applyTriage(report, triageResult.analysis);
+  
+  if (outcome.changes?.severity && ['pending', 'in-progress'].includes(report.status)) {
+    // Re-derive the SLA due date from the new severity
+    try {
+      await slaService.applyPolicy(report);
+    } catch (slaError) {
+      console.warn(`Failed to update SLA for report ${reportId}:`, slaError.message);
     }
-  });
+  }
+  
+  await report.save();
+  
+  if (outcome.applied) {
+    const changed = Object.entries(outcome.changes)
+      .map(([field, change]) => `${field} ${change.from} → ${change.to}`)
+      .join(', ');
+    await reportHistoryService.recordChanges(before, report, {
+      note: changed
+        ? `AI triage (confidence ${triageResult.analysis.confidence}): ${changed}`
+        : undefined,
+      source: 'ai-triage'
+    });
+  }
   
   // Log successful processing
   await AIProcessingLog.create({
@@ -91,15 +137,152 @@ async function processTriageJob(job) {
     jobId: job.id,
     reportId: reportId,
     data: reportData,
-    result: triageResult,
+    result: { ...triageResult.analysis, applied: outcome.applied, notAppliedReason: outcome.reason },
     status: 'completed',
-    processingTime: triageResult.processing_time_ms,
+    processingTime: triageResult.analysis.processing_time_ms,
     attempts: job.attemptsMade
   });
   
+  if (stageKey) {
+    await aiPipelineService.markStage(reportId, stageKey, 'completed');
+  }
+  
   return triageResult;
 }
 
+/**
+ * Run one analysis stage of the report pipeline, tracking its status on the report
+ * @param {object} job - Job with { reportId, stageKey, imageIndex }
+ * @param {Function} analyze - (report, job) => { stage, result, updates, filter }
+ * @returns {Promise<object>} { stage, imageIndex, result } - read by the triage stage
+ */
+async function processStageJob(job, analyze) {
+  const { reportId, stageKey, imageIndex } = job.data;
+  const startTime = Date.now();
+  
+  await aiPipelineService.markStage(reportId, stageKey, 'running');
+  
+  const report = await Report.findById(reportId);
+  if (!report) {
+    throw new Error(`Report ${reportId} not found`);
+  }
+  
+  const { stage, result, updates, filter } = await analyze(report, job);
+  
+  if (!result.success) {
+    throw new Error(`${stage} analysis failed: ${result.error}`);
+  }
+  
+  await aiAnalysisService.persist(reportId, updates, filter);
+  await aiPipelineService.markStage(reportId, stageKey, 'completed');
+  
+  // Log successful processing
+  await AIProcessingLog.create({
+    jobType: job.name,
+    jobId: job.id,
+    reportId: reportId,
+    data: job.data,
+    result,
+    status: 'completed',
+    processingTime: result.processing_time_ms || Date.now() - startTime,
+    attempts: job.attemptsMade
+  });
+  
+  return { stage, imageIndex, result };
+}
+
+/**
+ * Image forensics for one image. Any spam image flags the report,
+ * so a clean result never replaces a spam one.
+ */
+async function analyzeImageForensics(report, job) {
+  const image = report.images[job.data.imageIndex];
+  if (!image) {
+    throw new Error(`Image ${job.data.imageIndex} not found on report`);
+  }
+  
+  const result = await imageMetadataService.withOriginal(
+    image.url,
+    imagePath => forensicImageAnalyzer.analyzeImage(imagePath)
+  );
+  
+  return {
+    stage: 'forensic',
+    result,
+    updates: result.success ? aiAnalysisService.fromForensic(result) : {},
+    filter: result.is_spam ? {} : { 'aiAnalysis.spamDetected': { $ne: true } }
+  };
+}
+
+/**
+ * Context verification for one image. A mismatch on any image flags the
+ * report, so a verified result never replaces a mismatch.
+ */
+async function verifyImageContext(report, job) {
+  const image = report.images[job.data.imageIndex];
+  if (!image) {
+    throw new Error(`Image ${job.data.imageIndex} not found on report`);
+  }
+  
+  const result = await imageMetadataService.withOriginal(
+    image.url,
+    imagePath => geospatialVerificationService.verifyGeospatialContext(imagePath, report.category)
+  );
+  const updates = result.success ? aiAnalysisService.fromGeospatial(result) : {};
+  
+  return {
+    stage: 'geospatial',
+    result,
+    updates,
+    filter: updates['aiAnalysis.contextMismatchDetected'] ? {} : { 'aiAnalysis.contextMismatchDetected': { $ne: true } }
+  };
+}
+
+/**
+ * Linguistic analysis of the report's voice transcript
+ */
+async function analyzeTranscript(report) {
+  const result = await linguisticAnalystService.analyzeTranscript(report.voiceTranscript);
+  
+  return {
+    stage: 'linguistic',
+    result,
+    updates: result.success ? aiAnalysisService.fromLinguistic(result, report) : {}
+  };
+}
+
+/**
+ * Check the report against nearby reports for duplicates
+ */
+async function checkDuplicate(report) {
+  const result = await deduplicationService.checkDuplicate(report);
+  
+  return {
+    stage: 'deduplication',
+    result,
+    updates: result.success ? aiAnalysisService.fromDeduplication(result) : {}
+  };
+}
+
+/**
+ * Final pipeline job - runs once every stage has finished or failed
+ */
+async function processPipelineCompleteJob(job) {
+  const summary = await aiPipelineService.complete(job.data.reportId);
+  
+  await AIProcessingLog.create({
+    jobType: 'complete-pipeline',
+    jobId: job.id,
+    reportId: job.data.reportId,
+    data: job.data,
+    result: { status: summary.status, stages: summary.stages },
+    status: 'completed',
+    attempts: job.attemptsMade
+  });
+  
+  return summary;
+}
+
 /**
  * Process translation job
  */
@@ -179,8 +362,17 @@ aiWorker.on('completed', (job, result) => {
   console.log(`✅ Job ${job.id} (${job.name}) completed successfully`);
 });
 
-aiWorker.on('failed', (job, error) => {
+aiWorker.on('failed', async (job, error) => {
   console.error(`❌ Job ${job.id} (${job.name}) failed after ${job.attemptsMade} attempts:`, error.message);
+  
+  // Record a pipeline stage as failed once it has no retries left
+  if (job.data?.stageKey && job.attemptsMade >= (job.opts.attempts || 1)) {
+    try {
+      await aiPipelineService.markStage(job.data.reportId, job.data.stageKey, 'failed', error.message);
+    } catch (markError) {
+      console.error(`Failed to record pipeline stage failure for job ${job.id}:`, markError.message);
+    }
+  }
 });
 
 aiWorker.on('error', (error) => {
@@ -8,9 +8,33 @@ const {
   updateUserRole,
   getAdminStatistics,
   bulkUpdateReports,
-  getWasteDumpMapData
+  getWasteDumpMapData,
+  getReportWorkflow,
+  getDuplicateQueue,
+  mergeReport,
+  unmergeReport,
+  dismissDuplicate,
+  getImageOriginal
 } = require('../controllers/adminController');
+const {
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+} = require('../controllers/slaController');
+const {
+  getTranslations,
+  reviewTranslation,
+  deleteTranslation,
+  getGlossary,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm
+} = require('../controllers/translationController');
 const { protect, authorize } = require('../middleware/authMiddleware');
+const upload = require('../middleware/uploadMiddleware');
+const { processUploads } = require('../middleware/imageProcessingMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
 
 // Protect all routes and restrict to admin/moderator
 router.use(protect);
@@ -18,9 +42,34 @@ router.use(authorize('admin', 'moderator'));
 
 // Report management
 router.get('/reports', getAllReports);
-router.put('/reports/:id', updateReport);
-router.delete('/reports/:id', authorize('admin'), deleteReport);
 router.put('/reports/bulk-update', bulkUpdateReports);
+router.put('/reports/:id', upload.fields([{ name: 'attachments', maxCount: 5 }, { name: 'afterImages', maxCount: 5 }]), processUploads, updateReport);
+router.delete('/reports/:id', authorize('admin'), deleteReport);
+router.get('/reports/:id/images/:imageId/original', getImageOriginal);
+
+// Duplicate review and merging
+router.get('/duplicates', getDuplicateQueue);
+router.post('/reports/:id/merge', validateObjectId(), mergeReport);
+router.post('/reports/:id/unmerge', validateObjectId(), unmergeReport);
+router.post('/reports/:id/dismiss-duplicate', validateObjectId(), dismissDuplicate);
+
+// Status transition rules
+router.get('/workflow', getReportWorkflow);
+
+// SLA policies
+router.get('/sla-policies', getSlaPolicies);
+router.post('/sla-policies', authorize('admin'), createSlaPolicy);
+router.put('/sla-policies/:id', authorize('admin'), updateSlaPolicy);
+router.delete('/sla-policies/:id', authorize('admin'), deleteSlaPolicy);
+
+// Translation memory review and glossary
+router.get('/translations', getTranslations);
+router.put('/translations/:id', reviewTranslation);
+router.delete('/translations/:id', deleteTranslation);
+router.get('/glossary', getGlossary);
+router.post('/glossary', authorize('admin'), createGlossaryTerm);
+router.put('/glossary/:id', authorize('admin'), updateGlossaryTerm);
+router.delete('/glossary/:id', authorize('admin'), deleteGlossaryTerm);
 
 // Waste dump map data
 router.get('/waste-dump-map', getWasteDumpMapData);
@@ -1,23 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const ollamaService = require('../services/ollamaService');
+const llmService = require('../services/llmService');
 const aiTriageService = require('../services/aiTriageService');
 const aiTranslationService = require('../services/aiTranslationService');
 const aiFollowupService = require('../services/aiFollowupService');
-const aiAssignmentService = require('../services/aiAssignmentService');
+const inspectorService = require('../services/inspectorService');
 const aiChatbotService = require('../services/aiChatbotService');
+const chatSessionService = require('../services/chatSessionService');
 const forensicImageAnalyzer = require('../services/forensicImageAnalyzer');
 const geospatialVerificationService = require('../services/geospatialVerificationService');
+const imageMetadataService = require('../services/imageMetadataService');
 const linguisticAnalystService = require('../services/linguisticAnalystService');
 const deduplicationService = require('../services/deduplicationService');
-const notificationService = require('../services/notificationService');
+const aiAnalysisService = require('../services/aiAnalysisService');
 const { aiQueue } = require('../queues/aiQueue');
 const AIProcessingLog = require('../models/AIProcessingLog');
 const Report = require('../models/Report');
 const FollowUp = require('../models/FollowUp');
-const { protect } = require('../middleware/authMiddleware');
+const notificationService = require('../services/notificationService');
+const { protect, authorize, optionalAuth } = require('../middleware/authMiddleware');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const storageConfig = require('../config/storage');
 const { 
   sanitizeTranscript, 
   sanitizeChatMessage, 
@@ -26,11 +31,9 @@ const {
   validateFileUpload 
 } = require('../utils/sanitizer');
 
-// Multer configuration for image uploads
+// Multer configuration for image uploads (analyzed, then removed; never stored)
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/forensic-test/');
-  },
+  destination: storageConfig.tempDir,
   filename: (req, file, cb) => {
     cb(null, `test-${Date.now()}${path.extname(file.originalname)}`);
   }
@@ -52,17 +55,27 @@ const upload = multer({
   }
 });
 
+// Remove the uploaded files once the response is sent
+const removeUploads = (req, res, next) => {
+  res.on('close', () => {
+    const files = req.file ? [req.file] : req.files || [];
+    files.forEach(file => fs.unlink(file.path, () => {}));
+  });
+  next();
+};
+
 /**
- * Health check for Ollama service
+ * Health check for the configured LLM providers
  * GET /api/ai/health
  */
 router.get('/health', async (req, res) => {
   try {
-    const health = await ollamaService.healthCheck();
+    const health = await llmService.healthCheck();
     res.json({
       status: health.status,
-      message: health.message,
-      availableModels: health.models || []
+      providers: health.providers,
+      tasks: health.tasks,
+      availableModels: health.models
     });
   } catch (error) {
     res.status(500).json({
@@ -170,6 +183,10 @@ router.post('/followup', protect, async (req, res) => {
       });
     }
     
+    const report = await Report.findById(reportId);
+    // Written in the reporter's preferred language unless one is asked for
+    const language = userLanguage || await notificationService.languageFor(report?.userId);
+
     const result = await aiFollowupService.generateFollowup({
       userName,
       reportTitle,
@@ -177,20 +194,19 @@ router.post('/followup', protect, async (req, res) => {
       resolutionDetails,
       resolutionDate,
       actionTaken,
-      userLanguage: userLanguage || 'en',
+      userLanguage: language,
       tone: tone || 'friendly'
     });
     
     // Create follow-up record
     if (result.success) {
-      const report = await Report.findById(reportId);
       if (report) {
         const followUp = new FollowUp({
           reportId,
           userId: report.userId,
           messageText: result.message,
           messageType: 'resolution',
-          userLanguage: userLanguage || 'en',
+          userLanguage: language,
           scheduledAt: new Date(),
           channel: 'in-app',
           status: 'pending'
@@ -210,14 +226,16 @@ router.post('/followup', protect, async (req, res) => {
 /**
  * Suggest inspector assignment
  * POST /api/ai/assign
+ * Candidates come from inspector profiles. The report is assigned when the
+ * confidence reaches AI_AUTO_ASSIGN_THRESHOLD, unless apply is false.
  */
-router.post('/assign', protect, async (req, res) => {
+router.post('/assign', protect, authorize('admin', 'moderator'), async (req, res) => {
   try {
-    const { reportId, inspectorPool } = req.body;
+    const { reportId, apply } = req.body;
     
-    if (!reportId || !inspectorPool) {
+    if (!reportId) {
       return res.status(400).json({
-        message: 'Report ID and inspector pool are required'
+        message: 'Report ID is required'
       });
     }
     
@@ -226,35 +244,10 @@ router.post('/assign', protect, async (req, res) => {
       return res.status(404).json({ message: 'Report not found' });
     }
     
-    const ticket = {
-      _id: report._id,
-      category: report.category,
-      title: report.title,
-      description: report.description,
-      severity: report.severity,
-      priority: report.priority,
-      location: report.location
-    };
-    
-    const result = await aiAssignmentService.suggestInspector(ticket, inspectorPool);
-    
-    // If assignment successful and confidence high enough, notify inspector
-    if (result.success && 
-        result.recommendedInspector && 
-        result.confidence >= parseFloat(process.env.AI_AUTO_ASSIGN_THRESHOLD || 0.85)) {
-      
-      try {
-        // Notify inspector
-        await notificationService.notifyInspectorAssignment(
-          result.recommendedInspector,
-          ticket
-        );
-        console.log(`Inspector ${result.recommendedInspector._id} notified of assignment`);
-      } catch (notifyError) {
-        console.warn('Failed to notify inspector:', notifyError.message);
-        // Don't fail the request if notification fails
-      }
-    }
+    const result = await inspectorService.autoAssign(report, {
+      user: req.user,
+      apply: apply !== false
+    });
     
     res.json(result);
     
@@ -416,30 +409,98 @@ router.get('/chatbot/greeting', (req, res) => {
   res.json(greeting);
 });
 
+// Who is chatting: the signed-in user, or the anonymous token the client
+// got from its first message (X-Chatbot-Token header)
+const chatIdentity = (req) => ({
+  user: req.user || null,
+  anonymousToken: req.get('X-Chatbot-Token') || req.body?.anonymousToken || null
+});
+
+/**
+ * Resume the caller's latest (or a given) conversation
+ * GET /api/ai/chatbot/session?sessionId=
+ */
+router.get('/chatbot/session', optionalAuth, async (req, res) => {
+  try {
+    const identity = chatIdentity(req);
+    const session = (identity.user || identity.anonymousToken)
+      ? await aiChatbotService.resolveSession(req.query.sessionId, identity)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        code: 'SESSION_NOT_FOUND',
+        error: 'No conversation to resume'
+      });
+    }
+
+    res.json(sanitizeAIOutput({
+      success: true,
+      ...aiChatbotService.toClient(session)
+    }));
+
+  } catch (error) {
+    console.error('Resume chatbot session error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
- * Chat with AI bot
+ * Chat with AI bot. Without a sessionId a new conversation is started;
+ * anonymous callers get a token to send with later requests. photoCount and
+ * coordinates ([lng, lat]) describe the report form and are optional.
  * POST /api/ai/chatbot/chat
  */
-router.post('/chatbot/chat', async (req, res) => {
+router.post('/chatbot/chat', optionalAuth, async (req, res) => {
   try {
     const { sessionId, message } = req.body;
     
-    if (!sessionId || !message) {
+    if (!message) {
       return res.status(400).json({
         success: false,
-        error: 'sessionId and message are required'
+        error: 'message is required'
       });
     }
     
     // Sanitize input to prevent prompt injection
     const sanitizedMessage = sanitizeChatMessage(message);
+
+    const identity = chatIdentity(req);
+    let anonymousToken;
+    if (!identity.user && !identity.anonymousToken) {
+      anonymousToken = identity.anonymousToken = chatSessionService.createAnonymousToken();
+    }
+
+    let session;
+    if (sessionId) {
+      session = await aiChatbotService.resolveSession(sessionId, identity);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          code: 'SESSION_NOT_FOUND',
+          error: 'Conversation not found or expired'
+        });
+      }
+    } else {
+      session = await aiChatbotService.startSession(identity);
+    }
     
-    const response = await aiChatbotService.chat(sessionId, sanitizedMessage);
+    const response = await aiChatbotService.chat(session, sanitizedMessage, {
+      context: aiChatbotService.chatContext(req.body)
+    });
     
     // Sanitize output to prevent XSS
-    const sanitizedResponse = sanitizeAIOutput(response);
+    const sanitizedResponse = sanitizeAIOutput({
+      ...response,
+      sessionId: session.id,
+      ...(anonymousToken && { anonymousToken })
+    });
     
-    res.json(sanitizedResponse);
+    res.status(response.code === 'SESSION_BUSY' ? 409 : 200).json(sanitizedResponse);
     
   } catch (error) {
     console.error('Chatbot error:', error);
@@ -454,7 +515,7 @@ router.post('/chatbot/chat', async (req, res) => {
  * Reset chatbot session
  * POST /api/ai/chatbot/reset
  */
-router.post('/chatbot/reset', (req, res) => {
+router.post('/chatbot/reset', optionalAuth, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
@@ -465,12 +526,22 @@ router.post('/chatbot/reset', (req, res) => {
       });
     }
     
-    aiChatbotService.resetSession(sessionId);
+    const session = await aiChatbotService.resolveSession(sessionId, chatIdentity(req));
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        code: 'SESSION_NOT_FOUND',
+        error: 'Conversation not found or expired'
+      });
+    }
+
+    const newSession = await aiChatbotService.resetSession(session);
     const greeting = aiChatbotService.getGreeting();
     
     res.json({
       success: true,
       message: 'Session reset successfully',
+      sessionId: newSession.id,
       greeting
     });
     
@@ -483,13 +554,61 @@ router.post('/chatbot/reset', (req, res) => {
   }
 });
 
+/**
+ * Save the conversation's extracted data as a report draft
+ * POST /api/ai/chatbot/submit
+ */
+router.post('/chatbot/submit', protect, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionId is required'
+      });
+    }
+
+    // Signing in takes over the anonymous conversation
+    const session = await aiChatbotService.resolveSession(sessionId, chatIdentity(req));
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        code: 'SESSION_NOT_FOUND',
+        error: 'Conversation not found or expired'
+      });
+    }
+
+    if (Object.keys(session.extractedData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing has been collected in this conversation yet'
+      });
+    }
+
+    const draft = await aiChatbotService.submitDraft(session, req.user);
+
+    res.status(201).json({
+      success: true,
+      draft
+    });
+
+  } catch (error) {
+    console.error('Chatbot draft error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get chatbot statistics
  * GET /api/ai/chatbot/stats
  */
-router.get('/chatbot/stats', protect, (req, res) => {
+router.get('/chatbot/stats', protect, authorize('admin', 'moderator'), async (req, res) => {
   try {
-    const stats = aiChatbotService.getStats();
+    const stats = await aiChatbotService.getStats();
     res.json({
       success: true,
       stats
@@ -507,7 +626,7 @@ router.get('/chatbot/stats', protect, (req, res) => {
  * Forensic image analysis - Single image
  * POST /api/ai/forensic/analyze
  */
-router.post('/forensic/analyze', upload.single('image'), async (req, res) => {
+router.post('/forensic/analyze', upload.single('image'), removeUploads, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -539,7 +658,7 @@ router.post('/forensic/analyze', upload.single('image'), async (req, res) => {
  * Forensic image analysis - Batch (up to 5 images)
  * POST /api/ai/forensic/batch
  */
-router.post('/forensic/batch', upload.array('images', 5), async (req, res) => {
+router.post('/forensic/batch', upload.array('images', 5), removeUploads, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -605,29 +724,22 @@ router.post('/forensic/report/:reportId', protect, async (req, res) => {
       });
     }
     
-    // Construct full path to image
-    const imagePath = path.join(__dirname, '..', imageToAnalyze.url);
-    
-    const analysis = await forensicImageAnalyzer.analyzeImage(imagePath);
-    
-    // Update report with forensic analysis
-    if (!report.aiAnalysis) {
-      report.aiAnalysis = {};
-    }
-    report.aiAnalysis.forensicAnalysis = analysis;
+    // The private original still has its EXIF
+    const analysis = await imageMetadataService.withOriginal(
+      imageToAnalyze.url,
+      imagePath => forensicImageAnalyzer.analyzeImage(imagePath)
+    );
     
-    // If spam detected, flag the report
-    if (analysis.is_spam) {
-      report.aiAnalysis.spamDetected = true;
-      report.aiAnalysis.spamReason = analysis.spam_reason;
+    // Update report with forensic analysis (flags spam)
+    if (analysis.success) {
+      aiAnalysisService.apply(report, aiAnalysisService.fromForensic(analysis));
+      await report.save();
     }
     
-    await report.save();
-    
     res.json({
       success: true,
       analysis,
-      reportUpdated: true
+      reportUpdated: Boolean(analysis.success)
     });
     
   } catch (error) {
@@ -648,7 +760,7 @@ router.post('/forensic/report/:reportId', protect, async (req, res) => {
  * POST /api/ai/geospatial/verify
  * Body: image (file), category (string)
  */
-router.post('/geospatial/verify', upload.single('image'), async (req, res) => {
+router.post('/geospatial/verify', upload.single('image'), removeUploads, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -690,7 +802,7 @@ router.post('/geospatial/verify', upload.single('image'), async (req, res) => {
  * POST /api/ai/geospatial/batch
  * Body: images[] (files), categories[] (strings)
  */
-router.post('/geospatial/batch', upload.array('images', 5), async (req, res) => {
+router.post('/geospatial/batch', upload.array('images', 5), removeUploads, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -767,36 +879,17 @@ router.post('/geospatial/report/:reportId', protect, async (req, res) => {
       });
     }
 
-    const imagePath = path.join(__dirname, '..', report.images[imageIndex]);
-
     console.log(`🌍 Verifying geospatial context for report ${reportId}, image ${imageIndex}`);
 
-    const verificationResult = await geospatialVerificationService.verifyGeospatialContext(
-      imagePath,
-      report.category
+    const verificationResult = await imageMetadataService.withOriginal(
+      report.images[imageIndex].url,
+      imagePath => geospatialVerificationService.verifyGeospatialContext(imagePath, report.category)
     );
 
     // Update report with verification result
     if (verificationResult.success) {
-      report.aiAnalysis = report.aiAnalysis || {};
-      report.aiAnalysis.geospatialVerification = {
-        environment_type: verificationResult.environment_type,
-        lighting_condition: verificationResult.lighting_condition,
-        context_mismatch: verificationResult.context_mismatch,
-        verification_status: verificationResult.verification_status,
-        reasoning: verificationResult.reasoning,
-        confidence: verificationResult.confidence,
-        image_metadata: verificationResult.image_metadata,
-        processing_time_ms: verificationResult.processing_time_ms,
-        verified_at: verificationResult.verified_at
-      };
-
-      // Flag report if context mismatch detected
-      if (verificationResult.context_mismatch || verificationResult.verification_status === 'Rejected') {
-        report.aiAnalysis.contextMismatchDetected = true;
-        report.aiAnalysis.contextMismatchReason = verificationResult.reasoning;
-      }
-
+      // Flags the report if a context mismatch was detected
+      aiAnalysisService.apply(report, aiAnalysisService.fromGeospatial(verificationResult));
       await report.save();
     }
 
@@ -925,20 +1018,9 @@ router.post('/linguistic/report/:reportId', protect, async (req, res) => {
     const analysisResult = await linguisticAnalystService.analyzeTranscript(transcript);
 
     if (analysisResult.success) {
-      // Update report with linguistic analysis
-      report.aiAnalysis = report.aiAnalysis || {};
-      report.aiAnalysis.linguisticAnalysis = {
-        english_translation: analysisResult.english_translation,
-        summarized_complaint: analysisResult.summarized_complaint,
-        detected_language: analysisResult.detected_language,
-        extracted_location: analysisResult.extracted_location,
-        sentiment_tone: analysisResult.sentiment_tone,
-        urgency_rating: analysisResult.urgency_rating,
-        confidence: analysisResult.confidence,
-        original_transcript: analysisResult.original_transcript,
-        processing_time_ms: analysisResult.processing_time_ms,
-        analyzed_at: analysisResult.analyzed_at
-      };
+      // Update report with linguistic analysis (also fills in severity from
+      // urgency and flags angry/urgent sentiment)
+      aiAnalysisService.apply(report, aiAnalysisService.fromLinguistic(analysisResult, report));
 
       // Auto-fill report fields if empty
       if (!report.title && analysisResult.summarized_complaint) {
@@ -949,18 +1031,6 @@ router.post('/linguistic/report/:reportId', protect, async (req, res) => {
         report.description = analysisResult.english_translation;
       }
 
-      // Update severity based on urgency
-      if (analysisResult.urgency_rating === 'High' && !report.aiAnalysis.severity) {
-        report.aiAnalysis.severity = 'high';
-      } else if (analysisResult.urgency_rating === 'Low' && !report.aiAnalysis.severity) {
-        report.aiAnalysis.severity = 'low';
-      }
-
-      // Flag angry sentiment for priority review
-      if (analysisResult.sentiment_tone === 'Angry' || analysisResult.sentiment_tone === 'Urgent') {
-        report.aiAnalysis.requiresImmediateAttention = true;
-      }
-
       await report.save();
     }
 
@@ -1014,12 +1084,7 @@ router.post('/deduplication/check', protect, async (req, res) => {
 
     // If duplicate detected, update report
     if (deduplicationResult.is_duplicate && deduplicationResult.duplicate_of) {
-      report.aiAnalysis = report.aiAnalysis || {};
-      report.aiAnalysis.duplicateDetected = true;
-      report.aiAnalysis.duplicateOf = deduplicationResult.duplicate_of;
-      report.aiAnalysis.duplicateConfidence = deduplicationResult.confidence_score;
-      report.aiAnalysis.duplicateRationale = deduplicationResult.rationale;
-      
+      aiAnalysisService.apply(report, aiAnalysisService.fromDeduplication(deduplicationResult));
       await report.save();
     }
 
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const geocodingService = require('../services/geocodingService');
 
 /**
  * Geocoding proxy to avoid CORS issues with Nominatim
@@ -13,24 +14,7 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Search query is required' });
     }
 
-    // Use dynamic import for node-fetch (ESM module)
-    const fetch = (await import('node-fetch')).default;
-    
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(q)}`,
-      {
-        headers: {
-          'User-Agent': 'SwachhSetu/1.0 (Hygiene Reporting App)',
-          'Accept': 'application/json'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Nominatim returned ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await geocodingService.search(q);
     res.json({ success: true, results: data });
 
   } catch (error) {
@@ -54,23 +38,7 @@ router.get('/reverse', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Latitude and longitude are required' });
     }
 
-    const fetch = (await import('node-fetch')).default;
-    
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}`,
-      {
-        headers: {
-          'User-Agent': 'SwachhSetu/1.0 (Hygiene Reporting App)',
-          'Accept': 'application/json'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Nominatim returned ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await geocodingService.reverse(lat, lon);
     res.json({ success: true, address: data });
 
   } catch (error) {
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInspectors,
+  createInspector,
+  updateInspector,
+  getMyProfile,
+  updateMyLocation,
+  updateMyAvailability,
+  getMyAssignments,
+  acceptAssignment,
+  declineAssignment
+} = require('../controllers/inspectorController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Inspector routes
+router.get('/me', protect, authorize('inspector'), getMyProfile);
+router.patch('/me/location', protect, authorize('inspector'), updateMyLocation);
+router.patch('/me/availability', protect, authorize('inspector'), updateMyAvailability);
+router.get('/me/assignments', protect, authorize('inspector'), getMyAssignments);
+router.post('/me/assignments/:reportId/accept', protect, authorize('inspector'), acceptAssignment);
+router.post('/me/assignments/:reportId/decline', protect, authorize('inspector'), declineAssignment);
+
+// Admin routes
+router.get('/', protect, authorize('admin', 'moderator'), getInspectors);
+router.post('/', protect, authorize('admin'), createInspector);
+router.put('/:id', protect, authorize('admin'), updateInspector);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  clearReadNotifications
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All notification routes are scoped to the logged-in user
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/unread/count', getUnreadCount);
+router.patch('/read-all', markAllAsRead);
+router.patch('/:id/read', markAsRead);
+router.delete('/read', clearReadNotifications);
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
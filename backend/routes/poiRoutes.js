@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPOIs,
+  getPOI,
+  createPOI,
+  updatePOI,
+  verifyPOI,
+  deletePOI,
+  addReview,
+  deleteReview,
+  searchRestaurants,
+  getInspections,
+  addInspection
+} = require('../controllers/poiController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
+
+// Public routes
+router.get('/', getPOIs);
+router.get('/restaurants', searchRestaurants);
+router.get('/:id', validateObjectId(), getPOI);
+router.get('/:id/inspections', validateObjectId(), getInspections);
+
+// Protected routes
+router.post('/:id/reviews', protect, validateObjectId(), addReview);
+router.delete('/:id/reviews/:reviewId', protect, validateObjectId('id', 'reviewId'), deleteReview);
+
+// Admin routes
+router.post('/', protect, authorize('admin', 'moderator'), createPOI);
+router.put('/:id', protect, authorize('admin', 'moderator'), validateObjectId(), updatePOI);
+router.put('/:id/verify', protect, authorize('admin', 'moderator'), validateObjectId(), verifyPOI);
+router.post('/:id/inspections', protect, authorize('admin', 'moderator'), validateObjectId(), addInspection);
+router.delete('/:id', protect, authorize('admin'), validateObjectId(), deletePOI);
+
+module.exports = router;
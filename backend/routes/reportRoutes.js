@@ -7,16 +7,30 @@ const {
   updateReportStatus,
   upvoteReport,
   addComment,
-  getMyReports
+  getMyReports,
+  getMyDrafts,
+  getDraft,
+  deleteDraft,
+  getReportHistory,
+  confirmResolution,
+  reopenReport
 } = require('../controllers/reportController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 const upload = require('../middleware/uploadMiddleware');
+const { processUploads } = require('../middleware/imageProcessingMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
 
-router.post('/', protect, upload.array('images', 5), createReport);
+router.post('/', protect, upload.array('images', 5), processUploads, createReport);
 router.get('/', getReports);
 router.get('/my-reports', protect, getMyReports);
+router.get('/drafts', protect, getMyDrafts);
+router.get('/drafts/:id', protect, validateObjectId(), getDraft);
+router.delete('/drafts/:id', protect, validateObjectId(), deleteDraft);
 router.get('/:id', getReport);
-router.put('/:id/status', protect, authorize('admin', 'moderator'), updateReportStatus);
+router.get('/:id/history', protect, validateObjectId(), getReportHistory);
+router.put('/:id/status', protect, authorize('admin', 'moderator', 'inspector'), upload.fields([{ name: 'attachments', maxCount: 5 }, { name: 'afterImages', maxCount: 5 }]), processUploads, updateReportStatus);
+router.post('/:id/confirm-resolution', protect, validateObjectId(), confirmResolution);
+router.post('/:id/reopen', protect, validateObjectId(), upload.array('images', 3), processUploads, reopenReport);
 router.post('/:id/upvote', protect, upvoteReport);
 router.post('/:id/comment', protect, addComment);
 
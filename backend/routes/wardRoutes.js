@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWards,
+  lookupWard,
+  getWard,
+  importWards,
+  updateWard
+} = require('../controllers/wardController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Public routes
+router.get('/', getWards);
+router.get('/lookup', lookupWard);
+router.get('/:id', getWard);
+
+// Admin routes
+router.post('/import', protect, authorize('admin'), importWards);
+router.put('/:id', protect, authorize('admin'), updateWard);
+
+module.exports = router;
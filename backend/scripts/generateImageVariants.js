@@ -0,0 +1,53 @@
+// Script to generate thumbnail/medium/WebP variants for photos on reports uploaded before the image pipeline
+// Run with: node scripts/generateImageVariants.js [--limit=1000]
+
+// Load .env first: storage config is read at require time
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const imageProcessingService = require('../services/imageProcessingService');
+
+const generateImageVariants = async () => {
+  const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+  const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 0;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swachhsetu');
+    console.log('Connected to MongoDB');
+
+    const cursor = Report.find({
+      images: { $elemMatch: { url: { $exists: true }, 'variants.thumb': { $exists: false } } }
+    }).limit(limit).cursor();
+
+    let reports = 0;
+    let images = 0;
+    let failed = 0;
+    for await (const report of cursor) {
+      let changed = false;
+
+      for (const image of report.images) {
+        if (image.variants?.thumb || !image.url) continue;
+        try {
+          image.set(await imageProcessingService.processStoredImage(image.url));
+          changed = true;
+          images++;
+        } catch (error) {
+          console.warn(`Could not process ${image.url}:`, error.message);
+          failed++;
+        }
+      }
+
+      if (changed) await report.save();
+      reports++;
+    }
+
+    console.log(`✅ Generated variants for ${images} photos on ${reports} reports (${failed} failed)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error generating image variants:', error.message);
+    process.exit(1);
+  }
+};
+
+generateImageVariants();
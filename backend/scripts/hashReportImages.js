@@ -0,0 +1,42 @@
+// Script to compute perceptual hashes for photos on reports created before hashing existed
+// Run with: node scripts/hashReportImages.js [--limit=1000]
+
+// Load .env first: storage config is read at require time
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const imageHashService = require('../services/imageHashService');
+
+const hashReportImages = async () => {
+  const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+  const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 0;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swachhsetu');
+    console.log('Connected to MongoDB');
+
+    const cursor = Report.find({
+      images: { $elemMatch: { url: { $exists: true }, pHash: { $exists: false } } }
+    }).limit(limit).cursor();
+
+    let reports = 0;
+    let images = 0;
+    for await (const report of cursor) {
+      const hashed = await imageHashService.hashReportImages(report);
+      if (hashed > 0) {
+        await report.save();
+        images += hashed;
+      }
+      reports++;
+    }
+
+    console.log(`✅ Hashed ${images} photos on ${reports} reports`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error hashing report images:', error.message);
+    process.exit(1);
+  }
+};
+
+hashReportImages();
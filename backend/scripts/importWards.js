@@ -0,0 +1,63 @@
+// Script to import ward boundaries from a GeoJSON file
+// Shapefiles can be converted first with: ogr2ogr -f GeoJSON -t_srs EPSG:4326 wards.geojson wards.shp
+// Run with: node scripts/importWards.js wards.geojson [--code-field=WARD_NO] [--name-field=WARD_NAME] [--zone-field=ZONE]
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const wardService = require('../services/wardService');
+require('dotenv').config();
+
+const parseArgs = (argv) => {
+  const args = { fields: {} };
+  for (const arg of argv) {
+    const match = arg.match(/^--(code|name|number|zone)-field=(.+)$/);
+    if (match) {
+      args.fields[match[1]] = match[2];
+    } else if (!arg.startsWith('--')) {
+      args.file = arg;
+    }
+  }
+  return args;
+};
+
+const importWards = async () => {
+  const { file, fields } = parseArgs(process.argv.slice(2));
+
+  if (!file) {
+    console.error('Usage: node scripts/importWards.js <wards.geojson> [--code-field=X] [--name-field=X] [--number-field=X] [--zone-field=X]');
+    process.exit(1);
+  }
+
+  try {
+    const geojson = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swachhsetu');
+    console.log('Connected to MongoDB');
+
+    const result = await wardService.importFeatureCollection(geojson, {
+      fields,
+      source: path.basename(file)
+    });
+    console.log(`✅ Wards imported: ${result.created} created, ${result.updated} updated`);
+    result.skipped.forEach(skip => {
+      console.warn(`⚠️  Skipped feature ${skip.index}${skip.code ? ` (${skip.code})` : ''}: ${skip.reason}`);
+    });
+
+    const reportsAssigned = await wardService.backfillReports();
+    console.log(`✅ Assigned wards to ${reportsAssigned} existing reports`);
+
+    const schedules = await wardService.linkGarbageSchedules();
+    console.log(`✅ Linked ${schedules.linked} garbage schedules to wards`);
+    schedules.unmatched.forEach(item => {
+      console.warn(`⚠️  No ward found for schedule ${item.scheduleId} (ward "${item.ward}")`);
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error importing wards:', error.message);
+    process.exit(1);
+  }
+};
+
+importWards();
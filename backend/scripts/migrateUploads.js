@@ -0,0 +1,132 @@
+// Script to copy uploaded files from one storage driver to another and point reports at the new URLs
+// Run with: node scripts/migrateUploads.js [--from=local] [--to=s3] [--dry-run] [--delete-source]
+// --to defaults to STORAGE_DRIVER. Report history is append-only, so its attachment
+// links keep their /uploads URLs; the server redirects those to the new storage.
+
+// Load .env first: storage config is read at require time
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const storageService = require('../services/storageService');
+
+const VISIBILITIES = ['public', 'private'];
+
+const parseArgs = (argv) => {
+  const args = { from: 'local', to: storageService.driverName, dryRun: false, deleteSource: false };
+  for (const arg of argv) {
+    const match = arg.match(/^--(from|to)=(.+)$/);
+    if (match) args[match[1]] = match[2];
+    if (arg === '--dry-run') args.dryRun = true;
+    if (arg === '--delete-source') args.deleteSource = true;
+  }
+  return args;
+};
+
+const copyFiles = async (source, target, { dryRun, deleteSource }) => {
+  const counts = { copied: 0, skipped: 0, failed: 0 };
+
+  for (const visibility of VISIBILITIES) {
+    for await (const key of source.keys(visibility)) {
+      try {
+        if (await target.exists(key, visibility)) {
+          counts.skipped++;
+        } else {
+          if (!dryRun) await target.put(key, await source.get(key, visibility), visibility);
+          counts.copied++;
+        }
+        if (deleteSource && !dryRun) await source.delete(key, visibility);
+      } catch (error) {
+        console.warn(`⚠️  Could not copy ${visibility} file ${key}:`, error.message);
+        counts.failed++;
+      }
+    }
+  }
+
+  return counts;
+};
+
+const rewriteReportUrls = async (source, target, { dryRun }) => {
+  // Only URLs the source driver would have produced are rewritten
+  const migrate = (url) => {
+    if (!url) return null;
+    try {
+      const key = storageService.keyFromUrl(url);
+      return decodeURI(url) === decodeURI(source.url(key)) ? target.url(key) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const cursor = Report.find({
+    $or: [
+      { 'images.0': { $exists: true } },
+      { 'resolutionEvidence.afterImages.0': { $exists: true } }
+    ]
+  }).select('images resolutionEvidence.afterImages').lean().cursor();
+
+  let reports = 0;
+  let urls = 0;
+  for await (const report of cursor) {
+    const $set = {};
+
+    (report.images || []).forEach((image, i) => {
+      const url = migrate(image.url);
+      if (url) $set[`images.${i}.url`] = url;
+      Object.entries(image.variants || {}).forEach(([variant, variantUrl]) => {
+        const migrated = migrate(variantUrl);
+        if (migrated) $set[`images.${i}.variants.${variant}`] = migrated;
+      });
+    });
+
+    (report.resolutionEvidence?.afterImages || []).forEach((image, i) => {
+      const url = migrate(image.url);
+      if (url) $set[`resolutionEvidence.afterImages.${i}.url`] = url;
+    });
+
+    const changed = Object.keys($set).length;
+    if (changed === 0) continue;
+
+    // Not through save(): this isn't a change to the report itself
+    if (!dryRun) await Report.updateOne({ _id: report._id }, { $set }, { timestamps: false });
+    reports++;
+    urls += changed;
+  }
+
+  return { reports, urls };
+};
+
+const migrateUploads = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.from === args.to) {
+    console.error(`Source and target are both "${args.from}". Set STORAGE_DRIVER or pass --to=<driver>.`);
+    process.exit(1);
+  }
+
+  try {
+    const source = storageService.getDriver(args.from);
+    const target = storageService.getDriver(args.to);
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swachhsetu');
+    console.log('Connected to MongoDB');
+    console.log(`Migrating uploads from ${args.from} to ${args.to}${args.dryRun ? ' (dry run)' : ''}`);
+
+    const files = await copyFiles(source, target, args);
+    console.log(`✅ Files: ${files.copied} copied, ${files.skipped} already there, ${files.failed} failed`);
+
+    if (files.failed > 0) {
+      console.error('❌ Not rewriting report URLs until every file is copied; fix the errors and run again');
+      process.exit(1);
+    }
+
+    const rewritten = await rewriteReportUrls(source, target, args);
+    console.log(`✅ Rewrote ${rewritten.urls} URLs on ${rewritten.reports} reports`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating uploads:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateUploads();
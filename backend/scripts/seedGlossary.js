@@ -0,0 +1,76 @@
+// Script to add the standard civic glossary, and ward names as terms kept as they are
+// Existing terms (and admin edits to them) are left alone
+// Run with: node scripts/seedGlossary.js [--no-wards]
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const GlossaryTerm = require('../models/GlossaryTerm');
+const Ward = require('../models/Ward');
+const translationMemoryService = require('../services/translationMemoryService');
+
+// Romanized words turn up in text of any language; script words are Hindi
+const CIVIC_TERMS = [
+  { term: 'nala', translations: { English: 'open drain' } },
+  { term: 'nallah', translations: { English: 'open drain' } },
+  { term: 'naali', translations: { English: 'drain' } },
+  { term: 'kachra', translations: { English: 'garbage' } },
+  { term: 'kooda', translations: { English: 'garbage' } },
+  { term: 'dhalao', translations: { English: 'garbage collection point' } },
+  { term: 'safai karmachari', translations: { English: 'sanitation worker' } },
+  { term: 'sulabh shauchalaya', translations: { English: 'public toilet' } },
+  { term: 'nagar nigam', translations: { English: 'municipal corporation' } },
+  { term: 'नाला', language: 'Hindi', translations: { English: 'open drain' } },
+  { term: 'नाली', language: 'Hindi', translations: { English: 'drain' } },
+  { term: 'कचरा', language: 'Hindi', translations: { English: 'garbage' } },
+  { term: 'कूड़ा', language: 'Hindi', translations: { English: 'garbage' } },
+  { term: 'ढलाव', language: 'Hindi', translations: { English: 'garbage collection point' } },
+  { term: 'सफाई कर्मचारी', language: 'Hindi', translations: { English: 'sanitation worker' } },
+  { term: 'शौचालय', language: 'Hindi', translations: { English: 'toilet' } },
+  { term: 'नगर निगम', language: 'Hindi', translations: { English: 'municipal corporation' } },
+  { term: 'open drain', language: 'English', translations: { Hindi: 'नाला' } },
+  { term: 'sanitation worker', language: 'English', translations: { Hindi: 'सफाई कर्मचारी' } }
+];
+
+const seedGlossary = async () => {
+  const withWards = !process.argv.includes('--no-wards');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swachhsetu');
+    console.log('Connected to MongoDB');
+
+    const terms = CIVIC_TERMS.map(term => ({ language: null, ...term }));
+    if (withWards) {
+      const wards = await Ward.find().select('name');
+      wards.forEach(ward => terms.push({
+        term: ward.name,
+        language: null,
+        keepAsIs: true,
+        note: 'Ward name'
+      }));
+    }
+
+    let added = 0;
+    let translationsDropped = 0;
+    for (const term of terms) {
+      const result = await GlossaryTerm.updateOne(
+        { term: term.term, language: term.language },
+        { $setOnInsert: term },
+        { upsert: true, collation: { locale: 'en', strength: 2 } }
+      );
+      if (result.upsertedCount > 0) {
+        added++;
+        translationsDropped += await translationMemoryService.glossaryChanged(term.term);
+      }
+    }
+
+    console.log(`✅ Glossary: ${added} terms added, ${terms.length - added} already present`);
+    console.log(`✅ Dropped ${translationsDropped} cached translations to redo with the glossary`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding glossary:', error.message);
+    process.exit(1);
+  }
+};
+
+seedGlossary();
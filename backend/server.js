@@ -1,13 +1,21 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
+
+// Load .env before any module reads process.env at require time
+dotenv.config();
+
 const connectDB = require('./config/db');
 const http = require('http');
 const socketIo = require('socket.io');
 const notificationService = require('./services/notificationService');
+const chatbotStreamService = require('./services/chatbotStreamService');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const hpp = require('hpp');
+const { serveImageVariant } = require('./middleware/imageProcessingMiddleware');
+const { redirectToStorage, serveSignedFile } = require('./middleware/storageMiddleware');
+const storageConfig = require('./config/storage');
 
 // Route imports
 const authRoutes = require('./routes/authRoutes');
@@ -17,15 +25,17 @@ const adminRoutes = require('./routes/adminRoutes');
 const garbageRoutes = require('./routes/garbageRoutes');
 const aiRoutes = require('./routes/aiRoutes');
 const geocodingRoutes = require('./routes/geocodingRoutes');
-
-dotenv.config();
+const poiRoutes = require('./routes/poiRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const wardRoutes = require('./routes/wardRoutes');
+const inspectorRoutes = require('./routes/inspectorRoutes');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
     origin: process.env.CLIENT_URL || 'http://localhost:5173',
-    methods: ['GET', 'POST', 'PUT', 'DELETE']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
   }
 });
 
@@ -36,8 +46,8 @@ connectDB();
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:5173',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Chatbot-Token']
 }));
 
 // Body parsing middleware (must be before security middleware)
@@ -82,8 +92,13 @@ app.use('/api/ai/', aiLimiter);
 // Prevent HTTP Parameter Pollution attacks
 app.use(hpp());
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+// Uploaded files (?size= serves a resized variant of an uploaded image)
+if (storageConfig.driver === 'local') {
+  app.use('/uploads', serveImageVariant, express.static(storageConfig.drivers.local.publicDir));
+  app.get('/private-uploads/:key', serveSignedFile);
+} else {
+  app.use('/uploads', serveImageVariant, redirectToStorage);
+}
 
 // Socket.io connection
 io.on('connection', (socket) => {
@@ -103,6 +118,9 @@ io.on('connection', (socket) => {
 // Initialize notification service with Socket.IO
 notificationService.initializeSocketIO(io);
 
+// Stream chatbot replies over the same connection
+chatbotStreamService.initializeSocketIO(io);
+
 // Make io accessible to routes
 app.set('io', io);
 
@@ -114,6 +132,10 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/garbage', garbageRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/geocoding', geocodingRoutes);
+app.use('/api/poi', poiRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/wards', wardRoutes);
+app.use('/api/inspectors', inspectorRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -129,7 +151,11 @@ app.get('/api/routes-test', (req, res) => {
       '/api/reports/*',
       '/api/dashboard/*',
       '/api/admin/*',
-      '/api/garbage/*'
+      '/api/garbage/*',
+      '/api/poi/*',
+      '/api/notifications/*',
+      '/api/wards/*',
+      '/api/inspectors/*'
     ],
     message: 'All routes are registered'
   });
@@ -153,7 +179,8 @@ server.listen(PORT, () => {
 });
 
 // Start AI worker if AI features are enabled
-if (process.env.ENABLE_AI_TRIAGE === 'true' || 
+if (process.env.ENABLE_AI_PIPELINE === 'true' ||
+    process.env.ENABLE_AI_TRIAGE === 'true' || 
     process.env.ENABLE_AI_TRANSLATION === 'true' || 
     process.env.ENABLE_AI_FOLLOWUP === 'true') {
   try {
@@ -174,4 +201,20 @@ if (process.env.ENABLE_AI_FOLLOWUP === 'true') {
   }
 }
 
+// Start restaurant hygiene score refresher
+try {
+  const { startHygieneScoreRefresher } = require('./jobs/hygieneScoreRefresher');
+  startHygieneScoreRefresher();
+} catch (error) {
+  console.warn('⚠️  Failed to start hygiene score refresher:', error.message);
+}
+
+// Start SLA escalation
+try {
+  const { startSlaEscalator } = require('./jobs/slaEscalator');
+  startSlaEscalator();
+} catch (error) {
+  console.warn('⚠️  Failed to start SLA escalator:', error.message);
+}
+
 module.exports = { app, io };
@@ -0,0 +1,329 @@
+const Report = require('../models/Report');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const REFINED_CATEGORIES = ['toilet', 'waste', 'restaurant', 'beach', 'street', 'park', 'water', 'drainage', 'other'];
+const RECOMMENDED_ACTIONS = ['create_ticket', 'notify_inspector', 'escalate', 'requires_review', 'ignore'];
+
+// Triage priority is 1-5; report priority is 0-10
+const TRIAGE_PRIORITY_SCALE = 2;
+
+const pick = (source, keys) => {
+  const picked = {};
+  keys.forEach(key => {
+    if (source[key] !== undefined) picked[key] = source[key];
+  });
+  return picked;
+};
+
+const oneOf = (value, allowed) => (allowed.includes(value) ? value : undefined);
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * @typedef {object} TriageOutput - aiTriageService.triageReport().analysis
+ * @property {string} refined_category
+ * @property {string} severity - low | medium | high | critical
+ * @property {number} priority - 1-5
+ * @property {string} suggested_title
+ * @property {string} recommended_action
+ * @property {number} confidence - 0-1
+ * @property {string} rationale
+ * @property {string[]} tags
+ * @property {boolean} requires_immediate_attention
+ * @property {string} estimated_resolution_time
+ * @property {{code: string, name: string, confidence: number}} language
+ */
+
+/**
+ * @typedef {object} ForensicOutput - forensicImageAnalyzer.analyzeImage()
+ * @property {boolean} is_spam
+ * @property {string} spam_reason
+ * @property {string} civic_category
+ * @property {number} severity_score - 0-10
+ * @property {string} visual_evidence
+ * @property {number} confidence
+ */
+
+/**
+ * @typedef {object} GeospatialOutput - geospatialVerificationService.verifyGeospatialContext()
+ * @property {string} environment_type
+ * @property {string} lighting_condition
+ * @property {boolean} context_mismatch
+ * @property {string} verification_status - Verified | Suspicious | Rejected
+ * @property {string} reasoning
+ * @property {number} confidence
+ */
+
+/**
+ * @typedef {object} LinguisticOutput - linguisticAnalystService.analyzeTranscript()
+ * @property {string} english_translation
+ * @property {string} summarized_complaint
+ * @property {string} detected_language
+ * @property {string} sentiment_tone - Neutral | Frustrated | Angry | Urgent
+ * @property {string} urgency_rating - High | Medium | Low
+ * @property {number} confidence
+ */
+
+/**
+ * @typedef {object} DeduplicationOutput - deduplicationService.checkDuplicate()
+ * @property {boolean} is_duplicate
+ * @property {string} duplicate_of - Report id
+ * @property {number} confidence_score
+ * @property {string} rationale
+ */
+
+/**
+ * AI Analysis Service
+ * The one place where AI service output is mapped onto report.aiAnalysis.
+ * Each from* method returns a flat { 'aiAnalysis.path': value } update that can
+ * be applied to a document (apply) or written directly (persist).
+ */
+class AIAnalysisService {
+  constructor() {
+    // Minimum triage confidence to overwrite the reporter's severity/priority
+    this.applyThreshold = parseFloat(process.env.AI_TRIAGE_APPLY_THRESHOLD || 0.75);
+  }
+
+  /**
+   * Map triage output
+   * @param {TriageOutput} triage
+   * @returns {object} aiAnalysis updates
+   */
+  fromTriage(triage) {
+    const priority = toNumber(triage.priority);
+
+    return {
+      'aiAnalysis.triageCompleted': true,
+      'aiAnalysis.triageTimestamp': triage.timestamp || new Date(),
+      'aiAnalysis.refinedCategory': oneOf(triage.refined_category, REFINED_CATEGORIES),
+      'aiAnalysis.severity': oneOf(triage.severity, SEVERITIES),
+      'aiAnalysis.priority': priority !== undefined ? Math.min(Math.max(Math.round(priority), 1), 10) : undefined,
+      'aiAnalysis.suggestedTitle': triage.suggested_title,
+      'aiAnalysis.recommendedAction': oneOf(triage.recommended_action, RECOMMENDED_ACTIONS),
+      'aiAnalysis.aiConfidence': toNumber(triage.confidence),
+      'aiAnalysis.rationale': triage.rationale,
+      'aiAnalysis.aiTags': Array.isArray(triage.tags) ? triage.tags : undefined,
+      'aiAnalysis.requiresImmediateAttention': triage.requires_immediate_attention === true,
+      'aiAnalysis.estimatedResolutionTime': triage.estimated_resolution_time,
+      'aiAnalysis.language': triage.language
+        ? pick(triage.language, ['code', 'name', 'confidence'])
+        : undefined
+    };
+  }
+
+  /**
+   * Map forensic image analysis output
+   * @param {ForensicOutput} analysis
+   * @returns {object} aiAnalysis updates
+   */
+  fromForensic(analysis) {
+    return {
+      'aiAnalysis.forensicAnalysis': {
+        ...pick(analysis, [
+          'is_spam', 'spam_reason', 'civic_category', 'severity_score',
+          'visual_evidence', 'confidence', 'technical_metadata', 'processing_time_ms'
+        ]),
+        analyzed_at: analysis.analyzed_at || new Date()
+      },
+      'aiAnalysis.spamDetected': analysis.is_spam === true,
+      'aiAnalysis.spamReason': analysis.is_spam ? analysis.spam_reason : undefined
+    };
+  }
+
+  /**
+   * Map geospatial verification output
+   * @param {GeospatialOutput} verification
+   * @returns {object} aiAnalysis updates
+   */
+  fromGeospatial(verification) {
+    const mismatch = verification.context_mismatch === true || verification.verification_status === 'Rejected';
+
+    return {
+      'aiAnalysis.geospatialVerification': {
+        ...pick(verification, [
+          'environment_type', 'lighting_condition', 'context_mismatch', 'verification_status',
+          'reasoning', 'confidence', 'image_metadata', 'processing_time_ms'
+        ]),
+        verified_at: verification.verified_at || new Date()
+      },
+      'aiAnalysis.contextMismatchDetected': mismatch,
+      'aiAnalysis.contextMismatchReason': mismatch ? verification.reasoning : undefined
+    };
+  }
+
+  /**
+   * Map linguistic (voice transcript) analysis output
+   * @param {LinguisticOutput} analysis
+   * @param {object} report - Current report, so a triage severity isn't overwritten
+   * @returns {object} aiAnalysis updates
+   */
+  fromLinguistic(analysis, report = {}) {
+    const updates = {
+      'aiAnalysis.linguisticAnalysis': {
+        ...pick(analysis, [
+          'english_translation', 'summarized_complaint', 'detected_language', 'extracted_location',
+          'sentiment_tone', 'urgency_rating', 'confidence', 'original_transcript', 'processing_time_ms'
+        ]),
+        analyzed_at: analysis.analyzed_at || new Date()
+      }
+    };
+
+    // Urgency only fills in a severity when triage hasn't set one
+    const urgencySeverity = { High: 'high', Low: 'low' }[analysis.urgency_rating];
+    if (urgencySeverity && !report.aiAnalysis?.severity) {
+      updates['aiAnalysis.severity'] = urgencySeverity;
+    }
+
+    // Flag angry sentiment for priority review
+    if (['Angry', 'Urgent'].includes(analysis.sentiment_tone)) {
+      updates['aiAnalysis.requiresImmediateAttention'] = true;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Map deduplication output (only a detected duplicate changes the report)
+   * @param {DeduplicationOutput} result
+   * @returns {object} aiAnalysis updates
+   */
+  fromDeduplication(result) {
+    if (!result.is_duplicate || !result.duplicate_of) return {};
+
+    return {
+      'aiAnalysis.duplicateDetected': true,
+      'aiAnalysis.duplicateOf': result.duplicate_of,
+      'aiAnalysis.duplicateConfidence': toNumber(result.confidence_score),
+      'aiAnalysis.duplicateRationale': result.rationale
+    };
+  }
+
+  /**
+   * Map recycled photo matches (only a match changes the report)
+   * @param {Array} matches - imageHashService.findRecycledPhotos()
+   * @returns {object} aiAnalysis updates
+   */
+  fromRecycledPhotos(matches) {
+    if (!matches || matches.length === 0) return {};
+
+    const [closest] = matches;
+    const where = closest.reason === 'different_location'
+      ? `${closest.metersApart}m away`
+      : 'by another user';
+
+    return {
+      'aiAnalysis.recycledPhotos': matches.map(match => pick(match, ['reportId', 'distance', 'metersApart', 'reason'])),
+      'aiAnalysis.spamDetected': true,
+      'aiAnalysis.spamReason': `Photo was already submitted with report ${closest.reportId} ${where}`
+    };
+  }
+
+  /**
+   * Map photo metadata checks; the report scores are those of its worst photo
+   * @param {Array} results - imageMetadataService.inspectReportImages()
+   * @returns {object} aiAnalysis updates
+   */
+  fromImageMetadata(results) {
+    if (!results || results.length === 0) return {};
+
+    return {
+      'aiAnalysis.metadataCheck': {
+        tamperScore: Math.max(...results.map(result => result.tamperScore)),
+        stalenessScore: Math.max(...results.map(result => result.stalenessScore)),
+        flags: [...new Set(results.flatMap(result => result.flags))],
+        images: results,
+        checkedAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * Drop undefined values so they don't clear existing fields
+   * @param {object} updates
+   * @returns {object}
+   */
+  clean(updates) {
+    return Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Apply updates to a report document (the caller saves it)
+   * @param {object} report - Report document
+   * @param {object} updates - From one of the from* methods
+   * @returns {object} The report
+   */
+  apply(report, updates) {
+    Object.entries(this.clean(updates)).forEach(([path, value]) => report.set(path, value));
+    return report;
+  }
+
+  /**
+   * Write updates straight to the database
+   * @param {string} reportId
+   * @param {object} updates - From one of the from* methods
+   * @param {object} filter - Extra conditions the report must match to be updated
+   */
+  async persist(reportId, updates, filter = {}) {
+    const $set = this.clean(updates);
+    if (Object.keys($set).length === 0) return;
+    await Report.updateOne({ ...filter, _id: reportId }, { $set });
+  }
+
+  /**
+   * Store triage output and, when confident enough, adopt its severity/priority.
+   * The reporter's values are kept in aiAnalysis.originalValues. A triage result
+   * never overrides values a person has changed since the last one was applied.
+   * @param {object} report - Report document (the caller saves it)
+   * @param {TriageOutput} triage
+   * @returns {object} { applied, reason, changes }
+   */
+  applyTriage(report, triage) {
+    const previous = report.aiAnalysis?.triageApplied
+      ? { severity: report.aiAnalysis.severity, priority: report.aiAnalysis.priority }
+      : null;
+
+    this.apply(report, this.fromTriage(triage));
+
+    const confidence = toNumber(triage.confidence) || 0;
+    const severity = report.aiAnalysis.severity;
+    const priority = report.aiAnalysis.priority !== undefined
+      ? Math.min(report.aiAnalysis.priority * TRIAGE_PRIORITY_SCALE, 10)
+      : undefined;
+
+    if (confidence < this.applyThreshold) {
+      return { applied: false, reason: `confidence ${confidence} below ${this.applyThreshold}` };
+    }
+
+    // Someone edited the values after the previous triage was applied
+    if (previous && (report.severity !== previous.severity ||
+        report.priority !== Math.min(previous.priority * TRIAGE_PRIORITY_SCALE, 10))) {
+      return { applied: false, reason: 'severity/priority were changed manually' };
+    }
+
+    if (!report.aiAnalysis.originalValues?.recordedAt) {
+      report.set('aiAnalysis.originalValues', {
+        severity: report.severity,
+        priority: report.priority,
+        recordedAt: new Date()
+      });
+    }
+
+    const changes = {};
+    if (severity && severity !== report.severity) {
+      changes.severity = { from: report.severity, to: severity };
+      report.severity = severity;
+    }
+    if (priority !== undefined && priority !== report.priority) {
+      changes.priority = { from: report.priority, to: priority };
+      report.priority = priority;
+    }
+    report.set('aiAnalysis.triageApplied', true);
+
+    return { applied: true, changes };
+  }
+}
+
+module.exports = new AIAnalysisService();
@@ -1,4 +1,4 @@
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
 
 /**
  * AI Inspector Assignment Service
@@ -8,7 +8,7 @@ class AIAssignmentService {
   /**
    * Suggest best inspector for a ticket
    * @param {Object} ticket - The ticket/report to assign
-   * @param {Array} inspectorPool - Available inspectors with their details
+   * @param {Array} inspectorPool - Candidates from inspectorService.getPool()
    * @returns {Object} Assignment recommendation
    */
   async suggestInspector(ticket, inspectorPool) {
@@ -102,10 +102,7 @@ class AIAssignmentService {
     const prompt = this.buildAssignmentPrompt(ticket, candidates);
     
     try {
-      const result = await ollamaService.generateJSON(
-        prompt,
-        process.env.OLLAMA_PRIMARY_MODEL || 'llama3:8b'
-      );
+      const result = await llmService.generateJSON('assignment', prompt);
       
       // Validate and normalize output
       const recommendation = this.validateAssignmentOutput(result, candidates);
@@ -1,56 +1,92 @@
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
+const chatSessionService = require('./chatSessionService');
+const chatbotFlowService = require('./chatbotFlowService');
+const aiTranslationService = require('./aiTranslationService');
+const ReportDraft = require('../models/ReportDraft');
 
 /**
  * AI Chatbot Service
- * Conversational interface to guide users through report submission
+ * Conversational interface to guide users through report submission.
+ * Sessions live in Redis (see chatSessionService), so any instance can
+ * continue a conversation; the questions follow chatbotFlowService.
+ * Replies are in the language the user writes in; what they report is
+ * also kept in English for drafts and moderators.
  */
 class AIChatbotService {
   constructor() {
     this.enabled = process.env.ENABLE_AI_CHATBOT !== 'false';
-    this.sessionMemory = new Map(); // Store conversation context
-    this.sessionTimeout = 15 * 60 * 1000; // 15 minutes
   }
 
   /**
-   * Initialize or get session
+   * Start a new conversation for a user or anonymous token
+   * @param {object} identity - { user, anonymousToken }
    */
-  getSession(sessionId) {
-    if (!this.sessionMemory.has(sessionId)) {
-      this.sessionMemory.set(sessionId, {
-        messages: [],
-        extractedData: {},
-        currentStep: 'greeting',
-        createdAt: Date.now()
-      });
-    }
+  async startSession(identity) {
+    return chatSessionService.create(chatSessionService.ownerFor(identity));
+  }
 
-    const session = this.sessionMemory.get(sessionId);
-    
-    // Check if session expired
-    if (Date.now() - session.createdAt > this.sessionTimeout) {
-      this.resetSession(sessionId);
-      return this.sessionMemory.get(sessionId);
-    }
+  /**
+   * The caller's session, or their latest one when no id is given
+   * @returns {Promise<object|null>} null if expired or not theirs
+   */
+  async resolveSession(sessionId, identity) {
+    return chatSessionService.getOwned(sessionId, identity);
+  }
 
-    return session;
+  /**
+   * Reset session: drop it and start a fresh one for the same owner
+   */
+  async resetSession(session) {
+    await chatSessionService.delete(session);
+    return chatSessionService.create(session.owner);
   }
 
   /**
-   * Reset session
+   * Report form state sent along with a message, validated
+   * @param {object} input - { photoCount, coordinates: [lng, lat] }
+   * @returns {object} { photoCount, coordinates }
    */
-  resetSession(sessionId) {
-    this.sessionMemory.set(sessionId, {
-      messages: [],
-      extractedData: {},
-      currentStep: 'greeting',
-      createdAt: Date.now()
-    });
+  chatContext({ photoCount, coordinates } = {}) {
+    const count = parseInt(photoCount) || 0;
+    const [lng, lat] = Array.isArray(coordinates) ? coordinates.map(Number) : [];
+    const validPoint = Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+
+    return {
+      photoCount: Math.min(Math.max(count, 0), 5),
+      coordinates: validPoint ? [lng, lat] : null
+    };
+  }
+
+  /**
+   * Session as returned to the client when resuming
+   */
+  toClient(session) {
+    return {
+      sessionId: session.id,
+      messages: session.messages,
+      language: session.language || null,
+      extractedData: session.extractedData,
+      extractedDataEnglish: session.extractedDataEnglish,
+      currentStep: session.currentStep,
+      slots: session.flow ? chatbotFlowService.slotStatus(session.flow) : null,
+      isComplete: session.isComplete || false,
+      reportPayload: session.flow ? chatbotFlowService.reportPayload(session.flow, session.language) : null,
+      suggestions: session.suggestions || [],
+      suggestionKeys: session.suggestionKeys || session.suggestions || [],
+      draftId: session.draftId || null
+    };
   }
 
   /**
    * Chat with user and extract report data
+   * @param {object} session
+   * @param {string} userMessage
+   * @param {object} options - Optional:
+   *   context: { photoCount, coordinates } from the report form
+   *   onPartial, signal: stream the reply, calling onPartial with
+   *   { message, extractedData, suggestions } as it grows; aborting signal cancels it
    */
-  async chat(sessionId, userMessage) {
+  async chat(session, userMessage, options = {}) {
     if (!this.enabled) {
       return {
         success: false,
@@ -59,216 +95,311 @@ class AIChatbotService {
     }
 
     try {
-      const session = this.getSession(sessionId);
-      
-      // Add user message to history
-      session.messages.push({
-        role: 'user',
-        content: userMessage,
-        timestamp: new Date()
-      });
-
-      // Build conversation prompt
-      const prompt = this.buildChatPrompt(session);
-
-      // Get AI response
-      const response = await ollamaService.generate(prompt, 'llama3:8b', {
-        temperature: 0.7,
-        top_p: 0.9
+      const { locked, result } = await chatSessionService.withLock(session.id, async () => {
+        // Re-read under the lock: another instance may have replied meanwhile
+        const current = await chatSessionService.get(session.id) || session;
+        return this.reply(current, userMessage, options);
       });
 
-      if (!response.success) {
+      if (locked) {
         return {
           success: false,
-          error: 'Failed to generate response'
+          code: 'SESSION_BUSY',
+          error: 'Still replying to your previous message'
         };
       }
 
-      // Parse AI response
-      const parsed = this.parseAIResponse(response.text);
+      return result;
 
-      // Add assistant message to history
-      session.messages.push({
-        role: 'assistant',
-        content: parsed.message,
-        timestamp: new Date()
-      });
+    } catch (error) {
+      console.error('Chatbot error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Add the user's message, extract its details, advance the flow and
+   * store the updated session
+   */
+  async reply(session, userMessage, { onPartial, signal, context = {} } = {}) {
+    // Add user message to history
+    session.messages.push({
+      role: 'user',
+      content: userMessage,
+      timestamp: new Date()
+    });
+
+    session.flow = session.flow || chatbotFlowService.initialFlow();
 
-      // Update extracted data
-      if (parsed.extractedData) {
-        session.extractedData = {
-          ...session.extractedData,
-          ...parsed.extractedData
+    // Chips and plain yes/no don't need the model
+    const message = this.chipKey(session, userMessage);
+    let extraction = chatbotFlowService.quickExtract(session.flow, message, context);
+    if (!extraction) {
+      await this.detectLanguage(session, userMessage);
+
+      const prompt = chatbotFlowService.buildExtractionPrompt(session, userMessage);
+      const options = { temperature: 0.1, schema: chatbotFlowService.schema };
+      const response = onPartial || signal
+        ? await llmService.stream('chatbot', prompt, { ...options, signal, onToken: this.partialReader(session, onPartial) })
+        : await llmService.generate('chatbot', prompt, options);
+
+      if (response.aborted) {
+        // Keep the user's message so the next reply still has it as context
+        await chatSessionService.save(session);
+        return {
+          success: false,
+          code: 'CANCELLED',
+          error: 'Reply cancelled'
         };
       }
 
-      // Update current step
-      if (parsed.nextStep) {
-        session.currentStep = parsed.nextStep;
+      if (!response.success) {
+        // The flow still understands direct answers without the model
+        console.warn('Chatbot extraction failed:', response.error);
       }
+      extraction = chatbotFlowService.parseExtraction(response.success ? response.text : '');
+    }
 
-      return {
-        success: true,
-        message: parsed.message,
-        extractedData: session.extractedData,
-        currentStep: session.currentStep,
-        isComplete: parsed.isComplete || false,
-        suggestions: parsed.suggestions || [],
-        requiresInput: parsed.requiresInput !== false
-      };
+    const turn = await this.localize(session, await chatbotFlowService.handleTurn(session, message, extraction, context));
+    await this.normalize(session);
 
-    } catch (error) {
-      console.error('Chatbot error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    // Add assistant message to history
+    session.messages.push({
+      role: 'assistant',
+      content: turn.message,
+      timestamp: new Date()
+    });
+
+    session.extractedData = chatbotFlowService.extractedData(session.flow);
+    session.extractedDataEnglish = chatbotFlowService.extractedData(session.flow, { english: true });
+    session.currentStep = session.flow.step;
+    session.isComplete = session.flow.step === 'complete';
+    session.suggestions = turn.suggestions;
+    session.suggestionKeys = turn.suggestionKeys;
+    await chatSessionService.save(session);
+
+    const result = {
+      success: true,
+      sessionId: session.id,
+      message: turn.message,
+      language: session.language || null,
+      extractedData: session.extractedData,
+      extractedDataEnglish: session.extractedDataEnglish,
+      currentStep: session.currentStep,
+      slots: chatbotFlowService.slotStatus(session.flow),
+      isComplete: session.isComplete,
+      reportPayload: chatbotFlowService.reportPayload(session.flow, session.language),
+      suggestions: session.suggestions,
+      suggestionKeys: session.suggestionKeys,
+      requiresInput: !session.isComplete
+    };
+    onPartial?.({ message: result.message, extractedData: result.extractedData, suggestions: result.suggestions });
+
+    return result;
+  }
+
+  /**
+   * Set the conversation language from the first message that has enough
+   * text to tell. Until then (and for chips) replies are in English.
+   */
+  async detectLanguage(session, message) {
+    if (session.language) return;
+
+    const detection = await aiTranslationService.detectLanguage(message);
+    if (detection.code !== 'und') {
+      session.language = { code: detection.code, name: detection.name };
     }
   }
 
+  isEnglish(session) {
+    return !session.language || session.language.name === 'English' || !aiTranslationService.enabled;
+  }
+
   /**
-   * Build conversation prompt
+   * A translated chip sent back stands for the English chip it was made from
    */
-  buildChatPrompt(session) {
-    const conversationHistory = session.messages
-      .slice(-6) // Last 6 messages for context
-      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
-      .join('\n');
-
-    return `You are SwachhBot, a friendly AI assistant helping users report civic hygiene issues in India. Your goal is to gather all necessary information for a hygiene report through natural conversation.
-
-CONVERSATION STEPS:
-1. Greeting - Warm welcome, ask what issue they want to report
-2. Category - Identify category (toilet/waste/restaurant/beach/street/park/water/other)
-3. Description - Get detailed description of the issue
-4. Location - Confirm location or ask for address/landmark
-5. Severity - Assess urgency (low/medium/high/critical)
-6. Photos - Remind to upload photos if not done
-7. Confirmation - Summarize and confirm before submission
-
-CURRENT EXTRACTED DATA:
-${JSON.stringify(session.extractedData, null, 2)}
-
-CURRENT STEP: ${session.currentStep}
-
-CONVERSATION HISTORY:
-${conversationHistory}
-
-INSTRUCTIONS:
-- Be warm, friendly, and empathetic
-- Ask ONE question at a time
-- Use simple language (many users speak Hindi/local languages)
-- If user mentions multiple issues, focus on the most urgent first
-- Extract and store: category, title, description, location, severity
-- When you have enough info, set isComplete=true
-
-Respond in this JSON format:
-{
-  "message": "Your friendly response to the user",
-  "extractedData": {
-    "category": "toilet|waste|restaurant|beach|street|park|water|other",
-    "title": "Brief title (optional)",
-    "description": "Detailed description (optional)",
-    "location": "Address or landmark (optional)",
-    "severity": "low|medium|high|critical (optional)"
-  },
-  "nextStep": "greeting|category|description|location|severity|photos|confirmation",
-  "isComplete": false,
-  "suggestions": ["Option 1", "Option 2", "Option 3"],
-  "requiresInput": true
-}
+  chipKey(session, message) {
+    const index = (session.suggestions || []).indexOf(message);
+    return (index >= 0 && session.suggestionKeys?.[index]) || message;
+  }
 
-IMPORTANT: Provide ONLY the JSON response. No explanations before or after.`;
+  /**
+   * The flow's reply and chips in the conversation language. The English
+   * chips are kept as suggestionKeys; a reply that can't be translated is
+   * sent in English.
+   * @returns {Promise<object>} { message, suggestions, suggestionKeys }
+   */
+  async localize(session, turn) {
+    if (this.isEnglish(session)) {
+      return { ...turn, suggestionKeys: turn.suggestions };
+    }
+
+    const language = session.language.name;
+    const translate = async (text) => {
+      const result = await aiTranslationService.translate(text, language, 'English');
+      return result.success ? result.translated : text;
+    };
+    const [message, ...suggestions] = await Promise.all([turn.message, ...turn.suggestions].map(translate));
+
+    return { message, suggestions, suggestionKeys: turn.suggestions };
   }
 
   /**
-   * Parse AI response
+   * Add an English version to the description and location given in another
+   * language, once per value. A value whose translation failed is tried
+   * again on the next message.
    */
-  parseAIResponse(text) {
-    try {
-      // Try to extract JSON
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return parsed;
+  async normalize(session) {
+    if (this.isEnglish(session)) return;
+
+    const language = session.language.name;
+    // undefined when the translation failed
+    const toEnglish = async (text) => {
+      if (!text) return text;
+      const result = await aiTranslationService.translate(text, 'English', language);
+      return result.success ? result.translated : undefined;
+    };
+    const { description, location } = session.flow.slots;
+
+    if (description.value && !description.value.english) {
+      const [text, title] = await Promise.all([
+        toEnglish(description.value.text),
+        toEnglish(chatbotFlowService.title(description.value))
+      ]);
+      if (text !== undefined && title !== undefined) description.value.english = { text, title };
+    }
+
+    if (location.value && !location.value.english) {
+      // Geocoded addresses come from the map; only the user's own words need translating
+      const [address, landmark] = await Promise.all([
+        location.value.coordinates ? location.value.address : toEnglish(location.value.address),
+        toEnglish(location.value.landmark)
+      ]);
+      if (address !== undefined && landmark !== undefined) location.value.english = { address, landmark };
+    }
+  }
+
+  /**
+   * The user's own title and description when they didn't write in English
+   * @returns {object|undefined} { language, title, description }
+   */
+  originalText(session) {
+    if (this.isEnglish(session) || !session.extractedData?.description) return undefined;
+    return {
+      language: session.language.name,
+      title: session.extractedData.title,
+      description: session.extractedData.description
+    };
+  }
+
+  /**
+   * onToken handler that shows each field of the extraction as soon as the
+   * model has written it
+   * @param {object} session
+   * @param {Function} onPartial - ({ message, extractedData, suggestions }) => void
+   */
+  partialReader(session, onPartial) {
+    let text = '';
+    let last = '';
+    return (token) => {
+      text += token;
+      if (!onPartial) return;
+      const fields = this.parsePartialFields(text);
+      const extractedData = { ...session.extractedData };
+      ['category', 'title', 'description', 'severity'].forEach(field => {
+        if (fields[field]) extractedData[field] = fields[field];
+      });
+      if (fields.place) extractedData.location = fields.place;
+
+      const serialized = JSON.stringify(extractedData);
+      if (serialized !== last) {
+        last = serialized;
+        onPartial({ message: '', extractedData, suggestions: [] });
       }
+    };
+  }
 
-      // Fallback: treat entire text as message
-      return {
-        message: text,
-        extractedData: {},
-        nextStep: null,
-        isComplete: false,
-        suggestions: [],
-        requiresInput: true
-      };
-    } catch (error) {
-      console.error('Failed to parse AI response:', error);
-      return {
-        message: text,
-        extractedData: {},
-        nextStep: null,
-        isComplete: false,
-        suggestions: [],
-        requiresInput: true
-      };
+  /**
+   * String fields already complete in an incomplete JSON object
+   * @param {string} text
+   * @returns {object} { field: value }
+   */
+  parsePartialFields(text) {
+    const fields = {};
+    for (const [, key, value] of text.matchAll(/"(\w+)"\s*:\s*"((?:[^"\\]|\\.)*)"/g)) {
+      try {
+        fields[key] = JSON.parse(`"${value}"`);
+      } catch {
+        fields[key] = value;
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Save the conversation's extracted data as a report draft. Submitting the
+   * same session again updates its draft.
+   * @param {object} session
+   * @param {object} user - Signed-in user (drafts always belong to one)
+   * @returns {Promise<object>} ReportDraft
+   */
+  async submitDraft(session, user) {
+    // Drafts are in English; the user's own words are kept alongside
+    const fields = {
+      ...ReportDraft.fieldsFromChat(session.extractedDataEnglish || session.extractedData),
+      original: this.originalText(session)
+    };
+
+    let draft = session.draftId
+      ? await ReportDraft.findOne({ _id: session.draftId, userId: user._id })
+      : null;
+
+    if (draft) {
+      draft.set(fields);
+      await draft.save();
+    } else {
+      draft = await ReportDraft.create({
+        ...fields,
+        userId: user._id,
+        chatSessionId: session.id
+      });
     }
+
+    session.draftId = draft._id.toString();
+    await chatSessionService.save(session);
+
+    return draft;
   }
 
   /**
    * Get greeting message
    */
   getGreeting() {
+    const languages = aiTranslationService.enabled
+      ? `\n\nYou can write in ${aiTranslationService.getSupportedLanguages().join(', ')}.`
+      : '';
+
     return {
       success: true,
-      message: "Hello! I'm SwachhBot 🤖\n\nI'm here to help you report hygiene issues quickly. Just describe the problem in your own words, and I'll guide you through the process.\n\nWhat issue would you like to report today?",
+      message: `Hello! I'm SwachhBot 🤖\n\nI'm here to help you report hygiene issues quickly. Just describe the problem in your own words, and I'll guide you through the process.${languages}\n\nWhat issue would you like to report today?`,
       extractedData: {},
       currentStep: 'greeting',
       isComplete: false,
-      suggestions: [
-        'Dirty public toilet',
-        'Garbage accumulation',
-        'Unhygienic restaurant',
-        'Other issue'
-      ],
+      // The first question is the category
+      suggestions: chatbotFlowService.question('category').suggestions,
       requiresInput: true
     };
   }
 
-  /**
-   * Clear old sessions (cleanup)
-   */
-  clearExpiredSessions() {
-    const now = Date.now();
-    for (const [sessionId, session] of this.sessionMemory.entries()) {
-      if (now - session.createdAt > this.sessionTimeout) {
-        this.sessionMemory.delete(sessionId);
-        console.log(`Cleared expired session: ${sessionId}`);
-      }
-    }
-  }
-
   /**
    * Get session statistics
    */
-  getStats() {
-    return {
-      activeSessions: this.sessionMemory.size,
-      sessions: Array.from(this.sessionMemory.entries()).map(([id, session]) => ({
-        id,
-        messageCount: session.messages.length,
-        currentStep: session.currentStep,
-        hasData: Object.keys(session.extractedData).length > 0,
-        ageMinutes: Math.floor((Date.now() - session.createdAt) / 60000)
-      }))
-    };
+  async getStats() {
+    return chatSessionService.getStats();
   }
 }
 
-// Run cleanup every 5 minutes
-const chatbotService = new AIChatbotService();
-setInterval(() => {
-  chatbotService.clearExpiredSessions();
-}, 5 * 60 * 1000);
-
-module.exports = chatbotService;
+module.exports = new AIChatbotService();
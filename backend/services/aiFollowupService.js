@@ -1,4 +1,5 @@
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
+const { languageName } = require('../utils/i18n');
 
 /**
  * AI Follow-up Service
@@ -33,15 +34,18 @@ class AIFollowupService {
         tone = 'friendly'
       } = data;
 
+      // Callers pass a code ('hi') or a name ('Hindi')
+      const language = languageName(userLanguage);
+
       const startTime = Date.now();
       
       // Build personalized prompt
       const prompt = this.buildFollowupPrompt(data);
       
-      // Use Mistral for creative text generation
-      const response = await ollamaService.generate(prompt, 'mistral:7b', {
+      // Creative text generation (Mistral by default)
+      const response = await llmService.generate('followup', prompt, {
         temperature: 0.7,  // Higher for more creative, natural language
-        top_p: 0.9
+        topP: 0.9
       });
       
       if (!response.success) {
@@ -60,7 +64,7 @@ class AIFollowupService {
       return {
         success: true,
         message: message,
-        language: userLanguage,
+        language,
         tone: tone,
         processing_time_ms: duration,
         model_used: response.model,
@@ -88,6 +92,7 @@ class AIFollowupService {
       userLanguage,
       tone
     } = data;
+    const language = languageName(userLanguage);
 
     const categoryMap = {
       'waste': 'waste management',
@@ -110,11 +115,11 @@ CONTEXT:
 - Category: ${categoryText}
 - Resolution Notes: ${resolutionNotes}
 - Resolved On: ${resolvedDate}
-- Message Language: ${userLanguage}
+- Message Language: ${language}
 - Tone: ${tone}
 
 TASK:
-Write a personalized follow-up message in ${userLanguage} that:
+Write a personalized follow-up message in ${language} that:
 1. Thanks the citizen by name for reporting the issue
 2. Confirms the issue has been resolved
 3. Briefly mentions what was done (based on resolution notes)
@@ -133,7 +138,7 @@ MESSAGE STRUCTURE:
 [Greeting + Thank you] → [Resolution confirmation] → [Satisfaction check] → [Call-to-action]
 
 IMPORTANT: 
-- Write ONLY the message text in ${userLanguage}
+- Write ONLY the message text in ${language}
 - No subject line, no signature, no formatting markers
 - Keep it under 500 characters
 - Make it feel personal, not template-like
@@ -155,13 +160,15 @@ MESSAGE:`;
         userLanguage = 'English'
       } = data;
 
-      const prompt = `Write a brief message in ${userLanguage} acknowledging that a citizen named ${userName} has reopened their report about "${reportTitle}" because: ${reopenReason}. 
+      const language = languageName(userLanguage);
+
+      const prompt = `Write a brief message in ${language} acknowledging that a citizen named ${userName} has reopened their report about "${reportTitle}" because: ${reopenReason}. 
 
 Assure them we're looking into it again and will resolve it properly this time. Keep it under 200 characters. Write ONLY the message text.
 
 MESSAGE:`;
 
-      const response = await ollamaService.generate(prompt, 'mistral:7b', {
+      const response = await llmService.generate('followup', prompt, {
         temperature: 0.6
       });
 
@@ -175,7 +182,7 @@ MESSAGE:`;
       return {
         success: true,
         message: this.cleanMessage(response.text),
-        language: userLanguage
+        language
       };
     } catch (error) {
       return {
@@ -200,7 +207,9 @@ MESSAGE:`;
         userLanguage = 'English'
       } = data;
 
-      const prompt = `Write a brief progress update in ${userLanguage} for ${userName} about their report "${reportTitle}". 
+      const language = languageName(userLanguage);
+
+      const prompt = `Write a brief progress update in ${language} for ${userName} about their report "${reportTitle}". 
 
 Current status: ${currentStatus}
 Progress: ${progressNotes}
@@ -209,7 +218,7 @@ Let them know work is in progress and give them an update. Keep it friendly and
 
 MESSAGE:`;
 
-      const response = await ollamaService.generate(prompt, 'mistral:7b', {
+      const response = await llmService.generate('followup', prompt, {
         temperature: 0.6
       });
 
@@ -223,7 +232,7 @@ MESSAGE:`;
       return {
         success: true,
         message: this.cleanMessage(response.text),
-        language: userLanguage
+        language
       };
     } catch (error) {
       return {
@@ -246,15 +255,17 @@ MESSAGE:`;
         userLanguage = 'English'
       } = data;
 
+      const language = languageName(userLanguage);
+
       const prompt = feedbackType === 'positive'
-        ? `Write a brief thank you message in ${userLanguage} to ${userName} for their positive feedback on our service. Encourage them to keep reporting issues. Keep it warm and brief (under 150 characters). Write ONLY the message text.
+        ? `Write a brief thank you message in ${language} to ${userName} for their positive feedback on our service. Encourage them to keep reporting issues. Keep it warm and brief (under 150 characters). Write ONLY the message text.
 
 MESSAGE:`
-        : `Write a brief apology message in ${userLanguage} to ${userName} acknowledging their negative feedback. Assure them we'll improve. Keep it sincere and brief (under 150 characters). Write ONLY the message text.
+        : `Write a brief apology message in ${language} to ${userName} acknowledging their negative feedback. Assure them we'll improve. Keep it sincere and brief (under 150 characters). Write ONLY the message text.
 
 MESSAGE:`;
 
-      const response = await ollamaService.generate(prompt, 'mistral:7b', {
+      const response = await llmService.generate('followup', prompt, {
         temperature: 0.6
       });
 
@@ -268,7 +279,7 @@ MESSAGE:`;
       return {
         success: true,
         message: this.cleanMessage(response.text),
-        language: userLanguage
+        language
       };
     } catch (error) {
       return {
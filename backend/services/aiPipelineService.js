@@ -0,0 +1,264 @@
+const Report = require('../models/Report');
+const { aiFlowProducer, defaultJobOptions } = require('../queues/aiQueue');
+const forensicImageAnalyzer = require('./forensicImageAnalyzer');
+const geospatialVerificationService = require('./geospatialVerificationService');
+const linguisticAnalystService = require('./linguisticAnalystService');
+const deduplicationService = require('./deduplicationService');
+const aiTriageService = require('./aiTriageService');
+const notificationService = require('./notificationService');
+
+const QUEUE_NAME = 'ai-processing';
+
+// Every stage, in the order they appear on the report
+const ALL_STAGES = ['forensic', 'geospatial', 'linguistic', 'deduplication', 'triage'];
+
+// Analysis stages run in parallel; triage waits for them and reads their output
+const STAGES = {
+  forensic: { jobName: 'analyze-image-forensics', perImage: true, service: forensicImageAnalyzer },
+  geospatial: { jobName: 'verify-image-context', perImage: true, service: geospatialVerificationService },
+  linguistic: { jobName: 'analyze-transcript', service: linguisticAnalystService },
+  deduplication: { jobName: 'check-duplicate', service: deduplicationService },
+  triage: { jobName: 'triage-report', service: aiTriageService }
+};
+
+const FINISHED_STAGE_STATUSES = ['completed', 'failed', 'skipped'];
+
+/**
+ * AI Pipeline Service
+ * Runs every AI analysis on a new report as one BullMQ flow:
+ * per-image forensics and context verification, transcript analysis and
+ * deduplication run first, then triage consumes their output, then a final
+ * job records the outcome and emits "ai:pipeline:complete".
+ */
+class AIPipelineService {
+  constructor() {
+    this.enabled = process.env.ENABLE_AI_PIPELINE === 'true';
+
+    // Comma-separated subset of ALL_STAGES, e.g. "forensic,deduplication,triage"
+    const configured = (process.env.AI_PIPELINE_STAGES || ALL_STAGES.join(','))
+      .split(',')
+      .map(stage => stage.trim())
+      .filter(Boolean);
+    this.stages = ALL_STAGES.filter(stage => configured.includes(stage));
+  }
+
+  /**
+   * Work out which stages run for a report and why the others are skipped
+   * @param {object} report - Report document
+   * @returns {Array} Stage entries as stored in report.aiPipeline.stages
+   */
+  plan(report) {
+    const entries = [];
+    const images = report.images || [];
+
+    this.stages.forEach(stage => {
+      const { perImage, service } = STAGES[stage];
+      const skip = (reason, imageIndex) => entries.push({
+        key: imageIndex !== undefined ? `${stage}:${imageIndex}` : stage,
+        stage,
+        imageIndex,
+        status: 'skipped',
+        reason
+      });
+
+      if (!service.enabled) return skip('Service is disabled');
+      if (perImage && images.length === 0) return skip('Report has no images');
+      if (stage === 'linguistic' && !report.voiceTranscript) return skip('Report has no voice transcript');
+
+      if (perImage) {
+        images.forEach((image, imageIndex) => {
+          entries.push({ key: `${stage}:${imageIndex}`, stage, imageIndex, status: 'queued' });
+        });
+      } else {
+        entries.push({ key: stage, stage, status: 'queued' });
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Build the BullMQ flow for the queued stages
+   * @param {object} report - Report document
+   * @param {Array} entries - From plan()
+   * @returns {object} Flow tree for FlowProducer.add
+   */
+  buildFlow(report, entries) {
+    const reportId = report._id.toString();
+    // A failed stage is recorded on the report but doesn't hold up the stages after it
+    const opts = { ...defaultJobOptions, ignoreDependencyOnFailure: true };
+    const queued = entries.filter(entry => entry.status === 'queued');
+
+    const analysisJobs = queued
+      .filter(entry => entry.stage !== 'triage')
+      .map(entry => ({
+        name: STAGES[entry.stage].jobName,
+        queueName: QUEUE_NAME,
+        data: { reportId, stageKey: entry.key, imageIndex: entry.imageIndex },
+        opts
+      }));
+
+    let children = analysisJobs;
+    if (queued.some(entry => entry.stage === 'triage')) {
+      children = [{
+        name: STAGES.triage.jobName,
+        queueName: QUEUE_NAME,
+        data: {
+          reportId,
+          stageKey: 'triage',
+          reportData: {
+            category: report.category,
+            title: report.title,
+            description: report.description,
+            location: report.location,
+            severity: report.severity
+          }
+        },
+        opts,
+        children: analysisJobs
+      }];
+    }
+
+    return {
+      name: 'complete-pipeline',
+      queueName: QUEUE_NAME,
+      data: { reportId },
+      opts: defaultJobOptions,
+      children
+    };
+  }
+
+  /**
+   * Record the plan on the report and queue the pipeline
+   * @param {object} report - Saved report document
+   * @returns {Promise<object>} The report's aiPipeline
+   */
+  async start(report) {
+    const entries = this.plan(report);
+    const aiPipeline = {
+      status: 'queued',
+      startedAt: new Date(),
+      stages: entries
+    };
+
+    if (!entries.some(entry => entry.status === 'queued')) {
+      aiPipeline.status = 'completed';
+      aiPipeline.completedAt = new Date();
+      await Report.updateOne({ _id: report._id }, { $set: { aiPipeline } });
+      return aiPipeline;
+    }
+
+    await Report.updateOne({ _id: report._id }, { $set: { aiPipeline } });
+
+    try {
+      await aiFlowProducer.add(this.buildFlow(report, entries));
+    } catch (error) {
+      await Report.updateOne({ _id: report._id }, {
+        $set: { 'aiPipeline.status': 'failed', 'aiPipeline.completedAt': new Date() }
+      });
+      throw error;
+    }
+
+    return aiPipeline;
+  }
+
+  /**
+   * Update one stage's status on the report
+   * @param {string} reportId
+   * @param {string} stageKey - e.g. "forensic:0"
+   * @param {string} status - running | completed | failed
+   * @param {string} reason - Why the stage failed
+   */
+  async markStage(reportId, stageKey, status, reason) {
+    const $set = { 'aiPipeline.stages.$.status': status };
+
+    if (status === 'running') {
+      $set['aiPipeline.stages.$.startedAt'] = new Date();
+      $set['aiPipeline.status'] = 'running';
+    } else {
+      $set['aiPipeline.stages.$.completedAt'] = new Date();
+    }
+    if (reason) $set['aiPipeline.stages.$.reason'] = reason;
+
+    await Report.updateOne({ _id: reportId, 'aiPipeline.stages.key': stageKey }, { $set });
+  }
+
+  /**
+   * Summarise analysis stage output for the triage prompt
+   * @param {object} childrenValues - job.getChildrenValues() of the triage job
+   * @returns {string|null}
+   */
+  buildTriageContext(childrenValues) {
+    const lines = Object.values(childrenValues || {}).map(output => {
+      const { stage, imageIndex, result } = output || {};
+      if (!result) return null;
+
+      switch (stage) {
+        case 'forensic':
+          return result.is_spam
+            ? `Image ${imageIndex + 1} forensics: likely spam (${result.spam_reason})`
+            : `Image ${imageIndex + 1} forensics: ${result.civic_category}, severity ${result.severity_score}/10 - ${result.visual_evidence}`;
+        case 'geospatial':
+          return `Image ${imageIndex + 1} context: ${result.verification_status} (${result.environment_type}, ${result.lighting_condition}) - ${result.reasoning}`;
+        case 'linguistic':
+          return `Voice note: "${result.summarized_complaint}" (${result.detected_language}, tone ${result.sentiment_tone}, urgency ${result.urgency_rating})`;
+        case 'deduplication':
+          return result.is_duplicate
+            ? `Likely duplicate of report ${result.duplicate_of} (confidence ${result.confidence_score})`
+            : 'No duplicate reports found nearby';
+        default:
+          return null;
+      }
+    }).filter(Boolean);
+
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
+
+  /**
+   * Record the pipeline outcome and tell the reporter
+   * @param {string} reportId
+   * @returns {Promise<object>} Summary sent with ai:pipeline:complete
+   */
+  async complete(reportId) {
+    const report = await Report.findById(reportId);
+    if (!report?.aiPipeline) {
+      throw new Error(`Report ${reportId} has no AI pipeline`);
+    }
+
+    // Stages whose failure was ignored so the pipeline could finish
+    report.aiPipeline.stages.forEach(stage => {
+      if (!FINISHED_STAGE_STATUSES.includes(stage.status)) {
+        stage.status = 'failed';
+        stage.reason = stage.reason || 'Stage did not complete';
+        stage.completedAt = new Date();
+      }
+    });
+
+    const ran = report.aiPipeline.stages.filter(stage => stage.status !== 'skipped');
+    const failed = ran.filter(stage => stage.status === 'failed');
+    report.aiPipeline.status = failed.length === 0
+      ? 'completed'
+      : failed.length === ran.length ? 'failed' : 'partial';
+    report.aiPipeline.completedAt = new Date();
+    await report.save();
+
+    const summary = {
+      reportId: report._id,
+      reportTitle: report.title,
+      status: report.aiPipeline.status,
+      stages: report.aiPipeline.stages,
+      severity: report.severity,
+      priority: report.priority,
+      triageApplied: report.aiAnalysis?.triageApplied || false,
+      spamDetected: report.aiAnalysis?.spamDetected || false,
+      contextMismatchDetected: report.aiAnalysis?.contextMismatchDetected || false,
+      duplicateDetected: report.aiAnalysis?.duplicateDetected || false
+    };
+
+    notificationService.emitToUser(report.userId, 'ai:pipeline:complete', summary);
+
+    return summary;
+  }
+}
+
+module.exports = new AIPipelineService();
@@ -1,9 +1,12 @@
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
+const translationMemoryService = require('./translationMemoryService');
 const { franc } = require('franc');
 
 /**
  * AI Translation Service
- * Feature 3: Multi-language translation for reports and responses
+ * Feature 3: Multi-language translation for reports and responses.
+ * Translations are looked up in the translation memory first, and the
+ * model follows the civic glossary (see translationMemoryService).
  */
 class AITranslationService {
   constructor() {
@@ -120,13 +123,32 @@ class AITranslationService {
         };
       }
       
+      // Reviewed or earlier translations, and single glossary terms, skip the model
+      const remembered = await translationMemoryService.lookup(text, detectedLang, targetLang);
+      const glossaryTranslation = remembered ? null : await translationMemoryService.glossaryMatch(text, detectedLang, targetLang);
+      if (remembered || glossaryTranslation) {
+        return {
+          success: true,
+          original: text,
+          translated: remembered ? remembered.translatedText : glossaryTranslation,
+          source_lang: detectedLang,
+          target_lang: targetLang,
+          cached: true,
+          reviewed: remembered ? remembered.status !== 'unreviewed' : true,
+          processing_time_ms: Date.now() - startTime,
+          character_count: text.length,
+          timestamp: new Date()
+        };
+      }
+
       // Build translation prompt
-      const prompt = this.buildTranslationPrompt(text, detectedLang, targetLang);
+      const glossary = await translationMemoryService.termsFor(text, detectedLang, targetLang);
+      const prompt = this.buildTranslationPrompt(text, detectedLang, targetLang, glossary);
       
-      // Use Mistral for faster translation
-      const response = await ollamaService.generate(prompt, 'mistral:7b', {
+      // Fast translation model (Mistral by default)
+      const response = await llmService.generate('translation', prompt, {
         temperature: 0.3,
-        top_p: 0.9
+        topP: 0.9
       });
       
       if (!response.success) {
@@ -139,6 +161,9 @@ class AITranslationService {
       
       // Clean up the translation
       const translated = this.cleanTranslation(response.text);
+      if (translated) {
+        await translationMemoryService.store(text, detectedLang, targetLang, translated, { model: response.model });
+      }
       
       const duration = Date.now() - startTime;
       
@@ -150,6 +175,7 @@ class AITranslationService {
         target_lang: targetLang,
         processing_time_ms: duration,
         model_used: response.model,
+        cached: false,
         character_count: text.length,
         timestamp: new Date()
       };
@@ -203,8 +229,15 @@ class AITranslationService {
 
   /**
    * Build translation prompt
+   * @param {array} glossary - [{ term, translation }] found in the text
    */
-  buildTranslationPrompt(text, sourceLang, targetLang) {
+  buildTranslationPrompt(text, sourceLang, targetLang, glossary = []) {
+    const glossarySection = glossary.length > 0
+      ? `\nGLOSSARY (always translate these terms exactly like this):\n${glossary.map(({ term, translation }) => (
+        term === translation ? `- ${term} → keep as "${term}"` : `- ${term} → ${translation}`
+      )).join('\n')}\n`
+      : '';
+
     return `You are a professional translator specializing in Indian languages and civic/municipal terminology.
 
 TASK: Translate the following text from ${sourceLang} to ${targetLang}.
@@ -216,7 +249,7 @@ GUIDELINES:
 4. Preserve proper nouns (names, locations)
 5. Keep numbers and measurements unchanged
 6. For civic terms without direct translation, provide the closest equivalent with the English term in parentheses
-
+${glossarySection}
 SOURCE TEXT (${sourceLang}):
 ${text}
 
@@ -1,7 +1,8 @@
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
 const { franc } = require('franc');
 const aiVisionService = require('./aiVisionService');
 const geospatialService = require('./geospatialService');
+const storageService = require('./storageService');
 
 /**
  * AI Triage Service
@@ -29,7 +30,7 @@ class AITriageService {
 
     try {
       const startTime = Date.now();
-      const { description, title, category, location, images } = report;
+      const { description, title, category, location, images, analysisContext } = report;
       
       // 1. Detect language
       const detectedLanguage = this.detectLanguage(description);
@@ -38,17 +39,13 @@ class AITriageService {
       let imageAnalysis = null;
       if (images && images.length > 0 && process.env.ENABLE_AI_VISION === 'true') {
         try {
-          const imagePaths = images.map(img => {
-            // Handle both URL formats and file paths
-            if (img.url) {
-              return img.url.startsWith('/uploads/') 
-                ? `./uploads/${img.url.split('/uploads/')[1]}`
-                : img.url;
-            }
-            return img;
-          });
-          
-          imageAnalysis = await aiVisionService.extractTriageInfo(imagePaths);
+          // Handle both image records and stored URLs
+          const imageUrls = images.map(img => img.url || img);
+
+          imageAnalysis = await storageService.withLocalFiles(
+            imageUrls,
+            imagePaths => aiVisionService.extractTriageInfo(imagePaths)
+          );
           console.log('Image analysis completed:', imageAnalysis.success);
         } catch (visionError) {
           console.warn('Image analysis failed, continuing without it:', visionError.message);
@@ -76,11 +73,12 @@ class AITriageService {
         category, 
         location,
         imageAnalysis,
-        geoContext
+        geoContext,
+        analysisContext
       );
       
-      // 3. Call Llama3 for classification
-      const response = await ollamaService.generateJSON(prompt, 'llama3:8b');
+      // 3. Call the triage model for classification
+      const response = await llmService.generateJSON('triage', prompt);
       
       if (!response.success || !response.parsed) {
         return {
@@ -158,7 +156,7 @@ class AITriageService {
   /**
    * Build AI prompt for triage
    */
-  buildTriagePrompt(description, title, category, location, imageAnalysis = null, geoContext = null) {
+  buildTriagePrompt(description, title, category, location, imageAnalysis = null, geoContext = null, analysisContext = null) {
     const locationStr = location?.address || location?.landmark || 'Unknown location';
     
     // Add image analysis context if available
@@ -176,13 +174,20 @@ Detected Issues: ${imageAnalysis.issues?.join(', ') || 'None detected'}`;
 ${geoContext}`;
     }
     
+    // Add findings from earlier pipeline stages if available
+    let analysisContextStr = '';
+    if (analysisContext) {
+      analysisContextStr = `\n\nPRIOR ANALYSIS:
+${analysisContext}`;
+    }
+    
     return `You are an AI assistant for SwachhSetu, a civic hygiene monitoring platform in India. Analyze this citizen report and provide structured classification.
 
 REPORT DETAILS:
 Title: ${title}
 Description: ${description}
 Submitted Category: ${category}
-Location: ${locationStr}${imageContext}${geoContextStr}
+Location: ${locationStr}${imageContext}${geoContextStr}${analysisContextStr}
 
 TASK:
 Analyze the report and provide classification in the following JSON format:
@@ -1,15 +1,14 @@
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
 const path = require('path');
 const fs = require('fs').promises;
 
 /**
  * AI Vision Service
- * Image analysis and captioning using LLaVA model via Ollama
+ * Image analysis and captioning using the vision model (LLaVA by default)
  */
 class AIVisionService {
   constructor() {
     this.enabled = process.env.ENABLE_AI_VISION === 'true';
-    this.visionModel = process.env.OLLAMA_VISION_MODEL || 'llava:7b';
   }
 
   /**
@@ -37,7 +36,7 @@ class AIVisionService {
       // Build prompt
       const prompt = this.buildVisionPrompt(context);
 
-      // Call Ollama vision API
+      // Call vision model
       const response = await this.callVisionModel(prompt, base64Image);
 
       if (!response.success) {
@@ -56,7 +55,7 @@ class AIVisionService {
         issues_detected: response.issues || [],
         confidence: response.confidence || 0.8,
         processing_time_ms: duration,
-        model_used: this.visionModel
+        model_used: response.model
       };
 
     } catch (error) {
@@ -131,74 +130,50 @@ Respond in JSON format:
   }
 
   /**
-   * Call Ollama vision model
+   * Call the vision model
    */
   async callVisionModel(prompt, base64Image) {
     try {
-      // Check if vision model is available
-      const health = await ollamaService.healthCheck();
-      if (!health.models.some(m => m.name.includes('llava') || m.name.includes('vision'))) {
-        console.warn('Vision model not available. Please run: ollama pull llava:7b');
-        return {
-          success: false,
-          error: 'Vision model not available. Run: ollama pull llava:7b'
-        };
-      }
-
-      // Make API call to Ollama with image
-      const response = await fetch(`${ollamaService.baseURL}/api/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.visionModel,
-          prompt: prompt,
-          images: [base64Image],
-          stream: false,
-          options: {
-            temperature: 0.3,
-            top_p: 0.9
-          }
-        })
+      const response = await llmService.vision('vision', prompt, [base64Image], {
+        temperature: 0.3,
+        topP: 0.9
       });
 
-      if (!response.ok) {
-        throw new Error(`Vision API error: ${response.statusText}`);
+      if (!response.success) {
+        throw new Error(`Vision API error: ${response.error}`);
       }
 
-      const data = await response.json();
-      
       // Try to parse JSON response
       let parsedData;
       try {
         // Extract JSON from response
-        const jsonMatch = data.response.match(/\{[\s\S]*\}/);
+        const jsonMatch = response.text.match(/\{[\s\S]*\}/);
         if (jsonMatch) {
           parsedData = JSON.parse(jsonMatch[0]);
         } else {
           // Fallback: treat as plain text description
           parsedData = {
-            description: data.response,
+            description: response.text,
             issues: [],
             severity: 'medium',
-            analysis: data.response,
+            analysis: response.text,
             confidence: 0.7
           };
         }
       } catch (parseError) {
         console.warn('Failed to parse vision response as JSON, using plain text');
         parsedData = {
-          description: data.response,
+          description: response.text,
           issues: [],
           severity: 'medium',
-          analysis: data.response,
+          analysis: response.text,
           confidence: 0.7
         };
       }
 
       return {
         success: true,
+        model: response.model,
         ...parsedData
       };
 
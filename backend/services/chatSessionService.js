@@ -0,0 +1,218 @@
+const Redis = require('ioredis');
+const crypto = require('crypto');
+const redisConfig = require('../config/redis');
+
+const KEY_PREFIX = 'chatbot:';
+
+/**
+ * Chat Session Service
+ * Chatbot conversations stored in Redis, so they survive restarts and are
+ * shared by every backend instance. Each session belongs to an owner: a
+ * signed-in user ("user:<id>") or an anonymous token ("anon:<sha256>").
+ * Sessions expire CHATBOT_SESSION_TTL_HOURS after their last message.
+ */
+class ChatSessionService {
+  constructor() {
+    this.ttlSeconds = (parseInt(process.env.CHATBOT_SESSION_TTL_HOURS) || 24) * 60 * 60;
+    // Older messages are dropped; the prompt only uses the last few anyway
+    this.maxMessages = parseInt(process.env.CHATBOT_MAX_SESSION_MESSAGES) || 50;
+    // How long one reply may hold a session before another message can be sent
+    this.lockSeconds = 120;
+    this.client = null;
+  }
+
+  /**
+   * Redis client, connected on first use
+   */
+  get redis() {
+    if (!this.client) {
+      this.client = new Redis({ ...redisConfig, maxRetriesPerRequest: 2 });
+      this.client.on('error', (error) => {
+        console.error('Chat session store error:', error.message);
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * New token identifying an anonymous user's conversations
+   * @returns {string}
+   */
+  createAnonymousToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  /**
+   * Owner id for a signed-in user or an anonymous token
+   * @param {object} identity - { user, anonymousToken }
+   * @returns {string|null}
+   */
+  ownerFor({ user, anonymousToken } = {}) {
+    if (user) return `user:${user._id || user.id}`;
+    if (anonymousToken) return `anon:${crypto.createHash('sha256').update(anonymousToken).digest('hex')}`;
+    return null;
+  }
+
+  sessionKey(sessionId) {
+    return `${KEY_PREFIX}session:${sessionId}`;
+  }
+
+  ownerKey(owner) {
+    return `${KEY_PREFIX}owner:${owner}`;
+  }
+
+  /**
+   * Start a new session for an owner; it becomes the owner's current session
+   * @param {string} owner
+   * @returns {Promise<object>} Session
+   */
+  async create(owner) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      owner,
+      messages: [],
+      extractedData: {},
+      currentStep: 'greeting',
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.save(session);
+    return session;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<object|null>}
+   */
+  async get(sessionId) {
+    if (!sessionId || typeof sessionId !== 'string') return null;
+    const data = await this.redis.get(this.sessionKey(sessionId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * An owner's session, or their current one when no id is given. Anonymous
+   * sessions are handed over to the user who signs in and continues them.
+   * @param {string} sessionId - Optional
+   * @param {object} identity - { user, anonymousToken }
+   * @returns {Promise<object|null>} null if missing or owned by someone else
+   */
+  async getOwned(sessionId, identity) {
+    const owner = this.ownerFor(identity);
+    if (!owner) return null;
+
+    const id = sessionId || await this.redis.get(this.ownerKey(owner));
+    const session = await this.get(id);
+    if (!session) return null;
+    if (session.owner === owner) return session;
+
+    const anonymousOwner = identity.user && this.ownerFor({ anonymousToken: identity.anonymousToken });
+    if (anonymousOwner && session.owner === anonymousOwner) {
+      session.owner = owner;
+      await this.save(session);
+      return session;
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a session and refresh its expiry
+   * @param {object} session
+   */
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    if (session.messages.length > this.maxMessages) {
+      session.messages = session.messages.slice(-this.maxMessages);
+    }
+
+    await this.redis.multi()
+      .set(this.sessionKey(session.id), JSON.stringify(session), 'EX', this.ttlSeconds)
+      .set(this.ownerKey(session.owner), session.id, 'EX', this.ttlSeconds)
+      .exec();
+  }
+
+  /**
+   * Remove a session (and the owner's pointer to it)
+   * @param {object} session
+   */
+  async delete(session) {
+    const ownerKey = this.ownerKey(session.owner);
+    const current = await this.redis.get(ownerKey);
+    const pipeline = this.redis.multi().del(this.sessionKey(session.id));
+    if (current === session.id) pipeline.del(ownerKey);
+    await pipeline.exec();
+  }
+
+  /**
+   * Run fn while holding a session, so two instances can't reply to the
+   * same conversation at once
+   * @param {string} sessionId
+   * @param {Function} fn - async () => result
+   * @returns {Promise<object>} { locked: true } if busy, otherwise { result }
+   */
+  async withLock(sessionId, fn) {
+    const lockKey = `${KEY_PREFIX}lock:${sessionId}`;
+    const token = crypto.randomUUID();
+    const acquired = await this.redis.set(lockKey, token, 'EX', this.lockSeconds, 'NX');
+    if (!acquired) return { locked: true };
+
+    try {
+      return { result: await fn() };
+    } finally {
+      // Only release our own lock (it may have expired and been taken over)
+      if (await this.redis.get(lockKey) === token) {
+        await this.redis.del(lockKey);
+      }
+    }
+  }
+
+  /**
+   * Count a message against an owner's budget
+   * @param {string} owner
+   * @param {number} max - Messages allowed per window
+   * @param {number} windowSeconds
+   * @returns {Promise<boolean>} false once the budget is used up
+   */
+  async withinRateLimit(owner, max, windowSeconds) {
+    const key = `${KEY_PREFIX}rate:${owner}`;
+    const count = await this.redis.incr(key);
+    if (count === 1) {
+      await this.redis.expire(key, windowSeconds);
+    }
+    return count <= max;
+  }
+
+  /**
+   * Active sessions, for monitoring
+   * @param {number} limit - Sessions to describe
+   * @returns {Promise<object>} { activeSessions, sessions }
+   */
+  async getStats(limit = 50) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.redis.scan(cursor, 'MATCH', `${KEY_PREFIX}session:*`, 'COUNT', 200);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+
+    const sample = keys.length > 0 ? await this.redis.mget(keys.slice(0, limit)) : [];
+    const sessions = sample.filter(Boolean).map(data => {
+      const session = JSON.parse(data);
+      return {
+        id: session.id,
+        anonymous: session.owner.startsWith('anon:'),
+        messageCount: session.messages.length,
+        currentStep: session.currentStep,
+        hasData: Object.keys(session.extractedData).length > 0,
+        ageMinutes: Math.floor((Date.now() - new Date(session.createdAt)) / 60000)
+      };
+    });
+
+    return { activeSessions: keys.length, sessions };
+  }
+}
+
+module.exports = new ChatSessionService();
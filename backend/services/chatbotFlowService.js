@@ -0,0 +1,521 @@
+const geocodingService = require('./geocodingService');
+const { validate } = require('../utils/jsonSchema');
+
+const CATEGORIES = ['toilet', 'waste', 'restaurant', 'beach', 'street', 'park', 'water', 'other'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Details collected, in the order they are asked for
+const SLOTS = ['category', 'description', 'location', 'severity', 'photo'];
+
+const CATEGORY_LABELS = {
+  toilet: 'Public toilet',
+  waste: 'Garbage / waste',
+  restaurant: 'Restaurant hygiene',
+  beach: 'Beach or river',
+  street: 'Dirty street',
+  park: 'Park or garden',
+  water: 'Water quality',
+  other: 'Other'
+};
+
+const SEVERITY_LABELS = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  critical: 'Critical'
+};
+
+const SLOT_LABELS = {
+  category: 'Category',
+  description: 'Description',
+  location: 'Location',
+  severity: 'Severity',
+  photo: 'Photos'
+};
+
+// Suggestion chips; sent back verbatim they are understood without the model
+const CHIPS = {
+  yes: 'Yes',
+  no: 'No, change it',
+  useLocation: 'Use my current location',
+  addedPhoto: "I've added a photo",
+  skipPhoto: 'Skip photos',
+  submit: 'Submit report',
+  edit: 'Edit details'
+};
+
+const YES = /^(yes|y|yeah|yep|yup|correct|right|ok|okay|sure|haan|han|ha|ji|sahi|theek hai|submit report|हाँ|हां|जी|सही|ठीक है)$/;
+const NO = /^(no|n|nope|wrong|incorrect|nahi|nahin|no, change it|edit details|नहीं|नही|गलत)$/;
+
+/**
+ * What the model extracts from each user message. Sent to the provider as
+ * the structured output format and checked again on the way back.
+ */
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: ['provide', 'confirm', 'reject', 'edit', 'skip', 'other'] },
+    field: { type: ['string', 'null'], enum: [...SLOTS, null] },
+    category: { type: ['string', 'null'], enum: [...CATEGORIES, null] },
+    title: { type: ['string', 'null'], maxLength: 200 },
+    description: { type: ['string', 'null'], maxLength: 1000 },
+    place: { type: ['string', 'null'], maxLength: 300 },
+    landmark: { type: ['string', 'null'], maxLength: 200 },
+    severity: { type: ['string', 'null'], enum: [...SEVERITIES, null] }
+  },
+  required: ['intent'],
+  additionalProperties: false
+};
+
+/**
+ * Chatbot Flow Service
+ * Slot-filling state machine behind the report chatbot. The model only
+ * extracts structured fields from each message (EXTRACTION_SCHEMA); which
+ * question comes next, confirmations and the final review are decided here.
+ * Every slot is confirmed by the user before moving on, and the review ends
+ * in a payload POST /api/reports accepts as it is.
+ *
+ * State lives on the chat session: session.flow = { step, pending, slots }
+ * where each slot is { value, status: 'empty' | 'proposed' | 'confirmed' }.
+ */
+class ChatbotFlowService {
+  constructor() {
+    this.schema = EXTRACTION_SCHEMA;
+    this.slots = SLOTS;
+  }
+
+  initialFlow() {
+    return {
+      step: 'category',
+      // Slot whose proposed value the user was asked to confirm
+      pending: null,
+      // Slot the user just rejected (asked again with an apology)
+      retry: null,
+      // The user asked to change something at review and must say what
+      choosingEdit: false,
+      slots: Object.fromEntries(SLOTS.map(slot => [slot, { value: null, status: 'empty' }]))
+    };
+  }
+
+  /**
+   * Understand a message without the model when it is a suggestion chip or
+   * a plain yes/no
+   * @returns {object|null} Extraction, or null to ask the model
+   */
+  quickExtract(flow, message, context = {}) {
+    const text = message.trim().toLowerCase().replace(/[.!]+$/, '');
+    const labelOf = (labels) => Object.keys(labels).find(key => (
+      key === text || labels[key].toLowerCase() === text
+    ));
+
+    if (flow.choosingEdit) {
+      const field = labelOf(SLOT_LABELS);
+      if (field) return { intent: 'edit', field };
+    }
+    if (YES.test(text)) return { intent: 'confirm' };
+    if (NO.test(text)) return { intent: 'reject' };
+
+    if (text === CHIPS.useLocation.toLowerCase() && context.coordinates) {
+      return { intent: 'provide', useCoordinates: true };
+    }
+    if (text === CHIPS.addedPhoto.toLowerCase()) return { intent: 'provide', photoAdded: true };
+    if (text === CHIPS.skipPhoto.toLowerCase()) return { intent: 'skip' };
+
+    const category = labelOf(CATEGORY_LABELS);
+    if (category && (flow.step === 'category' || flow.pending === 'category')) return { intent: 'provide', category };
+
+    const severity = labelOf(SEVERITY_LABELS);
+    if (severity && (flow.step === 'severity' || flow.pending === 'severity')) return { intent: 'provide', severity };
+
+    return null;
+  }
+
+  /**
+   * Prompt asking the model to extract report details from one message
+   */
+  buildExtractionPrompt(session, message) {
+    const flow = session.flow;
+    const language = session.language?.name || 'English';
+    const asking = flow.pending
+      ? `asking the user to confirm the ${flow.pending}: ${JSON.stringify(flow.slots[flow.pending].value)}`
+      : flow.step === 'review'
+        ? 'showing the full report for review before submission'
+        : `asking for the ${flow.step}`;
+
+    const known = Object.fromEntries(SLOTS
+      .filter(slot => flow.slots[slot].value !== null)
+      .map(slot => [slot, flow.slots[slot].value]));
+
+    const history = session.messages
+      .slice(-5, -1)
+      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+      .join('\n');
+
+    return `You extract details for a civic hygiene report in India from a citizen's chat message.
+
+The assistant is currently ${asking}.
+
+DETAILS SO FAR:
+${JSON.stringify(known, null, 2)}
+
+RECENT CONVERSATION:
+${history || '(none)'}
+
+USER MESSAGE (${language}):
+"""${message}"""
+
+Return a JSON object with:
+- intent: "confirm" if the user agrees with what they were asked to confirm, "reject" if they say it is wrong, "edit" if they want to change a detail they gave earlier, "skip" if they want to skip the current question, "provide" if they give report details, otherwise "other"
+- field: for "edit", which detail: ${SLOTS.join('|')}
+- category: ${CATEGORIES.join('|')}
+- title: a short title for the problem in ${language} (max 80 characters)
+- description: what the problem is, in the user's words and language
+- place: the street, area, address or landmark where it is
+- landmark: a nearby landmark, if one is named separately
+- severity: ${SEVERITIES.join('|')}, only if the user says how serious or urgent it is
+
+Use null for anything the message doesn't mention. Never invent details.`;
+  }
+
+  /**
+   * Parse the model's extraction and drop fields that fail the schema
+   * @param {string} text - Model output ('' if the model failed)
+   * @returns {object} Extraction (intent "other" when unusable)
+   */
+  parseExtraction(text) {
+    let json;
+    try {
+      const match = (text || '').match(/\{[\s\S]*\}/);
+      json = match ? JSON.parse(match[0]) : null;
+    } catch {
+      json = null;
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      return { intent: 'other' };
+    }
+
+    const { errors } = validate(EXTRACTION_SCHEMA, json);
+    if (errors.length > 0) {
+      console.warn('Chatbot extraction failed validation:', errors.map(e => `${e.path} ${e.message}`).join('; '));
+      errors.forEach(({ path }) => delete json[path.split(/[.[]/)[0]]);
+    }
+
+    return { ...json, intent: json.intent || 'other' };
+  }
+
+  /**
+   * Slot values given in this turn
+   */
+  async valuesFrom(flow, message, extraction, context) {
+    const values = {};
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    // The plain answer to the question being asked counts even if the model missed it
+    const answering = (slot) => !flow.pending && flow.step === slot && ['provide', 'other'].includes(extraction.intent);
+
+    // Without the model, a category named in the answer is enough
+    const namedCategory = answering('category')
+      ? CATEGORIES.find(category => category !== 'other' && new RegExp(`\\b${category}`, 'i').test(message))
+      : null;
+    if (extraction.category || namedCategory) values.category = extraction.category || namedCategory;
+    if (extraction.severity) values.severity = extraction.severity;
+
+    const description = text(extraction.description) || (answering('description') && message.length >= 10 ? message : null);
+    if (description) {
+      values.description = { text: description.slice(0, 1000), title: text(extraction.title)?.slice(0, 200) || null };
+    }
+
+    if (extraction.useCoordinates) {
+      values.location = await this.locationAt(context.coordinates);
+    } else {
+      const place = text(extraction.place) || (answering('location') ? message : null);
+      if (place) values.location = await this.locationFor(place, text(extraction.landmark));
+    }
+
+    if (extraction.photoAdded) values.photo = { count: context.photoCount || 0 };
+
+    return values;
+  }
+
+  /**
+   * Report location for a place the user named
+   */
+  async locationFor(place, landmark) {
+    let found = null;
+    try {
+      found = await geocodingService.locate(place);
+    } catch (error) {
+      console.warn('Chatbot geocoding failed:', error.message);
+    }
+
+    return {
+      query: place,
+      address: found?.address || place,
+      landmark: landmark || null,
+      coordinates: found?.coordinates || null
+    };
+  }
+
+  /**
+   * Report location for the user's GPS position
+   */
+  async locationAt([lng, lat]) {
+    let address = null;
+    try {
+      address = (await geocodingService.reverse(lat, lng))?.display_name || null;
+    } catch (error) {
+      console.warn('Chatbot reverse geocoding failed:', error.message);
+    }
+
+    return {
+      query: null,
+      address: address || `${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+      landmark: null,
+      coordinates: [lng, lat]
+    };
+  }
+
+  /**
+   * Apply one user message to the flow and decide the reply
+   * @param {object} session - Chat session; session.flow is updated
+   * @param {string} message - The user's message
+   * @param {object} extraction - From quickExtract or parseExtraction
+   * @param {object} context - { photoCount, coordinates }
+   * @returns {Promise<object>} { message, suggestions }
+   */
+  async handleTurn(session, message, extraction, context = {}) {
+    const flow = session.flow || (session.flow = this.initialFlow());
+    const values = await this.valuesFrom(flow, message, extraction, context);
+    const { intent } = extraction;
+    const propose = (slot, value) => {
+      flow.slots[slot] = { value, status: 'proposed' };
+    };
+
+    flow.retry = null;
+
+    if (intent === 'edit' && SLOTS.includes(extraction.field)) {
+      // Start that detail over
+      flow.slots[extraction.field] = { value: null, status: 'empty' };
+      flow.pending = null;
+      flow.choosingEdit = false;
+      if (flow.step === 'review' || flow.step === 'complete') flow.step = extraction.field;
+    } else if (flow.pending) {
+      const slot = flow.pending;
+      if (values[slot] !== undefined) {
+        // A corrected value: confirm that one instead
+        propose(slot, values[slot]);
+      } else if (intent === 'confirm') {
+        flow.slots[slot].status = 'confirmed';
+        flow.pending = null;
+      } else if (intent === 'reject') {
+        flow.slots[slot] = { value: null, status: 'empty' };
+        flow.pending = null;
+        flow.retry = slot;
+      }
+    } else if (flow.step === 'review') {
+      if (intent === 'confirm') {
+        flow.step = 'complete';
+      } else if (intent === 'reject' || intent === 'edit') {
+        flow.choosingEdit = true;
+      }
+    } else if (intent === 'skip' && flow.step === 'photo') {
+      flow.slots.photo = { value: { count: 0, skipped: true }, status: 'confirmed' };
+    } else if (intent === 'skip' && flow.step === 'severity') {
+      flow.slots.severity = { value: 'medium', status: 'confirmed' };
+    }
+
+    // Details given ahead of their question are kept for confirmation later
+    Object.entries(values).forEach(([slot, value]) => {
+      if (slot === flow.pending || flow.slots[slot].status === 'confirmed') return;
+      if (slot === 'photo') {
+        flow.slots.photo = { value, status: 'confirmed' };
+      } else {
+        propose(slot, value);
+      }
+    });
+
+    return this.next(flow, context);
+  }
+
+  /**
+   * The next question, confirmation or review
+   */
+  next(flow, context = {}) {
+    if (flow.step === 'complete') {
+      return {
+        message: 'Your report is ready. Check the form, add photos if you haven\'t yet, and submit it.',
+        suggestions: []
+      };
+    }
+
+    if (flow.choosingEdit) {
+      return {
+        message: 'Which detail would you like to change?',
+        suggestions: SLOTS.map(slot => SLOT_LABELS[slot])
+      };
+    }
+
+    let notice = '';
+    for (const slot of SLOTS) {
+      const state = flow.slots[slot];
+      if (state.status === 'confirmed') continue;
+
+      // Photos are added in the form; nothing to ask if there already are some
+      if (slot === 'photo' && context.photoCount > 0) {
+        flow.slots.photo = { value: { count: context.photoCount }, status: 'confirmed' };
+        notice = `I can see ${context.photoCount} photo${context.photoCount === 1 ? '' : 's'} attached. `;
+        continue;
+      }
+
+      flow.step = slot;
+      if (state.status === 'proposed') {
+        flow.pending = slot;
+        return { message: notice + this.confirmation(slot, state.value), suggestions: [CHIPS.yes, CHIPS.no] };
+      }
+
+      flow.pending = null;
+      const question = this.question(slot);
+      return {
+        message: notice + (flow.retry === slot ? 'Sorry about that. ' : '') + question.message,
+        suggestions: question.suggestions
+      };
+    }
+
+    flow.step = 'review';
+    flow.pending = null;
+    return {
+      message: `${notice}Here is your report:\n${this.summary(flow)}\n\nShall I prepare it for submission?`,
+      suggestions: [CHIPS.submit, CHIPS.edit]
+    };
+  }
+
+  question(slot) {
+    switch (slot) {
+      case 'category':
+        return { message: 'What kind of problem would you like to report?', suggestions: Object.values(CATEGORY_LABELS) };
+      case 'description':
+        return { message: 'Please describe the problem. What is it, and how long has it been there?', suggestions: [] };
+      case 'location':
+        return { message: 'Where is it? Tell me the street, area or a nearby landmark.', suggestions: [CHIPS.useLocation] };
+      case 'severity':
+        return { message: 'How serious is it?', suggestions: Object.values(SEVERITY_LABELS) };
+      default:
+        return {
+          message: 'A photo helps the team act faster. Please add one in the photo section of the form.',
+          suggestions: [CHIPS.addedPhoto, CHIPS.skipPhoto]
+        };
+    }
+  }
+
+  confirmation(slot, value) {
+    switch (slot) {
+      case 'category':
+        return `Got it: ${CATEGORY_LABELS[value]}. Is that right?`;
+      case 'description':
+        return `I've noted: "${value.text}". Is that right?`;
+      case 'location':
+        return value.coordinates
+          ? `I found this location: ${value.address}. Is that right?`
+          : `I couldn't find "${value.query}" on the map, so I'll use it as the address. You can pin the exact spot on the map in the form. Is the address right?`;
+      case 'severity':
+        return `Severity: ${SEVERITY_LABELS[value]}. Is that right?`;
+      default:
+        return 'Is that right?';
+    }
+  }
+
+  summary(flow) {
+    const { category, description, location, severity, photo } = this.values(flow);
+    return [
+      `• Category: ${CATEGORY_LABELS[category]}`,
+      `• Title: ${this.title(description)}`,
+      `• Description: ${description.text}`,
+      `• Location: ${location.address}${location.landmark ? ` (near ${location.landmark})` : ''}`,
+      `• Severity: ${SEVERITY_LABELS[severity]}`,
+      `• Photos: ${photo?.count ? photo.count : 'none'}`
+    ].join('\n');
+  }
+
+  values(flow) {
+    return Object.fromEntries(SLOTS.map(slot => [slot, flow.slots[slot].value]));
+  }
+
+  title(description) {
+    if (description.title) return description.title;
+    const firstSentence = description.text.split(/[.!?\n]/)[0].trim();
+    return firstSentence.length > 80 ? `${firstSentence.slice(0, 77)}...` : firstSentence;
+  }
+
+  /**
+   * Values with their English version (see aiChatbotService.normalize) in
+   * place of the user's words, where there is one
+   */
+  englishValues(flow) {
+    const values = this.values(flow);
+    ['description', 'location'].forEach(slot => {
+      if (values[slot]?.english) values[slot] = { ...values[slot], ...values[slot].english };
+    });
+    return values;
+  }
+
+  /**
+   * Flat view of every value collected so far (confirmed or not), as the
+   * UI and drafts use it
+   * @param {object} options - { english: use the English versions }
+   */
+  extractedData(flow, options = {}) {
+    const { category, description, location, severity, photo } = options.english ? this.englishValues(flow) : this.values(flow);
+    const data = {};
+    if (category) data.category = category;
+    if (description) {
+      data.title = this.title(description);
+      data.description = description.text;
+    }
+    if (location) {
+      data.location = location.address;
+      if (location.landmark) data.landmark = location.landmark;
+      if (location.coordinates) data.coordinates = location.coordinates;
+    }
+    if (severity) data.severity = severity;
+    if (photo) data.photos = photo.count;
+    return data;
+  }
+
+  /**
+   * Each slot's value and whether the user confirmed it
+   */
+  slotStatus(flow) {
+    return Object.fromEntries(SLOTS.map(slot => [slot, flow.slots[slot].status]));
+  }
+
+  /**
+   * Body for POST /api/reports once the review is confirmed, in English.
+   * Coordinates are left out when the place couldn't be found, so the
+   * form's map pin is used. A conversation in another language also
+   * carries the user's own words as `original`.
+   * @param {object} flow
+   * @param {object} language - Session language { code, name }
+   * @returns {object|null}
+   */
+  reportPayload(flow, language) {
+    if (flow.step !== 'complete') return null;
+    const { category, description, location, severity } = this.englishValues(flow);
+    const original = this.values(flow).description;
+
+    return {
+      category,
+      title: this.title(description),
+      description: description.text,
+      severity,
+      location: {
+        ...(location.coordinates && { coordinates: location.coordinates }),
+        address: location.address,
+        landmark: location.landmark || ''
+      },
+      ...(original.english && {
+        original: { language: language?.name, title: this.title(original), description: original.text }
+      })
+    };
+  }
+}
+
+module.exports = new ChatbotFlowService();
@@ -0,0 +1,157 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../models/User');
+const aiChatbotService = require('./aiChatbotService');
+const chatSessionService = require('./chatSessionService');
+const { sanitizeChatMessage, sanitizeAIOutput } = require('../utils/sanitizer');
+
+/**
+ * Chatbot Stream Service
+ * Streams chatbot replies over Socket.IO as they are generated.
+ *
+ *   client → chatbot:message { requestId, sessionId, message, anonymousToken, photoCount, coordinates }
+ *   server → chatbot:start   { requestId, sessionId, anonymousToken? }
+ *            chatbot:partial { requestId, message, extractedData, suggestions }
+ *            chatbot:done    { requestId, ...same as POST /api/ai/chatbot/chat }
+ *            chatbot:error   { requestId, code, error }
+ *   client → chatbot:cancel  { sessionId }
+ *
+ * A new message on a session cancels the reply still streaming for it.
+ */
+class ChatbotStreamService {
+  constructor() {
+    // sessionId → { controller, done, socketId } for replies streaming on this instance
+    this.activeReplies = new Map();
+    // Same budget as the REST AI rate limiter
+    this.rateLimit = { max: 20, windowSeconds: 15 * 60 };
+  }
+
+  /**
+   * Register the chatbot events on every connection
+   * @param {object} io - Socket.IO server
+   */
+  initializeSocketIO(io) {
+    io.on('connection', (socket) => {
+      socket.on('chatbot:message', (payload) => this.handleMessage(socket, payload || {}));
+      socket.on('chatbot:cancel', (payload) => this.cancel(payload?.sessionId, socket));
+    });
+    console.log('✅ ChatbotStreamService: Socket.IO initialized');
+  }
+
+  /**
+   * User for the JWT the client connected with, if any
+   */
+  async userFor(socket) {
+    const token = socket.handshake.auth?.token;
+    if (!token) return null;
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+      return await User.findById(decoded.id).select('-password');
+    } catch (error) {
+      // An expired or invalid token is treated as anonymous
+      return null;
+    }
+  }
+
+  /**
+   * Rate limit bucket: the signed-in user, else the connection's address.
+   * Anonymous tokens are not used, since a client can drop or invent one
+   * to get a fresh budget.
+   */
+  rateLimitKey(socket, identity) {
+    if (identity.user) return chatSessionService.ownerFor(identity);
+    return `ip:${socket.handshake.address}`;
+  }
+
+  async handleMessage(socket, payload) {
+    const { sessionId, message, anonymousToken: clientToken, requestId = crypto.randomUUID() } = payload;
+    const fail = (code, error) => socket.emit('chatbot:error', { requestId, code, error });
+
+    try {
+      if (!aiChatbotService.enabled) {
+        return fail('DISABLED', 'Chatbot service is disabled');
+      }
+
+      let sanitizedMessage;
+      try {
+        sanitizedMessage = sanitizeChatMessage(message);
+      } catch (error) {
+        return fail('INVALID_MESSAGE', error.message);
+      }
+
+      const identity = { user: await this.userFor(socket), anonymousToken: clientToken || null };
+      let anonymousToken;
+      if (!identity.user && !identity.anonymousToken) {
+        anonymousToken = identity.anonymousToken = chatSessionService.createAnonymousToken();
+      }
+
+      if (!await chatSessionService.withinRateLimit(this.rateLimitKey(socket, identity), this.rateLimit.max, this.rateLimit.windowSeconds)) {
+        return fail('RATE_LIMITED', 'Too many messages, please try again later.');
+      }
+
+      let session;
+      if (sessionId) {
+        session = await aiChatbotService.resolveSession(sessionId, identity);
+        if (!session) {
+          return fail('SESSION_NOT_FOUND', 'Conversation not found or expired');
+        }
+      } else {
+        session = await aiChatbotService.startSession(identity);
+      }
+
+      // The user moved on: stop the previous reply and wait for it to release the session
+      await this.cancel(session.id);
+
+      socket.emit('chatbot:start', { requestId, sessionId: session.id, ...(anonymousToken && { anonymousToken }) });
+
+      const controller = new AbortController();
+      const done = aiChatbotService.chat(session, sanitizedMessage, {
+        context: aiChatbotService.chatContext(payload),
+        signal: controller.signal,
+        onPartial: (partial) => socket.emit('chatbot:partial', sanitizeAIOutput({ requestId, ...partial }))
+      });
+      const reply = { controller, done, socketId: socket.id };
+      this.activeReplies.set(session.id, reply);
+
+      // Nobody is left to read the reply
+      const onDisconnect = () => controller.abort();
+      socket.once('disconnect', onDisconnect);
+
+      let response;
+      try {
+        response = await done;
+      } finally {
+        socket.off('disconnect', onDisconnect);
+        if (this.activeReplies.get(session.id) === reply) {
+          this.activeReplies.delete(session.id);
+        }
+      }
+
+      if (response.success) {
+        socket.emit('chatbot:done', sanitizeAIOutput({ requestId, ...response }));
+      } else {
+        fail(response.code || 'FAILED', response.error);
+      }
+    } catch (error) {
+      console.error('Chatbot stream error:', error);
+      fail('FAILED', error.message);
+    }
+  }
+
+  /**
+   * Cancel the reply streaming for a session on this instance, if any
+   * @param {string} sessionId
+   * @param {object} socket - Only cancel replies streaming to this socket
+   * @returns {Promise<void>} Resolves once the reply has stopped
+   */
+  async cancel(sessionId, socket) {
+    const reply = this.activeReplies.get(sessionId);
+    if (!reply || (socket && reply.socketId !== socket.id)) return;
+
+    reply.controller.abort();
+    await reply.done.catch(() => {});
+  }
+}
+
+module.exports = new ChatbotStreamService();
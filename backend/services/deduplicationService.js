@@ -2,10 +2,11 @@
  * Semantic Data Deduplication Engine
  * 
  * Detects duplicate civic reports using:
- * - Semantic similarity analysis (AI-powered)
+ * - Embedding similarity to shortlist candidates
+ * - Semantic similarity analysis (AI-powered) of the shortlist
  * - Geospatial proximity (within configurable radius)
  * - Temporal analysis (submission time)
- * - Image similarity (perceptual hashing)
+ * - Image similarity (perceptual hashing): a shared photo boosts confidence
  * 
  * Prevents:
  * - Duplicate submissions by same/different users
@@ -13,25 +14,34 @@
  * - Redundant admin work
  */
 
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
+const reportEmbeddingService = require('./reportEmbeddingService');
+const imageHashService = require('./imageHashService');
 const Report = require('../models/Report');
 
 class DeduplicationService {
   constructor() {
     this.enabled = process.env.ENABLE_DEDUPLICATION !== 'false';
-    this.model = process.env.OLLAMA_PRIMARY_MODEL || 'llama3:8b';
     this.temperature = 0.2; // Low temperature for consistent similarity detection
     
     // Deduplication thresholds
     this.proximityRadiusMeters = parseInt(process.env.DUPLICATE_RADIUS_METERS) || 20;
     this.semanticThreshold = parseFloat(process.env.DUPLICATE_CONFIDENCE_THRESHOLD) || 0.90;
     this.timeWindowHours = parseInt(process.env.DUPLICATE_TIME_WINDOW_HOURS) || 72; // 3 days
+    
+    // Only candidates this similar (cosine) go to the LLM, at most topK of them
+    this.embeddingThreshold = parseFloat(process.env.DUPLICATE_EMBEDDING_THRESHOLD) || 0.75;
+    this.topK = parseInt(process.env.DUPLICATE_TOP_K) || 3;
+    this.scanBatchSize = parseInt(process.env.DUPLICATE_SCAN_BATCH_SIZE) || 200;
+    // Added to the LLM's confidence when both reports contain the same photo
+    this.imageMatchBoost = parseFloat(process.env.DUPLICATE_IMAGE_MATCH_BOOST) || 0.2;
   }
 
   /**
    * Check if a new report is a duplicate of existing reports
    * @param {Object} newReport - New report to check
-   * @param {Array} existingReports - Potential duplicate reports (within proximity)
+   * @param {Array} existingReports - Reports to compare against. When omitted, earlier
+   *   reports nearby are found and shortlisted by embedding similarity
    * @returns {Object} Deduplication result
    */
   async checkDuplicate(newReport, existingReports = null) {
@@ -46,9 +56,17 @@ class DeduplicationService {
       console.log('🔍 Checking for duplicate reports...');
       const startTime = Date.now();
 
-      // If no existing reports provided, find candidates
+      // If no existing reports provided, find candidates and shortlist them
+      let shortlist;
       if (!existingReports || existingReports.length === 0) {
         existingReports = await this._findNearbyReports(newReport);
+        shortlist = await this._shortlistCandidates(newReport, existingReports);
+      } else {
+        shortlist = existingReports.map(report => ({
+          report,
+          similarity: null,
+          imageMatch: imageHashService.matchImages(newReport.images, report.images)
+        }));
       }
 
       if (existingReports.length === 0) {
@@ -63,17 +81,31 @@ class DeduplicationService {
         };
       }
 
-      console.log(`  Found ${existingReports.length} nearby report(s) to check`);
+      if (shortlist.length === 0) {
+        return {
+          success: true,
+          is_duplicate: false,
+          confidence_score: 0.0,
+          merge_recommendation: 'Keep Separate',
+          rationale: 'No nearby report is textually similar',
+          candidates_checked: existingReports.length,
+          candidates_compared: 0,
+          processing_time_ms: Date.now() - startTime
+        };
+      }
+
+      console.log(`  Found ${existingReports.length} nearby report(s), comparing ${shortlist.length}`);
 
-      // Analyze each candidate
+      // Analyze each shortlisted candidate
       const analyses = [];
-      for (const existingReport of existingReports) {
-        const analysis = await this._analyzeSemanticSimilarity(
-          newReport,
-          existingReport
+      for (const { report: existingReport, similarity, imageMatch } of shortlist) {
+        const analysis = this._applyImageEvidence(
+          await this._analyzeSemanticSimilarity(newReport, existingReport),
+          imageMatch
         );
         analyses.push({
           existingReportId: existingReport._id,
+          embedding_similarity: similarity,
           ...analysis
         });
 
@@ -96,6 +128,7 @@ class DeduplicationService {
         rationale: bestMatch.rationale,
         duplicate_of: bestMatch.is_duplicate ? bestMatch.existingReportId : null,
         candidates_checked: existingReports.length,
+        candidates_compared: analyses.length,
         all_matches: analyses,
         processing_time_ms: Date.now() - startTime
       };
@@ -110,7 +143,7 @@ class DeduplicationService {
   }
 
   /**
-   * Find nearby reports within proximity radius
+   * Find earlier reports within the proximity radius and time window
    */
   async _findNearbyReports(newReport) {
     if (!newReport.location || !newReport.location.coordinates) {
@@ -119,6 +152,7 @@ class DeduplicationService {
     }
 
     const [lng, lat] = newReport.location.coordinates;
+    const submittedAt = newReport.createdAt ? new Date(newReport.createdAt) : new Date();
 
     // Find reports within radius using MongoDB geospatial query
     const nearbyReports = await Report.find({
@@ -133,14 +167,77 @@ class DeduplicationService {
       },
       status: { $in: ['pending', 'in-progress', 'resolved'] }, // Check active reports
       createdAt: {
-        $gte: new Date(Date.now() - this.timeWindowHours * 60 * 60 * 1000) // Within time window
+        // Within the time window before this report
+        $gte: new Date(submittedAt.getTime() - this.timeWindowHours * 60 * 60 * 1000),
+        $lte: submittedAt
       },
       _id: { $ne: newReport._id } // Exclude the new report itself
-    }).limit(10); // Limit to 10 closest reports
+    })
+      .select('+textEmbedding.vector')
+      .limit(10); // Limit to 10 closest reports
 
     return nearbyReports;
   }
 
+  /**
+   * Pick the candidates worth an LLM comparison: the topK most similar by
+   * embedding, above embeddingThreshold. Without embeddings, the topK closest.
+   * Candidates sharing a photo with the report always make the list.
+   * @returns {Promise<Array>} [{ report, similarity, imageMatch }]
+   */
+  async _shortlistCandidates(newReport, candidates) {
+    if (candidates.length === 0) return [];
+
+    const vector = await reportEmbeddingService.getVector(newReport);
+    if (vector) {
+      await reportEmbeddingService.ensureEmbeddings(candidates);
+    }
+
+    const embedded = Boolean(vector) && candidates.every(candidate => reportEmbeddingService.hasEmbedding(candidate));
+    if (!embedded) {
+      console.log('  ⚠️ Embeddings unavailable, comparing the closest reports');
+    }
+
+    const ranked = candidates.map((report, index) => ({
+      report,
+      similarity: embedded ? reportEmbeddingService.cosineSimilarity(vector, report.textEmbedding.vector) : null,
+      imageMatch: imageHashService.matchImages(newReport.images, report.images),
+      index
+    }));
+
+    const byImage = ranked.filter(candidate => candidate.imageMatch);
+    const byText = ranked
+      .filter(candidate => !candidate.imageMatch && (!embedded || candidate.similarity >= this.embeddingThreshold))
+      // Most similar first, or closest first (the $near order) without embeddings
+      .sort((a, b) => (embedded ? b.similarity - a.similarity : a.index - b.index));
+
+    return [...byImage.sort((a, b) => a.imageMatch.distance - b.imageMatch.distance), ...byText]
+      .slice(0, Math.max(this.topK, byImage.length))
+      .map(({ index, ...candidate }) => candidate);
+  }
+
+  /**
+   * Raise the LLM's confidence when the two reports contain the same photo
+   * @param {object} analysis - From _analyzeSemanticSimilarity
+   * @param {object} imageMatch - From imageHashService.matchImages
+   * @returns {object} Analysis
+   */
+  _applyImageEvidence(analysis, imageMatch) {
+    if (!imageMatch) return analysis;
+
+    const confidence = Math.min(1, analysis.confidence_score + this.imageMatchBoost);
+    const isDuplicate = analysis.is_duplicate || confidence >= this.semanticThreshold;
+
+    return {
+      ...analysis,
+      is_duplicate: isDuplicate,
+      confidence_score: Number(confidence.toFixed(2)),
+      merge_recommendation: isDuplicate ? 'Merge' : analysis.merge_recommendation,
+      rationale: `${analysis.rationale} Both reports include a near-identical photo (${imageMatch.distance}/64 bits differ).`,
+      image_match: imageMatch
+    };
+  }
+
   /**
    * Analyze semantic similarity between two reports using AI
    */
@@ -152,22 +249,22 @@ class DeduplicationService {
         this._formatReportForAnalysis(newReport)
       );
 
-      // Call Llama3 for semantic analysis
-      const response = await ollamaService.generateResponse(
-        this.model,
-        prompt,
-        {
-          temperature: this.temperature,
-          top_p: 0.9
-        }
-      );
+      // Semantic comparison (Llama3 by default)
+      const response = await llmService.generate('deduplication', prompt, {
+        temperature: this.temperature,
+        topP: 0.9
+      });
 
-      if (!response || !response.response) {
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      if (!response.text) {
         throw new Error('Empty response from language model');
       }
 
       // Parse and validate response
-      const parsed = this._parseDeduplicationResponse(response.response);
+      const parsed = this._parseDeduplicationResponse(response.text);
 
       return parsed;
 
@@ -437,7 +534,8 @@ Now analyze the provided reports and return ONLY the JSON object (no markdown, n
 
   /**
    * Find all duplicates in the database
-   * Useful for batch cleanup/auditing
+   * Useful for batch cleanup/auditing. Reports are streamed in batches and
+   * only embedding-shortlisted pairs reach the LLM, so large scans stay fast.
    */
   async findAllDuplicates(options = {}) {
     const { 
@@ -449,42 +547,61 @@ Now analyze the provided reports and return ONLY the JSON object (no markdown, n
 
     try {
       console.log('🔍 Scanning database for duplicate reports...');
+      const startTime = Date.now();
 
       const query = { status: { $in: status } };
       if (category) query.category = category;
       if (startDate) query.createdAt = { $gte: new Date(startDate) };
 
-      const reports = await Report.find(query)
+      const cursor = Report.find(query)
+        .select('+textEmbedding.vector')
         .sort({ createdAt: -1 })
-        .limit(limit);
-
-      console.log(`  Found ${reports.length} reports to analyze`);
+        .limit(limit)
+        .cursor({ batchSize: this.scanBatchSize });
 
       const duplicatePairs = [];
-
-      for (let i = 0; i < reports.length; i++) {
-        const result = await this.checkDuplicate(reports[i]);
-        
-        if (result.is_duplicate && result.duplicate_of) {
-          duplicatePairs.push({
-            newReport: reports[i]._id,
-            existingReport: result.duplicate_of,
-            confidence: result.confidence_score,
-            rationale: result.rationale
-          });
+      let scanned = 0;
+      let embeddingsComputed = 0;
+      let comparisons = 0;
+      let batch = [];
+
+      const scanBatch = async () => {
+        // Embed the whole batch in a few requests instead of one per report
+        embeddingsComputed += await reportEmbeddingService.ensureEmbeddings(batch);
+
+        for (const report of batch) {
+          const result = await this.checkDuplicate(report);
+          comparisons += result.candidates_compared || 0;
+
+          if (result.is_duplicate && result.duplicate_of) {
+            duplicatePairs.push({
+              newReport: report._id,
+              existingReport: result.duplicate_of,
+              confidence: result.confidence_score,
+              rationale: result.rationale
+            });
+          }
         }
 
-        // Progress indicator
-        if ((i + 1) % 10 === 0) {
-          console.log(`  Progress: ${i + 1}/${reports.length} reports checked`);
-        }
+        scanned += batch.length;
+        console.log(`  Progress: ${scanned} reports checked, ${comparisons} LLM comparisons`);
+        batch = [];
+      };
+
+      for await (const report of cursor) {
+        batch.push(report);
+        if (batch.length >= this.scanBatchSize) await scanBatch();
       }
+      if (batch.length > 0) await scanBatch();
 
       return {
         success: true,
-        total_scanned: reports.length,
+        total_scanned: scanned,
+        embeddings_computed: embeddingsComputed,
+        llm_comparisons: comparisons,
         duplicates_found: duplicatePairs.length,
-        duplicate_pairs: duplicatePairs
+        duplicate_pairs: duplicatePairs,
+        processing_time_ms: Date.now() - startTime
       };
 
     } catch (error) {
@@ -1,4 +1,5 @@
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
+const imageMetadataService = require('./imageMetadataService');
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
@@ -11,7 +12,6 @@ const path = require('path');
 class ForensicImageAnalyzer {
   constructor() {
     this.enabled = process.env.ENABLE_FORENSIC_ANALYSIS !== 'false';
-    this.visionModel = process.env.OLLAMA_VISION_MODEL || 'llava:7b';
     
     // Spam detection patterns
     this.spamIndicators = {
@@ -136,6 +136,8 @@ class ForensicImageAnalyzer {
         };
       }
 
+      const exif = await imageMetadataService.read(imagePath);
+
       return {
         valid: true,
         metadata: {
@@ -143,7 +145,8 @@ class ForensicImageAnalyzer {
           height: metadata.height,
           format: metadata.format,
           size_mb: fileSizeMB.toFixed(2),
-          aspect_ratio: aspectRatio.toFixed(2)
+          aspect_ratio: aspectRatio.toFixed(2),
+          exif: imageMetadataService.summarize(exif)
         }
       };
 
@@ -169,15 +172,10 @@ class ForensicImageAnalyzer {
       const prompt = this.buildForensicPrompt();
 
       // Call vision model
-      const response = await ollamaService.generateWithVision(
-        prompt,
-        base64Image,
-        this.visionModel,
-        {
-          temperature: 0.1, // Low temperature for consistent analysis
-          top_p: 0.9
-        }
-      );
+      const response = await llmService.vision('vision', prompt, [base64Image], {
+        temperature: 0.1, // Low temperature for consistent analysis
+        topP: 0.9
+      });
 
       if (!response.success) {
         throw new Error('Vision model failed: ' + response.error);
@@ -0,0 +1,66 @@
+/**
+ * Geocoding Service
+ * Address search and reverse lookup through Nominatim (OpenStreetMap).
+ * Used by the /api/geocoding proxy and by the chatbot to place the
+ * locations users mention.
+ */
+class GeocodingService {
+  constructor() {
+    this.baseURL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+    this.headers = {
+      'User-Agent': 'SwachhSetu/1.0 (Hygiene Reporting App)',
+      'Accept': 'application/json'
+    };
+  }
+
+  async request(path, params) {
+    // Use dynamic import for node-fetch (ESM module)
+    const fetch = (await import('node-fetch')).default;
+    const query = new URLSearchParams({ format: 'json', ...params });
+
+    const response = await fetch(`${this.baseURL}${path}?${query}`, { headers: this.headers });
+    if (!response.ok) {
+      throw new Error(`Nominatim returned ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Search for a place
+   * @param {string} q - Free-text address or place name
+   * @param {object} options - { limit }
+   * @returns {Promise<array>} Nominatim results
+   */
+  async search(q, options = {}) {
+    return this.request('/search', {
+      q,
+      ...(options.limit && { limit: options.limit })
+    });
+  }
+
+  /**
+   * Address at a point
+   * @returns {Promise<object>} Nominatim result
+   */
+  async reverse(lat, lon) {
+    return this.request('/reverse', { lat, lon });
+  }
+
+  /**
+   * Best match for a place as a report location
+   * @param {string} q
+   * @returns {Promise<object|null>} { address, coordinates: [lng, lat] }
+   */
+  async locate(q) {
+    const [result] = await this.search(q, { limit: 1 });
+    if (!result) return null;
+
+    return {
+      address: result.display_name,
+      coordinates: [parseFloat(result.lon), parseFloat(result.lat)]
+    };
+  }
+}
+
+module.exports = new GeocodingService();
@@ -1,4 +1,5 @@
 const Report = require('../models/Report');
+const wardService = require('./wardService');
 
 /**
  * Geospatial Context Service
@@ -77,32 +78,30 @@ class GeospatialService {
 
   /**
    * Get ward/zone information from coordinates
-   * This is a placeholder - implement based on your city's ward boundaries
-   * You can use:
-   * - GeoJSON polygon matching
-   * - Reverse geocoding API
-   * - Pre-defined ward boundaries in DB
+   * @param {Array} coordinates - [longitude, latitude]
+   * @returns {Promise<object>} Ward containing the point, or ward: null if outside all wards
    */
   async getWardInfo(coordinates) {
     try {
-      const [lng, lat] = coordinates;
-
-      // TODO: Implement ward lookup based on your city's data
-      // Options:
-      // 1. Store ward boundaries as GeoJSON in MongoDB
-      // 2. Use external geocoding API (Google Maps, OpenStreetMap)
-      // 3. Use pre-computed ward assignments
+      const ward = await wardService.findWardForLocation(coordinates);
+
+      if (!ward) {
+        return {
+          success: true,
+          ward: null,
+          note: 'Location is outside all known ward boundaries'
+        };
+      }
 
-      // Placeholder implementation
       return {
         success: true,
         ward: {
-          id: 'WARD_001', // Replace with actual ward lookup
-          name: 'Ward 1',
-          zone: 'Zone A',
-          officer: null // Can add ward officer info
-        },
-        note: 'Ward lookup not implemented - using placeholder'
+          _id: ward._id,
+          id: ward.code,
+          name: ward.name,
+          zone: ward.zone,
+          officer: ward.officer?.name ? ward.officer : null
+        }
       };
 
     } catch (error) {
@@ -171,7 +170,7 @@ class GeospatialService {
 
     // Ward info
     if (context.ward) {
-      parts.push(`Ward: ${context.ward.name} (${context.ward.zone})`);
+      parts.push(`Ward: ${context.ward.name}${context.ward.zone ? ` (${context.ward.zone})` : ''}`);
     }
 
     // Nearby reports
@@ -11,7 +11,8 @@
  * - ❌ Invalid: Garbage dump photo in bedroom
  */
 
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
+const imageMetadataService = require('./imageMetadataService');
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
@@ -19,7 +20,6 @@ const path = require('path');
 class GeospatialVerificationService {
   constructor() {
     this.enabled = process.env.ENABLE_GEOSPATIAL_VERIFICATION !== 'false';
-    this.visionModel = process.env.OLLAMA_VISION_MODEL || 'llava:7b';
     this.temperature = 0.1; // Low temperature for consistent verification
   }
 
@@ -91,17 +91,19 @@ class GeospatialVerificationService {
   }
 
   /**
-   * Extract image metadata using Sharp
+   * Extract image metadata using Sharp, plus the EXIF summary
    */
   async _extractMetadata(imagePath) {
     try {
       const metadata = await sharp(imagePath).metadata();
+      const exif = await imageMetadataService.read(imagePath);
       return {
         width: metadata.width,
         height: metadata.height,
         format: metadata.format,
         hasAlpha: metadata.hasAlpha,
-        space: metadata.space
+        space: metadata.space,
+        exif: imageMetadataService.summarize(exif)
       };
     } catch (error) {
       console.error('⚠️ Metadata extraction failed:', error.message);
@@ -121,23 +123,22 @@ class GeospatialVerificationService {
       // Build verification prompt
       const prompt = this._buildVerificationPrompt(reportCategory);
 
-      // Call LLaVA vision model
-      const response = await ollamaService.generateVisionResponse(
-        this.visionModel,
-        prompt,
-        base64Image,
-        {
-          temperature: this.temperature,
-          top_p: 0.9
-        }
-      );
+      // Call the vision model (LLaVA by default)
+      const response = await llmService.vision('vision', prompt, [base64Image], {
+        temperature: this.temperature,
+        topP: 0.9
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
 
-      if (!response || !response.response) {
+      if (!response.text) {
         throw new Error('Empty response from vision model');
       }
 
       // Parse and validate response
-      const parsedResult = this._parseVerificationResponse(response.response);
+      const parsedResult = this._parseVerificationResponse(response.text);
 
       // Add metadata
       parsedResult.image_metadata = metadata;
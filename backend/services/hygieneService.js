@@ -0,0 +1,243 @@
+const POI = require('../models/POI');
+const Report = require('../models/Report');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VIOLATION_PENALTIES = {
+  minor: 2,
+  major: 5,
+  critical: 15
+};
+
+/**
+ * Restaurant Hygiene Service
+ * Scores restaurant POIs from inspection history and citizen reports
+ */
+class HygieneService {
+  constructor() {
+    this.halfLifeDays = parseInt(process.env.HYGIENE_SCORE_HALF_LIFE_DAYS || 365);
+    this.maxInspectionAgeDays = parseInt(process.env.HYGIENE_MAX_INSPECTION_AGE_DAYS || 365);
+    this.reportThreshold = parseInt(process.env.HYGIENE_REPORT_THRESHOLD || 3);
+    this.reportWindowDays = parseInt(process.env.HYGIENE_REPORT_WINDOW_DAYS || 30);
+    this.linkRadiusMeters = parseInt(process.env.HYGIENE_LINK_RADIUS_METERS || 75);
+  }
+
+  /**
+   * Score a single inspection from its checklist and violations
+   * @param {object} inspection - Inspection with checklist and violations
+   * @returns {number} Score between 0 and 100
+   */
+  calculateInspectionScore(inspection) {
+    const checklist = inspection.checklist || {};
+    const items = Object.values(checklist.toObject ? checklist.toObject() : checklist)
+      .filter(value => typeof value === 'number');
+
+    const base = items.length > 0
+      ? (items.reduce((sum, value) => sum + value, 0) / items.length) * 10
+      : 100;
+
+    const penalty = (inspection.violations || []).reduce(
+      (sum, violation) => sum + (VIOLATION_PENALTIES[violation.severity] || 0),
+      0
+    );
+
+    return Math.max(0, Math.min(100, Math.round(base - penalty)));
+  }
+
+  /**
+   * Compute the decayed hygiene score from an inspection history.
+   * Recent inspections weigh more, and the whole score drifts towards a
+   * neutral 50 as the latest inspection gets older.
+   * @param {Array} inspections - Inspections with score and inspectedAt
+   * @param {Date} now - Reference time
+   * @returns {number|null} Score between 0 and 100, or null if never inspected
+   */
+  computeScore(inspections, now = new Date()) {
+    if (!inspections || inspections.length === 0) return null;
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    let freshness = 0;
+
+    for (const inspection of inspections) {
+      const ageDays = Math.max(0, (now - new Date(inspection.inspectedAt)) / DAY_MS);
+      const weight = Math.pow(0.5, ageDays / this.halfLifeDays);
+      weightedSum += inspection.score * weight;
+      totalWeight += weight;
+      freshness = Math.max(freshness, weight);
+    }
+
+    const weightedScore = weightedSum / totalWeight;
+    return Math.round(50 + (weightedScore - 50) * freshness);
+  }
+
+  /**
+   * Map a score to its public band
+   * @param {number|null} score
+   * @returns {string} Score band
+   */
+  getScoreBand(score) {
+    if (score === null || score === undefined) return 'unrated';
+    if (score >= 85) return 'excellent';
+    if (score >= 70) return 'good';
+    if (score >= 50) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * Score range covered by a band, used for search
+   * @param {string} band
+   * @returns {object|null} { min, max } or null for unknown bands
+   */
+  getBandRange(band) {
+    const ranges = {
+      excellent: { min: 85, max: 100 },
+      good: { min: 70, max: 84 },
+      fair: { min: 50, max: 69 },
+      poor: { min: 0, max: 49 }
+    };
+    return ranges[band] || null;
+  }
+
+  /**
+   * Recompute score, band and needs-inspection flag on a restaurant POI.
+   * Does not save the document.
+   * @param {object} poi - Restaurant POI document
+   * @param {Date} now - Reference time
+   * @returns {Promise<object>} Updated hygiene subdocument
+   */
+  async refreshPOI(poi, now = new Date()) {
+    const inspections = poi.hygiene.inspections || [];
+    const score = this.computeScore(inspections, now);
+    const lastInspectedAt = inspections.reduce(
+      (latest, inspection) => (!latest || inspection.inspectedAt > latest ? inspection.inspectedAt : latest),
+      null
+    );
+
+    poi.hygiene.score = score === null ? undefined : score;
+    poi.hygiene.scoreBand = this.getScoreBand(score);
+    poi.hygiene.scoreUpdatedAt = now;
+    poi.hygiene.lastInspectedAt = lastInspectedAt || undefined;
+
+    // Citizen reports since the last inspection push the restaurant up the queue
+    const windowStart = new Date(now.getTime() - this.reportWindowDays * DAY_MS);
+    const since = lastInspectedAt && lastInspectedAt > windowStart ? lastInspectedAt : windowStart;
+    const recentReports = await Report.find({
+      poiId: poi._id,
+      category: 'restaurant',
+      status: { $ne: 'rejected' },
+      createdAt: { $gte: since }
+    }).select('severity').lean();
+
+    poi.hygiene.recentReportCount = recentReports.length;
+
+    const reasons = [];
+    if (!lastInspectedAt) {
+      reasons.push('Never inspected');
+    } else if ((now - lastInspectedAt) / DAY_MS > this.maxInspectionAgeDays) {
+      reasons.push(`Last inspection older than ${this.maxInspectionAgeDays} days`);
+    }
+    if (recentReports.length >= this.reportThreshold) {
+      reasons.push(`${recentReports.length} citizen reports since last inspection`);
+    }
+    if (recentReports.some(report => report.severity === 'critical')) {
+      reasons.push('Critical citizen report since last inspection');
+    }
+    if (score !== null && score < 50) {
+      reasons.push('Poor hygiene score');
+    }
+
+    poi.hygiene.needsInspection = reasons.length > 0;
+    poi.hygiene.needsInspectionReason = reasons.join('; ') || undefined;
+
+    return poi.hygiene;
+  }
+
+  /**
+   * Record a new inspection on a restaurant and refresh its score
+   * @param {object} poi - Restaurant POI document
+   * @param {object} inspectionData - Inspection fields from the request
+   * @returns {Promise<object>} The saved inspection
+   */
+  async addInspection(poi, inspectionData) {
+    const inspection = {
+      ...inspectionData,
+      inspectedAt: inspectionData.inspectedAt ? new Date(inspectionData.inspectedAt) : new Date()
+    };
+    inspection.score = this.calculateInspectionScore(inspection);
+
+    poi.hygiene.inspections.push(inspection);
+    await this.refreshPOI(poi);
+    await poi.save();
+
+    return poi.hygiene.inspections[poi.hygiene.inspections.length - 1];
+  }
+
+  /**
+   * Find the restaurant a citizen report refers to
+   * @param {object} report - Report document
+   * @param {string} poiId - Restaurant explicitly chosen by the reporter
+   * @returns {Promise<object|null>} Restaurant POI or null
+   */
+  async findRestaurantForReport(report, poiId) {
+    if (poiId) {
+      return POI.findOne({ _id: poiId, type: 'restaurant' });
+    }
+
+    const [lng, lat] = report.location?.coordinates || [0, 0];
+    if (lng === 0 && lat === 0) return null;
+
+    return POI.findOne({
+      type: 'restaurant',
+      isActive: true,
+      location: {
+        $near: {
+          $geometry: { type: 'Point', coordinates: [lng, lat] },
+          $maxDistance: this.linkRadiusMeters
+        }
+      }
+    });
+  }
+
+  /**
+   * Link a restaurant-category report to its POI and re-evaluate the
+   * needs-inspection flag
+   * @param {object} report - Report document (saved)
+   * @param {string} poiId - Optional POI id supplied by the reporter
+   * @returns {Promise<object|null>} Linked POI or null
+   */
+  async linkReport(report, poiId) {
+    if (report.category !== 'restaurant') return null;
+
+    const poi = await this.findRestaurantForReport(report, poiId);
+    if (!poi) return null;
+
+    report.poiId = poi._id;
+    await report.save();
+
+    await this.refreshPOI(poi);
+    await poi.save();
+
+    return poi;
+  }
+
+  /**
+   * Recompute stored scores for all restaurants so decay and search bands stay current
+   * @returns {Promise<number>} Number of restaurants refreshed
+   */
+  async refreshAllScores() {
+    const now = new Date();
+    let refreshed = 0;
+
+    const cursor = POI.find({ type: 'restaurant', isActive: true }).cursor();
+    for (let poi = await cursor.next(); poi; poi = await cursor.next()) {
+      await this.refreshPOI(poi, now);
+      await poi.save();
+      refreshed++;
+    }
+
+    return refreshed;
+  }
+}
+
+module.exports = new HygieneService();
@@ -0,0 +1,241 @@
+const sharp = require('sharp');
+const Report = require('../models/Report');
+const storageService = require('./storageService');
+
+const HASH_BANDS = 4;
+const EARTH_RADIUS_METERS = 6371000;
+
+// Bits set in each hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// cos((2x + 1) * u * PI / 64) for the 8 lowest DCT frequencies of a 32px row
+const DCT_COS = Array.from({ length: 8 }, (_, u) =>
+  Array.from({ length: 32 }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / 64))
+);
+
+const bitsToHex = (bits) => {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+};
+
+const metersBetween = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Image Hash Service
+ * Perceptual hashes (dHash and pHash, 64 bits each) of report photos.
+ * Near-identical photos have hashes a small Hamming distance apart, even
+ * after resizing or re-compression.
+ */
+class ImageHashService {
+  constructor() {
+    // Maximum differing bits (of 64) for two photos to count as the same
+    this.maxDistance = parseInt(process.env.IMAGE_HASH_MAX_DISTANCE) || 6;
+    // The same photo this far from where it was first reported is a recycled photo
+    this.reuseDistanceMeters = parseInt(process.env.IMAGE_REUSE_MIN_DISTANCE_METERS) || 200;
+  }
+
+  /**
+   * Difference hash: is each pixel brighter than its right neighbour (9x8 grayscale)
+   * @param {string} imagePath
+   * @returns {Promise<string>} 16 hex digits
+   */
+  async dHash(imagePath) {
+    const pixels = await sharp(imagePath)
+      .rotate()
+      .resize(9, 8, { fit: 'fill' })
+      .grayscale()
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+      }
+    }
+    return bitsToHex(bits);
+  }
+
+  /**
+   * Perceptual hash: low-frequency DCT coefficients of a 32x32 grayscale
+   * image compared with their median
+   * @param {string} imagePath
+   * @returns {Promise<string>} 16 hex digits
+   */
+  async pHash(imagePath) {
+    const pixels = await sharp(imagePath)
+      .rotate()
+      .resize(32, 32, { fit: 'fill' })
+      .grayscale()
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    const coefficients = [];
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let y = 0; y < 32; y++) {
+          for (let x = 0; x < 32; x++) {
+            sum += pixels[y * 32 + x] * DCT_COS[u][x] * DCT_COS[v][y];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // The DC term is overall brightness, so it's left out of the median
+    const median = coefficients.slice(1).sort((a, b) => a - b)[31];
+    return bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+  }
+
+  /**
+   * Both hashes of an image, plus the pHash split into bands for lookup
+   * @param {string} imagePath
+   * @returns {Promise<object|null>} { dHash, pHash, hashBands }, or null if unreadable
+   */
+  async hashImage(imagePath) {
+    try {
+      const [dHash, pHash] = await Promise.all([this.dHash(imagePath), this.pHash(imagePath)]);
+      return { dHash, pHash, hashBands: this.bands(pHash) };
+    } catch (error) {
+      console.warn(`Could not hash ${imagePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Split a pHash into position-tagged bands ("0:ab12"). Two hashes within
+   * HASH_BANDS - 1 bits of each other share at least one band, so bands can be
+   * matched with an index instead of comparing against every stored hash.
+   * @param {string} pHash
+   * @returns {string[]}
+   */
+  bands(pHash) {
+    const width = pHash.length / HASH_BANDS;
+    return Array.from({ length: HASH_BANDS }, (_, i) => `${i}:${pHash.slice(i * width, (i + 1) * width)}`);
+  }
+
+  /**
+   * Number of differing bits between two hex hashes
+   * @returns {number} 0-64 (64 when either is missing)
+   */
+  hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return 64;
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+  }
+
+  /**
+   * Distance between two hashed images: the larger of the dHash and pHash
+   * distances, so both hashes must agree
+   * @returns {number}
+   */
+  distance(imageA, imageB) {
+    return Math.max(
+      this.hammingDistance(imageA.dHash, imageB.dHash),
+      this.hammingDistance(imageA.pHash, imageB.pHash)
+    );
+  }
+
+  /**
+   * Closest pair of photos between two reports
+   * @returns {object|null} { distance, imageIndex, matchedImageIndex } when within maxDistance
+   */
+  matchImages(imagesA, imagesB) {
+    let best = null;
+
+    (imagesA || []).forEach((imageA, imageIndex) => {
+      if (!imageA.pHash) return;
+      (imagesB || []).forEach((imageB, matchedImageIndex) => {
+        if (!imageB.pHash) return;
+        const distance = this.distance(imageA, imageB);
+        if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+          best = { distance, imageIndex, matchedImageIndex };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Hash the report's images that have no hash yet (the caller saves the report)
+   * @param {object} report - Report document
+   * @returns {Promise<number>} Images hashed
+   */
+  async hashReportImages(report) {
+    let hashed = 0;
+
+    for (const image of report.images || []) {
+      if (image.pHash) continue;
+      let hashes = null;
+      try {
+        hashes = await storageService.withLocalFile(image.url, imagePath => this.hashImage(imagePath));
+      } catch (error) {
+        console.warn(`Could not load ${image.url}:`, error.message);
+      }
+      if (hashes) {
+        image.set(hashes);
+        hashed++;
+      }
+    }
+
+    return hashed;
+  }
+
+  /**
+   * Find earlier reports that used the same photo somewhere else or by someone else
+   * @param {object} report - Report document with hashed images
+   * @returns {Promise<Array>} [{ reportId, userId, distance, imageIndex, matchedImageIndex, reason }]
+   */
+  async findRecycledPhotos(report) {
+    const bands = (report.images || []).flatMap(image => image.hashBands || []);
+    if (bands.length === 0) return [];
+
+    const candidates = await Report.find({
+      _id: { $ne: report._id },
+      'images.hashBands': { $in: bands }
+    }).select('userId location images createdAt').limit(50);
+
+    const recycled = [];
+    candidates.forEach(candidate => {
+      const match = this.matchImages(report.images, candidate.images);
+      if (!match) return;
+
+      const sameUser = String(candidate.userId) === String(report.userId);
+      const metersApart = report.location?.coordinates && candidate.location?.coordinates
+        ? metersBetween(report.location.coordinates, candidate.location.coordinates)
+        : 0;
+
+      // The same person re-reporting the same spot is a duplicate, not spam
+      if (sameUser && metersApart < this.reuseDistanceMeters) return;
+
+      recycled.push({
+        reportId: candidate._id,
+        userId: candidate.userId,
+        ...match,
+        metersApart: Math.round(metersApart),
+        reason: metersApart >= this.reuseDistanceMeters ? 'different_location' : 'different_user'
+      });
+    });
+
+    return recycled.sort((a, b) => a.distance - b.distance);
+  }
+}
+
+module.exports = new ImageHashService();
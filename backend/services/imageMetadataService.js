@@ -0,0 +1,237 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const fs = require('fs').promises;
+const path = require('path');
+const storageService = require('./storageService');
+
+const EARTH_RADIUS_METERS = 6371000;
+const HOUR_MS = 60 * 60 * 1000;
+// Beyond this a photo is as stale as it gets
+const MAX_STALENESS_HOURS = 30 * 24;
+
+// Software tags written by photo editors (phone firmware versions are fine)
+const EDITING_SOFTWARE = /photoshop|lightroom|gimp|snapseed|picsart|canva|pixlr|facetune|affinity|paint\.net|fotor|meitu|photoroom|remini/i;
+
+// Weight of each finding in the tamper score
+const TAMPER_WEIGHTS = {
+  gps_mismatch: 0.4,
+  gps_far_away: 0.6,
+  edited: 0.3,
+  modified_after_capture: 0.2,
+  future_timestamp: 0.3,
+  no_metadata: 0.1
+};
+
+const toDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ['S', 'W'].includes(ref) ? -degrees : degrees;
+};
+
+// "+05:30" -> 330
+const offsetMinutes = (offset) => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+  if (!match) return null;
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+const metersBetween = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Image Metadata Service
+ * Reads EXIF from uploaded photos, checks capture time and GPS against the
+ * report, and strips metadata from the publicly served copy. The untouched
+ * original is kept in private storage (see storageService).
+ */
+class ImageMetadataService {
+  constructor() {
+    // EXIF GPS further than this from the reported location is a mismatch
+    this.maxGpsDistanceMeters = parseInt(process.env.EXIF_GPS_MAX_DISTANCE_METERS) || 500;
+    // Photos taken longer ago than this before submission count as stale
+    this.maxAgeHours = parseInt(process.env.EXIF_MAX_AGE_HOURS) || 72;
+    // EXIF times have no zone unless the camera writes OffsetTimeOriginal
+    this.defaultUtcOffset = offsetMinutes(process.env.EXIF_DEFAULT_UTC_OFFSET || '+05:30') ?? 0;
+  }
+
+  /**
+   * Read the EXIF metadata of an image
+   * @param {string} imagePath
+   * @returns {Promise<object|null>} { hasExif, capturedAt, modifiedAt, make, model, software, gps }, or null if unreadable
+   */
+  async read(imagePath) {
+    try {
+      const { exif } = await sharp(imagePath).metadata();
+      if (!exif) return { hasExif: false };
+
+      const tags = exifReader(exif);
+      const image = tags.Image || {};
+      const photo = tags.Photo || {};
+      const gpsInfo = tags.GPSInfo || {};
+
+      const offset = offsetMinutes(photo.OffsetTimeOriginal) ?? this.defaultUtcOffset;
+      // exif-reader reads the camera's local time as if it were UTC
+      const toUtc = (date) => (date instanceof Date && !isNaN(date) ? new Date(date.getTime() - offset * 60000) : undefined);
+
+      const latitude = toDegrees(gpsInfo.GPSLatitude, gpsInfo.GPSLatitudeRef);
+      const longitude = toDegrees(gpsInfo.GPSLongitude, gpsInfo.GPSLongitudeRef);
+
+      return {
+        hasExif: true,
+        capturedAt: toUtc(photo.DateTimeOriginal || photo.DateTimeDigitized),
+        modifiedAt: toUtc(image.DateTime),
+        make: image.Make?.trim() || undefined,
+        model: image.Model?.trim() || undefined,
+        software: image.Software?.trim() || undefined,
+        gps: latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0)
+          ? { latitude, longitude, altitude: gpsInfo.GPSAltitude }
+          : null
+      };
+    } catch (error) {
+      console.warn(`Could not read EXIF from ${imagePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Metadata that is safe to store with analysis results (no coordinates)
+   * @param {object} metadata - From read()
+   * @returns {object|undefined}
+   */
+  summarize(metadata) {
+    if (!metadata) return undefined;
+    return {
+      capturedAt: metadata.capturedAt,
+      make: metadata.make,
+      model: metadata.model,
+      software: metadata.software,
+      hasGps: Boolean(metadata.gps)
+    };
+  }
+
+  /**
+   * Compare a photo's metadata with where and when it was reported
+   * @param {object} metadata - From read()
+   * @param {object} context - { coordinates: [lng, lat], submittedAt }
+   * @returns {object} { flags, tamperScore, stalenessScore, gpsDistanceMeters, captureAgeHours }
+   */
+  check(metadata, context = {}) {
+    const submittedAt = context.submittedAt ? new Date(context.submittedAt) : new Date();
+    const flags = [];
+    let gpsDistanceMeters;
+    let captureAgeHours;
+
+    if (!metadata?.hasExif) {
+      // Messaging apps strip EXIF too, so on its own this is weak evidence
+      flags.push('no_metadata');
+    } else {
+      const [lng, lat] = context.coordinates || [];
+      if (metadata.gps && (lng || lat)) {
+        gpsDistanceMeters = Math.round(metersBetween([lng, lat], [metadata.gps.longitude, metadata.gps.latitude]));
+        if (gpsDistanceMeters > this.maxGpsDistanceMeters * 10) {
+          flags.push('gps_far_away');
+        } else if (gpsDistanceMeters > this.maxGpsDistanceMeters) {
+          flags.push('gps_mismatch');
+        }
+      }
+
+      if (metadata.capturedAt) {
+        captureAgeHours = Math.round(((submittedAt - metadata.capturedAt) / HOUR_MS) * 10) / 10;
+        if (captureAgeHours < -1) flags.push('future_timestamp');
+        if (captureAgeHours > this.maxAgeHours) flags.push('stale');
+
+        if (metadata.modifiedAt && metadata.modifiedAt - metadata.capturedAt > 60 * 1000) {
+          flags.push('modified_after_capture');
+        }
+      }
+
+      if (metadata.software && EDITING_SOFTWARE.test(metadata.software)) {
+        flags.push('edited');
+      }
+    }
+
+    const tamperScore = Math.min(1, flags.reduce((score, flag) => score + (TAMPER_WEIGHTS[flag] || 0), 0));
+    const stalenessScore = captureAgeHours > this.maxAgeHours
+      ? Math.min(1, (captureAgeHours - this.maxAgeHours) / (MAX_STALENESS_HOURS - this.maxAgeHours))
+      : 0;
+
+    return {
+      flags,
+      tamperScore: Number(tamperScore.toFixed(2)),
+      stalenessScore: Number(stalenessScore.toFixed(2)),
+      gpsDistanceMeters,
+      captureAgeHours
+    };
+  }
+
+  /**
+   * Run fn with a local copy of an uploaded image for analysis: the private
+   * original with its metadata when there is one, the public copy otherwise
+   * @param {string} url - Stored image URL
+   * @param {Function} fn - async (imagePath) => result
+   * @returns {Promise<*>} What fn returns
+   */
+  async withOriginal(url, fn) {
+    const visibility = (await storageService.exists(url, 'private')) ? 'private' : 'public';
+    return storageService.withLocalFile(url, fn, visibility);
+  }
+
+  /**
+   * Store the original privately and rewrite the local file without
+   * EXIF/XMP/IPTC (orientation is applied to the pixels)
+   * @param {string} imagePath - Local file that will become the public copy
+   * @param {string} key - Storage key of the image
+   * @returns {Promise<boolean>} Whether metadata was stripped
+   */
+  async stripPublicCopy(imagePath, key = path.basename(imagePath)) {
+    const metadata = await sharp(imagePath).metadata();
+    if (!metadata.exif && !metadata.xmp && !metadata.iptc) return false;
+
+    await storageService.put(key, await fs.readFile(imagePath), 'private');
+
+    let pipeline = sharp(imagePath).rotate();
+    if (metadata.format === 'jpeg') pipeline = pipeline.jpeg({ quality: 90 });
+    await fs.writeFile(imagePath, await pipeline.toBuffer());
+
+    return true;
+  }
+
+  /**
+   * Check each new report photo against the report. Reads the private
+   * originals, since imageProcessingService strips the public copies on upload.
+   * @param {object} report - Report document (the caller saves it)
+   * @returns {Promise<Array>} [{ imageIndex, ...summarize(), ...check() }]
+   */
+  async inspectReportImages(report) {
+    const results = [];
+
+    for (const [imageIndex, image] of (report.images || []).entries()) {
+      let metadata;
+      try {
+        metadata = await this.withOriginal(image.url, imagePath => this.read(imagePath));
+      } catch (error) {
+        console.warn(`Could not load ${image.url}:`, error.message);
+      }
+      if (!metadata) continue;
+
+      results.push({
+        imageIndex,
+        ...this.summarize(metadata),
+        ...this.check(metadata, {
+          coordinates: report.location?.coordinates,
+          submittedAt: report.createdAt
+        })
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = new ImageMetadataService();
@@ -0,0 +1,165 @@
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const imageMetadataService = require('./imageMetadataService');
+const storageService = require('./storageService');
+
+const EXTENSIONS = {
+  jpeg: '.jpg',
+  png: '.png',
+  webp: '.webp',
+  gif: '.gif'
+};
+
+/**
+ * Image Processing Service
+ * Runs on every uploaded photo: gives it a content-hash key, normalizes
+ * its orientation (stripping metadata, see imageMetadataService) and stores
+ * it with smaller WebP variants (see storageService):
+ *
+ *   <hash>.jpg          normalized original
+ *   <hash>-thumb.webp   list views and map markers
+ *   <hash>-medium.webp  detail views
+ *   <hash>.webp         full size WebP
+ *
+ * Variants are served with /uploads/<hash>.jpg?size=thumb|medium|webp.
+ */
+class ImageProcessingService {
+  constructor() {
+    // Variant widths in pixels (never enlarged)
+    this.widths = {
+      thumb: parseInt(process.env.IMAGE_THUMB_WIDTH) || 320,
+      medium: parseInt(process.env.IMAGE_MEDIUM_WIDTH) || 1280
+    };
+    this.webpQuality = parseInt(process.env.IMAGE_WEBP_QUALITY) || 80;
+    this.variants = [...Object.keys(this.widths), 'webp'];
+  }
+
+  /**
+   * Key of a variant of a stored image
+   * @param {string} key - e.g. "ab12cd.jpg"
+   * @param {string} variant - thumb | medium | webp
+   * @returns {string} e.g. "ab12cd-thumb.webp"
+   */
+  variantFilename(key, variant) {
+    const base = path.basename(key, path.extname(key));
+    return variant === 'webp' ? `${base}.webp` : `${base}-${variant}.webp`;
+  }
+
+  /**
+   * URLs of all variants of a stored image
+   * @param {string} key
+   * @returns {object} { thumb, medium, webp }
+   */
+  variantUrls(key) {
+    return Object.fromEntries(
+      this.variants.map(variant => [variant, storageService.url(this.variantFilename(key, variant))])
+    );
+  }
+
+  /**
+   * Generate and store the WebP variants of an image (existing ones are kept)
+   * @param {string} imagePath - Normalized image on local disk
+   * @param {string} key - Key the image is stored under
+   * @returns {Promise<object>} { thumb, medium, webp } URLs
+   */
+  async generateVariants(imagePath, key) {
+    for (const variant of this.variants) {
+      const variantKey = this.variantFilename(key, variant);
+      if (variantKey === key || await storageService.exists(variantKey)) continue;
+
+      const variantPath = path.join(storageService.tempDir, `${crypto.randomUUID()}.webp`);
+      try {
+        let pipeline = sharp(imagePath).rotate();
+        if (this.widths[variant]) {
+          pipeline = pipeline.resize({ width: this.widths[variant], withoutEnlargement: true });
+        }
+        await pipeline.webp({ quality: this.webpQuality }).toFile(variantPath);
+        await storageService.putFile(variantPath, variantKey);
+      } finally {
+        await fs.rm(variantPath, { force: true });
+      }
+    }
+
+    return this.variantUrls(key);
+  }
+
+  /**
+   * Width and height as displayed (after applying EXIF orientation)
+   * @param {string|Buffer} input
+   * @returns {Promise<object>} { width, height }
+   */
+  async dimensions(input) {
+    const { width, height, orientation } = await sharp(input).metadata();
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  }
+
+  /**
+   * Process an uploaded file and store it. Sets file.key/url to the
+   * content-hash key and adds variants, width and height.
+   * @param {object} file - Multer file (disk storage)
+   * @returns {Promise<object>} The file
+   */
+  async processFile(file) {
+    const buffer = await fs.readFile(file.path);
+    // Throws for anything sharp can't decode, whatever its extension says
+    const { format } = await sharp(buffer).metadata();
+    const extension = EXTENSIONS[format];
+    if (!extension) {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+    const key = `${hash}${extension}`;
+    const { width, height } = await this.dimensions(buffer);
+
+    if (await storageService.exists(key)) {
+      // Same photo uploaded before: it's already processed
+      await fs.unlink(file.path);
+    } else {
+      // Keeps the original privately and strips the local copy in place
+      await imageMetadataService.stripPublicCopy(file.path, key);
+      await this.generateVariants(file.path, key);
+      // Stored last, so a stored image always has its variants
+      await storageService.putFile(file.path, key);
+    }
+
+    return Object.assign(file, {
+      filename: key,
+      key,
+      url: storageService.url(key),
+      path: storageService.localPath(key),
+      width,
+      height,
+      variants: this.variantUrls(key)
+    });
+  }
+
+  /**
+   * Generate variants for an image stored before processing existed
+   * @param {string} url - Stored image URL
+   * @returns {Promise<object>} { width, height, variants }
+   */
+  async processStoredImage(url) {
+    const key = storageService.keyFromUrl(url);
+    return storageService.withLocalFile(key, async (imagePath) => ({
+      ...(await this.dimensions(imagePath)),
+      variants: await this.generateVariants(imagePath, key)
+    }));
+  }
+
+  /**
+   * Remove a multer temp file that couldn't be processed
+   * @param {object} file - Multer file
+   */
+  async discard(file) {
+    try {
+      await fs.unlink(file.path);
+    } catch {
+      // Already moved or removed
+    }
+  }
+}
+
+module.exports = new ImageProcessingService();
@@ -0,0 +1,286 @@
+const Inspector = require('../models/Inspector');
+const Report = require('../models/Report');
+const aiAssignmentService = require('./aiAssignmentService');
+const notificationService = require('./notificationService');
+const reportHistoryService = require('./reportHistoryService');
+
+// Report statuses that count towards an inspector's open workload
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+const USER_FIELDS = 'name email phone role language';
+
+const idOf = (value) => String((value && value._id) || value || '');
+
+/**
+ * Inspector Service
+ * Builds the assignment pool from inspector profiles and manages the
+ * assign / accept / decline lifecycle of a report assignment
+ */
+class InspectorService {
+  /**
+   * Count open assigned reports per inspector
+   * @param {Array} userIds - Inspector user ids (all inspectors when omitted)
+   * @returns {Promise<Map>} userId -> open report count
+   */
+  async getWorkload(userIds) {
+    const match = { status: { $in: OPEN_STATUSES }, assignedTo: { $exists: true, $ne: null } };
+    if (userIds) match.assignedTo = { $in: userIds };
+
+    const counts = await Report.aggregate([
+      { $match: match },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(item => [item._id.toString(), item.count]));
+  }
+
+  /**
+   * Shape an inspector profile the way aiAssignmentService expects a candidate
+   * @param {object} inspector - Inspector document with userId and homeWard populated
+   * @param {number} activeTickets - Open assigned reports
+   * @param {Date} now - Time used for the shift check
+   * @returns {object} Candidate
+   */
+  toCandidate(inspector, activeTickets = 0, now = new Date()) {
+    const user = inspector.userId;
+    const hasLocation = inspector.currentLocation?.coordinates?.length === 2;
+
+    return {
+      _id: user._id,
+      inspectorId: inspector._id,
+      name: user.name,
+      email: user.email,
+      phoneNumber: user.phone,
+      skills: inspector.skills,
+      status: inspector.status,
+      isAvailable: inspector.isAvailable(now),
+      currentLocation: hasLocation ? inspector.currentLocation : undefined,
+      activeTickets,
+      maxCapacity: inspector.maxCapacity,
+      assignedZone: inspector.homeWard?.name || inspector.zone,
+      homeWard: inspector.homeWard?._id
+    };
+  }
+
+  /**
+   * Build the candidate pool for a report
+   * Inspectors who already declined the report are left out.
+   * @param {object} report - Report document
+   * @returns {Promise<Array>} Candidates, home-ward inspectors first
+   */
+  async getPool(report) {
+    const declined = (report.assignment?.declinedBy || []).map(idOf);
+
+    const inspectors = await Inspector.find({ status: 'active' })
+      .populate('userId', USER_FIELDS)
+      .populate('homeWard', 'name code zone');
+
+    const eligible = inspectors.filter(inspector =>
+      inspector.userId && !declined.includes(idOf(inspector.userId))
+    );
+    const workload = await this.getWorkload(eligible.map(inspector => inspector.userId._id));
+    const now = new Date();
+
+    const pool = eligible.map(inspector =>
+      this.toCandidate(inspector, workload.get(idOf(inspector.userId)) || 0, now)
+    );
+
+    // Prefer inspectors whose home ward is the report's ward
+    const reportWard = idOf(report.ward);
+    return pool.sort((a, b) =>
+      Number(idOf(b.homeWard) === reportWard) - Number(idOf(a.homeWard) === reportWard)
+    );
+  }
+
+  /**
+   * Find the active inspector profile for a user
+   * @param {string} userId
+   * @returns {Promise<object|null>} Inspector with userId populated
+   */
+  async findActiveInspector(userId) {
+    const inspector = await Inspector.findOne({ userId, status: { $ne: 'inactive' } })
+      .populate('userId', USER_FIELDS);
+    return inspector && inspector.userId ? inspector : null;
+  }
+
+  /**
+   * Point a report at an inspector (the caller saves the report)
+   * @param {object} report - Report document
+   * @param {object} inspector - Inspector document
+   * @param {object} options - { assignedBy, method, confidence }
+   */
+  applyAssignment(report, inspector, options = {}) {
+    const declinedBy = report.assignment?.declinedBy || [];
+
+    report.assignedTo = inspector.userId._id || inspector.userId;
+    report.assignment = {
+      status: 'pending',
+      method: options.method || 'manual',
+      confidence: options.confidence,
+      assignedBy: options.assignedBy,
+      assignedAt: new Date(),
+      declinedBy
+    };
+  }
+
+  /**
+   * Bookkeeping after an assignment is saved: inspector stats and notification
+   * @param {object} inspector - Inspector document with userId populated
+   * @param {object} report - Saved report
+   */
+  async afterAssignment(inspector, report) {
+    await Inspector.updateOne({ _id: inspector._id }, { $inc: { 'stats.assigned': 1 } });
+
+    try {
+      await notificationService.notifyInspectorAssignment(
+        {
+          _id: inspector.userId._id,
+          name: inspector.userId.name,
+          phoneNumber: inspector.userId.phone,
+          email: inspector.userId.email,
+          language: inspector.userId.language
+        },
+        report
+      );
+    } catch (error) {
+      // Don't fail the assignment if notification fails
+      console.warn('Failed to notify inspector:', error.message);
+    }
+  }
+
+  /**
+   * Assign a report to an inspector and record it
+   * @param {object} report - Report document
+   * @param {object} inspector - Inspector document with userId populated
+   * @param {object} options - { user, method, confidence, note, source }
+   * @returns {Promise<object>} Saved report
+   */
+  async assign(report, inspector, options = {}) {
+    const before = reportHistoryService.snapshot(report);
+
+    this.applyAssignment(report, inspector, {
+      assignedBy: options.user?._id,
+      method: options.method,
+      confidence: options.confidence
+    });
+    await report.save();
+
+    await reportHistoryService.recordChanges(before, report, {
+      user: options.user,
+      note: options.note,
+      source: options.source
+    });
+    await this.afterAssignment(inspector, report);
+
+    return report;
+  }
+
+  /**
+   * Ask aiAssignmentService for the best inspector and, if confident enough, assign
+   * @param {object} report - Report document
+   * @param {object} options - { user, threshold, apply }
+   * @returns {Promise<object>} Suggestion with { assigned }
+   */
+  async autoAssign(report, options = {}) {
+    const threshold = options.threshold ?? parseFloat(process.env.AI_AUTO_ASSIGN_THRESHOLD || 0.85);
+    const pool = await this.getPool(report);
+
+    const ticket = {
+      _id: report._id,
+      category: report.category,
+      title: report.title,
+      description: report.description,
+      severity: report.severity,
+      priority: report.priority,
+      location: report.location
+    };
+
+    const result = await aiAssignmentService.suggestInspector(ticket, pool);
+    result.poolSize = pool.length;
+    result.assigned = false;
+
+    if (options.apply !== false &&
+        result.success &&
+        result.recommendedInspector &&
+        result.confidence >= threshold) {
+      const inspector = await this.findActiveInspector(result.recommendedInspector._id);
+      if (inspector) {
+        await this.assign(report, inspector, {
+          user: options.user,
+          method: 'ai',
+          confidence: result.confidence,
+          note: result.reason,
+          source: 'ai-assignment'
+        });
+        result.assigned = true;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Accept a pending assignment
+   * @param {object} report - Report document
+   * @param {object} user - Inspector user
+   * @returns {Promise<object>} Saved report
+   */
+  async accept(report, user) {
+    report.assignment.status = 'accepted';
+    report.assignment.respondedAt = new Date();
+    await report.save();
+
+    await Inspector.updateOne({ userId: user._id }, { $inc: { 'stats.accepted': 1 } });
+    return report;
+  }
+
+  /**
+   * Decline an assignment: unassign the report and offer it to someone else
+   * @param {object} report - Report document
+   * @param {object} user - Inspector user
+   * @param {string} reason - Why the inspector declined
+   * @returns {Promise<object>} Saved report
+   */
+  async decline(report, user, reason) {
+    const before = reportHistoryService.snapshot(report);
+
+    report.assignedTo = undefined;
+    report.assignment.status = 'declined';
+    report.assignment.respondedAt = new Date();
+    report.assignment.declineReason = reason;
+    report.assignment.declinedBy.addToSet(user._id);
+    await report.save();
+
+    await reportHistoryService.recordChanges(before, report, {
+      user,
+      note: reason,
+      source: 'inspector'
+    });
+    await Inspector.updateOne({ userId: user._id }, { $inc: { 'stats.declined': 1 } });
+
+    this.reassignInBackground(report._id);
+    return report;
+  }
+
+  /**
+   * Try to hand a declined report to another inspector without blocking the request
+   * @param {string} reportId
+   */
+  reassignInBackground(reportId) {
+    setImmediate(async () => {
+      try {
+        const report = await Report.findById(reportId);
+        if (!report || report.assignedTo || !OPEN_STATUSES.includes(report.status)) return;
+
+        const result = await this.autoAssign(report);
+        if (!result.assigned) {
+          console.log(`Report ${reportId} left unassigned after decline: ${result.message || 'low confidence'}`);
+        }
+      } catch (error) {
+        console.error('Reassignment error:', error.message);
+      }
+    });
+  }
+}
+
+module.exports = new InspectorService();
@@ -13,12 +13,11 @@
  * - Urgency rating (High/Medium/Low)
  */
 
-const ollamaService = require('./ollamaService');
+const llmService = require('./llmService');
 
 class LinguisticAnalystService {
   constructor() {
     this.enabled = process.env.ENABLE_LINGUISTIC_ANALYSIS !== 'false';
-    this.model = process.env.OLLAMA_PRIMARY_MODEL || 'llama3:8b';
     this.temperature = 0.3; // Low temperature for consistent extraction
     
     // Common Indian languages
@@ -101,19 +100,19 @@ class LinguisticAnalystService {
       // Build analysis prompt
       const prompt = this._buildAnalysisPrompt(cleanTranscript);
 
-      // Call Llama3 for analysis with timeout
-      console.log('🤖 Calling Llama3 model...');
-      const response = await ollamaService.generate(
-        prompt,
-        this.model,
-        {
-          temperature: this.temperature,
-          top_p: 0.9,
-          num_predict: 512 // Limit response length
-        }
-      );
+      // Call the linguistic model (Llama3 by default)
+      console.log('🤖 Calling language model...');
+      const response = await llmService.generate('linguistic', prompt, {
+        temperature: this.temperature,
+        topP: 0.9,
+        maxTokens: 512 // Limit response length
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
 
-      if (!response || !response.text) {
+      if (!response.text) {
         throw new Error('Empty response from language model');
       }
       
@@ -132,7 +131,7 @@ class LinguisticAnalystService {
       parsedResult.processing_time_ms = processingTime;
       parsedResult.analyzed_at = new Date().toISOString();
       parsedResult.original_transcript = cleanTranscript;
-      parsedResult.model_used = this.model;
+      parsedResult.model_used = response.model;
 
       console.log(`✓ Analysis completed in ${processingTime}ms`);
       console.log(`📊 Result: Language=${parsedResult.detected_language}, Urgency=${parsedResult.urgency_rating}, Sentiment=${parsedResult.sentiment_tone}`);
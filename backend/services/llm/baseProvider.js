@@ -0,0 +1,204 @@
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Base LLM Provider
+ * The interface every provider implements. Methods resolve to
+ * { success: true, ... } or { success: false, error } and never throw.
+ *
+ * Options accepted by generate/vision: { model, temperature, topP, maxTokens }
+ * generate() and stream() also take { schema }: a JSON Schema the output
+ * must follow, for providers with structured output. stream() also takes
+ * { onToken, signal }.
+ */
+class BaseProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.maxRetries = config.maxRetries || 1;
+  }
+
+  /**
+   * Generate text
+   * @param {string} prompt
+   * @param {object} options
+   * @returns {Promise<object>} { success, text, model }
+   */
+  async generate(prompt, options = {}) {
+    return this.unsupported('generate');
+  }
+
+  /**
+   * Generate text, passing each piece to options.onToken as it arrives.
+   * Providers without streaming deliver the whole text as one piece.
+   * Aborting options.signal stops generation and resolves with
+   * { success: false, aborted: true, text } holding what arrived so far.
+   * @param {string} prompt
+   * @param {object} options
+   * @returns {Promise<object>} { success, text, model }
+   */
+  async stream(prompt, options = {}) {
+    const response = await this.generate(prompt, options);
+    if (options.signal?.aborted) {
+      return { success: false, aborted: true, text: '' };
+    }
+    if (response.success) {
+      options.onToken?.(response.text);
+    }
+    return response;
+  }
+
+  /**
+   * Generate text and parse the JSON object in it
+   * @param {string} prompt
+   * @param {object} options
+   * @returns {Promise<object>} { success, text, model, json, parsed, parseError }
+   */
+  async generateJSON(prompt, options = {}) {
+    const enhancedPrompt = `${prompt}
+
+IMPORTANT: Respond ONLY with valid JSON. No explanations, no markdown, no code blocks. Just pure JSON.`;
+
+    const response = await this.generate(enhancedPrompt, {
+      temperature: 0.3,  // Lower temperature for more consistent output
+      topP: 0.9,
+      ...options
+    });
+
+    if (response.success) {
+      Object.assign(response, this.parseJSON(response.text));
+    }
+
+    return response;
+  }
+
+  /**
+   * Describe or analyse images
+   * @param {string} prompt
+   * @param {string[]} images - Base64-encoded images
+   * @param {object} options
+   * @returns {Promise<object>} { success, text, model }
+   */
+  async vision(prompt, images, options = {}) {
+    return this.unsupported('vision');
+  }
+
+  /**
+   * Embed one or more texts
+   * @param {string|string[]} input
+   * @param {object} options - { model }
+   * @returns {Promise<object>} { success, embeddings: number[][], model }
+   */
+  async embeddings(input, options = {}) {
+    return this.unsupported('embeddings');
+  }
+
+  /**
+   * Check the provider is reachable
+   * @returns {Promise<object>} { status, connected, models }
+   */
+  async healthCheck() {
+    return { status: 'unknown', connected: false, provider: this.name };
+  }
+
+  /**
+   * Extract the JSON object from model output (handles markdown code blocks)
+   * @param {string} text
+   * @returns {object} { json, parsed, parseError }
+   */
+  parseJSON(text) {
+    try {
+      const jsonText = (text || '').trim().replace(/```json\s*/g, '').replace(/```\s*/g, '');
+      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+
+      if (!jsonMatch) {
+        return { parsed: false, parseError: 'No JSON object found in response' };
+      }
+      return { json: JSON.parse(jsonMatch[0]), parsed: true };
+    } catch (error) {
+      console.error('JSON parse error:', error.message);
+      return { parsed: false, parseError: error.message };
+    }
+  }
+
+  /**
+   * Run a request, retrying with exponential backoff (1s, 2s, 4s...)
+   * @param {string} label - For log messages
+   * @param {Function} request - Async function returning the success result
+   * @returns {Promise<object>}
+   */
+  async withRetries(label, request) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        lastError = error;
+        console.error(`${this.name} ${label} error (attempt ${attempt}/${this.maxRetries}):`, error.message);
+
+        if (attempt < this.maxRetries) {
+          await this.delay(Math.pow(2, attempt - 1) * 1000);
+        }
+      }
+    }
+
+    return {
+      success: false,
+      error: lastError?.message || `Failed to ${label}`,
+      attempts: this.maxRetries
+    };
+  }
+
+  /**
+   * Stream a streaming HTTP response body line by line (NDJSON or SSE)
+   * @param {object} options - { url, body, headers, timeout, signal }
+   * @param {Function} onLine - (line) => true to stop reading
+   * @returns {Promise<object>} { aborted }
+   */
+  async readLines({ url, body, headers, timeout, signal }, onLine) {
+    let response;
+    try {
+      response = await axios.post(url, body, { headers, timeout, signal, responseType: 'stream' });
+    } catch (error) {
+      if (axios.isCancel(error)) return { aborted: true };
+      throw error;
+    }
+
+    // One decoder for the whole body, so a character split across chunks survives
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    try {
+      for await (const chunk of response.data) {
+        buffer += decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (line.trim() && onLine(line.trim())) {
+            response.data.destroy();
+            return { aborted: false };
+          }
+        }
+      }
+      buffer += decoder.end();
+      if (buffer.trim()) onLine(buffer.trim());
+    } catch (error) {
+      if (signal?.aborted) return { aborted: true };
+      throw error;
+    }
+
+    return { aborted: Boolean(signal?.aborted) };
+  }
+
+  unsupported(method) {
+    return {
+      success: false,
+      error: `The ${this.name} provider does not support ${method}`
+    };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+
+const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Mock Provider
+ * Deterministic responses for offline development and demos. The same
+ * prompt always gets the same answer; no network calls are made.
+ *
+ *   const mock = llmService.getProvider('mock');
+ *   mock.addFixture(/REPORT DETAILS/, { severity: 'high', confidence: 0.9 });
+ */
+class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('mock', config);
+    this.fixtures = [];
+    this.calls = [];
+  }
+
+  /**
+   * Answer prompts matching `match` with `response`
+   * @param {string|RegExp} match - Substring or pattern tested against the prompt
+   * @param {string|object} response - Objects are returned as JSON text
+   */
+  addFixture(match, response) {
+    this.fixtures.push({ match, response });
+  }
+
+  /**
+   * Forget fixtures and recorded calls
+   */
+  reset() {
+    this.fixtures = [];
+    this.calls = [];
+  }
+
+  respond(prompt) {
+    const fixture = this.fixtures.find(({ match }) => (
+      match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+    ));
+
+    if (fixture) {
+      return typeof fixture.response === 'string'
+        ? fixture.response
+        : JSON.stringify(fixture.response);
+    }
+
+    return `{"mock": true, "prompt_hash": "${this.hash(prompt).slice(0, 12)}"}`;
+  }
+
+  async generate(prompt, options = {}) {
+    this.calls.push({ method: 'generate', prompt, options });
+
+    return {
+      success: true,
+      text: this.respond(prompt),
+      model: options.model || 'mock',
+      provider: this.name
+    };
+  }
+
+  /**
+   * Deliver the answer a few characters at a time, like a real model
+   */
+  async stream(prompt, options = {}) {
+    this.calls.push({ method: 'stream', prompt, options });
+    const text = this.respond(prompt);
+
+    for (let i = 0; i < text.length; i += 8) {
+      if (options.signal?.aborted) {
+        return { success: false, aborted: true, text: text.slice(0, i), model: options.model || 'mock', provider: this.name };
+      }
+      options.onToken?.(text.slice(i, i + 8));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return {
+      success: true,
+      text,
+      model: options.model || 'mock',
+      provider: this.name
+    };
+  }
+
+  async vision(prompt, images, options = {}) {
+    this.calls.push({ method: 'vision', prompt, images: images.length, options });
+
+    return {
+      success: true,
+      text: this.respond(prompt),
+      model: options.model || 'mock',
+      provider: this.name
+    };
+  }
+
+  /**
+   * Bag-of-words vectors: texts sharing words get similar embeddings
+   */
+  async embeddings(input, options = {}) {
+    const texts = Array.isArray(input) ? input : [input];
+    this.calls.push({ method: 'embeddings', input: texts, options });
+
+    const embeddings = texts.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      (text.toLowerCase().match(/\w+/g) || []).forEach(word => {
+        vector[parseInt(this.hash(word).slice(0, 8), 16) % EMBEDDING_DIMENSIONS] += 1;
+      });
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+
+    return {
+      success: true,
+      embeddings,
+      model: options.model || 'mock',
+      provider: this.name
+    };
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      connected: true,
+      provider: this.name,
+      models: [{ name: 'mock' }]
+    };
+  }
+
+  hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+}
+
+module.exports = MockProvider;
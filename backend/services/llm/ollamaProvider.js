@@ -0,0 +1,190 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Ollama Provider
+ * Talks to a local Ollama instance
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('ollama', config);
+    this.baseURL = config.baseURL || 'http://localhost:11434';
+    this.timeout = config.timeout || 120000;
+  }
+
+  /**
+   * Map provider-neutral options onto Ollama's
+   */
+  buildOptions(options) {
+    return {
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP ?? 0.9,
+      top_k: options.topK ?? 40,
+      num_predict: options.maxTokens ?? 512
+    };
+  }
+
+  async callGenerate(body) {
+    const response = await axios.post(
+      `${this.baseURL}/api/generate`,
+      { ...body, stream: false },
+      { timeout: this.timeout }
+    );
+
+    return {
+      success: true,
+      text: response.data.response,
+      model: response.data.model,
+      provider: this.name,
+      total_duration: response.data.total_duration,
+      prompt_eval_count: response.data.prompt_eval_count,
+      eval_count: response.data.eval_count
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    return this.withRetries('generation', () => this.callGenerate({
+      model: options.model,
+      prompt,
+      ...(options.schema && { format: options.schema }),
+      options: this.buildOptions(options)
+    }));
+  }
+
+  /**
+   * Stream tokens from /api/generate (newline-delimited JSON). Not retried:
+   * tokens already delivered can't be taken back.
+   */
+  async stream(prompt, options = {}) {
+    let text = '';
+    let model = options.model;
+
+    try {
+      const { aborted } = await this.readLines({
+        url: `${this.baseURL}/api/generate`,
+        body: {
+          model: options.model,
+          prompt,
+          stream: true,
+          ...(options.schema && { format: options.schema }),
+          options: this.buildOptions(options)
+        },
+        timeout: this.timeout,
+        signal: options.signal
+      }, (line) => {
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(data.error);
+        if (data.response) {
+          text += data.response;
+          options.onToken?.(data.response);
+        }
+        model = data.model || model;
+        return data.done;
+      });
+
+      if (aborted) {
+        return { success: false, aborted: true, text, model, provider: this.name };
+      }
+      return { success: true, text, model, provider: this.name };
+    } catch (error) {
+      console.error('ollama stream error:', error.message);
+      return { success: false, error: error.message, text, provider: this.name };
+    }
+  }
+
+  async vision(prompt, images, options = {}) {
+    return this.withRetries('vision', () => this.callGenerate({
+      model: options.model,
+      prompt,
+      images,
+      options: this.buildOptions(options)
+    }));
+  }
+
+  async embeddings(input, options = {}) {
+    return this.withRetries('embedding', async () => {
+      const response = await axios.post(
+        `${this.baseURL}/api/embed`,
+        { model: options.model, input },
+        { timeout: this.timeout }
+      );
+
+      return {
+        success: true,
+        embeddings: response.data.embeddings,
+        model: response.data.model,
+        provider: this.name
+      };
+    });
+  }
+
+  async healthCheck() {
+    try {
+      const models = await this.listModels(true);
+
+      return {
+        status: 'healthy',
+        connected: true,
+        provider: this.name,
+        baseURL: this.baseURL,
+        models: models.map(m => ({
+          name: m.name,
+          size: m.size,
+          modified: m.modified_at
+        }))
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        connected: false,
+        provider: this.name,
+        error: error.message,
+        baseURL: this.baseURL
+      };
+    }
+  }
+
+  /**
+   * List pulled models
+   * @param {boolean} throwOnError - Throw instead of returning []
+   * @returns {Promise<array>}
+   */
+  async listModels(throwOnError = false) {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/tags`, { timeout: 5000 });
+      return response.data.models || [];
+    } catch (error) {
+      if (throwOnError) throw error;
+      console.error('Error listing models:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Pull a model from the Ollama registry
+   * @param {string} modelName
+   * @returns {Promise<object>} Pull status
+   */
+  async pullModel(modelName) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/api/pull`,
+        { name: modelName },
+        { timeout: 300000 } // 5 minutes for model download
+      );
+
+      return {
+        success: true,
+        model: modelName,
+        status: response.data.status
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,173 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAI-compatible Provider
+ * Talks to any server exposing the OpenAI HTTP API: a llama.cpp server,
+ * vLLM, LM Studio or OpenAI itself
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('openai', config);
+    this.baseURL = (config.baseURL || 'http://localhost:8080/v1').replace(/\/$/, '');
+    this.apiKey = config.apiKey;
+    this.timeout = config.timeout || 120000;
+  }
+
+  /**
+   * Structured output for options.schema (JSON Schema)
+   */
+  responseFormat(options) {
+    if (!options.schema) return {};
+    return {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.schema }
+      }
+    };
+  }
+
+  get headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async chat(content, options) {
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      {
+        model: options.model,
+        messages: [{ role: 'user', content }],
+        temperature: options.temperature ?? 0.7,
+        top_p: options.topP ?? 0.9,
+        max_tokens: options.maxTokens ?? 512,
+        ...this.responseFormat(options),
+        stream: false
+      },
+      { timeout: this.timeout, headers: this.headers }
+    );
+
+    const choice = response.data.choices?.[0];
+    if (!choice) {
+      throw new Error('Response has no choices');
+    }
+
+    return {
+      success: true,
+      text: choice.message?.content || '',
+      model: response.data.model,
+      provider: this.name,
+      prompt_eval_count: response.data.usage?.prompt_tokens,
+      eval_count: response.data.usage?.completion_tokens
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    return this.withRetries('generation', () => this.chat(prompt, options));
+  }
+
+  /**
+   * Stream tokens from /chat/completions (server-sent events). Not retried:
+   * tokens already delivered can't be taken back.
+   */
+  async stream(prompt, options = {}) {
+    let text = '';
+    let model = options.model;
+
+    try {
+      const { aborted } = await this.readLines({
+        url: `${this.baseURL}/chat/completions`,
+        body: {
+          model: options.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: options.temperature ?? 0.7,
+          top_p: options.topP ?? 0.9,
+          max_tokens: options.maxTokens ?? 512,
+          ...this.responseFormat(options),
+          stream: true
+        },
+        headers: this.headers,
+        timeout: this.timeout,
+        signal: options.signal
+      }, (line) => {
+        if (!line.startsWith('data:')) return false;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return true;
+
+        const data = JSON.parse(payload);
+        const delta = data.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          options.onToken?.(delta);
+        }
+        model = data.model || model;
+        return false;
+      });
+
+      if (aborted) {
+        return { success: false, aborted: true, text, model, provider: this.name };
+      }
+      return { success: true, text, model, provider: this.name };
+    } catch (error) {
+      console.error('openai stream error:', error.message);
+      return { success: false, error: error.message, text, provider: this.name };
+    }
+  }
+
+  async vision(prompt, images, options = {}) {
+    const content = [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:image/jpeg;base64,${image}` }
+      }))
+    ];
+
+    return this.withRetries('vision', () => this.chat(content, options));
+  }
+
+  async embeddings(input, options = {}) {
+    return this.withRetries('embedding', async () => {
+      const response = await axios.post(
+        `${this.baseURL}/embeddings`,
+        { model: options.model, input },
+        { timeout: this.timeout, headers: this.headers }
+      );
+
+      return {
+        success: true,
+        embeddings: response.data.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        model: response.data.model,
+        provider: this.name
+      };
+    });
+  }
+
+  async healthCheck() {
+    try {
+      const response = await axios.get(`${this.baseURL}/models`, {
+        timeout: 5000,
+        headers: this.headers
+      });
+
+      return {
+        status: 'healthy',
+        connected: true,
+        provider: this.name,
+        baseURL: this.baseURL,
+        models: (response.data.data || []).map(m => ({ name: m.id }))
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        connected: false,
+        provider: this.name,
+        error: error.message,
+        baseURL: this.baseURL
+      };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
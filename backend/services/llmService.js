@@ -0,0 +1,159 @@
+const llmConfig = require('../config/llm');
+const OllamaProvider = require('./llm/ollamaProvider');
+const OpenAICompatibleProvider = require('./llm/openAICompatibleProvider');
+const MockProvider = require('./llm/mockProvider');
+
+const PROVIDER_CLASSES = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * LLM Service
+ * Single entry point for model calls. Each call names its task (triage,
+ * chatbot, vision...) and is routed to the provider and model configured
+ * for that task in config/llm.js.
+ */
+class LLMService {
+  constructor() {
+    this.providers = {};
+    this.tasks = { ...llmConfig.tasks };
+  }
+
+  /**
+   * Get (and create on first use) a provider
+   * @param {string} name - ollama | openai | mock
+   * @returns {object} Provider instance
+   */
+  getProvider(name) {
+    if (!this.providers[name]) {
+      const ProviderClass = PROVIDER_CLASSES[name];
+      if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      this.providers[name] = new ProviderClass(llmConfig.providers[name]);
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Route a task to a different provider/model at runtime (e.g. mock in tests)
+   * @param {string} task
+   * @param {object} route - { provider, model }
+   */
+  setTaskRoute(task, route) {
+    this.tasks[task] = { ...this.tasks[task], ...route };
+  }
+
+  /**
+   * Provider and model for a task
+   * @param {string} task
+   * @returns {object} { provider, model }
+   */
+  resolve(task) {
+    const route = this.tasks[task];
+    if (!route) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+    return { provider: this.getProvider(route.provider), model: route.model };
+  }
+
+  /**
+   * Generate text for a task
+   * @param {string} task
+   * @param {string} prompt
+   * @param {object} options - { temperature, topP, maxTokens }
+   * @returns {Promise<object>} { success, text, model }
+   */
+  async generate(task, prompt, options = {}) {
+    const { provider, model } = this.resolve(task);
+    return provider.generate(prompt, { model, ...options });
+  }
+
+  /**
+   * Generate text for a task, streaming tokens to options.onToken
+   * @param {string} task
+   * @param {string} prompt
+   * @param {object} options - { onToken, signal, temperature, topP, maxTokens }
+   * @returns {Promise<object>} { success, text, model, aborted }
+   */
+  async stream(task, prompt, options = {}) {
+    const { provider, model } = this.resolve(task);
+    return provider.stream(prompt, { model, ...options });
+  }
+
+  /**
+   * Generate and parse JSON for a task
+   * @param {string} task
+   * @param {string} prompt
+   * @param {object} options
+   * @returns {Promise<object>} { success, text, model, json, parsed }
+   */
+  async generateJSON(task, prompt, options = {}) {
+    const { provider, model } = this.resolve(task);
+    return provider.generateJSON(prompt, { model, ...options });
+  }
+
+  /**
+   * Analyse images for a task
+   * @param {string} task
+   * @param {string} prompt
+   * @param {string[]} images - Base64-encoded images
+   * @param {object} options
+   * @returns {Promise<object>} { success, text, model }
+   */
+  async vision(task, prompt, images, options = {}) {
+    const { provider, model } = this.resolve(task);
+    return provider.vision(prompt, images, { model, ...options });
+  }
+
+  /**
+   * Embed texts for a task
+   * @param {string} task
+   * @param {string|string[]} input
+   * @returns {Promise<object>} { success, embeddings, model }
+   */
+  async embeddings(task, input, options = {}) {
+    const { provider, model } = this.resolve(task);
+    return provider.embeddings(input, { model, ...options });
+  }
+
+  /**
+   * Health of every provider in use
+   * @returns {Promise<object>} { status, providers, tasks }
+   */
+  async healthCheck() {
+    const names = [...new Set(Object.values(this.tasks).map(route => route.provider))];
+    const providers = {};
+
+    for (const name of names) {
+      try {
+        providers[name] = await this.getProvider(name).healthCheck();
+      } catch (error) {
+        providers[name] = { status: 'unhealthy', connected: false, error: error.message };
+      }
+    }
+
+    const healthy = Object.values(providers).every(health => health.status === 'healthy');
+
+    return {
+      status: healthy ? 'healthy' : 'unhealthy',
+      connected: Object.values(providers).some(health => health.connected),
+      providers,
+      tasks: this.tasks,
+      models: Object.values(providers).flatMap(health => health.models || [])
+    };
+  }
+
+  /**
+   * Estimate tokens (rough approximation: ~4 characters per token)
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+}
+
+module.exports = new LLMService();
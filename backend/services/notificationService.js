@@ -1,8 +1,21 @@
 /**
  * Notification Service
  * Handles multi-channel notifications (Socket.io, SMS, Email, Push)
+ * Text is written in the recipient's preferred language (see utils/i18n)
  */
 
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { t, languageOf, normalizeLanguage, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class NotificationService {
   constructor() {
     this.socketIO = null;
@@ -39,6 +52,107 @@ class NotificationService {
     }
   }
 
+  /**
+   * Emit an event to a user's room
+   */
+  emitToUser(userId, event, data) {
+    if (!this.socketIO) {
+      return { success: false, error: 'Socket.IO not initialized' };
+    }
+
+    this.socketIO.to(`user_${userId}`).emit(event, data);
+    return { success: true };
+  }
+
+  /**
+   * Push the current unread count to the user's room
+   */
+  async emitUnreadCount(userId) {
+    try {
+      if (!this.socketIO) {
+        return { success: false, error: 'Socket.IO not initialized' };
+      }
+
+      const count = await Notification.getUnreadCount(userId);
+      this.socketIO.to(`user_${userId}`).emit('notifications:unread', { count });
+
+      return { success: true, count };
+    } catch (error) {
+      console.error('Unread count emit error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Preferred language of a user; the default one when they can't be found
+   */
+  async languageFor(userId) {
+    if (!userId) return DEFAULT_LANGUAGE;
+
+    try {
+      const user = await User.findById(userId).select('language').lean();
+      return languageOf(user);
+    } catch (error) {
+      console.warn('Failed to look up user language:', error.message);
+      return DEFAULT_LANGUAGE;
+    }
+  }
+
+  /**
+   * Title and message of a notification template in a language
+   * @param {string} language - Language code
+   * @param {object} template - { key, params }, key names a notifications.* entry
+   * @returns {object} { title, message }
+   */
+  render(language, template) {
+    const { key, params } = template;
+    return {
+      title: t(language, `notifications.${key}.title`, params),
+      message: t(language, `notifications.${key}.message`, params)
+    };
+  }
+
+  /**
+   * Email body: greeting, the notification, a link back to the app and a footer
+   * @param {string} language - Language code
+   * @param {object} notification - { title, message, subject, link }
+   * @param {string} name - Recipient's name, if known
+   * @returns {object} { subject, html, text }
+   */
+  renderEmail(language, notification, name) {
+    const paragraphs = [
+      name ? t(language, 'email.greeting', { name }) : t(language, 'email.greetingAnonymous'),
+      notification.message,
+      notification.link && t(language, 'email.viewLink', { url: `${CLIENT_URL}${notification.link}` }),
+      t(language, 'email.footer')
+    ].filter(Boolean);
+
+    return {
+      subject: notification.subject || notification.title,
+      text: paragraphs.join('\n\n'),
+      html: paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n')
+    };
+  }
+
+  /**
+   * Store an in-app notification and deliver it over Socket.IO
+   * Pass `template: { key, params }` instead of a title and message to have
+   * them written in the recipient's language
+   */
+  async createNotification(data) {
+    const { template, ...fields } = data;
+    if (template) {
+      Object.assign(fields, this.render(await this.languageFor(fields.userId), template));
+    }
+
+    const notification = await Notification.create(fields);
+
+    await this.sendSocketNotification(data.userId.toString(), notification.toObject());
+    await this.emitUnreadCount(data.userId.toString());
+
+    return notification;
+  }
+
   /**
    * Send SMS notification
    */
@@ -155,8 +269,13 @@ class NotificationService {
 
   /**
    * Send multi-channel notification
+   * @param {string} userId - Recipient, null for people without an account
+   * @param {Array} channels - [{ type: 'socket'|'sms'|'email', phoneNumber, email }]
+   * @param {object} notification - { title, message, link, data }, already in the recipient's language
+   * @param {object} recipient - { language, name } for the email and SMS wording
    */
-  async sendMultiChannel(userId, channels, notification) {
+  async sendMultiChannel(userId, channels, notification, recipient = {}) {
+    const language = normalizeLanguage(recipient.language);
     const results = [];
 
     for (const channel of channels) {
@@ -170,18 +289,17 @@ class NotificationService {
             
           case 'sms':
             if (channel.phoneNumber) {
-              result = await this.sendSMS(channel.phoneNumber, notification.message);
+              result = await this.sendSMS(
+                channel.phoneNumber,
+                t(language, 'sms.message', { title: notification.title, message: notification.message })
+              );
             }
             break;
             
           case 'email':
             if (channel.email) {
-              result = await this.sendEmail(
-                channel.email,
-                notification.subject || notification.title,
-                notification.htmlContent || notification.message,
-                notification.message
-              );
+              const email = this.renderEmail(language, notification, recipient.name);
+              result = await this.sendEmail(channel.email, email.subject, email.html, email.text);
             }
             break;
             
@@ -207,12 +325,14 @@ class NotificationService {
 
   /**
    * Notify inspector of new assignment
+   * Stored as an in-app notification, with SMS/email on top when available
    */
   async notifyInspectorAssignment(inspector, ticket) {
+    const language = languageOf(inspector);
     const notification = {
       type: 'assignment',
-      title: 'New Ticket Assigned',
-      message: `You have been assigned to: ${ticket.title}`,
+      ...this.render(language, { key: 'assignment', params: { title: ticket.title } }),
+      link: '/assignments',
       data: {
         ticketId: ticket._id,
         category: ticket.category,
@@ -221,9 +341,13 @@ class NotificationService {
       }
     };
 
-    const channels = [
-      { type: 'socket' }
-    ];
+    await this.createNotification({
+      userId: inspector._id,
+      ...notification,
+      priority: 'high'
+    });
+
+    const channels = [];
 
     // Add SMS if phone number available
     if (inspector.phoneNumber) {
@@ -241,7 +365,10 @@ class NotificationService {
       });
     }
 
-    return await this.sendMultiChannel(inspector._id, channels, notification);
+    return await this.sendMultiChannel(inspector._id, channels, notification, {
+      language,
+      name: inspector.name
+    });
   }
 
   /**
@@ -253,10 +380,10 @@ class NotificationService {
     ];
 
     // Add preferred channel if specified
-    if (followUp.channel === 'sms' && user.phoneNumber) {
+    if (followUp.channel === 'sms' && user.phone) {
       channels.push({ 
         type: 'sms', 
-        phoneNumber: user.phoneNumber 
+        phoneNumber: user.phone 
       });
     } else if (followUp.channel === 'email' && user.email) {
       channels.push({ 
@@ -265,17 +392,23 @@ class NotificationService {
       });
     }
 
+    // The message was written in the follow-up's language; the rest matches it
+    const language = normalizeLanguage(followUp.userLanguage || user.language);
     const notification = {
       type: 'followup',
-      title: 'Report Follow-up',
+      title: t(language, 'notifications.followUp.title'),
       message: followUp.messageText,
+      link: `/reports/${followUp.reportId}`,
       data: {
         reportId: followUp.reportId,
         followUpId: followUp._id
       }
     };
 
-    const results = await this.sendMultiChannel(user._id, channels, notification);
+    const results = await this.sendMultiChannel(user._id, channels, notification, {
+      language,
+      name: user.name
+    });
 
     // Update follow-up status
     if (results.some(r => r.success)) {
@@ -0,0 +1,121 @@
+const Report = require('../models/Report');
+const llmService = require('./llmService');
+
+/**
+ * Report Embedding Service
+ * Text embeddings of reports, used to shortlist likely duplicates before
+ * the (much slower) pairwise LLM comparison
+ */
+class ReportEmbeddingService {
+  constructor() {
+    this.enabled = process.env.ENABLE_REPORT_EMBEDDINGS !== 'false';
+    // Texts per embeddings request
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+  }
+
+  /**
+   * Model currently configured for embeddings; vectors from another model aren't comparable
+   * @returns {string}
+   */
+  get model() {
+    return llmService.resolve('embeddings').model;
+  }
+
+  /**
+   * Text that is embedded for a report
+   * @param {object} report
+   * @returns {string}
+   */
+  textFor(report) {
+    return `${report.category || 'other'}: ${report.title || ''}. ${report.description || ''}`.trim();
+  }
+
+  /**
+   * Whether a report's loaded embedding is usable
+   * (the query must have selected +textEmbedding.vector)
+   * @param {object} report
+   * @returns {boolean}
+   */
+  hasEmbedding(report) {
+    return report.textEmbedding?.vector?.length > 0 && report.textEmbedding.model === this.model;
+  }
+
+  /**
+   * Compute and store embeddings for the reports that don't have a usable one
+   * @param {Array} reports - Report documents loaded with +textEmbedding.vector
+   * @returns {Promise<number>} Embeddings computed
+   */
+  async ensureEmbeddings(reports) {
+    if (!this.enabled) return 0;
+
+    const missing = reports.filter(report => !this.hasEmbedding(report));
+    let computed = 0;
+
+    for (let i = 0; i < missing.length; i += this.batchSize) {
+      const batch = missing.slice(i, i + this.batchSize);
+      const result = await llmService.embeddings('embeddings', batch.map(report => this.textFor(report)));
+
+      if (!result.success) {
+        console.warn('Failed to compute report embeddings:', result.error);
+        break;
+      }
+
+      const computedAt = new Date();
+      const updates = batch.map((report, index) => {
+        const textEmbedding = { vector: result.embeddings[index], model: this.model, computedAt };
+        report.textEmbedding = textEmbedding;
+        return { updateOne: { filter: { _id: report._id }, update: { $set: { textEmbedding } } } };
+      });
+
+      await Report.bulkWrite(updates, { ordered: false });
+      computed += batch.length;
+    }
+
+    return computed;
+  }
+
+  /**
+   * Get a report's embedding, loading or computing it if needed
+   * @param {object} report - Report document
+   * @returns {Promise<number[]|null>}
+   */
+  async getVector(report) {
+    if (!this.enabled) return null;
+    if (this.hasEmbedding(report)) return report.textEmbedding.vector;
+
+    // The vector isn't selected by default
+    const stored = report._id
+      ? await Report.findById(report._id).select('+textEmbedding.vector textEmbedding.model')
+      : null;
+    if (stored && this.hasEmbedding(stored)) {
+      report.textEmbedding = stored.textEmbedding;
+      return stored.textEmbedding.vector;
+    }
+
+    await this.ensureEmbeddings([report]);
+    return this.hasEmbedding(report) ? report.textEmbedding.vector : null;
+  }
+
+  /**
+   * Cosine similarity of two vectors
+   * @param {number[]} a
+   * @param {number[]} b
+   * @returns {number} -1 to 1 (0 when either is empty or lengths differ)
+   */
+  cosineSimilarity(a, b) {
+    if (!a?.length || a.length !== b?.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+}
+
+module.exports = new ReportEmbeddingService();
@@ -0,0 +1,190 @@
+const ReportHistory = require('../models/ReportHistory');
+
+const NOTE_MAX_LENGTH = ReportHistory.schema.path('note').options.maxlength;
+
+const idOf = (value) => (value && value._id ? value._id : value) || undefined;
+
+const sameId = (a, b) => String(idOf(a) || '') === String(idOf(b) || '');
+
+/**
+ * Report History Service
+ * Writes audit trail entries for report lifecycle changes
+ */
+class ReportHistoryService {
+  /**
+   * Snapshot the tracked fields of a report before changing it
+   * @param {object} report - Report document
+   * @returns {object} { status, assignedTo, priority }
+   */
+  snapshot(report) {
+    return {
+      status: report.status,
+      assignedTo: idOf(report.assignedTo),
+      priority: report.priority
+    };
+  }
+
+  /**
+   * Why a note can't go in a history entry, or null when it can. History is
+   * written after the report is saved, so check this before changing it.
+   * @param {string} note
+   * @returns {string|null}
+   */
+  noteError(note) {
+    if (note === undefined || note === null || String(note).length <= NOTE_MAX_LENGTH) return null;
+    return `Note must be at most ${NOTE_MAX_LENGTH} characters`;
+  }
+
+  /**
+   * Turn uploaded evidence files into attachment records
+   * @param {Array} files - Multer files
+   * @returns {Array} [{ url, uploadedAt }]
+   */
+  attachmentsFromFiles(files) {
+    return (files || []).map(file => ({
+      url: file.url,
+      uploadedAt: new Date()
+    }));
+  }
+
+  /**
+   * Build history entries for the differences between a snapshot and the report
+   * @param {object} before - Snapshot taken with snapshot()
+   * @param {object} report - Report after the change
+   * @param {object} context - { user, note, attachments, source }
+   * @returns {Array} Unsaved history entries
+   */
+  buildEntries(before, report, context = {}) {
+    const { user, note, attachments, source } = context;
+    const base = {
+      reportId: report._id,
+      changedBy: user?._id || user?.id,
+      changedByRole: user?.role,
+      source
+    };
+    const entries = [];
+
+    if (before.status !== report.status) {
+      entries.push({
+        ...base,
+        action: 'status_change',
+        fromStatus: before.status,
+        toStatus: report.status
+      });
+    }
+
+    if (!sameId(before.assignedTo, report.assignedTo)) {
+      entries.push({
+        ...base,
+        action: 'assignment',
+        fromAssignee: before.assignedTo,
+        toAssignee: idOf(report.assignedTo)
+      });
+    }
+
+    if (before.priority !== report.priority) {
+      entries.push({
+        ...base,
+        action: 'priority_change',
+        fromPriority: before.priority,
+        toPriority: report.priority
+      });
+    }
+
+    // A note or attachment without any field change is still worth recording
+    if (entries.length === 0 && (note || attachments?.length)) {
+      entries.push({ ...base, action: 'note' });
+    }
+
+    // Attach the note and evidence to the first (most significant) entry
+    if (entries.length > 0) {
+      entries[0].note = note;
+      entries[0].attachments = attachments || [];
+    }
+
+    return entries;
+  }
+
+  /**
+   * Record the changes made to a report since a snapshot
+   * @param {object} before - Snapshot taken with snapshot()
+   * @param {object} report - Report after the change
+   * @param {object} context - { user, note, attachments, source }
+   * @returns {Promise<Array>} Saved history entries
+   */
+  async recordChanges(before, report, context = {}) {
+    const entries = this.buildEntries(before, report, context);
+    if (entries.length === 0) return [];
+    return ReportHistory.insertMany(entries);
+  }
+
+  /**
+   * Record changes for many reports at once (bulk updates)
+   * @param {Array} changes - [{ before, report }]
+   * @param {object} context - { user, note, attachments, source }
+   * @returns {Promise<Array>} Saved history entries
+   */
+  async recordBulkChanges(changes, context = {}) {
+    const entries = changes.flatMap(({ before, report }) => this.buildEntries(before, report, context));
+    if (entries.length === 0) return [];
+    return ReportHistory.insertMany(entries);
+  }
+
+  /**
+   * Record report creation
+   * @param {object} report - Newly created report
+   * @param {object} user - Reporter
+   * @returns {Promise<object>} Saved history entry
+   */
+  async recordCreated(report, user) {
+    return ReportHistory.create({
+      reportId: report._id,
+      action: 'created',
+      changedBy: user?._id || user?.id,
+      changedByRole: user?.role,
+      toStatus: report.status,
+      source: 'citizen'
+    });
+  }
+
+  /**
+   * Record a merge or unmerge on both the duplicate and the canonical report
+   * @param {string} action - merge | unmerge
+   * @param {object} duplicate - Report merged away (after the change)
+   * @param {object} canonical - Report it was merged into
+   * @param {object} context - { user, note, fromStatus, source }
+   * @returns {Promise<Array>} Saved history entries
+   */
+  async recordMerge(action, duplicate, canonical, context = {}) {
+    const { user, note, fromStatus, source } = context;
+    const base = {
+      action,
+      changedBy: user?._id || user?.id,
+      changedByRole: user?.role,
+      note,
+      source
+    };
+
+    return ReportHistory.insertMany([
+      {
+        ...base,
+        reportId: duplicate._id,
+        relatedReport: canonical._id,
+        fromStatus,
+        toStatus: duplicate.status
+      },
+      { ...base, reportId: canonical._id, relatedReport: duplicate._id }
+    ]);
+  }
+
+  /**
+   * Get the full timeline of a report
+   * @param {string} reportId
+   * @returns {Promise<Array>} History entries, oldest first
+   */
+  async getTimeline(reportId) {
+    return ReportHistory.getTimeline(reportId);
+  }
+}
+
+module.exports = new ReportHistoryService();
@@ -0,0 +1,215 @@
+/**
+ * Report Merge Service
+ * Folds a duplicate report into its canonical report and back out again.
+ *
+ * A merge copies the duplicate's images, comments, upvotes and reporters
+ * onto the canonical report and records what it added, so unmerge can
+ * remove exactly that. The duplicate itself keeps its data; it is only
+ * moved to the "merged" status and pointed at the canonical report.
+ */
+
+const Report = require('../models/Report');
+const reportHistoryService = require('./reportHistoryService');
+const notificationService = require('./notificationService');
+
+const idOf = (value) => String((value && value._id ? value._id : value) || '');
+
+const hasId = (ids, id) => ids.some(other => idOf(other) === idOf(id));
+
+class ReportMergeService {
+  /**
+   * Check whether a duplicate can be merged into a canonical report
+   * @param {object} duplicate - Report document to merge away
+   * @param {object} canonical - Report document to keep
+   * @returns {object} { allowed: true } or { allowed: false, statusCode, code, message }
+   */
+  validateMerge(duplicate, canonical) {
+    const refuse = (statusCode, code, message) => ({ allowed: false, statusCode, code, message });
+
+    if (idOf(duplicate) === idOf(canonical)) {
+      return refuse(400, 'SAME_REPORT', 'A report cannot be merged into itself');
+    }
+    if (duplicate.status === 'merged') {
+      return refuse(409, 'ALREADY_MERGED', `This report is already merged into ${idOf(duplicate.merge?.into)}`);
+    }
+    if (canonical.status === 'merged') {
+      return refuse(409, 'CANONICAL_MERGED', `The target report is itself merged; merge into ${idOf(canonical.merge?.into)} instead`);
+    }
+    if (canonical.status === 'rejected') {
+      return refuse(409, 'CANONICAL_REJECTED', 'Reports cannot be merged into a rejected report');
+    }
+    if (duplicate.mergedReports?.length > 0) {
+      return refuse(409, 'HAS_MERGED_REPORTS', 'Unmerge the reports merged into this one before merging it');
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Merge a duplicate into a canonical report and save both
+   * @param {object} duplicate - Report document to merge away
+   * @param {object} canonical - Report document to keep
+   * @param {object} context - { user, note }
+   * @returns {Promise<object>} { duplicate, canonical, added: { images, comments, upvotes, reporters } }
+   */
+  async merge(duplicate, canonical, context = {}) {
+    const { user, note } = context;
+    const userId = user?._id || user?.id;
+    const fromStatus = duplicate.status;
+
+    const record = {
+      reportId: duplicate._id,
+      mergedAt: new Date(),
+      mergedBy: userId,
+      images: [],
+      comments: [],
+      upvotes: [],
+      reporters: []
+    };
+
+    // The same photo can already be on the canonical report (e.g. a recycled upload)
+    const imageUrls = canonical.images.map(image => image.url);
+    duplicate.images
+      .filter(image => !imageUrls.includes(image.url))
+      .forEach(image => {
+        canonical.images.push(image.toObject());
+        record.images.push(image._id);
+      });
+
+    const commentIds = canonical.comments.map(comment => comment._id);
+    const comments = duplicate.comments.filter(comment => !hasId(commentIds, comment._id));
+    if (comments.length > 0) {
+      canonical.comments = [...canonical.comments.map(c => c.toObject()), ...comments.map(c => c.toObject())]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      record.comments = comments.map(comment => comment._id);
+    }
+
+    duplicate.upvotes
+      .filter(voter => !hasId(canonical.upvotes, voter))
+      .forEach(voter => {
+        canonical.upvotes.push(voter);
+        record.upvotes.push(voter);
+      });
+
+    const existingReporters = canonical.getReporterIds();
+    duplicate.getReporterIds()
+      .filter(reporter => !hasId(existingReporters, reporter))
+      .forEach(reporter => {
+        canonical.coReporters.push(reporter);
+        record.reporters.push(reporter);
+      });
+
+    canonical.mergedReports.push(record);
+
+    duplicate.merge = {
+      into: canonical._id,
+      previousStatus: fromStatus,
+      mergedAt: record.mergedAt,
+      mergedBy: userId
+    };
+    duplicate.status = 'merged';
+    duplicate.aiAnalysis.duplicateOf = canonical._id;
+
+    await canonical.save();
+    await duplicate.save();
+
+    await reportHistoryService.recordMerge('merge', duplicate, canonical, {
+      user,
+      note,
+      fromStatus,
+      source: 'merge'
+    });
+
+    await this.notifyReporters(duplicate.getReporterIds(), {
+      template: {
+        key: 'reportMerged',
+        params: { title: duplicate.title, canonicalTitle: canonical.title }
+      },
+      data: { reportId: canonical._id, mergedReportId: duplicate._id },
+      link: `/reports/${canonical._id}`
+    });
+
+    return {
+      duplicate,
+      canonical,
+      added: {
+        images: record.images.length,
+        comments: record.comments.length,
+        upvotes: record.upvotes.length,
+        reporters: record.reporters.length
+      }
+    };
+  }
+
+  /**
+   * Undo a merge: remove what it added to the canonical report and restore the duplicate
+   * @param {object} duplicate - Merged report document
+   * @param {object} context - { user, note }
+   * @returns {Promise<object>} { duplicate, canonical } or { error: { statusCode, code, message } }
+   */
+  async unmerge(duplicate, context = {}) {
+    const { user, note } = context;
+
+    if (duplicate.status !== 'merged' || !duplicate.merge?.into) {
+      return { error: { statusCode: 409, code: 'NOT_MERGED', message: 'This report is not merged' } };
+    }
+
+    const canonical = await Report.findById(duplicate.merge.into);
+    const record = canonical?.mergedReports.find(merged => idOf(merged.reportId) === idOf(duplicate));
+
+    if (canonical && record) {
+      canonical.images = canonical.images.filter(image => !hasId(record.images, image._id));
+      canonical.comments = canonical.comments.filter(comment => !hasId(record.comments, comment._id));
+      canonical.upvotes = canonical.upvotes.filter(voter => !hasId(record.upvotes, voter));
+
+      // Keep reporters another merged duplicate also brought in
+      const stillMerged = canonical.mergedReports.filter(merged => merged !== record);
+      const keep = stillMerged.flatMap(merged => merged.reporters);
+      canonical.coReporters = canonical.coReporters.filter(reporter => (
+        !hasId(record.reporters, reporter) || hasId(keep, reporter)
+      ));
+      canonical.mergedReports = stillMerged;
+
+      await canonical.save();
+    }
+
+    duplicate.status = duplicate.merge.previousStatus || 'pending';
+    duplicate.merge = undefined;
+    await duplicate.save();
+
+    // The canonical report may have been deleted since; the duplicate still comes back
+    if (canonical) {
+      await reportHistoryService.recordMerge('unmerge', duplicate, canonical, {
+        user,
+        note,
+        fromStatus: 'merged',
+        source: 'merge'
+      });
+    }
+
+    await this.notifyReporters(duplicate.getReporterIds(), {
+      template: { key: 'reportUnmerged', params: { title: duplicate.title } },
+      data: { reportId: duplicate._id },
+      link: `/reports/${duplicate._id}`
+    });
+
+    return { duplicate, canonical };
+  }
+
+  /**
+   * Notify reporters about a merge without failing it
+   * @param {Array} userIds
+   * @param {object} notification - { template, data, link }, written in each reporter's language
+   */
+  async notifyReporters(userIds, notification) {
+    for (const userId of userIds) {
+      try {
+        await notificationService.createNotification({ userId, type: 'report_update', ...notification });
+      } catch (notifError) {
+        console.warn('Failed to notify reporter about merge:', notifError.message);
+      }
+    }
+  }
+}
+
+module.exports = new ReportMergeService();
@@ -0,0 +1,217 @@
+/**
+ * Report Workflow Service
+ * Declares the allowed report status transitions and enforces them
+ */
+
+const slaService = require('./slaService');
+
+const STAFF = ['admin', 'moderator'];
+
+const idOf = (value) => String((value && value._id ? value._id : value) || '');
+
+/**
+ * Transition graph: from-status -> to-status -> rule
+ *   roles          - roles allowed to make the transition
+ *   reporter       - the citizen who filed the report may also make it
+ *   assignee       - the inspector the report is assigned to may also make it
+ *   requiresReason - a reason/note must accompany the change
+ *   guard          - extra check returning an error message, or null if allowed
+ */
+const TRANSITIONS = {
+  pending: {
+    'in-progress': { roles: STAFF, assignee: true },
+    rejected: { roles: STAFF, requiresReason: true }
+  },
+  'in-progress': {
+    resolved: { roles: STAFF, assignee: true },
+    rejected: { roles: STAFF, requiresReason: true },
+    pending: { roles: STAFF, requiresReason: true }
+  },
+  resolved: {
+    verified: {
+      roles: STAFF,
+      reporter: true,
+      guard: (report, actor) => (
+        report.resolvedBy && idOf(report.resolvedBy) === idOf(actor)
+          ? 'A resolution must be verified by a different moderator than the one who resolved it'
+          : null
+      )
+    },
+    // Reopen (staff, or the reporter disputing the resolution)
+    'in-progress': { roles: STAFF, reporter: true, requiresReason: true }
+  },
+  rejected: {
+    // Reopen a wrongly rejected report
+    pending: { roles: ['admin'], requiresReason: true }
+  },
+  verified: {
+    // Reopen a verified report that turned out not to be fixed
+    'in-progress': { roles: ['admin'], requiresReason: true }
+  }
+};
+
+class ReportWorkflowService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.statuses = Object.keys(TRANSITIONS);
+  }
+
+  /**
+   * Whether an actor may make a transition, by role, as the reporter or as the assignee
+   * @param {object} rule - Transition rule
+   * @param {object} actor - User making the change
+   * @param {object} report - Report document (needed for reporter/assignee rules)
+   * @returns {boolean}
+   */
+  canPerform(rule, actor, report) {
+    if (rule.roles.includes(actor?.role)) return true;
+    if (!report) return false;
+    if (rule.reporter && idOf(report.userId) === idOf(actor)) return true;
+    return Boolean(rule.assignee && report.assignedTo && idOf(report.assignedTo) === idOf(actor));
+  }
+
+  /**
+   * Statuses the actor may move a report to from its current status
+   * @param {string} fromStatus - Current report status
+   * @param {object} actor - User making the change
+   * @param {object} report - Report document (optional, enables reporter/assignee rules)
+   * @returns {Array} [{ to, requiresReason }]
+   */
+  getAllowedTransitions(fromStatus, actor, report) {
+    const rules = this.transitions[fromStatus] || {};
+    return Object.entries(rules)
+      .filter(([, rule]) => this.canPerform(rule, actor, report))
+      .map(([to, rule]) => ({ to, requiresReason: Boolean(rule.requiresReason) }));
+  }
+
+  /**
+   * Check whether a status change is allowed
+   * @param {object} report - Report document
+   * @param {string} toStatus - Requested status
+   * @param {object} actor - User making the change
+   * @param {object} options - { reason }
+   * @returns {object} { allowed: true } or { allowed: false, statusCode, code, message, allowedTransitions }
+   */
+  validateTransition(report, toStatus, actor, options = {}) {
+    const fromStatus = report.status;
+
+    if (!this.statuses.includes(toStatus)) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        code: 'INVALID_STATUS',
+        message: `Unknown status "${toStatus}"`
+      };
+    }
+
+    const rule = this.transitions[fromStatus]?.[toStatus];
+    const allowedTransitions = this.getAllowedTransitions(fromStatus, actor, report).map(t => t.to);
+
+    if (!rule) {
+      return {
+        allowed: false,
+        statusCode: 409,
+        code: 'INVALID_TRANSITION',
+        message: `Cannot change report status from "${fromStatus}" to "${toStatus}"`,
+        allowedTransitions
+      };
+    }
+
+    if (!this.canPerform(rule, actor, report)) {
+      return {
+        allowed: false,
+        statusCode: 403,
+        code: 'TRANSITION_FORBIDDEN',
+        message: `Role "${actor?.role}" cannot change report status from "${fromStatus}" to "${toStatus}"`,
+        allowedTransitions
+      };
+    }
+
+    if (rule.requiresReason && !options.reason?.trim()) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        code: 'REASON_REQUIRED',
+        message: `A reason is required to change report status from "${fromStatus}" to "${toStatus}"`,
+        allowedTransitions
+      };
+    }
+
+    const guardError = rule.guard ? rule.guard(report, actor) : null;
+    if (guardError) {
+      return {
+        allowed: false,
+        statusCode: 409,
+        code: 'TRANSITION_GUARD_FAILED',
+        message: guardError,
+        allowedTransitions
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Apply a validated status change and its side effects to a report.
+   * Does not save the document.
+   * @param {object} report - Report document
+   * @param {string} toStatus - New status
+   * @param {object} actor - User making the change
+   * @param {object} options - { reason }
+   * @returns {object} The report
+   */
+  applyTransition(report, toStatus, actor, options = {}) {
+    const fromStatus = report.status;
+    const actorId = actor?._id || actor?.id;
+
+    report.status = toStatus;
+
+    if (toStatus === 'resolved') {
+      report.resolvedAt = new Date();
+      report.resolvedBy = actorId;
+    }
+
+    if (toStatus === 'verified') {
+      report.verifiedBy = actorId;
+    }
+
+    if (toStatus === 'rejected') {
+      report.rejectionReason = options.reason;
+    }
+
+    // Reopened: the previous resolution no longer stands
+    if (['resolved', 'verified', 'rejected'].includes(fromStatus) &&
+        ['pending', 'in-progress'].includes(toStatus)) {
+      report.resolvedAt = undefined;
+      report.resolvedBy = undefined;
+      report.verifiedBy = undefined;
+      report.rejectionReason = undefined;
+      report.resolutionEvidence = undefined;
+      report.reopenCount = (report.reopenCount || 0) + 1;
+      slaService.restart(report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Serializable view of the transition graph for clients
+   * @returns {object} { statuses, transitions }
+   */
+  describe() {
+    const transitions = {};
+    for (const [from, rules] of Object.entries(this.transitions)) {
+      transitions[from] = Object.entries(rules).map(([to, rule]) => ({
+        to,
+        roles: rule.roles,
+        reporter: Boolean(rule.reporter),
+        assignee: Boolean(rule.assignee),
+        requiresReason: Boolean(rule.requiresReason),
+        differentActorRequired: Boolean(rule.guard)
+      }));
+    }
+    return { statuses: this.statuses, transitions };
+  }
+}
+
+module.exports = new ReportWorkflowService();
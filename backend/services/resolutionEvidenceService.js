@@ -0,0 +1,213 @@
+const sharp = require('sharp');
+const Report = require('../models/Report');
+const ReportHistory = require('../models/ReportHistory');
+const forensicImageAnalyzer = require('./forensicImageAnalyzer');
+const storageService = require('./storageService');
+
+/**
+ * Resolution Evidence Service
+ * Checks "after" photos attached on resolution against the original report images
+ * and flags resolutions that are not backed by credible evidence
+ */
+class ResolutionEvidenceService {
+  constructor() {
+    // After photos this similar to an original are treated as a re-upload of the "before" photo
+    this.duplicateSimilarity = parseFloat(process.env.RESOLUTION_DUPLICATE_SIMILARITY) || 0.97;
+    // Civic issue still visible at or above this severity means the problem isn't fixed
+    this.maxRemainingSeverity = parseInt(process.env.RESOLUTION_MAX_REMAINING_SEVERITY) || 4;
+  }
+
+  /**
+   * Turn uploaded after photos into evidence records
+   * @param {Array} files - Multer files
+   * @param {object} user - Staff member attaching them
+   * @returns {Array} [{ url, uploadedAt, uploadedBy }]
+   */
+  afterImagesFromFiles(files, user) {
+    return (files || []).map(file => ({
+      url: file.url,
+      uploadedAt: new Date(),
+      uploadedBy: user?._id || user?.id
+    }));
+  }
+
+  /**
+   * Add after photos to a report and mark its evidence for re-evaluation.
+   * Does not save the document.
+   * @param {object} report - Report document
+   * @param {Array} files - Multer files
+   * @param {object} user - Staff member attaching them
+   */
+  attachAfterImages(report, files, user) {
+    const existing = report.resolutionEvidence?.afterImages || [];
+    report.set('resolutionEvidence.afterImages', [...existing, ...this.afterImagesFromFiles(files, user)]);
+    report.set('resolutionEvidence.status', 'pending');
+  }
+
+  /**
+   * Tiny grayscale thumbnail used for before/after comparison
+   * @param {string} imagePath
+   * @returns {Promise<Buffer|null>} 16x16 grayscale pixels, or null if unreadable
+   */
+  async fingerprint(imagePath) {
+    try {
+      return await sharp(imagePath)
+        .rotate()
+        .resize(16, 16, { fit: 'fill' })
+        .grayscale()
+        .raw()
+        .toBuffer();
+    } catch (error) {
+      console.warn(`Could not fingerprint ${imagePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fingerprint of a stored image
+   * @param {string} url
+   * @returns {Promise<Buffer|null>}
+   */
+  async fingerprintStored(url) {
+    try {
+      return await storageService.withLocalFile(url, imagePath => this.fingerprint(imagePath));
+    } catch (error) {
+      console.warn(`Could not load ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Similarity between two fingerprints (1 = identical)
+   */
+  similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff += Math.abs(a[i] - b[i]);
+    }
+    return 1 - diff / (a.length * 255);
+  }
+
+  /**
+   * Compare the after photos of a report against its original images
+   * @param {object} report - Report document
+   * @returns {Promise<object>} { afterImages, status, flagged, reasons }
+   */
+  async compare(report) {
+    const afterImages = report.resolutionEvidence?.afterImages || [];
+    const reasons = [];
+
+    if (afterImages.length === 0) {
+      return {
+        afterImages,
+        status: 'insufficient',
+        flagged: true,
+        reasons: ['Resolved without any after photos']
+      };
+    }
+
+    const beforePrints = await Promise.all(
+      (report.images || []).map(image => this.fingerprintStored(image.url))
+    );
+
+    const evaluated = [];
+    for (const image of afterImages) {
+      let afterPrint = null;
+      let analysis = { success: false };
+      try {
+        await storageService.withLocalFile(image.url, async (imagePath) => {
+          afterPrint = await this.fingerprint(imagePath);
+          analysis = await forensicImageAnalyzer.analyzeImage(imagePath);
+        });
+      } catch (error) {
+        console.warn(`Could not load after photo ${image.url}:`, error.message);
+      }
+
+      const similarityToBefore = beforePrints.length > 0
+        ? Math.max(...beforePrints.map(print => this.similarity(print, afterPrint)))
+        : 0;
+
+      const forensicAnalysis = analysis.success
+        ? {
+          is_spam: analysis.is_spam,
+          spam_reason: analysis.spam_reason,
+          civic_category: analysis.civic_category,
+          severity_score: analysis.severity_score,
+          visual_evidence: analysis.visual_evidence,
+          confidence: analysis.confidence,
+          analyzed_at: analysis.analyzed_at || new Date()
+        }
+        : undefined;
+
+      if (similarityToBefore >= this.duplicateSimilarity) {
+        reasons.push('After photo is nearly identical to the original report photo');
+      }
+
+      if (forensicAnalysis?.is_spam) {
+        reasons.push(`After photo failed validation: ${forensicAnalysis.spam_reason || 'not a valid civic photo'}`);
+      } else if (forensicAnalysis &&
+                 forensicAnalysis.civic_category !== 'None' &&
+                 forensicAnalysis.severity_score >= this.maxRemainingSeverity) {
+        reasons.push(
+          `${forensicAnalysis.civic_category} still visible in after photo (severity ${forensicAnalysis.severity_score}/10)`
+        );
+      }
+
+      evaluated.push({
+        ...(image.toObject ? image.toObject() : image),
+        similarityToBefore: Number(similarityToBefore.toFixed(3)),
+        forensicAnalysis
+      });
+    }
+
+    // The same problem may be raised by several photos
+    const uniqueReasons = [...new Set(reasons)];
+
+    return {
+      afterImages: evaluated,
+      status: uniqueReasons.length > 0 ? 'suspicious' : 'credible',
+      flagged: uniqueReasons.length > 0,
+      reasons: uniqueReasons
+    };
+  }
+
+  /**
+   * Evaluate the resolution evidence of a report and store the result.
+   * Runs after the response has been sent, so it reloads the report.
+   * @param {string} reportId
+   * @returns {Promise<object|null>} Stored evidence, or null if the report is gone
+   */
+  async evaluate(reportId) {
+    const report = await Report.findById(reportId).select('images status resolutionEvidence');
+    if (!report) return null;
+
+    const result = await this.compare(report);
+    const evidence = { ...result, evaluatedAt: new Date() };
+
+    await Report.updateOne({ _id: reportId }, { $set: { resolutionEvidence: evidence } });
+
+    if (evidence.flagged) {
+      await ReportHistory.create({
+        reportId,
+        action: 'note',
+        note: `Resolution evidence flagged: ${evidence.reasons.join('; ')}`,
+        source: 'resolution-evidence'
+      });
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Evaluate in the background without failing the caller
+   * @param {string} reportId
+   */
+  evaluateInBackground(reportId) {
+    this.evaluate(reportId).catch(error => {
+      console.error(`Resolution evidence evaluation failed for report ${reportId}:`, error);
+    });
+  }
+}
+
+module.exports = new ResolutionEvidenceService();
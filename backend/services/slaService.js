@@ -0,0 +1,325 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const Report = require('../models/Report');
+const ReportHistory = require('../models/ReportHistory');
+const User = require('../models/User');
+const Ward = require('../models/Ward');
+const notificationService = require('./notificationService');
+const { DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reports that still have an SLA clock running
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+// Used when no active policy matches a report
+const DEFAULT_RESOLUTION_HOURS = {
+  critical: 24,
+  high: 72,
+  medium: 168,
+  low: 336
+};
+
+const DEFAULT_ESCALATION = [
+  { afterHours: 0, notify: ['ward_officer', 'assignee'] },
+  { afterHours: parseFloat(process.env.SLA_ADMIN_ESCALATION_HOURS || 24), notify: ['admin'] }
+];
+
+const AT_RISK_HOURS = parseFloat(process.env.SLA_AT_RISK_HOURS || 6);
+
+const RECIPIENT_LABELS = {
+  ward_officer: 'ward officer',
+  assignee: 'assigned inspector',
+  admin: 'admins'
+};
+
+/**
+ * SLA Service
+ * Computes report due dates from SLA policies, escalates breached reports
+ * and reports SLA compliance
+ */
+class SlaService {
+  /**
+   * Resolve the policy terms for a category and severity
+   * @param {string} category
+   * @param {string} severity
+   * @returns {Promise<object>} { policy, resolutionHours, escalation }
+   */
+  async getTerms(category, severity) {
+    const policy = await SlaPolicy.findForReport(category, severity);
+
+    if (policy) {
+      return {
+        policy,
+        resolutionHours: policy.resolutionHours,
+        escalation: policy.escalation.length > 0 ? policy.escalation : DEFAULT_ESCALATION
+      };
+    }
+
+    return {
+      policy: null,
+      resolutionHours: DEFAULT_RESOLUTION_HOURS[severity] || DEFAULT_RESOLUTION_HOURS.medium,
+      escalation: DEFAULT_ESCALATION
+    };
+  }
+
+  /**
+   * Set the SLA due date on a report (the caller saves the report)
+   * @param {object} report - Report document
+   * @param {object} options - { severity (e.g. from triage), startedAt }
+   * @returns {Promise<object>} The report's sla
+   */
+  async applyPolicy(report, options = {}) {
+    const severity = options.severity || report.severity;
+    const startedAt = options.startedAt || report.sla?.startedAt || report.createdAt || new Date();
+    const terms = await this.getTerms(report.category, severity);
+    const dueAt = new Date(startedAt.getTime() + terms.resolutionHours * HOUR_MS);
+
+    report.sla = {
+      policy: terms.policy?._id,
+      severity,
+      resolutionHours: terms.resolutionHours,
+      startedAt,
+      dueAt,
+      // A later deadline (e.g. after triage lowered the severity) clears an earlier breach
+      breachedAt: dueAt > new Date() ? undefined : report.sla?.breachedAt,
+      escalationLevel: dueAt > new Date() ? 0 : report.sla?.escalationLevel || 0,
+      lastEscalatedAt: dueAt > new Date() ? undefined : report.sla?.lastEscalatedAt
+    };
+
+    return report.sla;
+  }
+
+  /**
+   * Restart the SLA clock, e.g. when a report is reopened (the caller saves the report)
+   * @param {object} report - Report document with an sla
+   */
+  restart(report) {
+    if (!report.sla?.resolutionHours) return;
+
+    const startedAt = new Date();
+    report.sla.startedAt = startedAt;
+    report.sla.dueAt = new Date(startedAt.getTime() + report.sla.resolutionHours * HOUR_MS);
+    report.sla.breachedAt = undefined;
+    report.sla.escalationLevel = 0;
+    report.sla.lastEscalatedAt = undefined;
+  }
+
+  /**
+   * Re-apply a changed policy to the open reports that use it
+   * @param {object} policy - SlaPolicy document
+   * @returns {Promise<number>} Reports updated
+   */
+  async reapplyPolicy(policy) {
+    const result = await Report.updateMany(
+      { 'sla.policy': policy._id, status: { $in: OPEN_STATUSES } },
+      [{
+        $set: {
+          'sla.resolutionHours': policy.resolutionHours,
+          'sla.dueAt': { $add: ['$sla.startedAt', policy.resolutionHours * HOUR_MS] }
+        }
+      }]
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Give open reports created before SLAs existed a due date
+   * @param {number} limit - Reports per run
+   * @returns {Promise<number>} Reports updated
+   */
+  async backfillDueDates(limit = 200) {
+    const reports = await Report.find({
+      status: { $in: OPEN_STATUSES },
+      'sla.dueAt': { $exists: false }
+    }).limit(limit);
+
+    for (const report of reports) {
+      await this.applyPolicy(report, { startedAt: report.createdAt });
+      await report.save();
+    }
+
+    return reports.length;
+  }
+
+  /**
+   * Notify the recipients of an escalation step
+   * @param {object} report - Report document
+   * @param {Array} notify - ['ward_officer', 'assignee', 'admin']
+   * @param {object} notification - { template, data }, written in each recipient's language
+   * @returns {Promise<Array>} Recipients that were notified
+   */
+  async notifyRecipients(report, notify, notification) {
+    const notified = [];
+    const inApp = { ...notification, type: 'report_update', priority: 'high', link: `/reports/${report._id}` };
+
+    if (notify.includes('ward_officer') && report.ward) {
+      const ward = await Ward.findById(report.ward).select('name officer');
+      const officer = ward?.officer;
+
+      if (officer?.userId) {
+        await notificationService.createNotification({ userId: officer.userId, ...inApp });
+        notified.push('ward_officer');
+      } else if (officer?.email || officer?.phone) {
+        // Officers without an account are reached by email/SMS only, in the default language
+        const channels = [];
+        if (officer.email) channels.push({ type: 'email', email: officer.email });
+        if (officer.phone) channels.push({ type: 'sms', phoneNumber: officer.phone });
+        await notificationService.sendMultiChannel(null, channels, {
+          ...notificationService.render(DEFAULT_LANGUAGE, notification.template),
+          data: notification.data,
+          link: inApp.link
+        }, { language: DEFAULT_LANGUAGE, name: officer.name });
+        notified.push('ward_officer');
+      }
+    }
+
+    if (notify.includes('assignee') && report.assignedTo) {
+      await notificationService.createNotification({ userId: report.assignedTo, ...inApp });
+      notified.push('assignee');
+    }
+
+    // Admins also hear about reports nobody else could be told about
+    if (notify.includes('admin') || notified.length === 0) {
+      const admins = await User.find({ role: 'admin' }).select('_id');
+      for (const admin of admins) {
+        await notificationService.createNotification({ userId: admin._id, ...inApp });
+      }
+      if (admins.length > 0) notified.push('admin');
+    }
+
+    return notified;
+  }
+
+  /**
+   * Escalate one breached report if its next escalation step is due
+   * @param {object} report - Report document past its due date
+   * @param {Date} now
+   * @returns {Promise<boolean>} Whether an escalation step fired
+   */
+  async escalate(report, now = new Date()) {
+    const policy = report.sla.policy ? await SlaPolicy.findById(report.sla.policy) : null;
+    const steps = policy?.escalation?.length > 0 ? policy.escalation : DEFAULT_ESCALATION;
+    const level = report.sla.escalationLevel || 0;
+    const step = steps[level];
+
+    if (!step || now < new Date(report.sla.dueAt.getTime() + step.afterHours * HOUR_MS)) {
+      return false;
+    }
+
+    const overdueHours = Math.round((now - report.sla.dueAt) / HOUR_MS);
+    const notified = await this.notifyRecipients(report, step.notify, {
+      template: {
+        key: 'reportOverdue',
+        params: {
+          title: report.title,
+          severity: { key: `severity.${report.severity}` },
+          category: { key: `category.${report.category}` },
+          overdueHours,
+          resolutionHours: report.sla.resolutionHours
+        }
+      },
+      data: { reportId: report._id, dueAt: report.sla.dueAt, escalationLevel: level + 1 }
+    });
+
+    report.sla.breachedAt = report.sla.breachedAt || now;
+    report.sla.escalationLevel = level + 1;
+    report.sla.lastEscalatedAt = now;
+    await report.save();
+
+    await ReportHistory.create({
+      reportId: report._id,
+      action: 'escalation',
+      note: `SLA breached by ${overdueHours}h. Escalated to ${notified.map(n => RECIPIENT_LABELS[n]).join(', ') || 'nobody (no recipients found)'}`,
+      source: 'sla-escalation'
+    });
+
+    return true;
+  }
+
+  /**
+   * Escalate all open reports that are past their due date
+   * @returns {Promise<object>} { checked, escalated }
+   */
+  async escalateBreached() {
+    const now = new Date();
+    const reports = await Report.find({
+      status: { $in: OPEN_STATUSES },
+      'sla.dueAt': { $lt: now }
+    }).sort({ 'sla.dueAt': 1 });
+
+    let escalated = 0;
+    for (const report of reports) {
+      try {
+        if (await this.escalate(report, now)) escalated++;
+      } catch (error) {
+        console.error(`Failed to escalate report ${report._id}:`, error.message);
+      }
+    }
+
+    return { checked: reports.length, escalated };
+  }
+
+  /**
+   * SLA compliance metrics
+   * @param {object} match - Extra report filter (e.g. { ward })
+   * @returns {Promise<object>} Overall compliance and a per-category breakdown
+   */
+  async getMetrics(match = {}) {
+    const now = new Date();
+    const atRiskUntil = new Date(now.getTime() + AT_RISK_HOURS * HOUR_MS);
+    const isOpen = { $in: ['$status', OPEN_STATUSES] };
+    const isResolved = { $in: ['$status', ['resolved', 'verified']] };
+
+    const byCategory = await Report.aggregate([
+      { $match: { ...match, 'sla.dueAt': { $exists: true } } },
+      {
+        $group: {
+          _id: '$category',
+          resolved: { $sum: { $cond: [isResolved, 1, 0] } },
+          resolvedWithinSla: {
+            $sum: { $cond: [{ $and: [isResolved, { $lte: ['$resolvedAt', '$sla.dueAt'] }] }, 1, 0] }
+          },
+          openBreached: {
+            $sum: { $cond: [{ $and: [isOpen, { $lt: ['$sla.dueAt', now] }] }, 1, 0] }
+          },
+          atRisk: {
+            $sum: {
+              $cond: [{ $and: [isOpen, { $gte: ['$sla.dueAt', now] }, { $lt: ['$sla.dueAt', atRiskUntil] }] }, 1, 0]
+            }
+          },
+          escalated: { $sum: { $cond: [{ $gt: ['$sla.escalationLevel', 0] }, 1, 0] } }
+        }
+      },
+      { $sort: { openBreached: -1, _id: 1 } }
+    ]);
+
+    const totals = byCategory.reduce((acc, row) => {
+      ['resolved', 'resolvedWithinSla', 'openBreached', 'atRisk', 'escalated'].forEach(key => {
+        acc[key] += row[key];
+      });
+      return acc;
+    }, { resolved: 0, resolvedWithinSla: 0, openBreached: 0, atRisk: 0, escalated: 0 });
+
+    const rate = (row) => (row.resolved > 0 ? ((row.resolvedWithinSla / row.resolved) * 100).toFixed(1) : null);
+
+    return {
+      ...totals,
+      complianceRate: rate(totals),
+      atRiskHours: AT_RISK_HOURS,
+      byCategory: byCategory.map(row => ({ ...row, complianceRate: rate(row) }))
+    };
+  }
+
+  /**
+   * Default terms applied when no policy matches
+   * @returns {object} { resolutionHours, escalation }
+   */
+  getDefaults() {
+    return {
+      resolutionHours: DEFAULT_RESOLUTION_HOURS,
+      escalation: DEFAULT_ESCALATION
+    };
+  }
+}
+
+module.exports = new SlaService();
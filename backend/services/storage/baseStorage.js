@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Keys are flat file names: no directories and no hidden files
+const VALID_KEY = /^[^./\\\0][^/\\\0]*$/;
+
+/**
+ * Base Storage Driver
+ * The interface every storage driver implements. Files are addressed by a
+ * flat key (e.g. "3f2a…9c.jpg") in one of two areas:
+ *   public  - readable by anyone at url(key)
+ *   private - only readable through signedUrl(key)
+ *
+ * Methods throw on storage errors; a missing file is not an error for exists().
+ */
+class BaseStorage {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.tempDir = config.tempDir;
+  }
+
+  /**
+   * Store a buffer
+   * @param {string} key
+   * @param {Buffer} body
+   * @param {string} visibility - public | private
+   * @returns {Promise<void>}
+   */
+  async put(key, body, visibility = 'public') {
+    throw new Error(`${this.name} storage does not support put`);
+  }
+
+  /**
+   * Move a local file into storage (the local file is removed)
+   * @param {string} filePath
+   * @param {string} key
+   * @param {string} visibility - public | private
+   * @returns {Promise<void>}
+   */
+  async putFile(filePath, key, visibility = 'public') {
+    await this.put(key, await fs.readFile(filePath), visibility);
+    await fs.unlink(filePath);
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key
+   * @param {string} visibility - public | private
+   * @returns {Promise<Buffer>}
+   */
+  async get(key, visibility = 'public') {
+    throw new Error(`${this.name} storage does not support get`);
+  }
+
+  /**
+   * Whether a file is stored
+   * @param {string} key
+   * @param {string} visibility - public | private
+   * @returns {Promise<boolean>}
+   */
+  async exists(key, visibility = 'public') {
+    throw new Error(`${this.name} storage does not support exists`);
+  }
+
+  /**
+   * Remove a stored file (no error if it doesn't exist)
+   * @param {string} key
+   * @param {string} visibility - public | private
+   * @returns {Promise<void>}
+   */
+  async delete(key, visibility = 'public') {
+    throw new Error(`${this.name} storage does not support delete`);
+  }
+
+  /**
+   * List stored keys
+   * @param {string} visibility - public | private
+   * @returns {AsyncGenerator<string>}
+   */
+  async *keys(visibility = 'public') {
+    throw new Error(`${this.name} storage does not support listing`);
+  }
+
+  /**
+   * URL a public file is read from
+   * @param {string} key
+   * @returns {string}
+   */
+  url(key) {
+    throw new Error(`${this.name} storage does not support url`);
+  }
+
+  /**
+   * Time-limited URL for reading a file
+   * @param {string} key
+   * @param {object} options - { visibility, expiresIn (seconds) }
+   * @returns {Promise<string>}
+   */
+  async signedUrl(key, options = {}) {
+    throw new Error(`${this.name} storage does not support signed URLs`);
+  }
+
+  /**
+   * Path on disk of a stored file, for drivers that keep files on this machine
+   * @returns {string|null}
+   */
+  localPath(key, visibility = 'public') {
+    return null;
+  }
+
+  /**
+   * Run fn with the path of a local copy of a stored file. Drivers without
+   * local files download it to the temp directory for the duration of fn.
+   * @param {string} key
+   * @param {Function} fn - async (filePath) => result
+   * @param {string} visibility - public | private
+   * @returns {Promise<*>} What fn returns
+   */
+  async withLocalFile(key, fn, visibility = 'public') {
+    const body = await this.get(key, visibility);
+
+    await fs.mkdir(this.tempDir, { recursive: true });
+    const tempPath = path.join(this.tempDir, `${crypto.randomUUID()}${path.extname(key)}`);
+    await fs.writeFile(tempPath, body);
+
+    try {
+      return await fn(tempPath);
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Reject keys that could escape the storage area
+   * @param {string} key
+   * @returns {string} The key
+   */
+  checkKey(key) {
+    if (typeof key !== 'string' || !VALID_KEY.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+  }
+
+  contentType(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+}
+
+module.exports = BaseStorage;
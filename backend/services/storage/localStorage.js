@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const BaseStorage = require('./baseStorage');
+
+/**
+ * Local Disk Storage
+ * Public files live in the directory served at /uploads, private ones in a
+ * directory that is only readable through HMAC-signed /private-uploads URLs.
+ * Only suitable for a single backend instance.
+ */
+class LocalStorage extends BaseStorage {
+  constructor(config = {}) {
+    super('local', config);
+    this.dirs = {
+      public: config.publicDir,
+      private: config.privateDir
+    };
+    this.signingSecret = config.signingSecret;
+  }
+
+  localPath(key, visibility = 'public') {
+    const dir = this.dirs[visibility];
+    if (!dir) {
+      throw new Error(`Unknown storage visibility: ${visibility}`);
+    }
+    return path.join(dir, this.checkKey(key));
+  }
+
+  async put(key, body, visibility = 'public') {
+    const filePath = this.localPath(key, visibility);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+  }
+
+  async putFile(filePath, key, visibility = 'public') {
+    const destination = this.localPath(key, visibility);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+
+    try {
+      await fs.rename(filePath, destination);
+    } catch (error) {
+      // The temp directory may be on another filesystem
+      if (error.code !== 'EXDEV') throw error;
+      await fs.copyFile(filePath, destination);
+      await fs.unlink(filePath);
+    }
+  }
+
+  async get(key, visibility = 'public') {
+    return fs.readFile(this.localPath(key, visibility));
+  }
+
+  async exists(key, visibility = 'public') {
+    try {
+      await fs.access(this.localPath(key, visibility));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key, visibility = 'public') {
+    await fs.rm(this.localPath(key, visibility), { force: true });
+  }
+
+  async *keys(visibility = 'public') {
+    let entries;
+    try {
+      entries = await fs.readdir(this.dirs[visibility], { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.isFile() && !entry.name.startsWith('.')) yield entry.name;
+    }
+  }
+
+  url(key) {
+    return `/uploads/${encodeURIComponent(this.checkKey(key))}`;
+  }
+
+  async signedUrl(key, options = {}) {
+    const { visibility = 'private', expiresIn = 900 } = options;
+    if (visibility === 'public') return this.url(key);
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign(this.checkKey(key), expires);
+    return `/private-uploads/${encodeURIComponent(key)}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signed /private-uploads URL
+   * @param {string} key
+   * @param {string|number} expires - Unix seconds
+   * @param {string} signature - Hex HMAC
+   * @returns {boolean}
+   */
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(this.sign(key, expires), 'hex');
+    const given = Buffer.from(String(signature), 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  async withLocalFile(key, fn, visibility = 'public') {
+    return fn(this.localPath(key, visibility));
+  }
+}
+
+module.exports = LocalStorage;
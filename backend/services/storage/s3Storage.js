@@ -0,0 +1,123 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const BaseStorage = require('./baseStorage');
+
+/**
+ * S3-compatible Storage
+ * Works with AWS S3, MinIO and other S3-compatible stores. Public and private
+ * files share a bucket under different prefixes; the bucket policy should
+ * allow anonymous reads of the public prefix only.
+ */
+class S3Storage extends BaseStorage {
+  constructor(config = {}) {
+    super('s3', config);
+    this.bucket = config.bucket;
+    this.prefixes = {
+      public: config.publicPrefix,
+      private: config.privatePrefix
+    };
+
+    const endpoint = config.endpoint?.replace(/\/$/, '');
+    this.publicUrl = (config.publicUrl || (endpoint
+      ? `${endpoint}/${this.bucket}`
+      : `https://${this.bucket}.s3.${config.region}.amazonaws.com`)).replace(/\/$/, '');
+
+    this.client = new S3Client({
+      region: config.region,
+      endpoint,
+      forcePathStyle: config.forcePathStyle,
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key, visibility = 'public') {
+    const prefix = this.prefixes[visibility];
+    if (prefix === undefined) {
+      throw new Error(`Unknown storage visibility: ${visibility}`);
+    }
+    return `${prefix}${this.checkKey(key)}`;
+  }
+
+  async put(key, body, visibility = 'public') {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key, visibility),
+      Body: body,
+      ContentType: this.contentType(key),
+      // Keys are content hashes, so an object never changes
+      CacheControl: visibility === 'public' ? 'public, max-age=2592000, immutable' : 'private, no-store'
+    }));
+  }
+
+  async get(key, visibility = 'public') {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key, visibility)
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async exists(key, visibility = 'public') {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key, visibility)
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async delete(key, visibility = 'public') {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key, visibility)
+    }));
+  }
+
+  async *keys(visibility = 'public') {
+    const prefix = this.prefixes[visibility];
+    let ContinuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        const key = object.Key.slice(prefix.length);
+        // Objects in "subdirectories" aren't ours
+        if (key && !key.includes('/')) yield key;
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${this.prefixes.public}${encodeURIComponent(this.checkKey(key))}`;
+  }
+
+  async signedUrl(key, options = {}) {
+    const { visibility = 'private', expiresIn = 900 } = options;
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key, visibility) }),
+      { expiresIn }
+    );
+  }
+}
+
+module.exports = S3Storage;
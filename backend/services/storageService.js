@@ -0,0 +1,137 @@
+const path = require('path');
+const storageConfig = require('../config/storage');
+const LocalStorage = require('./storage/localStorage');
+const S3Storage = require('./storage/s3Storage');
+
+const DRIVER_CLASSES = {
+  local: LocalStorage,
+  s3: S3Storage
+};
+
+/**
+ * Storage Service
+ * Single entry point for uploaded files. Calls go to the driver picked by
+ * STORAGE_DRIVER (see config/storage.js). Files are addressed by key; the
+ * stored URL of a file (e.g. report.images[].url) can be used in place of
+ * its key anywhere a key is taken.
+ */
+class StorageService {
+  constructor() {
+    this.drivers = {};
+    this.driverName = storageConfig.driver;
+    this.tempDir = storageConfig.tempDir;
+    this.signedUrlTtlSeconds = storageConfig.signedUrlTtlSeconds;
+  }
+
+  /**
+   * Get (and create on first use) a driver
+   * @param {string} name - local | s3 (defaults to the configured driver)
+   * @returns {object} Driver instance
+   */
+  getDriver(name = this.driverName) {
+    if (!this.drivers[name]) {
+      const DriverClass = DRIVER_CLASSES[name];
+      if (!DriverClass) {
+        throw new Error(`Unknown storage driver: ${name}`);
+      }
+      this.drivers[name] = new DriverClass({ ...storageConfig.drivers[name], tempDir: this.tempDir });
+    }
+    return this.drivers[name];
+  }
+
+  get driver() {
+    return this.getDriver();
+  }
+
+  /**
+   * Key of a stored file from its URL ("/uploads/x.jpg", an S3 URL or a bare key)
+   * @param {string} urlOrKey
+   * @returns {string}
+   */
+  keyFromUrl(urlOrKey) {
+    const pathname = String(urlOrKey || '').split(/[?#]/)[0];
+    return decodeURIComponent(path.posix.basename(pathname));
+  }
+
+  async put(key, body, visibility = 'public') {
+    return this.driver.put(this.keyFromUrl(key), body, visibility);
+  }
+
+  async putFile(filePath, key, visibility = 'public') {
+    return this.driver.putFile(filePath, this.keyFromUrl(key), visibility);
+  }
+
+  async get(urlOrKey, visibility = 'public') {
+    return this.driver.get(this.keyFromUrl(urlOrKey), visibility);
+  }
+
+  async exists(urlOrKey, visibility = 'public') {
+    return this.driver.exists(this.keyFromUrl(urlOrKey), visibility);
+  }
+
+  async delete(urlOrKey, visibility = 'public') {
+    return this.driver.delete(this.keyFromUrl(urlOrKey), visibility);
+  }
+
+  /**
+   * URL to store and serve for a public file
+   * @param {string} urlOrKey
+   * @returns {string}
+   */
+  url(urlOrKey) {
+    return this.driver.url(this.keyFromUrl(urlOrKey));
+  }
+
+  /**
+   * Time-limited URL for a file, e.g. a private original for moderators
+   * @param {string} urlOrKey
+   * @param {object} options - { visibility (default private), expiresIn (seconds) }
+   * @returns {Promise<string>}
+   */
+  async signedUrl(urlOrKey, options = {}) {
+    return this.driver.signedUrl(this.keyFromUrl(urlOrKey), {
+      visibility: 'private',
+      expiresIn: this.signedUrlTtlSeconds,
+      ...options
+    });
+  }
+
+  /**
+   * Path on disk of a stored file when the driver keeps files locally
+   * @returns {string|null}
+   */
+  localPath(urlOrKey, visibility = 'public') {
+    return this.driver.localPath(this.keyFromUrl(urlOrKey), visibility);
+  }
+
+  /**
+   * Run fn with a local copy of a stored file (for sharp and the analyzers)
+   * @param {string} urlOrKey
+   * @param {Function} fn - async (filePath) => result
+   * @param {string} visibility - public | private
+   * @returns {Promise<*>} What fn returns
+   */
+  async withLocalFile(urlOrKey, fn, visibility = 'public') {
+    return this.driver.withLocalFile(this.keyFromUrl(urlOrKey), fn, visibility);
+  }
+
+  /**
+   * withLocalFile for several files at once
+   * @param {string[]} urlsOrKeys
+   * @param {Function} fn - async (filePaths) => result
+   * @returns {Promise<*>} What fn returns
+   */
+  async withLocalFiles(urlsOrKeys, fn, visibility = 'public') {
+    const filePaths = [];
+    const next = async (index) => {
+      if (index === urlsOrKeys.length) return fn(filePaths);
+      return this.withLocalFile(urlsOrKeys[index], async (filePath) => {
+        filePaths.push(filePath);
+        return next(index + 1);
+      }, visibility);
+    };
+    return next(0);
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,284 @@
+const Redis = require('ioredis');
+const redisConfig = require('../config/redis');
+const TranslationMemory = require('../models/TranslationMemory');
+const GlossaryTerm = require('../models/GlossaryTerm');
+const { escapeRegex } = require('../utils/regex');
+
+const KEY_PREFIX = 'translation:';
+
+/**
+ * Translation Memory Service
+ * Cache of translations in front of the model: Redis for recently used
+ * ones, MongoDB (TranslationMemory) for all of them. Also holds the civic
+ * glossary the model is told to follow. Lookups never fail a translation;
+ * when Redis or MongoDB is down the model is simply asked again.
+ */
+class TranslationMemoryService {
+  constructor() {
+    this.ttlSeconds = (parseInt(process.env.TRANSLATION_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60;
+    // Glossary kept in memory; edits through the API refresh it at once,
+    // other instances pick them up within this time
+    this.glossaryTtlMs = 5 * 60 * 1000;
+    this.glossary = null;
+    this.glossaryLoadedAt = 0;
+    this.client = null;
+  }
+
+  /**
+   * Redis client, connected on first use
+   */
+  get redis() {
+    if (!this.client) {
+      this.client = new Redis({ ...redisConfig, maxRetriesPerRequest: 2 });
+      this.client.on('error', (error) => {
+        console.error('Translation cache error:', error.message);
+      });
+    }
+    return this.client;
+  }
+
+  cacheKey(key) {
+    return `${KEY_PREFIX}${key}`;
+  }
+
+  async cache(entry) {
+    try {
+      await this.redis.set(
+        this.cacheKey(entry.key),
+        JSON.stringify({ translatedText: entry.translatedText, status: entry.status }),
+        'EX',
+        this.ttlSeconds
+      );
+    } catch (error) {
+      console.warn('Failed to cache translation:', error.message);
+    }
+  }
+
+  async uncache(keys) {
+    if (keys.length === 0) return;
+    try {
+      await this.redis.del(...keys.map(key => this.cacheKey(key)));
+    } catch (error) {
+      console.warn('Failed to drop cached translations:', error.message);
+    }
+  }
+
+  /**
+   * Stored translation of a text, if any
+   * @returns {Promise<object|null>} { translatedText, status }
+   */
+  async lookup(text, sourceLang, targetLang) {
+    const key = TranslationMemory.keyFor(text, sourceLang, targetLang);
+
+    try {
+      const cached = await this.redis.get(this.cacheKey(key));
+      if (cached) {
+        this.recordHit(key);
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      console.warn('Translation cache lookup failed:', error.message);
+    }
+
+    try {
+      const entry = await TranslationMemory.findOne({ key }).select('key translatedText status');
+      if (!entry) return null;
+
+      this.recordHit(key);
+      await this.cache(entry);
+      return { translatedText: entry.translatedText, status: entry.status };
+    } catch (error) {
+      console.warn('Translation memory lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  recordHit(key) {
+    TranslationMemory.updateOne({ key }, { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } })
+      .catch(error => console.warn('Failed to count translation hit:', error.message));
+  }
+
+  /**
+   * Remember a translation the model made. An entry that already exists
+   * (e.g. reviewed meanwhile) is left alone.
+   */
+  async store(text, sourceLang, targetLang, translatedText, { model } = {}) {
+    const key = TranslationMemory.keyFor(text, sourceLang, targetLang);
+
+    try {
+      await TranslationMemory.updateOne(
+        { key },
+        {
+          $setOnInsert: {
+            key,
+            sourceLang,
+            targetLang,
+            sourceText: text,
+            normalizedText: TranslationMemory.normalize(text),
+            translatedText,
+            model,
+            lastUsedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      await this.cache({ key, translatedText, status: 'unreviewed' });
+    } catch (error) {
+      console.warn('Failed to store translation:', error.message);
+    }
+  }
+
+  /**
+   * Approve a translation, or correct it. Either way it replaces the model
+   * from now on.
+   * @param {string} id
+   * @param {object} changes - { translatedText } to correct; omit to approve
+   * @param {object} user - Reviewer
+   * @returns {Promise<object|null>} Updated entry
+   */
+  async review(id, { translatedText } = {}, user) {
+    const entry = await TranslationMemory.findById(id);
+    if (!entry) return null;
+
+    const corrected = typeof translatedText === 'string' && translatedText.trim()
+      && translatedText.trim() !== entry.translatedText;
+    if (corrected) {
+      if (entry.status === 'unreviewed') entry.modelText = entry.translatedText;
+      entry.translatedText = translatedText.trim();
+    }
+    entry.status = corrected || entry.status === 'corrected' ? 'corrected' : 'approved';
+    entry.reviewedBy = user._id;
+    entry.reviewedAt = new Date();
+    await entry.save();
+
+    await this.cache(entry);
+    return entry;
+  }
+
+  /**
+   * Forget a translation; the model translates the text again next time
+   */
+  async remove(id) {
+    const entry = await TranslationMemory.findByIdAndDelete(id);
+    if (entry) await this.uncache([entry.key]);
+    return entry;
+  }
+
+  /**
+   * Translations for the review screen
+   * @param {object} filters - { status, sourceLang, targetLang, q, page, limit }
+   */
+  async list({ status, sourceLang, targetLang, q, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (sourceLang) query.sourceLang = sourceLang;
+    if (targetLang) query.targetLang = targetLang;
+    if (q) {
+      const pattern = new RegExp(escapeRegex(String(q)), 'i');
+      query.$or = [{ sourceText: pattern }, { translatedText: pattern }];
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [translations, total] = await Promise.all([
+      TranslationMemory.find(query)
+        .sort({ hits: -1, createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('reviewedBy', 'name email'),
+      TranslationMemory.countDocuments(query)
+    ]);
+
+    return { translations, total, page: pageNumber, pages: Math.ceil(total / pageSize) };
+  }
+
+  /**
+   * Active glossary terms, loaded at most every glossaryTtlMs
+   */
+  async glossaryTerms() {
+    if (!this.glossary || Date.now() - this.glossaryLoadedAt > this.glossaryTtlMs) {
+      try {
+        this.glossary = await GlossaryTerm.find({ isActive: true }).lean();
+        this.glossaryLoadedAt = Date.now();
+      } catch (error) {
+        console.warn('Failed to load glossary:', error.message);
+        return this.glossary || [];
+      }
+    }
+    return this.glossary;
+  }
+
+  /**
+   * Glossary entries that apply to a text
+   * @returns {Promise<array>} [{ term, translation }], translation === term for names
+   */
+  async termsFor(text, sourceLang, targetLang) {
+    const haystack = TranslationMemory.normalize(text);
+    const terms = await this.glossaryTerms();
+
+    return terms
+      .filter(entry => !entry.language || entry.language.toLowerCase() === sourceLang.toLowerCase())
+      .filter(entry => this.mentions(haystack, entry.term))
+      .map(entry => ({
+        term: entry.term,
+        translation: entry.keepAsIs ? entry.term : entry.translations?.[targetLang]
+      }))
+      .filter(entry => entry.translation);
+  }
+
+  /**
+   * Whether normalized text contains a term as a whole word. \b only knows
+   * Latin letters, so word edges are anything that isn't a letter or mark.
+   */
+  mentions(normalizedText, term) {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{M}])${escapeRegex(TranslationMemory.normalize(term))}($|[^\\p{L}\\p{M}])`, 'u');
+    return pattern.test(normalizedText);
+  }
+
+  /**
+   * The glossary translation when the whole text is one term
+   * @returns {Promise<string|null>}
+   */
+  async glossaryMatch(text, sourceLang, targetLang) {
+    const normalized = TranslationMemory.normalize(text);
+    const [match] = (await this.termsFor(text, sourceLang, targetLang))
+      .filter(entry => TranslationMemory.normalize(entry.term) === normalized);
+    return match ? match.translation : null;
+  }
+
+  /**
+   * After a glossary change: reload it, and forget unreviewed translations
+   * that contain the term so they are made again with the new wording
+   * @returns {Promise<number>} Translations dropped
+   */
+  async glossaryChanged(term) {
+    this.glossary = null;
+
+    const pattern = new RegExp(escapeRegex(TranslationMemory.normalize(term)), 'i');
+    const stale = await TranslationMemory.find({ status: 'unreviewed', normalizedText: pattern }).select('key');
+    if (stale.length === 0) return 0;
+
+    await TranslationMemory.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+    await this.uncache(stale.map(entry => entry.key));
+    return stale.length;
+  }
+
+  /**
+   * Counts for the admin screen
+   */
+  async getStats() {
+    const [byStatus, hits] = await Promise.all([
+      TranslationMemory.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      TranslationMemory.aggregate([{ $group: { _id: null, hits: { $sum: '$hits' } } }])
+    ]);
+
+    return {
+      entries: Object.fromEntries(byStatus.map(group => [group._id, group.count])),
+      hits: hits[0]?.hits || 0,
+      glossaryTerms: await GlossaryTerm.countDocuments({ isActive: true })
+    };
+  }
+}
+
+module.exports = new TranslationMemoryService();
@@ -0,0 +1,181 @@
+const Ward = require('../models/Ward');
+const Report = require('../models/Report');
+const GarbageSchedule = require('../models/GarbageSchedule');
+
+// Property names commonly found in ward boundary files converted from shapefiles
+const DEFAULT_FIELDS = {
+  code: ['code', 'ward_code', 'WARD_CODE', 'ward_id', 'WARD_ID', 'wardcode'],
+  name: ['name', 'ward_name', 'WARD_NAME', 'wardname', 'NAME'],
+  number: ['number', 'ward_no', 'WARD_NO', 'wardno'],
+  zone: ['zone', 'zone_name', 'ZONE', 'ZONE_NAME']
+};
+
+const pick = (properties, keys) => {
+  for (const key of keys) {
+    if (properties[key] !== undefined && properties[key] !== null && properties[key] !== '') {
+      return properties[key];
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Ward Service
+ * Imports ward boundaries and resolves locations to wards
+ */
+class WardService {
+  /**
+   * Convert a GeoJSON feature to ward fields
+   * @param {object} feature - GeoJSON Feature with a Polygon/MultiPolygon geometry
+   * @param {object} fields - Optional property name overrides, e.g. { code: 'WARD_NO' }
+   * @returns {object} Ward fields
+   */
+  featureToWard(feature, fields = {}) {
+    const properties = feature.properties || {};
+    const keysFor = (field) => (fields[field] ? [fields[field]] : DEFAULT_FIELDS[field]);
+
+    const number = pick(properties, keysFor('number'));
+    const code = pick(properties, keysFor('code')) ||
+      (number !== undefined ? `WARD_${String(number).padStart(3, '0')}` : undefined);
+
+    return {
+      code: code !== undefined ? String(code) : undefined,
+      name: pick(properties, keysFor('name')) || (number !== undefined ? `Ward ${number}` : undefined),
+      number: number !== undefined ? parseInt(number) : undefined,
+      zone: pick(properties, keysFor('zone')),
+      boundary: feature.geometry
+    };
+  }
+
+  /**
+   * Import (upsert by code) wards from a GeoJSON FeatureCollection
+   * @param {object} geojson - FeatureCollection
+   * @param {object} options - { fields, source }
+   * @returns {Promise<object>} { created, updated, skipped }
+   */
+  async importFeatureCollection(geojson, options = {}) {
+    if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+      throw new Error('Expected a GeoJSON FeatureCollection');
+    }
+
+    const result = { created: 0, updated: 0, skipped: [] };
+
+    for (const [index, feature] of geojson.features.entries()) {
+      const ward = this.featureToWard(feature, options.fields);
+
+      if (!ward.code || !ward.name) {
+        result.skipped.push({ index, reason: 'Missing ward code/name properties' });
+        continue;
+      }
+      if (!['Polygon', 'MultiPolygon'].includes(ward.boundary?.type)) {
+        result.skipped.push({ index, code: ward.code, reason: 'Geometry must be a Polygon or MultiPolygon' });
+        continue;
+      }
+
+      try {
+        const existing = await Ward.findOne({ code: ward.code.toUpperCase() }).select('_id');
+        await Ward.findOneAndUpdate(
+          { code: ward.code.toUpperCase() },
+          { $set: { ...ward, source: options.source, isActive: true } },
+          { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        existing ? result.updated++ : result.created++;
+      } catch (error) {
+        // Usually an invalid polygon rejected by the 2dsphere index
+        result.skipped.push({ index, code: ward.code, reason: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the ward containing a point
+   * @param {Array} coordinates - [longitude, latitude]
+   * @returns {Promise<object|null>} Ward (without boundary) or null
+   */
+  async findWardForLocation(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+    const [lng, lat] = coordinates.map(Number);
+    // [0, 0] is the "no location" default used by reports
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || (lng === 0 && lat === 0)) return null;
+    return Ward.findByPoint([lng, lat]);
+  }
+
+  /**
+   * Ward/zone fields for a GeoJSON point location
+   * @param {object} location - { coordinates: [lng, lat] }
+   * @returns {Promise<object>} { ward, zone } (empty if outside all wards)
+   */
+  async wardFieldsForLocation(location) {
+    const ward = await this.findWardForLocation(location?.coordinates);
+    return ward ? { ward: ward._id, zone: ward.zone } : {};
+  }
+
+  /**
+   * Copy a ward's zone onto the reports and schedules that reference it
+   * @param {object} ward - Ward document
+   */
+  async syncZone(ward) {
+    await Promise.all([
+      Report.updateMany({ ward: ward._id }, { $set: { zone: ward.zone } }),
+      GarbageSchedule.updateMany({ ward: ward._id }, { $set: { zone: ward.zone } })
+    ]);
+  }
+
+  /**
+   * Assign wards to reports that don't have one yet
+   * @returns {Promise<number>} Number of reports updated
+   */
+  async backfillReports() {
+    const wards = await Ward.find({ isActive: true }).select('boundary zone');
+    let updated = 0;
+
+    for (const ward of wards) {
+      const result = await Report.updateMany(
+        {
+          ward: { $exists: false },
+          location: { $geoWithin: { $geometry: ward.boundary } }
+        },
+        { $set: { ward: ward._id, zone: ward.zone } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Replace free-text ward names on garbage schedules with ward references
+   * @returns {Promise<object>} { linked, unmatched }
+   */
+  async linkGarbageSchedules() {
+    // Read through the driver: legacy documents store the ward as a string
+    const legacy = await GarbageSchedule.collection
+      .find({ ward: { $type: 'string' } })
+      .project({ ward: 1, location: 1 })
+      .toArray();
+
+    const result = { linked: 0, unmatched: [] };
+
+    for (const schedule of legacy) {
+      const ward = await Ward.resolve(schedule.ward) ||
+        await this.findWardForLocation(schedule.location?.coordinates);
+
+      if (!ward) {
+        result.unmatched.push({ scheduleId: schedule._id, ward: schedule.ward });
+        continue;
+      }
+
+      await GarbageSchedule.collection.updateOne(
+        { _id: schedule._id },
+        { $set: { ward: ward._id, zone: ward.zone } }
+      );
+      result.linked++;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new WardService();
@@ -4,7 +4,7 @@
  */
 
 require('dotenv').config();
-const ollamaService = require('./services/ollamaService');
+const llmService = require('./services/llmService');
 const aiTriageService = require('./services/aiTriageService');
 const aiTranslationService = require('./services/aiTranslationService');
 const aiFollowupService = require('./services/aiFollowupService');
@@ -74,19 +74,21 @@ function section(title) {
 }
 
 async function testOllamaConnection() {
-  section('Test 1: Ollama Connection');
+  section('Test 1: LLM Provider Connection');
   
   try {
-    log('Checking Ollama health...', 'cyan');
-    const health = await ollamaService.healthCheck();
+    log('Checking LLM provider health...', 'cyan');
+    const health = await llmService.healthCheck();
     
     if (health.status === 'healthy') {
-      log('✓ Ollama is running', 'green');
-      log(`Available models: ${health.models.join(', ')}`, 'blue');
+      log(`✓ Providers are running: ${Object.keys(health.providers).join(', ')}`, 'green');
+      log(`Available models: ${health.models.map(m => m.name).join(', ')}`, 'blue');
       return true;
     } else {
-      log('✗ Ollama is not healthy', 'red');
-      log(`Error: ${health.message}`, 'red');
+      log('✗ An LLM provider is not healthy', 'red');
+      Object.entries(health.providers)
+        .filter(([, provider]) => provider.status !== 'healthy')
+        .forEach(([name, provider]) => log(`Error (${name}): ${provider.error}`, 'red'));
       return false;
     }
   } catch (error) {
@@ -0,0 +1,82 @@
+/**
+ * Localization Utility
+ * Text sent to users (notifications, emails, SMS) in their preferred
+ * language. Strings live in locales/<code>.json; a key missing from a
+ * language falls back to English. Placeholders are written {{name}}.
+ */
+
+const bundles = {
+  en: require('../locales/en.json'),
+  hi: require('../locales/hi.json')
+};
+
+// Language code → name, as the AI services and translation memory use it
+const LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi'
+};
+
+const DEFAULT_LANGUAGE = LANGUAGES[process.env.DEFAULT_LANGUAGE] ? process.env.DEFAULT_LANGUAGE : 'en';
+
+/**
+ * A supported language code, or the default one. Accepts names as well,
+ * e.g. 'Hindi' → 'hi'.
+ */
+function normalizeLanguage(language) {
+  if (LANGUAGES[language]) return language;
+  const byName = Object.keys(LANGUAGES)
+    .find(code => LANGUAGES[code].toLowerCase() === String(language).toLowerCase());
+  return byName || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language of a user document (or anything with a `language` field)
+ */
+function languageOf(user) {
+  return normalizeLanguage(user?.language);
+}
+
+/**
+ * Language name for prompts, e.g. 'hi' → 'Hindi'. Names pass through,
+ * so callers that already hold one (or a language we have no bundle
+ * for, which the model can still write) are unaffected.
+ */
+function languageName(language) {
+  if (!language) return LANGUAGES[DEFAULT_LANGUAGE];
+  return LANGUAGES[language] || language;
+}
+
+function lookup(bundle, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), bundle);
+}
+
+/**
+ * Translate a key
+ * @param {string} language - Language code
+ * @param {string} key - e.g. 'notifications.statusUpdated.title'
+ * @param {object} params - Placeholder values; a { key, params } value is
+ *   translated too, e.g. { status: { key: 'status.resolved' } }
+ * @returns {string} The text, or the key itself when no language has it
+ */
+function t(language, key, params = {}) {
+  const code = normalizeLanguage(language);
+  let text = lookup(bundles[code], key);
+  if (typeof text !== 'string') text = lookup(bundles.en, key);
+  if (typeof text !== 'string') return key;
+
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object' && value.key) return t(code, value.key, value.params);
+    return String(value);
+  });
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  languageOf,
+  languageName,
+  t
+};
@@ -0,0 +1,39 @@
+/**
+ * Job Lock Utility
+ * Cron jobs start on every app instance; a job takes the lock before it
+ * runs so only one instance does the work.
+ */
+
+const os = require('os');
+const JobLock = require('../models/JobLock');
+
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Take a job's lock unless another instance holds it. The lock is not
+ * released after the run: it expires after ttlMs, which should be a little
+ * shorter than the job's interval so instances whose clocks fire a moment
+ * later skip that slot.
+ * @param {string} name - Job name
+ * @param {number} ttlMs - How long the lock is held
+ * @returns {Promise<boolean>} true when this instance should run the job
+ */
+async function acquireJobLock(name, ttlMs) {
+  const now = new Date();
+  try {
+    await JobLock.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { owner: OWNER, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The lock exists and has not expired, so the upsert collided with it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  acquireJobLock
+};
@@ -0,0 +1,79 @@
+/**
+ * JSON Schema Validation Utility
+ * Checks model output against the subset of JSON Schema the AI services
+ * use: type (or a list of types), enum, properties, required,
+ * additionalProperties: false, items, minLength/maxLength and
+ * minimum/maximum. The same schema can be sent to the model as its
+ * structured output format.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} path - Prefix for error paths
+ * @returns {object} { valid, errors: [{ path, message }] }
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const fail = (message) => errors.push({ path: path || '(root)', message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return { valid: false, errors };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(String).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, childPath).errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`).errors));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  validate
+};
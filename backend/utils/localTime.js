@@ -0,0 +1,79 @@
+/**
+ * Local Time Utility
+ * Opening hours and shifts are written in the city's local time, while the
+ * server may run in UTC. Times are compared in CITY_TIMEZONE.
+ */
+
+const CITY_TIMEZONE = process.env.CITY_TIMEZONE || 'Asia/Kolkata';
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse "06:00", "6:00 AM" or "18:30" into minutes since midnight
+ * @returns {number|null} null when the value is not a time
+ */
+function parseTime(value) {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3] && match[3].toUpperCase();
+
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Day of the week and time of day of a date in the city's timezone
+ * @returns {object} { day, previousDay, minutes } e.g. { day: 'monday', previousDay: 'sunday', minutes: 570 }
+ */
+function localTime(date = new Date(), timeZone = CITY_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  const dayIndex = DAYS.indexOf(part('weekday').toLowerCase());
+  return {
+    day: DAYS[dayIndex],
+    previousDay: DAYS[(dayIndex + 6) % 7],
+    minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+  };
+}
+
+/**
+ * Whether a weekly slot covers a local time (from localTime). A slot ending
+ * earlier than it starts runs overnight; the same start and end means all day.
+ * @param {object} slot - { day, start, end }, e.g. { day: 'monday', start: '22:00', end: '06:00' }
+ * @param {object} now - { day, previousDay, minutes }
+ */
+function isWithinSlot(slot, now) {
+  const start = parseTime(slot.start);
+  const end = parseTime(slot.end);
+  if (start === null || end === null) return false;
+
+  if (slot.day === now.day) {
+    if (start === end) return true;
+    if (start < end) return now.minutes >= start && now.minutes < end;
+    return now.minutes >= start;
+  }
+
+  // Overnight slot carried over from the previous day
+  return slot.day === now.previousDay && start > end && now.minutes < end;
+}
+
+module.exports = {
+  CITY_TIMEZONE,
+  DAYS,
+  parseTime,
+  localTime,
+  isWithinSlot
+};
@@ -0,0 +1,15 @@
+/**
+ * Regex Utility
+ * Helpers for putting user input into regular expressions and $regex queries
+ */
+
+/**
+ * Escape a string so it matches literally inside a regular expression
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  escapeRegex
+};
@@ -143,6 +143,10 @@ function sanitizeAIOutput(output) {
       .replace(/onclick\s*=/gi, '');
   }
 
+  if (Array.isArray(output)) {
+    return output.map(sanitizeAIOutput);
+  }
+
   if (typeof output === 'object') {
     const sanitized = {};
     for (const [key, value] of Object.entries(output)) {
@@ -19,6 +19,8 @@ import ToiletFinder from "./pages/ToiletFinder";
 import RestaurantHygiene from "./pages/RestaurantHygiene";
 import GarbageSchedule from "./pages/GarbageSchedule";
 import HealthGuide from "./pages/HealthGuide";
+import ReportDetails from "./pages/ReportDetails";
+import MyAssignments from "./pages/MyAssignments";
 import "react-toastify/dist/ReactToastify.css";
 import "./styles/global.css";
 
@@ -73,11 +75,20 @@ const App = () => {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/assignments" 
+                element={
+                  <ProtectedRoute allowedRoles={['inspector']}>
+                    <MyAssignments />
+                  </ProtectedRoute>
+                } 
+              />
               <Route path="/toilets" element={<ToiletFinder />} />
               <Route path="/restaurant" element={<RestaurantHygiene />} />
               <Route path="/garbage" element={<GarbageSchedule />} />
               <Route path="/garbage-schedule" element={<GarbageSchedule />} />
               <Route path="/health-guide" element={<HealthGuide />} />
+              <Route path="/reports/:id" element={<ReportDetails />} />
               {/* Alias routes for backward compatibility */}
               <Route 
                 path="/report" 
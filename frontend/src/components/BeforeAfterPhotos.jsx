@@ -0,0 +1,68 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle, Clock } from 'lucide-react';
+import { imageUrl } from '../utils/images';
+import { useTranslation } from '../context/useTranslation';
+import './BeforeAfterPhotos.css';
+
+// Labels are under beforeAfter.evidence.<status>
+const EVIDENCE_ICONS = {
+  pending: Clock,
+  credible: CheckCircle,
+  suspicious: AlertTriangle,
+  insufficient: AlertTriangle
+};
+
+const PhotoColumn = ({ title, images, emptyText }) => (
+  <div className="before-after-column">
+    <h4>{title}</h4>
+    {images.length > 0 ? (
+      <div className="before-after-images">
+        {images.map((image, idx) => (
+          <img
+            key={image._id || idx}
+            src={imageUrl(image, 'medium')}
+            alt={`${title} ${idx + 1}`}
+            onClick={() => window.open(imageUrl(image), '_blank')}
+          />
+        ))}
+      </div>
+    ) : (
+      <p className="before-after-empty">{emptyText}</p>
+    )}
+  </div>
+);
+
+const BeforeAfterPhotos = ({ report, showEvidence = false }) => {
+  const before = report.images || [];
+  const evidence = report.resolutionEvidence || {};
+  const after = evidence.afterImages || [];
+  const StatusIcon = EVIDENCE_ICONS[evidence.status];
+  const { t } = useTranslation();
+
+  if (before.length === 0 && after.length === 0) return null;
+
+  return (
+    <div className="before-after">
+      <div className="before-after-grid">
+        <PhotoColumn title={t('beforeAfter.before')} images={before} emptyText={t('beforeAfter.noPhotos')} />
+        <PhotoColumn title={t('beforeAfter.after')} images={after} emptyText={t('beforeAfter.noAfterPhotos')} />
+      </div>
+
+      {showEvidence && StatusIcon && (
+        <div className={`before-after-evidence ${evidence.status}`}>
+          <StatusIcon size={16} />
+          <span>{t(`beforeAfter.evidence.${evidence.status}`)}</span>
+          {evidence.reasons?.length > 0 && (
+            <ul>
+              {evidence.reasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BeforeAfterPhotos;
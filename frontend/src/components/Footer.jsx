@@ -1,13 +1,15 @@
 import React, { useState } from "react";
 import { Link } from "react-router-dom";
+import { useTranslation } from "../context/useTranslation";
 import "../styles/Footer.css";
 
 const Footer = () => {
   const [email, setEmail] = useState("");
+  const { t } = useTranslation();
 
   const handleSubscribe = (e) => {
     e.preventDefault();
-    alert(`Subscribed with: ${email}`);
+    alert(t('footer.subscribed', { email }));
     setEmail("");
   };
 
@@ -17,47 +19,44 @@ const Footer = () => {
         {/* About Section */}
         <div className="footer-section about">
           <h3>SwachhSetu</h3>
-          <p>
-            Citizen-driven hygiene platform empowering communities to maintain
-            cleanliness and report issues in public spaces.
-          </p>
+          <p>{t('footer.about')}</p>
           <div className="contact-info">
-            <p>Email: support@swachhsetu.com</p>
-            <p>Phone: +91 9876543210</p>
-            <p>Address: jp nagar Benagalur, India</p>
+            <p>{t('footer.email', { value: 'support@swachhsetu.com' })}</p>
+            <p>{t('footer.phone', { value: '+91 9876543210' })}</p>
+            <p>{t('footer.address', { value: t('footer.addressValue') })}</p>
           </div>
         </div>
 
         {/* Quick Links */}
 <div className="footer-section links">
-  <h4>Quick Links</h4>
+  <h4>{t('footer.quickLinks')}</h4>
   <div className="links-columns">
     <ul>
       <li>
-        <Link to="/">Home</Link>
+        <Link to="/">{t('footer.home')}</Link>
       </li>
       <li>
-        <Link to="/toilet-finder">Toilet Finder</Link>
+        <Link to="/toilet-finder">{t('footer.toiletFinder')}</Link>
       </li>
       <li>
-        <Link to="/hygiene-finder">Hygiene Finder</Link>
+        <Link to="/hygiene-finder">{t('footer.hygieneFinder')}</Link>
       </li>
       <li>
-        <Link to="/garbage-schedule">Garbage Schedule</Link>
+        <Link to="/garbage-schedule">{t('footer.garbageSchedule')}</Link>
       </li>
     </ul>
     <ul>
       <li>
-        <Link to="/report-issue">Report Issue</Link>
+        <Link to="/report-issue">{t('footer.reportIssue')}</Link>
       </li>
       <li>
-        <Link to="/waste-report">Waste Report</Link>
+        <Link to="/waste-report">{t('footer.wasteReport')}</Link>
       </li>
       <li>
-        <Link to="/dashboard">Dashboard</Link>
+        <Link to="/dashboard">{t('footer.dashboard')}</Link>
       </li>
       <li>
-        <Link to="/health-guide">Health Guide</Link>
+        <Link to="/health-guide">{t('footer.healthGuide')}</Link>
       </li>
     </ul>
   </div>
@@ -65,16 +64,16 @@ const Footer = () => {
 
         {/* Subscribe & Social */}
         <div className="footer-section subscribe">
-          <h4>Subscribe to Updates</h4>
+          <h4>{t('footer.subscribe')}</h4>
           <form onSubmit={handleSubscribe}>
             <input
               type="email"
-              placeholder="Enter your email"
+              placeholder={t('footer.emailPlaceholder')}
               value={email}
               onChange={(e) => setEmail(e.target.value)}
               required
             />
-            <button type="submit">Subscribe</button>
+            <button type="submit">{t('footer.subscribeButton')}</button>
           </form>
 
           <div className="social-icons">
@@ -94,8 +93,8 @@ const Footer = () => {
       {/* Footer Bottom */}
       <div className="footer-bottom">
         <p>
-          © 2025 SwachhSetu | <Link to="/privacy">Privacy Policy</Link> |{" "}
-          <Link to="/terms">Terms of Service</Link>
+          © 2025 SwachhSetu | <Link to="/privacy">{t('footer.privacy')}</Link> |{" "}
+          <Link to="/terms">{t('footer.terms')}</Link>
         </p>
       </div>
     </footer>
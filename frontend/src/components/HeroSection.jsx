@@ -1,38 +1,36 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
+import { useTranslation } from "../context/useTranslation";
 import "../styles/HeroSection.css";
 import heroImage from "../assets/hero-clean-city.png";
 
 const HeroSection = () => {
   const navigate = useNavigate();
+  const { t } = useTranslation();
 
   return (
     <section className="hero">
       <div className="hero-container">
         {/* Text Section */}
         <div className="hero-text">
-          <h1 className="fade-in-left">Welcome to SwachhSetu</h1>
-          <p className="fade-in-left delay-1">
-            SwachhSetu is a citizen-driven hygiene platform empowering
-            communities to maintain cleanliness and report public issues in
-            real-time. Join us in building cleaner and healthier cities.
-          </p>
+          <h1 className="fade-in-left">{t("hero.title")}</h1>
+          <p className="fade-in-left delay-1">{t("hero.text")}</p>
           <div className="hero-buttons fade-in-left delay-2">
             <button onClick={() => navigate("/report-issue")}>
-              Report an Issue
+              {t("hero.reportIssue")}
             </button>
             <button
               className="learn-btn"
               onClick={() => navigate("/dashboard")}
             >
-              Explore Dashboard
+              {t("hero.exploreDashboard")}
             </button>
           </div>
         </div>
 
         {/* Image Section */}
         <div className="hero-image fade-in-right">
-          <img src={heroImage} alt="Clean City Illustration" />
+          <img src={heroImage} alt={t("hero.imageAlt")} />
         </div>
       </div>
     </section>
@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { Download, X, Smartphone } from 'lucide-react';
 import { setupInstallPrompt, promptInstall, isInstalled } from '../utils/pwa';
+import { useTranslation } from '../context/useTranslation';
 import '../styles/InstallPrompt.css';
 
 const InstallPrompt = () => {
   const [showPrompt, setShowPrompt] = useState(false);
   const [isAppInstalled, setIsAppInstalled] = useState(false);
+  const { t } = useTranslation();
 
   useEffect(() => {
     // Check if app is already installed
@@ -46,7 +48,7 @@ const InstallPrompt = () => {
   return (
     <div className="install-prompt-overlay">
       <div className="install-prompt">
-        <button className="install-prompt-close" onClick={handleDismiss} aria-label="Close">
+        <button className="install-prompt-close" onClick={handleDismiss} aria-label={t('common.close')}>
           <X size={20} />
         </button>
         
@@ -54,25 +56,25 @@ const InstallPrompt = () => {
           <Smartphone size={48} />
         </div>
 
-        <h3 className="install-prompt-title">Install SwachhSetu App</h3>
+        <h3 className="install-prompt-title">{t('install.title')}</h3>
         <p className="install-prompt-description">
-          Get the best experience with our mobile app. Install now for:
+          {t('install.description')}
         </p>
 
         <ul className="install-prompt-features">
-          <li>📵 Offline report submission</li>
-          <li>🔔 Push notifications for updates</li>
-          <li>⚡ Faster loading times</li>
-          <li>📱 Home screen access</li>
+          <li>{t('install.offline')}</li>
+          <li>{t('install.push')}</li>
+          <li>{t('install.faster')}</li>
+          <li>{t('install.homeScreen')}</li>
         </ul>
 
         <div className="install-prompt-actions">
           <button className="install-button" onClick={handleInstall}>
             <Download size={20} />
-            Install App
+            {t('install.install')}
           </button>
           <button className="dismiss-button" onClick={handleDismiss}>
-            Maybe Later
+            {t('install.later')}
           </button>
         </div>
       </div>
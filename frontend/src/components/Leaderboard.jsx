@@ -1,9 +1,12 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { Award, TrendingUp, Star } from 'lucide-react';
+import { useTranslation } from '../context/useTranslation';
 import './Leaderboard.css';
 
 const Leaderboard = ({ leaders, type = 'points' }) => {
+  const { t } = useTranslation();
+
   const getIcon = () => {
     switch (type) {
       case 'points':
@@ -22,7 +25,7 @@ const Leaderboard = ({ leaders, type = 'points' }) => {
       case 'reports':
         return leader.stats.reportsSubmitted;
       case 'level':
-        return `Level ${leader.level.current}`;
+        return t('common.level', { level: leader.level.current });
       default:
         return leader.totalPoints;
     }
@@ -32,7 +35,7 @@ const Leaderboard = ({ leaders, type = 'points' }) => {
     <div className="leaderboard">
       <div className="leaderboard-header">
         {getIcon()}
-        <h3>Top Contributors</h3>
+        <h3>{t('leaderboard.title')}</h3>
       </div>
       <div className="leaderboard-list">
         {leaders.map((leader, index) => (
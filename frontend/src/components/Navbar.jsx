@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { Link, useNavigate, useLocation } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../context/useTranslation";
 import { 
   Shield, 
   LogOut, 
@@ -13,7 +14,9 @@ import {
   Sparkles,
   User,
   ChevronDown,
-  Trophy
+  Trophy,
+  ClipboardList,
+  Languages
 } from "lucide-react";
 import "../styles/Navbar.css";
 
@@ -24,7 +27,8 @@ const Navbar = () => {
   const [userMenuOpen, setUserMenuOpen] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, logout } = useAuth();
+  const { user, logout, changeLanguage } = useAuth();
+  const { t, language, languages } = useTranslation();
 
   // Handle scroll effect
   useEffect(() => {
@@ -61,14 +65,14 @@ const Navbar = () => {
             <span className="logo-primary">Swachh</span>
             <span className="logo-secondary">Setu</span>
           </div>
-          {user && <span className="brand-badge">{user.role}</span>}
+          {user && <span className="brand-badge">{t(`roles.${user.role}`)}</span>}
         </div>
 
         {/* Mobile Hamburger */}
         <div
           className={`navbar-toggle ${menuOpen ? "active" : ""}`}
           onClick={() => setMenuOpen(!menuOpen)}
-          aria-label="Toggle menu"
+          aria-label={t('nav.toggleMenu')}
         >
           <span></span>
           <span></span>
@@ -84,7 +88,7 @@ const Navbar = () => {
               onClick={() => setMenuOpen(false)}
             >
               <Home size={18} />
-              <span>Home</span>
+              <span>{t('nav.home')}</span>
             </Link>
           </li>
           
@@ -92,7 +96,7 @@ const Navbar = () => {
           <li className="dropdown" onMouseEnter={() => setServicesOpen(true)} onMouseLeave={() => setServicesOpen(false)}>
             <div className={`dropdown-trigger ${['/waste-report', '/toilets', '/restaurant', '/garbage', '/health'].some(path => isActive(path)) ? 'active' : ''}`}>
               <Sparkles size={18} />
-              <span>Services</span>
+              <span>{t('nav.services')}</span>
               <ChevronDown size={16} className={`chevron ${servicesOpen ? 'open' : ''}`} />
             </div>
             <ul className={`dropdown-menu ${servicesOpen ? 'show' : ''}`}>
@@ -100,8 +104,8 @@ const Navbar = () => {
                 <Link to="/waste-report" onClick={() => { setMenuOpen(false); setServicesOpen(false); }}>
                   <FileText size={16} />
                   <div>
-                    <span className="menu-title">Waste Reports</span>
-                    <span className="menu-desc">View waste dump locations</span>
+                    <span className="menu-title">{t('nav.wasteReports')}</span>
+                    <span className="menu-desc">{t('nav.wasteReportsDesc')}</span>
                   </div>
                 </Link>
               </li>
@@ -109,8 +113,8 @@ const Navbar = () => {
                 <Link to="/toilets" onClick={() => { setMenuOpen(false); setServicesOpen(false); }}>
                   <MapPin size={16} />
                   <div>
-                    <span className="menu-title">Toilet Finder</span>
-                    <span className="menu-desc">Find nearby facilities</span>
+                    <span className="menu-title">{t('nav.toiletFinder')}</span>
+                    <span className="menu-desc">{t('nav.toiletFinderDesc')}</span>
                   </div>
                 </Link>
               </li>
@@ -126,7 +130,7 @@ const Navbar = () => {
                   onClick={() => setMenuOpen(false)}
                 >
                   <LayoutDashboard size={18} />
-                  <span>Dashboard</span>
+                  <span>{t('nav.dashboard')}</span>
                 </Link>
               </li>
               <li>
@@ -136,9 +140,21 @@ const Navbar = () => {
                   onClick={() => setMenuOpen(false)}
                 >
                   <AlertCircle size={18} />
-                  <span>Report Issue</span>
+                  <span>{t('nav.reportIssue')}</span>
                 </Link>
               </li>
+              {user.role === 'inspector' && (
+                <li>
+                  <Link 
+                    to="/assignments" 
+                    className={isActive('/assignments') ? 'active' : ''}
+                    onClick={() => setMenuOpen(false)}
+                  >
+                    <ClipboardList size={18} />
+                    <span>{t('nav.myAssignments')}</span>
+                  </Link>
+                </li>
+              )}
               {(user.role === 'admin' || user.role === 'moderator') && (
                 <>
                   <li>
@@ -148,7 +164,7 @@ const Navbar = () => {
                       onClick={() => setMenuOpen(false)}
                     >
                       <BarChart3 size={18} />
-                      <span>Analytics</span>
+                      <span>{t('nav.analytics')}</span>
                     </Link>
                   </li>
                   <li>
@@ -158,7 +174,7 @@ const Navbar = () => {
                       onClick={() => setMenuOpen(false)}
                     >
                       <Shield size={18} />
-                      <span>Admin Panel</span>
+                      <span>{t('nav.adminPanel')}</span>
                     </Link>
                   </li>
                 </>
@@ -173,7 +189,7 @@ const Navbar = () => {
               onClick={() => setMenuOpen(false)}
             >
               <FileText size={18} />
-              <span>Waste Report</span>
+              <span>{t('nav.wasteReport')}</span>
             </Link>
           </li>
           <li className="mobile-only">
@@ -183,10 +199,23 @@ const Navbar = () => {
               onClick={() => setMenuOpen(false)}
             >
               <MapPin size={18} />
-              <span>Toilet Finder</span>
+              <span>{t('nav.toiletFinder')}</span>
             </Link>
           </li>
           
+          <li className="language-switcher">
+            <Languages size={18} />
+            <select
+              value={language}
+              onChange={(e) => changeLanguage(e.target.value)}
+              aria-label={t('common.language')}
+            >
+              {languages.map(option => (
+                <option key={option.code} value={option.code}>{option.label}</option>
+              ))}
+            </select>
+          </li>
+
           {/* Enhanced Auth Section */}
           {user ? (
             <li className="auth-section user-menu-container">
@@ -201,7 +230,7 @@ const Navbar = () => {
                   <span className="user-name">{user.name}</span>
                   <span className="user-points">
                     <Trophy size={14} />
-                    {user.points} pts
+                    {t('common.points', { count: user.points || 0 })}
                   </span>
                 </div>
                 <ChevronDown size={18} className={`chevron-icon ${userMenuOpen ? 'open' : ''}`} />
@@ -216,7 +245,7 @@ const Navbar = () => {
                   <div className="user-info-menu">
                     <h4>{user.name}</h4>
                     <p>{user.email}</p>
-                    <span className="role-badge-menu">{user.role}</span>
+                    <span className="role-badge-menu">{t(`roles.${user.role}`)}</span>
                   </div>
                 </div>
                 
@@ -232,7 +261,7 @@ const Navbar = () => {
                     }}
                   >
                     <User size={18} />
-                    <span>View Profile</span>
+                    <span>{t('nav.viewProfile')}</span>
                   </button>
                   
                   <button 
@@ -244,7 +273,7 @@ const Navbar = () => {
                     }}
                   >
                     <LayoutDashboard size={18} />
-                    <span>My Dashboard</span>
+                    <span>{t('nav.myDashboard')}</span>
                   </button>
                   
                   <button 
@@ -256,7 +285,7 @@ const Navbar = () => {
                     }}
                   >
                     <AlertCircle size={18} />
-                    <span>Report Issue</span>
+                    <span>{t('nav.reportIssue')}</span>
                   </button>
                   
                   <div className="user-menu-stats">
@@ -264,14 +293,14 @@ const Navbar = () => {
                       <Trophy size={16} />
                       <div>
                         <span className="stat-value">{user.points || 0}</span>
-                        <span className="stat-label">Points</span>
+                        <span className="stat-label">{t('nav.points')}</span>
                       </div>
                     </div>
                     <div className="stat-item-menu">
                       <FileText size={16} />
                       <div>
                         <span className="stat-value">{user.reportsCount || 0}</span>
-                        <span className="stat-label">Reports</span>
+                        <span className="stat-label">{t('nav.reports')}</span>
                       </div>
                     </div>
                   </div>
@@ -284,7 +313,7 @@ const Navbar = () => {
                   onClick={handleLogout}
                 >
                   <LogOut size={18} />
-                  <span>Logout</span>
+                  <span>{t('nav.logout')}</span>
                 </button>
               </div>
             </li>
@@ -298,7 +327,7 @@ const Navbar = () => {
                 }}
               >
                 <User size={18} />
-                <span>Login</span>
+                <span>{t('nav.login')}</span>
               </button>
               <button
                 className="register-btn"
@@ -307,7 +336,7 @@ const Navbar = () => {
                   setMenuOpen(false);
                 }}
               >
-                <span>Sign Up</span>
+                <span>{t('nav.signUp')}</span>
               </button>
             </li>
           )}
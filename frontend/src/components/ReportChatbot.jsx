@@ -1,19 +1,78 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { MessageCircle, Send, X, Bot, User, Loader } from 'lucide-react';
-import axios from 'axios';
+import { MessageCircle, Send, X, Bot, User, Loader, FileText, Square } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { chatbotAPI } from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { useSocket } from '../context/SocketContext';
+import { useTranslation } from '../context/useTranslation';
 import '../styles/ReportChatbot.css';
 
-const ReportChatbot = ({ onReportDataExtracted }) => {
+// The conversation is kept on the server; the browser only remembers which one
+const SESSION_KEY = 'chatbotSessionId';
+const TOKEN_KEY = 'chatbotToken';
+
+const anonymousToken = () => localStorage.getItem(TOKEN_KEY);
+
+const storeSessionId = (id) => {
+  if (id) {
+    localStorage.setItem(SESSION_KEY, id);
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+};
+
+// Conversation slot each detail belongs to (the title comes from the description)
+const FIELD_SLOTS = {
+  category: 'category',
+  title: 'description',
+  location: 'location',
+  severity: 'severity'
+};
+
+// Chip that sends the browser's position with the message
+const USE_LOCATION_CHIP = 'Use my current location';
+
+// Translation key of the reply shown when a stream fails
+const streamErrorKey = (code) => {
+  if (code === 'SESSION_BUSY') return 'chatbot.busy';
+  if (code === 'RATE_LIMITED') return 'chatbot.rateLimited';
+  return 'chatbot.error';
+};
+
+const ReportChatbot = ({ onReportDataExtracted, onDraftSaved, photoCount = 0 }) => {
+  const { isAuthenticated } = useAuth();
+  const { socket, connected } = useSocket();
+  const { t, locale } = useTranslation();
   const [isOpen, setIsOpen] = useState(false);
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const [sessionId] = useState(() => `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_KEY));
   const [extractedData, setExtractedData] = useState({});
+  // Slot → 'empty' | 'proposed' | 'confirmed'
+  const [slots, setSlots] = useState({});
+  // Language the bot replies in, once it has detected the user's
+  const [language, setLanguage] = useState(null);
   const [isComplete, setIsComplete] = useState(false);
+  const [isSavingDraft, setIsSavingDraft] = useState(false);
+  // Reply being streamed over the socket: { requestId, message, retried }
+  const [streaming, setStreaming] = useState(null);
   
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const streamingRef = useRef(null);
+  const onExtractedRef = useRef(onReportDataExtracted);
+  onExtractedRef.current = onReportDataExtracted;
+
+  const rememberSession = (id) => {
+    setSessionId(id);
+    storeSessionId(id);
+  };
+
+  const setStreamingReply = (reply) => {
+    streamingRef.current = reply;
+    setStreaming(reply);
+  };
 
   // Auto-scroll to bottom
   const scrollToBottom = () => {
@@ -24,17 +83,139 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
     scrollToBottom();
   }, [messages]);
 
-  // Initialize chat when opened
+  // Streamed replies: render the message, suggestions and fields as they arrive
+  useEffect(() => {
+    if (!socket) return;
+
+    const isCurrent = (data) => data.requestId === streamingRef.current?.requestId;
+    const updateReply = (requestId, changes) => setMessages(prev => prev.map(msg => (
+      msg.streaming === requestId ? { ...msg, ...changes } : msg
+    )));
+    const finish = () => {
+      streamingRef.current = null;
+      setStreaming(null);
+    };
+
+    const handleStart = (data) => {
+      if (!isCurrent(data)) return;
+      if (data.anonymousToken) {
+        localStorage.setItem(TOKEN_KEY, data.anonymousToken);
+      }
+      setSessionId(data.sessionId);
+      storeSessionId(data.sessionId);
+    };
+
+    const handlePartial = (data) => {
+      if (!isCurrent(data)) return;
+      updateReply(data.requestId, { content: data.message, suggestions: data.suggestions });
+      setExtractedData(prev => ({ ...prev, ...data.extractedData }));
+    };
+
+    const handleDone = (data) => {
+      if (!isCurrent(data)) return;
+      finish();
+      updateReply(data.requestId, {
+        content: data.message,
+        suggestions: data.suggestions,
+        suggestionKeys: data.suggestionKeys,
+        streaming: null
+      });
+      setSlots(data.slots || {});
+      setLanguage(data.language);
+      if (data.extractedData) {
+        setExtractedData(data.extractedData);
+        if (data.isComplete) {
+          onExtractedRef.current?.(data.extractedData, data.reportPayload);
+          setIsComplete(true);
+        }
+      }
+    };
+
+    const handleError = (data) => {
+      if (!isCurrent(data)) return;
+      const reply = streamingRef.current;
+
+      // The conversation expired: carry on in a new one
+      if (data.code === 'SESSION_NOT_FOUND' && !reply.retried) {
+        setSessionId(null);
+        storeSessionId(null);
+        streamingRef.current = { ...reply, retried: true };
+        socket.emit('chatbot:message', {
+          ...reply.context,
+          requestId: reply.requestId,
+          message: reply.message,
+          anonymousToken: anonymousToken()
+        });
+        return;
+      }
+
+      finish();
+      updateReply(data.requestId, { content: t(streamErrorKey(data.code)), suggestions: [], streaming: null });
+    };
+
+    socket.on('chatbot:start', handleStart);
+    socket.on('chatbot:partial', handlePartial);
+    socket.on('chatbot:done', handleDone);
+    socket.on('chatbot:error', handleError);
+
+    return () => {
+      socket.off('chatbot:start', handleStart);
+      socket.off('chatbot:partial', handlePartial);
+      socket.off('chatbot:done', handleDone);
+      socket.off('chatbot:error', handleError);
+    };
+  }, [socket, t]);
+
+  // Resume the last conversation (or greet) when opened
   useEffect(() => {
     if (isOpen && messages.length === 0) {
-      fetchGreeting();
+      resumeSession();
     }
   }, [isOpen]);
 
+  const resumeSession = async () => {
+    if (!sessionId && !isAuthenticated) {
+      fetchGreeting();
+      return;
+    }
+
+    try {
+      const response = await chatbotAPI.getSession(sessionId, anonymousToken());
+      const session = response.data;
+      if (!session.success || session.messages.length === 0) {
+        fetchGreeting();
+        return;
+      }
+
+      rememberSession(session.sessionId);
+      setMessages(session.messages.map((msg, index) => ({
+        ...msg,
+        // Suggestions only make sense on the last reply
+        suggestions: index === session.messages.length - 1 ? session.suggestions : [],
+        suggestionKeys: index === session.messages.length - 1 ? session.suggestionKeys : []
+      })));
+      setExtractedData(session.extractedData || {});
+      setSlots(session.slots || {});
+      setLanguage(session.language);
+      if (session.isComplete) {
+        setIsComplete(true);
+        onReportDataExtracted?.(session.extractedData, session.reportPayload);
+      }
+    } catch (error) {
+      // Expired or belongs to someone else: start over
+      if (error.response?.status === 404) {
+        rememberSession(null);
+      } else {
+        console.error('Failed to resume chat:', error);
+      }
+      fetchGreeting();
+    }
+  };
+
   // Fetch greeting message
   const fetchGreeting = async () => {
     try {
-      const response = await axios.get('/api/ai/chatbot/greeting');
+      const response = await chatbotAPI.getGreeting();
       if (response.data.success) {
         setMessages([{
           role: 'assistant',
@@ -47,18 +228,74 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
       console.error('Failed to fetch greeting:', error);
       setMessages([{
         role: 'assistant',
-        content: "Hello! I'm SwachhBot. How can I help you report a hygiene issue today?",
+        content: t('chatbot.greeting'),
         timestamp: new Date()
       }]);
     }
   };
 
-  // Send message
-  const handleSend = async () => {
+  const sendMessage = async (message, context) => {
+    try {
+      return await chatbotAPI.chat(sessionId, message, anonymousToken(), context);
+    } catch (error) {
+      // The conversation expired: carry on in a new one
+      if (sessionId && error.response?.data?.code === 'SESSION_NOT_FOUND') {
+        rememberSession(null);
+        return chatbotAPI.chat(null, message, anonymousToken(), context);
+      }
+      throw error;
+    }
+  };
+
+  // Send message: streamed over the socket when connected, otherwise in one request.
+  // The bot is told how many photos the form has, and where the user is when they share it.
+  const send = (userMessage, coordinates) => {
+    const context = { photoCount, ...(coordinates && { coordinates }) };
+
+    if (socket && connected) {
+      streamMessage(userMessage, context);
+    } else {
+      postMessage(userMessage, context);
+    }
+  };
+
+  const handleSend = () => {
     if (!inputMessage.trim() || isLoading) return;
 
     const userMessage = inputMessage.trim();
     setInputMessage('');
+    send(userMessage);
+  };
+
+  // A new message also cancels the reply still streaming (the server stops it)
+  const streamMessage = (userMessage, context) => {
+    // randomUUID needs a secure context (HTTPS or localhost)
+    const requestId = crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    setStreamingReply({ requestId, message: userMessage, context, retried: false });
+
+    setMessages(prev => [
+      ...prev.filter(msg => !msg.streaming),
+      { role: 'user', content: userMessage, timestamp: new Date() },
+      { role: 'assistant', content: '', suggestions: [], streaming: requestId, timestamp: new Date() }
+    ]);
+
+    socket.emit('chatbot:message', {
+      ...context,
+      requestId,
+      sessionId: localStorage.getItem(SESSION_KEY),
+      message: userMessage,
+      anonymousToken: anonymousToken()
+    });
+  };
+
+  // Stop the reply being streamed
+  const handleStop = () => {
+    socket?.emit('chatbot:cancel', { sessionId });
+    setMessages(prev => prev.filter(msg => !msg.streaming));
+    setStreamingReply(null);
+  };
+
+  const postMessage = async (userMessage, context) => {
     setIsLoading(true);
 
     // Add user message to chat
@@ -69,10 +306,14 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
     }]);
 
     try {
-      const response = await axios.post('/api/ai/chatbot/chat', {
-        sessionId,
-        message: userMessage
-      });
+      const response = await sendMessage(userMessage, context);
+
+      if (response.data.anonymousToken) {
+        localStorage.setItem(TOKEN_KEY, response.data.anonymousToken);
+      }
+      if (response.data.sessionId) {
+        rememberSession(response.data.sessionId);
+      }
 
       if (response.data.success) {
         // Add assistant response
@@ -80,28 +321,33 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
           role: 'assistant',
           content: response.data.message,
           suggestions: response.data.suggestions,
+          suggestionKeys: response.data.suggestionKeys,
           timestamp: new Date()
         }]);
 
         // Update extracted data
+        setSlots(response.data.slots || {});
+        setLanguage(response.data.language);
         if (response.data.extractedData) {
           const newData = response.data.extractedData;
           setExtractedData(newData);
 
           // If report is complete, notify parent
-          if (response.data.isComplete && onReportDataExtracted) {
-            onReportDataExtracted(newData);
+          if (response.data.isComplete) {
+            onReportDataExtracted?.(newData, response.data.reportPayload);
             setIsComplete(true);
           }
         }
       } else {
-        throw new Error(response.data.error || 'Failed to send message');
+        throw new Error(response.data.error || t('chatbot.sendFailed'));
       }
     } catch (error) {
       console.error('Chat error:', error);
       setMessages(prev => [...prev, {
         role: 'assistant',
-        content: "I'm sorry, I encountered an error. Could you please try again?",
+        content: error.response?.status === 409
+          ? t('chatbot.busy')
+          : t('chatbot.error'),
         timestamp: new Date()
       }]);
     } finally {
@@ -109,12 +355,48 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
     }
   };
 
-  // Handle suggestion click
-  const handleSuggestionClick = (suggestion) => {
+  // Save the collected details as a report draft
+  const handleSaveDraft = async () => {
+    if (!isAuthenticated) {
+      toast.info(t('chatbot.loginToSave'));
+      return;
+    }
+
+    try {
+      setIsSavingDraft(true);
+      const response = await chatbotAPI.submitDraft(sessionId, anonymousToken());
+      toast.success(t('chatbot.draftSaved'));
+      onDraftSaved?.(response.data.draft);
+    } catch (error) {
+      console.error('Save draft error:', error);
+      toast.error(error.response?.data?.error || t('chatbot.draftFailed'));
+    } finally {
+      setIsSavingDraft(false);
+    }
+  };
+
+  // Handle suggestion click. Chips may be translated; the key is the English chip.
+  const handleSuggestionClick = (suggestion, key = suggestion) => {
+    if (key === USE_LOCATION_CHIP) {
+      shareLocation(suggestion);
+      return;
+    }
     setInputMessage(suggestion);
     inputRef.current?.focus();
   };
 
+  const shareLocation = (chip) => {
+    if (!navigator.geolocation) {
+      toast.error(t('chatbot.geolocationUnsupported'));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (pos) => send(chip, [pos.coords.longitude, pos.coords.latitude]),
+      () => toast.error(t('chatbot.locationFailed'))
+    );
+  };
+
   // Handle key press
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -129,16 +411,30 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
   };
 
   // Reset chat
-  const handleReset = () => {
+  const handleReset = async () => {
+    if (streaming) {
+      handleStop();
+    }
+    if (sessionId) {
+      try {
+        const response = await chatbotAPI.reset(sessionId, anonymousToken());
+        rememberSession(response.data.sessionId);
+      } catch (error) {
+        console.error('Reset error:', error);
+        rememberSession(null);
+      }
+    }
     setMessages([]);
     setExtractedData({});
+    setSlots({});
+    setLanguage(null);
     setIsComplete(false);
     fetchGreeting();
   };
 
   if (!isOpen) {
     return (
-      <button className="chatbot-toggle" onClick={toggleChat} aria-label="Open chatbot">
+      <button className="chatbot-toggle" onClick={toggleChat} aria-label={t('chatbot.open')}>
         <MessageCircle size={24} />
         {Object.keys(extractedData).length > 0 && (
           <span className="chatbot-badge">{Object.keys(extractedData).length}</span>
@@ -155,17 +451,18 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
           <div>
             <h4>SwachhBot</h4>
             <span className="chatbot-status">
-              {isLoading ? 'Typing...' : 'Online'}
+              {isLoading || streaming ? t('chatbot.typing') : t('chatbot.online')}
+              {language && language.name !== 'English' && ` · ${language.name}`}
             </span>
           </div>
         </div>
         <div className="chatbot-header-actions">
           {messages.length > 1 && (
-            <button onClick={handleReset} title="Reset conversation" className="reset-btn">
+            <button onClick={handleReset} title={t('chatbot.reset')} className="reset-btn">
               ↺
             </button>
           )}
-          <button onClick={toggleChat} aria-label="Close chatbot">
+          <button onClick={toggleChat} aria-label={t('chatbot.close')}>
             <X size={20} />
           </button>
         </div>
@@ -178,14 +475,22 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
               {msg.role === 'user' ? <User size={20} /> : <Bot size={20} />}
             </div>
             <div className="message-content">
-              <p>{msg.content}</p>
+              {msg.streaming && !msg.content ? (
+                <div className="typing-indicator">
+                  <span></span>
+                  <span></span>
+                  <span></span>
+                </div>
+              ) : (
+                <p className={msg.streaming ? 'streaming' : undefined}>{msg.content}</p>
+              )}
               {msg.suggestions && msg.suggestions.length > 0 && (
                 <div className="message-suggestions">
                   {msg.suggestions.map((suggestion, idx) => (
                     <button
                       key={idx}
                       className="suggestion-chip"
-                      onClick={() => handleSuggestionClick(suggestion)}
+                      onClick={() => handleSuggestionClick(suggestion, msg.suggestionKeys?.[idx])}
                     >
                       {suggestion}
                     </button>
@@ -193,7 +498,7 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
                 </div>
               )}
               <span className="message-time">
-                {new Date(msg.timestamp).toLocaleTimeString('en-US', {
+                {new Date(msg.timestamp).toLocaleTimeString(locale, {
                   hour: '2-digit',
                   minute: '2-digit'
                 })}
@@ -220,9 +525,32 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
         <div ref={messagesEndRef} />
       </div>
 
+      {Object.keys(FIELD_SLOTS).some(field => extractedData[field]) && (
+        <div className="chatbot-extracted">
+          {Object.keys(FIELD_SLOTS).map(field => extractedData[field] && (
+            <span
+              key={field}
+              className={`extracted-field ${slots[FIELD_SLOTS[field]] === 'confirmed' ? 'confirmed' : ''}`}
+              title={slots[FIELD_SLOTS[field]] === 'confirmed' ? t('chatbot.confirmed') : t('chatbot.notConfirmed')}
+            >
+              {slots[FIELD_SLOTS[field]] === 'confirmed' && '✓ '}
+              <strong>{t(`chatbot.fields.${field}`)}:</strong> {extractedData[field]}
+            </span>
+          ))}
+        </div>
+      )}
+
       {isComplete && (
         <div className="chatbot-complete-banner">
-          ✓ Report details extracted! You can review and submit the form.
+          {t('chatbot.complete')}
+          <button
+            onClick={handleSaveDraft}
+            disabled={isSavingDraft}
+            className="save-draft-btn"
+          >
+            {isSavingDraft ? <Loader size={16} className="spin" /> : <FileText size={16} />}
+            {t('chatbot.saveDraft')}
+          </button>
         </div>
       )}
 
@@ -232,18 +560,24 @@ const ReportChatbot = ({ onReportDataExtracted }) => {
           value={inputMessage}
           onChange={(e) => setInputMessage(e.target.value)}
           onKeyPress={handleKeyPress}
-          placeholder="Type your message..."
+          placeholder={t('chatbot.placeholder')}
           rows={1}
           disabled={isLoading}
         />
-        <button
-          onClick={handleSend}
-          disabled={!inputMessage.trim() || isLoading}
-          className="send-button"
-          aria-label="Send message"
-        >
-          {isLoading ? <Loader size={20} className="spin" /> : <Send size={20} />}
-        </button>
+        {streaming && !inputMessage.trim() ? (
+          <button onClick={handleStop} className="send-button" aria-label={t('chatbot.stop')}>
+            <Square size={18} />
+          </button>
+        ) : (
+          <button
+            onClick={handleSend}
+            disabled={!inputMessage.trim() || isLoading}
+            className="send-button"
+            aria-label={t('chatbot.send')}
+          >
+            {isLoading ? <Loader size={20} className="spin" /> : <Send size={20} />}
+          </button>
+        )}
       </div>
     </div>
   );
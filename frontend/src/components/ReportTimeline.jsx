@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { Paperclip } from 'lucide-react';
+import { reportAPI } from '../utils/api';
+import { fileUrl } from '../utils/images';
+import { useTranslation } from '../context/useTranslation';
+import LoadingSpinner from './LoadingSpinner';
+import './ReportTimeline.css';
+
+const describeEntry = (entry, t) => {
+  const status = (value) => t(`status.${value}`);
+
+  switch (entry.action) {
+    case 'created':
+      return t('timeline.created');
+    case 'status_change':
+      return t('timeline.statusChange', { from: status(entry.fromStatus), to: status(entry.toStatus) });
+    case 'assignment':
+      if (!entry.toAssignee) {
+        return t('timeline.unassigned', { name: entry.fromAssignee?.name || t('timeline.previousAssignee') });
+      }
+      return entry.fromAssignee
+        ? t('timeline.reassigned', { name: entry.toAssignee.name, previous: entry.fromAssignee.name })
+        : t('timeline.assigned', { name: entry.toAssignee.name });
+    case 'priority_change':
+      return t('timeline.priorityChange', { from: entry.fromPriority, to: entry.toPriority });
+    case 'escalation':
+      return t('timeline.escalation');
+    case 'merge':
+      return entry.toStatus === 'merged'
+        ? t('timeline.mergedInto', { title: entry.relatedReport?.title || t('timeline.anotherReport') })
+        : t('timeline.duplicateMerged', { title: entry.relatedReport?.title || t('timeline.report') });
+    case 'unmerge':
+      return entry.fromStatus === 'merged'
+        ? t('timeline.unmergedFrom', {
+          title: entry.relatedReport?.title || t('timeline.anotherReport'),
+          status: status(entry.toStatus)
+        })
+        : t('timeline.duplicateUnmerged', { title: entry.relatedReport?.title || t('timeline.report') });
+    default:
+      return t('timeline.note');
+  }
+};
+
+const ReportTimeline = ({ reportId }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { t, formatDateTime } = useTranslation();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await reportAPI.getHistory(reportId);
+        if (!cancelled) setHistory(response.data.history);
+      } catch (err) {
+        console.error('Failed to fetch report history:', err);
+        if (!cancelled) setError('timeline.loadFailed');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId]);
+
+  if (loading) return <LoadingSpinner size="small" />;
+  if (error) return <p className="report-history-empty">{t(error)}</p>;
+  if (history.length === 0) {
+    return <p className="report-history-empty">{t('timeline.empty')}</p>;
+  }
+
+  return (
+    <ol className="report-history">
+      {history.map((entry) => (
+        <li key={entry._id} className={`report-history-item ${entry.toStatus || entry.action}`}>
+          <div className="report-history-dot"></div>
+          <div className="report-history-content">
+            <p className="report-history-title">{describeEntry(entry, t)}</p>
+            <p className="report-history-meta">
+              {formatDateTime(entry.createdAt)}
+              {entry.changedBy && ` • ${entry.changedBy.name}`}
+              {entry.changedByRole && entry.changedByRole !== 'user' && ` (${t(`roles.${entry.changedByRole}`)})`}
+            </p>
+            {entry.note && <p className="report-history-note">{entry.note}</p>}
+            {entry.attachments?.length > 0 && (
+              <div className="report-history-attachments">
+                {entry.attachments.map((attachment, idx) => (
+                  <a
+                    key={idx}
+                    href={fileUrl(attachment.url)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    <Paperclip size={14} />
+                    {t('timeline.attachment', { number: idx + 1 })}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default ReportTimeline;
@@ -70,6 +70,24 @@ const Updates = () => {
       });
     });
 
+    socket.on('ai:pipeline:complete', (data) => {
+      const flags = [
+        data.spamDetected && 'possible spam',
+        data.contextMismatchDetected && 'photo context mismatch',
+        data.duplicateDetected && 'possible duplicate'
+      ].filter(Boolean);
+      addUpdate({
+        type: 'ai_complete',
+        icon: data.status === 'failed' ? 'alert' : 'check',
+        title: 'AI Analysis Complete',
+        message: `Analysis of "${data.reportTitle}" ${data.status === 'completed' ? 'finished' : `finished with status: ${data.status}`}`,
+        details: `Severity: ${data.severity} | Priority: ${data.priority}${flags.length > 0 ? ` | Flagged: ${flags.join(', ')}` : ''}`,
+        timestamp: new Date(),
+        reportId: data.reportId,
+        status: data.status === 'completed' ? 'success' : 'warning'
+      });
+    });
+
     socket.on('ai:translation:complete', (data) => {
       addUpdate({
         type: 'ai_translation',
@@ -138,6 +156,8 @@ const Updates = () => {
     // Regular notifications
     socket.on('notification', (notification) => {
       addUpdate({
+        id: notification._id,
+        persisted: Boolean(notification._id),
         type: 'notification',
         icon: 'bell',
         title: notification.title,
@@ -149,6 +169,11 @@ const Updates = () => {
       });
     });
 
+    // Unread count pushed by the server whenever it changes
+    socket.on('notifications:unread', ({ count }) => {
+      setUnreadCount(count);
+    });
+
     // Report status updates
     socket.on('reportUpdated', (report) => {
       if (user && report.userId === user.id) {
@@ -168,12 +193,14 @@ const Updates = () => {
     return () => {
       socket.off('ai:triage:start');
       socket.off('ai:triage:complete');
+      socket.off('ai:pipeline:complete');
       socket.off('ai:translation:complete');
       socket.off('ai:geospatial:analyzed');
       socket.off('ai:assignment:suggested');
       socket.off('ai:followup:scheduled');
       socket.off('ai:followup:sent');
       socket.off('notification');
+      socket.off('notifications:unread');
       socket.off('reportUpdated');
     };
   }, [socket, connected, user]);
@@ -185,7 +212,7 @@ const Updates = () => {
         headers: { Authorization: `Bearer ${token}` }
       });
       
-      const formattedUpdates = response.data.map(notif => ({
+      const formattedUpdates = response.data.notifications.map(notif => ({
         id: notif._id,
         type: 'notification',
         icon: 'bell',
@@ -193,7 +220,9 @@ const Updates = () => {
         message: notif.message,
         timestamp: new Date(notif.createdAt),
         status: 'info',
-        read: notif.read
+        read: notif.read,
+        persisted: true,
+        reportId: notif.data?.reportId
       }));
 
       setUpdates(prev => [...formattedUpdates, ...prev]);
@@ -243,18 +272,22 @@ const Updates = () => {
   };
 
   const addUpdate = (update) => {
-    setUpdates(prev => [{ id: Date.now(), ...update }, ...prev]);
-    if (!update.read) {
+    setUpdates(prev => [{ ...update, id: update.id || Date.now() }, ...prev]);
+    // Stored notifications are counted by the server's notifications:unread event
+    if (!update.read && !update.persisted) {
       setUnreadCount(prev => prev + 1);
     }
   };
 
-  const markAsRead = async (updateId) => {
+  const markAsRead = async (update) => {
+    const updateId = update.id;
     try {
-      const token = localStorage.getItem('token');
-      await axios.patch(`/api/notifications/${updateId}/read`, {}, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      if (update.persisted) {
+        const token = localStorage.getItem('token');
+        await axios.patch(`/api/notifications/${updateId}/read`, {}, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      }
       
       setUpdates(prev => 
         prev.map(update => 
@@ -281,8 +314,19 @@ const Updates = () => {
     }
   };
 
-  const clearUpdate = (updateId) => {
-    setUpdates(prev => prev.filter(update => update.id !== updateId));
+  const clearUpdate = async (update) => {
+    if (update.persisted) {
+      try {
+        const token = localStorage.getItem('token');
+        await axios.delete(`/api/notifications/${update.id}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      } catch (error) {
+        console.error('Error deleting notification:', error);
+        return;
+      }
+    }
+    setUpdates(prev => prev.filter(u => u.id !== update.id));
   };
 
   const getFilteredUpdates = () => {
@@ -507,7 +551,7 @@ const Updates = () => {
               <div className="update-actions">
                 {!update.read && (
                   <button 
-                    onClick={() => markAsRead(update.id)}
+                    onClick={() => markAsRead(update)}
                     className="btn-icon"
                     title="Mark as read"
                   >
@@ -515,7 +559,7 @@ const Updates = () => {
                   </button>
                 )}
                 <button 
-                  onClick={() => clearUpdate(update.id)}
+                  onClick={() => clearUpdate(update)}
                   className="btn-icon btn-close"
                   title="Dismiss"
                 >
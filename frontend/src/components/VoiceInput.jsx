@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect } from 'react';
 import { Mic, MicOff, Volume2, Loader2, CheckCircle, AlertCircle, Languages } from 'lucide-react';
 import api from '../utils/api';
+import { useTranslation } from '../context/useTranslation';
 
 /**
  * VoiceInput Component
@@ -32,6 +33,7 @@ const VoiceInput = ({
   const [error, setError] = useState('');
   const [duration, setDuration] = useState(0);
   const [audioLevel, setAudioLevel] = useState(0);
+  const { t, locale } = useTranslation();
 
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
@@ -84,7 +86,7 @@ const VoiceInput = ({
       const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
       
       if (!SpeechRecognition) {
-        setError('Speech recognition not supported in this browser. Please use Chrome or Edge.');
+        setError(t('voice.unsupported'));
         return;
       }
 
@@ -100,9 +102,8 @@ const VoiceInput = ({
       const recognition = new SpeechRecognition();
       recognition.continuous = true;
       recognition.interimResults = true;
-      // Try to detect user's language or default to Hindi
-      const userLang = navigator.language || 'hi-IN';
-      recognition.lang = userLang.startsWith('en') ? 'en-IN' : 'hi-IN';
+      // Listen in the language the app is set to
+      recognition.lang = locale;
       recognition.maxAlternatives = 1;
       
       console.log(`🎤 Speech recognition started with language: ${recognition.lang}`);
@@ -127,15 +128,15 @@ const VoiceInput = ({
       recognition.onerror = (event) => {
         console.error('Speech recognition error:', event.error);
         if (event.error === 'no-speech') {
-          setError('No speech detected. Please speak clearly into your microphone.');
+          setError(t('voice.noSpeech'));
         } else if (event.error === 'network') {
-          setError('Network error. Please check your internet connection.');
+          setError(t('voice.network'));
         } else if (event.error === 'not-allowed') {
-          setError('Microphone access denied. Please allow microphone permissions.');
+          setError(t('voice.micDenied'));
         } else if (event.error === 'aborted') {
           console.log('Speech recognition aborted (user stopped)');
         } else {
-          setError(`Speech recognition error: ${event.error}. Please try again.`);
+          setError(t('voice.recognitionError', { error: event.error }));
         }
       };
       
@@ -197,7 +198,7 @@ const VoiceInput = ({
 
     } catch (err) {
       console.error('Error accessing microphone:', err);
-      setError('Unable to access microphone. Please grant permission.');
+      setError(t('voice.micUnavailable'));
     }
   };
 
@@ -250,11 +251,11 @@ const VoiceInput = ({
       const finalTranscript = transcriptRef.current.trim();
       
       if (!finalTranscript || finalTranscript.length === 0) {
-        throw new Error('No speech detected. Please try recording again and speak clearly.');
+        throw new Error(t('voice.noSpeechRecorded'));
       }
 
       if (finalTranscript.length < 5) {
-        throw new Error('Transcript too short. Please provide a more detailed description.');
+        throw new Error(t('voice.tooShort'));
       }
 
       console.log('🗣️ Processing transcript:', finalTranscript.substring(0, 100) + '...');
@@ -272,7 +273,7 @@ const VoiceInput = ({
       console.log('✓ Analysis result:', result);
       
       if (!result.success) {
-        throw new Error(result.error || 'Analysis failed. Please try again.');
+        throw new Error(result.error || t('voice.analysisFailed'));
       }
       
       setAnalysisResult(result);
@@ -329,22 +330,22 @@ const VoiceInput = ({
       // Retry logic for network errors (not timeout)
       if (retryCount < MAX_RETRIES && err.message?.includes('network')) {
         console.log(`🔄 Retrying... (${retryCount + 1}/${MAX_RETRIES})`);
-        setError(`Connection issue. Retrying... (${retryCount + 1}/${MAX_RETRIES})`);
+        setError(t('voice.retrying', { attempt: retryCount + 1, max: MAX_RETRIES }));
         await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
         return processAudio(blob, retryCount + 1);
       }
       
       // User-friendly error messages
-      let errorMessage = 'Failed to process audio. Please try again.';
+      let errorMessage = t('voice.processFailed');
       
       if (err.response?.status === 400) {
-        errorMessage = 'Invalid audio input. Please record your message again.';
+        errorMessage = t('voice.invalidAudio');
       } else if (err.response?.status === 500) {
-        errorMessage = 'Server error. Please check if the backend AI service is running.';
+        errorMessage = t('voice.serverError');
       } else if (err.message?.includes('timeout')) {
-        errorMessage = 'Processing timeout. The AI service might be busy. Please try again.';
+        errorMessage = t('voice.timeout');
       } else if (err.message?.includes('network') || err.message?.includes('Network')) {
-        errorMessage = 'Network error. Please check your internet connection.';
+        errorMessage = t('voice.network');
       } else if (err.message) {
         errorMessage = err.message;
       }
@@ -385,12 +386,12 @@ const VoiceInput = ({
       <div className="flex items-center justify-between">
         <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
           <Mic className="w-5 h-5" />
-          Voice Description
+          {t('voice.title')}
         </h3>
         {analysisResult && (
           <span className="text-xs px-2 py-1 bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300 rounded-full flex items-center gap-1">
             <CheckCircle className="w-3 h-3" />
-            Processed
+            {t('voice.processed')}
           </span>
         )}
       </div>
@@ -414,10 +415,10 @@ const VoiceInput = ({
                 </div>
               </div>
               <h4 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-                Record Voice Description
+                {t('voice.record')}
               </h4>
               <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-                Speak in any language (Hindi, Marathi, Tamil, English, etc.)
+                {t('voice.speakAnyLanguage')}
               </p>
               <button
                 onClick={startRecording}
@@ -425,10 +426,10 @@ const VoiceInput = ({
                 className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg font-medium hover:from-blue-700 hover:to-purple-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 mx-auto"
               >
                 <Mic className="w-5 h-5" />
-                Start Recording
+                {t('voice.start')}
               </button>
               <p className="text-xs text-gray-500 dark:text-gray-500 mt-3">
-                Maximum {maxDurationSeconds} seconds
+                {t('voice.maxDuration', { seconds: maxDurationSeconds })}
               </p>
             </>
           ) : (
@@ -452,7 +453,7 @@ const VoiceInput = ({
                 </div>
               </div>
               <h4 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-                Recording...
+                {t('voice.recording')}
               </h4>
               <p className="text-2xl font-mono text-red-600 dark:text-red-400 mb-4">
                 {formatDuration(duration)}
@@ -462,7 +463,7 @@ const VoiceInput = ({
                 className="px-6 py-3 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition-all flex items-center gap-2 mx-auto"
               >
                 <MicOff className="w-5 h-5" />
-                Stop Recording
+                {t('voice.stop')}
               </button>
             </>
           )}
@@ -474,10 +475,10 @@ const VoiceInput = ({
         <div className="border border-gray-300 dark:border-gray-600 rounded-lg p-8 text-center bg-white dark:bg-gray-800">
           <Loader2 className="w-12 h-12 text-blue-600 dark:text-blue-400 animate-spin mx-auto mb-4" />
           <h4 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-            Processing Audio...
+            {t('voice.processing')}
           </h4>
           <p className="text-sm text-gray-600 dark:text-gray-400">
-            Transcribing and analyzing your voice input
+            {t('voice.processingHint')}
           </p>
         </div>
       )}
@@ -491,8 +492,8 @@ const VoiceInput = ({
               <div className="flex items-center gap-2">
                 <CheckCircle className="w-6 h-6" />
                 <div>
-                  <h4 className="font-semibold">Voice Processed Successfully</h4>
-                  <p className="text-sm opacity-90">Duration: {formatDuration(duration)}</p>
+                  <h4 className="font-semibold">{t('voice.success')}</h4>
+                  <p className="text-sm opacity-90">{t('voice.duration', { duration: formatDuration(duration) })}</p>
                 </div>
               </div>
               <button
@@ -530,7 +531,7 @@ const VoiceInput = ({
                 </span>
                 {analysisResult.confidence && (
                   <span className="text-xs text-gray-500 dark:text-gray-400">
-                    {Math.round(analysisResult.confidence * 100)}% confident
+                    {t('voice.confidence', { percent: Math.round(analysisResult.confidence * 100) })}
                   </span>
                 )}
               </div>
@@ -539,7 +540,7 @@ const VoiceInput = ({
             {/* Transcription */}
             <div>
               <label className="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1 block">
-                Transcription:
+                {t('voice.transcription')}
               </label>
               <p className="text-sm text-gray-900 dark:text-white bg-gray-50 dark:bg-gray-700 p-3 rounded-lg">
                 {transcription}
@@ -551,7 +552,7 @@ const VoiceInput = ({
               {analysisResult.sentiment_tone && (
                 <div>
                   <label className="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1 block">
-                    Sentiment:
+                    {t('voice.sentiment')}
                   </label>
                   <span className={`text-xs px-2 py-1 rounded-full inline-block ${
                     analysisResult.sentiment_tone === 'Angry' ? 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300' :
@@ -567,7 +568,7 @@ const VoiceInput = ({
               {analysisResult.urgency_rating && (
                 <div>
                   <label className="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1 block">
-                    Urgency:
+                    {t('voice.urgency')}
                   </label>
                   <span className={`text-xs px-2 py-1 rounded-full inline-block ${
                     analysisResult.urgency_rating === 'High' ? 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300' :
@@ -584,7 +585,7 @@ const VoiceInput = ({
             {analysisResult.extracted_location && (
               <div>
                 <label className="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1 block">
-                  Detected Location:
+                  {t('voice.detectedLocation')}
                 </label>
                 <p className="text-sm text-gray-900 dark:text-white bg-blue-50 dark:bg-blue-900/20 p-2 rounded">
                   📍 {analysisResult.extracted_location}
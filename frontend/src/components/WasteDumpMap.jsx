@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { 
@@ -15,6 +15,8 @@ import {
   Navigation
 } from 'lucide-react';
 import { adminAPI } from '../utils/api';
+import { useTranslation } from '../context/useTranslation';
+import { imageUrl } from '../utils/images';
 import { toast } from 'react-toastify';
 import './WasteDumpMap.css';
 import 'leaflet/dist/leaflet.css';
@@ -99,32 +101,33 @@ const WasteDumpMap = () => {
     category: '',
     severity: ''
   });
+  const { t, formatDate, formatDateTime } = useTranslation();
 
   const defaultCenter = [12.9716, 77.5946]; // Bangalore coordinates
 
-  useEffect(() => {
-    fetchWasteDumpData();
-  }, []);
-
-  useEffect(() => {
-    applyFilters();
-  }, [filters, reports]);
-
-  const fetchWasteDumpData = async () => {
+  const fetchWasteDumpData = useCallback(async () => {
     try {
       setLoading(true);
       const response = await adminAPI.getWasteDumpMapData();
       setReports(response.data.reports);
       setFilteredReports(response.data.reports);
       setStats(response.data.stats);
-      toast.success('Waste dump data loaded successfully');
+      toast.success(t('wasteMap.loaded'));
     } catch (error) {
       console.error('Failed to fetch waste dump data:', error);
-      toast.error('Failed to load waste dump map data');
+      toast.error(t('wasteMap.loadFailed'));
     } finally {
       setLoading(false);
     }
-  };
+  }, [t]);
+
+  useEffect(() => {
+    fetchWasteDumpData();
+  }, [fetchWasteDumpData]);
+
+  useEffect(() => {
+    applyFilters();
+  }, [filters, reports]);
 
   const applyFilters = () => {
     let filtered = [...reports];
@@ -165,12 +168,12 @@ const WasteDumpMap = () => {
   const handleStatusUpdate = async (reportId, newStatus) => {
     try {
       await adminAPI.updateReport(reportId, { status: newStatus });
-      toast.success('Report status updated successfully');
+      toast.success(t('wasteMap.statusUpdated'));
       fetchWasteDumpData();
       closeDetailModal();
     } catch (error) {
       console.error('Failed to update status:', error);
-      toast.error('Failed to update report status');
+      toast.error(t('wasteMap.statusUpdateFailed'));
     }
   };
 
@@ -206,7 +209,7 @@ const WasteDumpMap = () => {
     return (
       <div className="waste-dump-map-loading">
         <div className="loading-spinner"></div>
-        <p>Loading waste dump locations...</p>
+        <p>{t('wasteMap.loading')}</p>
       </div>
     );
   }
@@ -218,9 +221,9 @@ const WasteDumpMap = () => {
         <div className="map-header-content">
           <h2>
             <MapPin size={24} />
-            Waste Dump Monitoring Map
+            {t('wasteMap.title')}
           </h2>
-          <p>{filteredReports.length} waste dump reports on map</p>
+          <p>{t('wasteMap.onMap', { count: filteredReports.length })}</p>
         </div>
         
         <div className="map-header-actions">
@@ -229,14 +232,14 @@ const WasteDumpMap = () => {
             onClick={() => setShowFilters(!showFilters)}
           >
             <Filter size={18} />
-            Filters
+            {t('wasteMap.filters')}
           </button>
           <button 
             className="refresh-btn"
             onClick={fetchWasteDumpData}
           >
             <RefreshCw size={18} />
-            Refresh
+            {t('common.refresh')}
           </button>
         </div>
       </div>
@@ -248,28 +251,28 @@ const WasteDumpMap = () => {
             <AlertTriangle size={20} className="stat-icon pending" />
             <div className="stat-content">
               <span className="stat-value">{stats.pending}</span>
-              <span className="stat-label">Pending</span>
+              <span className="stat-label">{t('status.pending')}</span>
             </div>
           </div>
           <div className="stat-card">
             <Clock size={20} className="stat-icon progress" />
             <div className="stat-content">
               <span className="stat-value">{stats.inProgress}</span>
-              <span className="stat-label">In Progress</span>
+              <span className="stat-label">{t('status.in-progress')}</span>
             </div>
           </div>
           <div className="stat-card">
             <CheckCircle size={20} className="stat-icon resolved" />
             <div className="stat-content">
               <span className="stat-value">{stats.resolved}</span>
-              <span className="stat-label">Resolved</span>
+              <span className="stat-label">{t('status.resolved')}</span>
             </div>
           </div>
           <div className="stat-card">
             <MapPin size={20} className="stat-icon total" />
             <div className="stat-content">
               <span className="stat-value">{stats.total}</span>
-              <span className="stat-label">Total Reports</span>
+              <span className="stat-label">{t('profile.totalReports')}</span>
             </div>
           </div>
         </div>
@@ -279,49 +282,46 @@ const WasteDumpMap = () => {
       {showFilters && (
         <div className="filters-panel">
           <div className="filter-group">
-            <label>Status</label>
+            <label>{t('admin.columns.status')}</label>
             <select 
               value={filters.status} 
               onChange={(e) => handleFilterChange('status', e.target.value)}
             >
-              <option value="">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="in-progress">In Progress</option>
-              <option value="resolved">Resolved</option>
+              <option value="">{t('admin.allStatus')}</option>
+              {['pending', 'in-progress', 'resolved'].map(status => (
+                <option key={status} value={status}>{t(`status.${status}`)}</option>
+              ))}
             </select>
           </div>
 
           <div className="filter-group">
-            <label>Category</label>
+            <label>{t('admin.columns.category')}</label>
             <select 
               value={filters.category} 
               onChange={(e) => handleFilterChange('category', e.target.value)}
             >
-              <option value="">All Categories</option>
-              <option value="waste">Waste</option>
-              <option value="beach">Beach</option>
-              <option value="street">Street</option>
-              <option value="park">Park</option>
-              <option value="other">Other</option>
+              <option value="">{t('wasteMap.allCategories')}</option>
+              {['waste', 'beach', 'street', 'park', 'other'].map(category => (
+                <option key={category} value={category}>{t(`categories.${category}`)}</option>
+              ))}
             </select>
           </div>
 
           <div className="filter-group">
-            <label>Severity</label>
+            <label>{t('admin.columns.severity')}</label>
             <select 
               value={filters.severity} 
               onChange={(e) => handleFilterChange('severity', e.target.value)}
             >
-              <option value="">All Severity</option>
-              <option value="low">Low</option>
-              <option value="medium">Medium</option>
-              <option value="high">High</option>
-              <option value="critical">Critical</option>
+              <option value="">{t('admin.allSeverity')}</option>
+              {['low', 'medium', 'high', 'critical'].map(severity => (
+                <option key={severity} value={severity}>{t(`severity.${severity}`)}</option>
+              ))}
             </select>
           </div>
 
           <button className="clear-filters-btn" onClick={clearFilters}>
-            Clear Filters
+            {t('wasteMap.clearFilters')}
           </button>
         </div>
       )}
@@ -354,14 +354,14 @@ const WasteDumpMap = () => {
                 <div className="popup-header">
                   <h4>{report.title}</h4>
                   <span className={`status-badge ${getStatusBadgeClass(report.status)}`}>
-                    {report.status}
+                    {t(`status.${report.status}`)}
                   </span>
                 </div>
                 
                 {report.images && report.images.length > 0 && (
                   <div className="popup-image-container">
                     <img 
-                      src={`http://localhost:5000${report.images[0].url}`} 
+                      src={imageUrl(report.images[0], 'thumb')}
                       alt={report.title}
                       className="popup-image"
                     />
@@ -374,23 +374,23 @@ const WasteDumpMap = () => {
                   <div className="popup-details">
                     <div className="popup-detail-item">
                       <MapPin size={16} />
-                      <span>{report.location.address || 'Location marked'}</span>
+                      <span>{report.location.address || t('wasteMap.locationMarked')}</span>
                     </div>
                     
                     <div className="popup-detail-item">
                       <User size={16} />
-                      <span>{report.userId?.name || 'Anonymous'}</span>
+                      <span>{report.userId?.name || t('wasteMap.anonymous')}</span>
                     </div>
                     
                     <div className="popup-detail-item">
                       <Calendar size={16} />
-                      <span>{new Date(report.createdAt).toLocaleDateString()}</span>
+                      <span>{formatDate(report.createdAt)}</span>
                     </div>
 
                     <div className="popup-detail-item">
                       <AlertTriangle size={16} />
                       <span className={`severity-badge ${getSeverityBadgeClass(report.severity)}`}>
-                        {report.severity}
+                        {t(`severity.${report.severity}`)}
                       </span>
                     </div>
                   </div>
@@ -399,7 +399,7 @@ const WasteDumpMap = () => {
                     className="popup-view-detail-btn"
                     onClick={() => openDetailModal(report)}
                   >
-                    View Full Details
+                    {t('wasteMap.viewFullDetails')}
                   </button>
                 </div>
               </Popup>
@@ -413,7 +413,7 @@ const WasteDumpMap = () => {
         <div className="admin-modal-overlay" onClick={closeDetailModal}>
           <div className="admin-modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="admin-modal-header">
-              <h2>Report Details</h2>
+              <h2>{t('admin.reportDetails')}</h2>
               <button className="modal-close-btn" onClick={closeDetailModal}>
                 <X size={20} />
               </button>
@@ -423,14 +423,15 @@ const WasteDumpMap = () => {
               {/* Images Section */}
               {selectedReport.images && selectedReport.images.length > 0 && (
                 <div className="modal-images-section">
-                  <h3><ImageIcon size={18} /> Images</h3>
+                  <h3><ImageIcon size={18} /> {t('wasteMap.images')}</h3>
                   <div className="modal-images-grid">
                     {selectedReport.images.map((image, index) => (
                       <img 
                         key={index}
-                        src={`http://localhost:5000${image.url}`}
-                        alt={`Report ${index + 1}`}
+                        src={imageUrl(image, 'medium')}
+                        alt={t('wasteMap.imageAlt', { number: index + 1 })}
                         className="modal-report-image"
+                        onClick={() => window.open(imageUrl(image), '_blank')}
                       />
                     ))}
                   </div>
@@ -440,74 +441,74 @@ const WasteDumpMap = () => {
               {/* Details Grid */}
               <div className="modal-details-grid">
                 <div className="modal-detail-card">
-                  <h4>Report ID</h4>
+                  <h4>{t('admin.reportId')}</h4>
                   <p className="report-id">{selectedReport._id}</p>
                 </div>
 
                 <div className="modal-detail-card">
-                  <h4>Status</h4>
+                  <h4>{t('admin.columns.status')}</h4>
                   <span className={`status-badge-modal ${selectedReport.status}`}>
-                    {selectedReport.status}
+                    {t(`status.${selectedReport.status}`)}
                   </span>
                 </div>
 
                 <div className="modal-detail-card">
-                  <h4>Severity</h4>
+                  <h4>{t('admin.columns.severity')}</h4>
                   <span className={`severity-badge-modal ${selectedReport.severity}`}>
-                    {selectedReport.severity}
+                    {t(`severity.${selectedReport.severity}`)}
                   </span>
                 </div>
 
                 <div className="modal-detail-card">
-                  <h4>Category</h4>
-                  <p>{selectedReport.category}</p>
+                  <h4>{t('admin.columns.category')}</h4>
+                  <p>{t(`categories.${selectedReport.category}`)}</p>
                 </div>
 
                 <div className="modal-detail-card">
-                  <h4>Reporter</h4>
+                  <h4>{t('admin.columns.reporter')}</h4>
                   <div className="reporter-info-modal">
                     <div className="reporter-avatar-modal">
                       {selectedReport.userId?.name?.charAt(0).toUpperCase() || 'U'}
                     </div>
                     <div className="reporter-details-modal">
-                      <p>{selectedReport.userId?.name || 'Anonymous'}</p>
-                      <p>{selectedReport.userId?.email || 'N/A'}</p>
+                      <p>{selectedReport.userId?.name || t('wasteMap.anonymous')}</p>
+                      <p>{selectedReport.userId?.email || t('common.notAvailable')}</p>
                     </div>
                   </div>
                 </div>
 
                 <div className="modal-detail-card">
-                  <h4>Reported Date</h4>
+                  <h4>{t('wasteMap.reportedDate')}</h4>
                   <div className="date-info">
                     <Calendar size={16} />
-                    <span>{new Date(selectedReport.createdAt).toLocaleString()}</span>
+                    <span>{formatDateTime(selectedReport.createdAt)}</span>
                   </div>
                 </div>
 
                 <div className="modal-detail-card full-width">
-                  <h4>Location</h4>
+                  <h4>{t('wasteMap.location')}</h4>
                   <div className="location-info">
                     <MapPin size={16} />
-                    <span>{selectedReport.location.address || 'No address provided'}</span>
+                    <span>{selectedReport.location.address || t('wasteMap.noAddress')}</span>
                   </div>
                   <div className="coordinates">
                     <Navigation size={14} />
-                    <span>Lat: {selectedReport.location.coordinates[1].toFixed(6)}</span>
-                    <span>Lng: {selectedReport.location.coordinates[0].toFixed(6)}</span>
+                    <span>{t('wasteMap.lat', { value: selectedReport.location.coordinates[1].toFixed(6) })}</span>
+                    <span>{t('wasteMap.lng', { value: selectedReport.location.coordinates[0].toFixed(6) })}</span>
                   </div>
                 </div>
 
                 <div className="modal-detail-card full-width">
-                  <h4>Description</h4>
+                  <h4>{t('admin.description')}</h4>
                   <p className="description-text">{selectedReport.description}</p>
                 </div>
 
                 {selectedReport.resolvedAt && (
                   <div className="modal-detail-card full-width">
-                    <h4>Resolved Date</h4>
+                    <h4>{t('wasteMap.resolvedDate')}</h4>
                     <div className="date-info">
                       <CheckCircle size={16} />
-                      <span>{new Date(selectedReport.resolvedAt).toLocaleString()}</span>
+                      <span>{formatDateTime(selectedReport.resolvedAt)}</span>
                     </div>
                   </div>
                 )}
@@ -515,17 +516,16 @@ const WasteDumpMap = () => {
 
               {/* Action Buttons */}
               <div className="modal-actions">
-                <label htmlFor="status-update">Update Status:</label>
+                <label htmlFor="status-update">{t('wasteMap.updateStatus')}</label>
                 <select 
                   id="status-update"
                   value={selectedReport.status}
                   onChange={(e) => handleStatusUpdate(selectedReport._id, e.target.value)}
                   className="status-select"
                 >
-                  <option value="pending">Pending</option>
-                  <option value="in-progress">In Progress</option>
-                  <option value="resolved">Resolved</option>
-                  <option value="rejected">Rejected</option>
+                  {['pending', 'in-progress', 'resolved', 'rejected'].map(status => (
+                    <option key={status} value={status}>{t(`status.${status}`)}</option>
+                  ))}
                 </select>
               </div>
             </div>
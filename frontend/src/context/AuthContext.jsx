@@ -1,6 +1,8 @@
 import React, { createContext, useState, useContext, useEffect } from "react";
 import { authAPI } from "../utils/api";
 import { toast } from "react-toastify";
+import { useTranslation } from "./useTranslation";
+import { translate } from "../utils/i18n";
 
 const AuthContext = createContext();
 
@@ -8,6 +10,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem('token'));
+  const { t, language, setLanguage } = useTranslation();
 
   useEffect(() => {
     if (token) {
@@ -21,6 +24,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await authAPI.getMe();
       setUser(response.data.user);
+      setLanguage(response.data.user.language);
     } catch (error) {
       console.error('Token validation failed:', error);
       logout();
@@ -39,11 +43,12 @@ export const AuthProvider = ({ children }) => {
       
       setToken(token);
       setUser(user);
+      setLanguage(user.language);
       
-      toast.success(`Welcome back, ${user.name}! 👋`);
+      toast.success(translate(user.language, 'auth.welcomeBack', { name: user.name }));
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed';
+      const message = error.response?.data?.message || t('auth.loginFailed');
       toast.error(message);
       return { success: false, message };
     }
@@ -51,7 +56,8 @@ export const AuthProvider = ({ children }) => {
 
   const register = async (userData) => {
     try {
-      const response = await authAPI.register(userData);
+      // Notifications start out in the language they signed up in
+      const response = await authAPI.register({ ...userData, language });
       const { token, user } = response.data;
       
       localStorage.setItem('token', token);
@@ -60,10 +66,10 @@ export const AuthProvider = ({ children }) => {
       setToken(token);
       setUser(user);
       
-      toast.success(`Welcome to SwachhSetu, ${user.name}! 🎉`);
+      toast.success(t('auth.welcome', { name: user.name }));
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Registration failed';
+      const message = error.response?.data?.message || t('auth.registrationFailed');
       toast.error(message);
       return { success: false, message };
     }
@@ -74,7 +80,7 @@ export const AuthProvider = ({ children }) => {
     localStorage.removeItem('user');
     setToken(null);
     setUser(null);
-    toast.info('Logged out successfully');
+    toast.info(t('auth.loggedOut'));
   };
 
   const updateUser = (userData) => {
@@ -93,6 +99,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Switch the app's language, and keep it as the user's preference for
+  // notifications and follow-ups when they are logged in
+  const changeLanguage = async (code) => {
+    setLanguage(code);
+    if (!user || user.language === code) return;
+
+    try {
+      await authAPI.updateProfile({ language: code });
+      updateUser({ language: code });
+    } catch (error) {
+      console.error('Failed to save language:', error);
+      toast.error(translate(code, 'auth.languageSaveFailed'));
+    }
+  };
+
   // Apply dark mode on load
   useEffect(() => {
     if (user?.darkMode) {
@@ -105,12 +126,14 @@ export const AuthProvider = ({ children }) => {
   return (
     <AuthContext.Provider value={{ 
       user, 
+      token,
       loading,
       login, 
       register,
       logout,
       updateUser,
       toggleDarkMode,
+      changeLanguage,
       isAuthenticated: !!user
     }}>
       {children}
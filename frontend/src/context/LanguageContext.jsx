@@ -0,0 +1,43 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  LANGUAGES,
+  initialLanguage,
+  saveLanguage,
+  isSupported,
+  localeFor,
+  translate
+} from "../utils/i18n";
+import { LanguageContext } from "./useTranslation";
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(initialLanguage);
+
+  useEffect(() => {
+    saveLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((code) => {
+    if (isSupported(code)) setLanguageState(code);
+  }, []);
+
+  const value = useMemo(() => {
+    const locale = localeFor(language);
+    return {
+      language,
+      languages: LANGUAGES,
+      locale,
+      setLanguage,
+      t: (key, params) => translate(language, key, params),
+      formatDate: (date, options) => new Date(date).toLocaleDateString(locale, options),
+      formatDateTime: (date, options) => new Date(date).toLocaleString(locale, options),
+      formatNumber: (number) => Number(number || 0).toLocaleString(locale)
+    };
+  }, [language, setLanguage]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
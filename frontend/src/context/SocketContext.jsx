@@ -10,10 +10,14 @@ const SOCKET_URL = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
-  const { user } = useAuth();
+  const { user, token } = useAuth();
 
+  // Reconnects whenever the token changes, so the server sees who is
+  // signed in now rather than who was at mount
   useEffect(() => {
     const socketInstance = io(SOCKET_URL, {
+      // Identifies the user to socket features such as the streaming chatbot
+      auth: { token },
       transports: ['websocket'],
       reconnection: true,
       reconnectionAttempts: 5,
@@ -54,7 +58,7 @@ export const SocketProvider = ({ children }) => {
     return () => {
       socketInstance.disconnect();
     };
-  }, [user]);
+  }, [user, token]);
 
   const emitEvent = (event, data) => {
     if (socket && connected) {
@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+
+// Provided by LanguageProvider (LanguageContext.jsx)
+export const LanguageContext = createContext();
+
+export const useTranslation = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useTranslation must be used within a LanguageProvider');
+  }
+  return context;
+};
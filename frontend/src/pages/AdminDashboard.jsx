@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Shield,
@@ -19,17 +19,25 @@ import {
   User,
   Image as ImageIcon,
   MessageSquare,
-  Map
+  Map,
+  ClipboardList,
+  Bot,
+  Copy
 } from 'lucide-react';
-import { adminAPI } from '../utils/api';
+import { adminAPI, wardAPI, inspectorAPI } from '../utils/api';
 import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../context/useTranslation';
 import LoadingSpinner from '../components/LoadingSpinner';
 import WasteDumpMap from '../components/WasteDumpMap';
+import ReportTimeline from '../components/ReportTimeline';
+import BeforeAfterPhotos from '../components/BeforeAfterPhotos';
 import { toast } from 'react-toastify';
+import { fileUrl } from '../utils/images';
 import './AdminDashboard.css';
 
 const AdminDashboard = () => {
   const { user } = useAuth();
+  const { t, formatDate, formatDateTime } = useTranslation();
   const [activeTab, setActiveTab] = useState('overview');
   const [stats, setStats] = useState(null);
   const [reports, setReports] = useState([]);
@@ -38,36 +46,53 @@ const AdminDashboard = () => {
   const [selectedReports, setSelectedReports] = useState([]);
   const [selectedReport, setSelectedReport] = useState(null);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [statusNote, setStatusNote] = useState('');
+  const [afterPhotos, setAfterPhotos] = useState([]);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [workflow, setWorkflow] = useState(null);
+  const [wards, setWards] = useState([]);
+  const [inspectors, setInspectors] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
   const [filters, setFilters] = useState({
     status: '',
     category: '',
     severity: '',
-    search: ''
+    ward: '',
+    search: '',
+    flaggedOnly: false,
+    overdueOnly: false
   });
 
-  useEffect(() => {
-    if (user && (user.role === 'admin' || user.role === 'moderator')) {
-      fetchAdminData();
-    }
-  }, [user]);
-
-  const fetchAdminData = async () => {
+  const fetchAdminData = useCallback(async () => {
     try {
       setLoading(true);
-      const [statsRes, reportsRes] = await Promise.all([
+      const [statsRes, reportsRes, workflowRes, wardsRes, inspectorsRes] = await Promise.all([
         adminAPI.getStatistics(),
-        adminAPI.getAllReports({ limit: 50 })
+        adminAPI.getAllReports({ limit: 50 }),
+        adminAPI.getWorkflow(),
+        wardAPI.getWards(),
+        inspectorAPI.getInspectors({ status: 'active' })
       ]);
 
       setStats(statsRes.data.statistics);
       setReports(reportsRes.data.reports);
+      setWorkflow(workflowRes.data.workflow);
+      setWards(wardsRes.data.wards);
+      setInspectors(inspectorsRes.data.inspectors);
     } catch (error) {
       console.error('Failed to fetch admin data:', error);
-      toast.error('Failed to load admin data');
+      toast.error(t('admin.loadFailed'));
     } finally {
       setLoading(false);
     }
-  };
+  }, [t]);
+
+  useEffect(() => {
+    if (user && (user.role === 'admin' || user.role === 'moderator')) {
+      fetchAdminData();
+    }
+  }, [user, fetchAdminData]);
 
   const fetchUsers = async () => {
     try {
@@ -75,56 +100,221 @@ const AdminDashboard = () => {
       setUsers(response.data.users);
     } catch (error) {
       console.error('Failed to fetch users:', error);
-      toast.error('Failed to load users');
+      toast.error(t('admin.usersLoadFailed'));
     }
   };
 
-  const handleUpdateStatus = async (reportId, newStatus) => {
+  const fetchDuplicates = async () => {
+    try {
+      const response = await adminAPI.getDuplicateQueue({ limit: 50 });
+      setDuplicates(response.data.duplicates);
+    } catch (error) {
+      console.error('Failed to fetch duplicates:', error);
+      toast.error(t('admin.duplicatesLoadFailed'));
+    }
+  };
+
+  // Transitions the current user may make from a status
+  const getTransitions = (status) =>
+    (workflow?.transitions[status] || []).filter(transition => transition.roles.includes(user.role));
+
+  const renderStatusOptions = (status) => (
+    <>
+      <option value={status}>{t(`status.${status}`)}</option>
+      {getTransitions(status).map(transition => (
+        <option key={transition.to} value={transition.to}>{t(`status.${transition.to}`)}</option>
+      ))}
+    </>
+  );
+
+  const handleUpdateStatus = async (reportId, newStatus, note, photos = []) => {
+    const report = reports.find(r => r._id === reportId) || selectedReport;
+    const transition = getTransitions(report?.status).find(transition => transition.to === newStatus);
+    let reason = note;
+
+    if (transition?.requiresReason && !reason?.trim()) {
+      reason = window.prompt(t('admin.reasonPrompt', { status: t(`status.${newStatus}`) }));
+      if (!reason?.trim()) {
+        toast.warning(t('admin.reasonRequired'));
+        return false;
+      }
+    }
+
+    let data = { status: newStatus, note: reason || undefined };
+    if (photos.length > 0) {
+      data = new FormData();
+      data.append('status', newStatus);
+      if (reason) data.append('note', reason);
+      photos.forEach(photo => data.append('afterImages', photo));
+    }
+
     try {
-      await adminAPI.updateReport(reportId, { status: newStatus });
-      toast.success('Report status updated!');
+      await adminAPI.updateReport(reportId, data);
+      toast.success(t('admin.statusUpdated'));
       fetchAdminData();
+      return true;
     } catch (error) {
       console.error('Update failed:', error);
-      toast.error('Failed to update report');
+      toast.error(error.response?.data?.message || t('admin.updateFailed'));
+      return false;
+    }
+  };
+
+  const handleAssign = async (inspectorUserId) => {
+    if (!inspectorUserId) return;
+    try {
+      const response = await adminAPI.updateReport(selectedReport._id, { assignedTo: inspectorUserId });
+      const inspector = inspectors.find(i => i.userId?._id === inspectorUserId);
+      setSelectedReport({ ...selectedReport, assignedTo: inspector?.userId, assignment: response.data.report.assignment });
+      setHistoryVersion(version => version + 1);
+      toast.success(t('admin.assigned'));
+      fetchAdminData();
+    } catch (error) {
+      console.error('Assignment failed:', error);
+      toast.error(error.response?.data?.message || t('admin.assignFailed'));
+    }
+  };
+
+  const handleAutoAssign = async () => {
+    try {
+      const response = await adminAPI.autoAssign(selectedReport._id);
+      const result = response.data;
+      if (result.assigned) {
+        toast.success(t('admin.autoAssigned', { name: result.recommendedInspector.name }));
+        setSelectedReport({ ...selectedReport, assignedTo: result.recommendedInspector, assignment: { status: 'pending', method: 'ai' } });
+        setHistoryVersion(version => version + 1);
+        fetchAdminData();
+      } else if (result.recommendedInspector) {
+        toast.info(t('admin.suggested', {
+          name: result.recommendedInspector.name,
+          percent: Math.round(result.confidence * 100)
+        }));
+      } else {
+        toast.warning(result.message || t('admin.noInspector'));
+      }
+    } catch (error) {
+      console.error('Auto-assign failed:', error);
+      toast.error(error.response?.data?.message || t('admin.suggestFailed'));
+    }
+  };
+
+  const handleModalStatusChange = async (newStatus) => {
+    if (newStatus === 'resolved' && afterPhotos.length === 0 &&
+        !window.confirm(t('admin.confirmNoAfterPhotos'))) {
+      return;
+    }
+
+    const updated = await handleUpdateStatus(selectedReport._id, newStatus, statusNote, afterPhotos);
+    if (updated) {
+      setSelectedReport({ ...selectedReport, status: newStatus });
+      setStatusNote('');
+      setAfterPhotos([]);
+      setHistoryVersion(version => version + 1);
     }
   };
 
   const handleBulkUpdate = async (status) => {
     if (selectedReports.length === 0) {
-      toast.warning('Please select reports first');
+      toast.warning(t('admin.selectFirst'));
       return;
     }
 
     try {
-      await adminAPI.bulkUpdateReports({
+      const response = await adminAPI.bulkUpdateReports({
         reportIds: selectedReports,
         status
       });
-      toast.success(`${selectedReports.length} reports updated!`);
+      const { modifiedCount, failed } = response.data;
+      toast.success(t('admin.bulkUpdated', { count: modifiedCount }));
+      if (failed?.length > 0) {
+        toast.warning(t('admin.bulkFailed', { count: failed.length, status: t(`status.${status}`) }));
+      }
       setSelectedReports([]);
       fetchAdminData();
     } catch (error) {
       console.error('Bulk update failed:', error);
-      toast.error('Failed to update reports');
+      toast.error(error.response?.data?.message || t('admin.bulkUpdateFailed'));
     }
   };
 
   const handleDeleteReport = async (reportId) => {
-    if (!window.confirm('Are you sure you want to delete this report?')) {
+    if (!window.confirm(t('admin.confirmDelete'))) {
       return;
     }
 
     try {
       await adminAPI.deleteReport(reportId);
-      toast.success('Report deleted successfully');
+      toast.success(t('admin.deleted'));
       fetchAdminData();
     } catch (error) {
       console.error('Delete failed:', error);
-      toast.error('Failed to delete report');
+      toast.error(t('admin.deleteFailed'));
+    }
+  };
+
+  const handleMerge = async (duplicateId, canonicalId) => {
+    try {
+      const response = await adminAPI.mergeReport(duplicateId, { canonicalId });
+      const { added } = response.data;
+      toast.success(t('admin.merged', added));
+      setDuplicates(prev => prev.filter(report => report._id !== duplicateId));
+      fetchAdminData();
+      return true;
+    } catch (error) {
+      console.error('Merge failed:', error);
+      toast.error(error.response?.data?.message || t('admin.mergeFailed'));
+      return false;
+    }
+  };
+
+  const handleDismissDuplicate = async (reportId) => {
+    try {
+      await adminAPI.dismissDuplicate(reportId);
+      toast.success(t('admin.dismissed'));
+      setDuplicates(prev => prev.filter(report => report._id !== reportId));
+    } catch (error) {
+      console.error('Dismiss failed:', error);
+      toast.error(error.response?.data?.message || t('admin.dismissFailed'));
+    }
+  };
+
+  const handleUnmerge = async (duplicateId) => {
+    const note = window.prompt(t('admin.unmergePrompt'));
+    if (note === null) return;
+
+    try {
+      await adminAPI.unmergeReport(duplicateId, { note });
+      toast.success(t('admin.unmerged'));
+      setSelectedReport({
+        ...selectedReport,
+        mergedReports: selectedReport.mergedReports.filter(merged => (merged.reportId?._id || merged.reportId) !== duplicateId)
+      });
+      setHistoryVersion(version => version + 1);
+      fetchAdminData();
+    } catch (error) {
+      console.error('Unmerge failed:', error);
+      toast.error(error.response?.data?.message || t('admin.unmergeFailed'));
     }
   };
 
+  const handleViewOriginal = async (imageId) => {
+    try {
+      const response = await adminAPI.getImageOriginal(selectedReport._id, imageId);
+      window.open(fileUrl(response.data.url), '_blank', 'noopener');
+    } catch (error) {
+      console.error('Failed to open original photo:', error);
+      toast.error(error.response?.data?.message || t('admin.originalFailed'));
+    }
+  };
+
+  const handleModalMerge = async () => {
+    if (!mergeTargetId.trim()) return;
+    if (!window.confirm(t('admin.confirmMerge'))) return;
+
+    const merged = await handleMerge(selectedReport._id, mergeTargetId.trim());
+    if (merged) closeDetailModal();
+  };
+
   const viewReportDetails = (report) => {
     setSelectedReport(report);
     setShowDetailModal(true);
@@ -133,16 +323,24 @@ const AdminDashboard = () => {
   const closeDetailModal = () => {
     setShowDetailModal(false);
     setSelectedReport(null);
+    setStatusNote('');
+    setAfterPhotos([]);
+    setMergeTargetId('');
   };
 
   const handleRoleChange = async (userId, newRole) => {
     try {
-      await adminAPI.updateUserRole(userId, newRole);
-      toast.success('User role updated!');
+      // Inspectors need a profile to receive assignments; creating it sets the role
+      if (newRole === 'inspector') {
+        await inspectorAPI.createInspector({ userId });
+      } else {
+        await adminAPI.updateUserRole(userId, newRole);
+      }
+      toast.success(t('admin.roleUpdated'));
       fetchUsers();
     } catch (error) {
       console.error('Role update failed:', error);
-      toast.error('Failed to update user role');
+      toast.error(t('admin.roleUpdateFailed'));
     }
   };
 
@@ -154,10 +352,18 @@ const AdminDashboard = () => {
     );
   };
 
+  // Open and past its SLA due date
+  const isOverdue = (report) =>
+    ['pending', 'in-progress'].includes(report.status) &&
+    Boolean(report.sla?.dueAt) && new Date(report.sla.dueAt) < new Date();
+
   const filteredReports = reports.filter(report => {
     if (filters.status && report.status !== filters.status) return false;
+    if (filters.flaggedOnly && !report.resolutionEvidence?.flagged) return false;
+    if (filters.overdueOnly && !isOverdue(report)) return false;
     if (filters.category && report.category !== filters.category) return false;
     if (filters.severity && report.severity !== filters.severity) return false;
+    if (filters.ward && report.ward?._id !== filters.ward) return false;
     if (filters.search) {
       const searchLower = filters.search.toLowerCase();
       return (
@@ -177,8 +383,8 @@ const AdminDashboard = () => {
     return (
       <div className="admin-access-denied">
         <Shield size={64} />
-        <h2>Access Denied</h2>
-        <p>You don't have permission to access this page.</p>
+        <h2>{t('admin.accessDenied')}</h2>
+        <p>{t('admin.accessDeniedHint')}</p>
       </div>
     );
   }
@@ -192,8 +398,10 @@ const AdminDashboard = () => {
             <Shield size={36} />
           </div>
           <div className="header-content">
-            <h1>Admin Dashboard</h1>
-            <p>Welcome back, <span className="user-highlight">{user.name}</span> • <span className="role-badge">{user.role}</span></p>
+            <h1>{t('admin.title')}</h1>
+            <p>
+              {t('admin.welcome')} <span className="user-highlight">{user.name}</span> • <span className="role-badge">{t(`roles.${user.role}`)}</span>
+            </p>
           </div>
         </div>
         <div className="header-right">
@@ -203,28 +411,28 @@ const AdminDashboard = () => {
                 <Clock size={20} />
                 <div>
                   <span className="stat-number">{stats.overview.pendingReports}</span>
-                  <span className="stat-label">Pending</span>
+                  <span className="stat-label">{t('status.pending')}</span>
                 </div>
               </div>
               <div className="stat-box progress">
                 <Settings size={20} />
                 <div>
                   <span className="stat-number">{stats.overview.inProgressReports}</span>
-                  <span className="stat-label">In Progress</span>
+                  <span className="stat-label">{t('status.in-progress')}</span>
                 </div>
               </div>
               <div className="stat-box resolved">
                 <CheckCircle size={20} />
                 <div>
                   <span className="stat-number">{stats.overview.resolvedReports}</span>
-                  <span className="stat-label">Resolved</span>
+                  <span className="stat-label">{t('status.resolved')}</span>
                 </div>
               </div>
             </div>
           )}
           <button className="refresh-btn" onClick={fetchAdminData}>
             <Download size={18} />
-            Refresh
+            {t('common.refresh')}
           </button>
         </div>
       </div>
@@ -236,21 +444,31 @@ const AdminDashboard = () => {
           onClick={() => setActiveTab('overview')}
         >
           <TrendingUp size={18} />
-          Overview
+          {t('admin.tabs.overview')}
         </button>
         <button
           className={`tab ${activeTab === 'reports' ? 'active' : ''}`}
           onClick={() => setActiveTab('reports')}
         >
           <FileText size={18} />
-          Manage Reports
+          {t('admin.tabs.reports')}
+        </button>
+        <button
+          className={`tab ${activeTab === 'duplicates' ? 'active' : ''}`}
+          onClick={() => {
+            setActiveTab('duplicates');
+            fetchDuplicates();
+          }}
+        >
+          <Copy size={18} />
+          {t('admin.tabs.duplicates')}
         </button>
         <button
           className={`tab ${activeTab === 'map' ? 'active' : ''}`}
           onClick={() => setActiveTab('map')}
         >
           <Map size={18} />
-          Waste Dump Map
+          {t('admin.tabs.map')}
         </button>
         {user.role === 'admin' && (
           <button
@@ -261,7 +479,7 @@ const AdminDashboard = () => {
             }}
           >
             <Users size={18} />
-            Manage Users
+            {t('admin.tabs.users')}
           </button>
         )}
       </div>
@@ -279,30 +497,46 @@ const AdminDashboard = () => {
               <Clock size={32} />
               <div className="stat-info">
                 <h3>{stats.overview.pendingReports}</h3>
-                <p>Pending Reports</p>
+                <p>{t('admin.pendingReports')}</p>
               </div>
             </div>
             <div className="admin-stat-card progress">
               <Settings size={32} />
               <div className="stat-info">
                 <h3>{stats.overview.inProgressReports}</h3>
-                <p>In Progress</p>
+                <p>{t('status.in-progress')}</p>
               </div>
             </div>
             <div className="admin-stat-card resolved">
               <CheckCircle size={32} />
               <div className="stat-info">
                 <h3>{stats.overview.resolvedReports}</h3>
-                <p>Resolved</p>
+                <p>{t('status.resolved')}</p>
               </div>
             </div>
             <div className="admin-stat-card users">
               <Users size={32} />
               <div className="stat-info">
                 <h3>{stats.overview.activeUsers}/{stats.overview.totalUsers}</h3>
-                <p>Active Users</p>
+                <p>{t('admin.activeUsers')}</p>
               </div>
             </div>
+            {stats.sla && (
+              <div className="admin-stat-card sla">
+                <TrendingUp size={32} />
+                <div className="stat-info">
+                  <h3>{stats.sla.complianceRate !== null ? `${stats.sla.complianceRate}%` : '—'}</h3>
+                  <p>{t('admin.slaCompliance')}</p>
+                  <span className="sla-breakdown">
+                    {t('admin.slaBreakdown', {
+                      overdue: stats.sla.openBreached,
+                      atRisk: stats.sla.atRisk,
+                      hours: stats.sla.atRiskHours
+                    })}
+                  </span>
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Critical Reports */}
@@ -310,7 +544,7 @@ const AdminDashboard = () => {
             <div className="critical-reports-section">
               <h3>
                 <AlertTriangle size={24} color="#ef4444" />
-                Critical Reports Requiring Attention
+                {t('admin.criticalReports')}
               </h3>
               <div className="critical-reports-list">
                 {stats.criticalReports.map(report => (
@@ -319,7 +553,7 @@ const AdminDashboard = () => {
                       <h4>{report.title}</h4>
                       <p>{report.description.substring(0, 100)}...</p>
                       <span className="report-meta">
-                        By: {report.userId?.name} • {new Date(report.createdAt).toLocaleDateString()}
+                        {t('admin.reportedBy', { name: report.userId?.name, date: formatDate(report.createdAt) })}
                       </span>
                     </div>
                     <select
@@ -327,9 +561,7 @@ const AdminDashboard = () => {
                       onChange={(e) => handleUpdateStatus(report._id, e.target.value)}
                       className="status-select"
                     >
-                      <option value="pending">Pending</option>
-                      <option value="in-progress">In Progress</option>
-                      <option value="resolved">Resolved</option>
+                      {renderStatusOptions(report.status)}
                     </select>
                   </div>
                 ))}
@@ -340,7 +572,7 @@ const AdminDashboard = () => {
           {/* Top Contributors */}
           {stats.topReporters && (
             <div className="top-contributors">
-              <h3>Top Contributors This Month</h3>
+              <h3>{t('admin.topContributors')}</h3>
               <div className="contributors-list">
                 {stats.topReporters.map((reporter, index) => (
                   <div key={index} className="contributor-item">
@@ -352,10 +584,10 @@ const AdminDashboard = () => {
                     />
                     <div className="contributor-info">
                       <strong>{reporter._id?.name}</strong>
-                      <span>{reporter.reportCount} reports</span>
+                      <span>{t('admin.reportCount', { count: reporter.reportCount })}</span>
                     </div>
                     <span className="contributor-points">
-                      {reporter._id?.points} pts
+                      {t('common.points', { count: reporter._id?.points || 0 })}
                     </span>
                   </div>
                 ))}
@@ -378,7 +610,7 @@ const AdminDashboard = () => {
               <Search size={20} />
               <input
                 type="text"
-                placeholder="Search reports..."
+                placeholder={t('admin.searchPlaceholder')}
                 value={filters.search}
                 onChange={(e) => setFilters({ ...filters, search: e.target.value })}
               />
@@ -387,36 +619,61 @@ const AdminDashboard = () => {
               value={filters.status}
               onChange={(e) => setFilters({ ...filters, status: e.target.value })}
             >
-              <option value="">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="in-progress">In Progress</option>
-              <option value="resolved">Resolved</option>
-              <option value="rejected">Rejected</option>
+              <option value="">{t('admin.allStatus')}</option>
+              {['pending', 'in-progress', 'resolved', 'verified', 'rejected'].map(status => (
+                <option key={status} value={status}>{t(`status.${status}`)}</option>
+              ))}
             </select>
             <select
               value={filters.severity}
               onChange={(e) => setFilters({ ...filters, severity: e.target.value })}
             >
-              <option value="">All Severity</option>
-              <option value="low">Low</option>
-              <option value="medium">Medium</option>
-              <option value="high">High</option>
-              <option value="critical">Critical</option>
+              <option value="">{t('admin.allSeverity')}</option>
+              {['low', 'medium', 'high', 'critical'].map(severity => (
+                <option key={severity} value={severity}>{t(`severity.${severity}`)}</option>
+              ))}
+            </select>
+            <select
+              value={filters.ward}
+              onChange={(e) => setFilters({ ...filters, ward: e.target.value })}
+            >
+              <option value="">{t('admin.allWards')}</option>
+              {wards.map(ward => (
+                <option key={ward._id} value={ward._id}>
+                  {ward.name}{ward.zone ? ` (${ward.zone})` : ''}
+                </option>
+              ))}
             </select>
+            <label className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={filters.flaggedOnly}
+                onChange={(e) => setFilters({ ...filters, flaggedOnly: e.target.checked })}
+              />
+              {t('admin.flaggedEvidence')}
+            </label>
+            <label className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={filters.overdueOnly}
+                onChange={(e) => setFilters({ ...filters, overdueOnly: e.target.checked })}
+              />
+              {t('admin.overdueSla')}
+            </label>
           </div>
 
           {/* Bulk Actions */}
           {selectedReports.length > 0 && (
             <div className="bulk-actions">
-              <span>{selectedReports.length} selected</span>
+              <span>{t('admin.selected', { count: selectedReports.length })}</span>
               <button onClick={() => handleBulkUpdate('in-progress')} className="btn-bulk">
-                Mark In Progress
+                {t('admin.markInProgress')}
               </button>
               <button onClick={() => handleBulkUpdate('resolved')} className="btn-bulk">
-                Mark Resolved
+                {t('admin.markResolved')}
               </button>
               <button onClick={() => setSelectedReports([])} className="btn-bulk">
-                Clear Selection
+                {t('admin.clearSelection')}
               </button>
             </div>
           )}
@@ -438,13 +695,13 @@ const AdminDashboard = () => {
                       }}
                     />
                   </th>
-                  <th>Title</th>
-                  <th>Category</th>
-                  <th>Severity</th>
-                  <th>Reporter</th>
-                  <th>Date</th>
-                  <th>Status</th>
-                  <th>Actions</th>
+                  <th>{t('admin.columns.title')}</th>
+                  <th>{t('admin.columns.category')}</th>
+                  <th>{t('admin.columns.severity')}</th>
+                  <th>{t('admin.columns.reporter')}</th>
+                  <th>{t('admin.columns.date')}</th>
+                  <th>{t('admin.columns.status')}</th>
+                  <th>{t('admin.columns.actions')}</th>
                 </tr>
               </thead>
               <tbody>
@@ -459,33 +716,46 @@ const AdminDashboard = () => {
                     </td>
                     <td className="report-title">{report.title}</td>
                     <td>
-                      <span className="badge badge-info">{report.category}</span>
+                      <span className="badge badge-info">{t(`categories.${report.category}`)}</span>
                     </td>
                     <td>
                       <span className={`badge badge-${report.severity === 'critical' ? 'danger' : report.severity === 'high' ? 'warning' : 'info'}`}>
-                        {report.severity}
+                        {t(`severity.${report.severity}`)}
                       </span>
                     </td>
                     <td>{report.userId?.name}</td>
-                    <td>{new Date(report.createdAt).toLocaleDateString()}</td>
+                    <td>{formatDate(report.createdAt)}</td>
                     <td>
                       <select
                         value={report.status}
                         onChange={(e) => handleUpdateStatus(report._id, e.target.value)}
                         className={`status-badge status-${report.status}`}
                       >
-                        <option value="pending">Pending</option>
-                        <option value="in-progress">In Progress</option>
-                        <option value="resolved">Resolved</option>
-                        <option value="rejected">Rejected</option>
+                        {renderStatusOptions(report.status)}
                       </select>
+                      {report.resolutionEvidence?.flagged && (
+                        <span
+                          className="evidence-flag"
+                          title={report.resolutionEvidence.reasons?.join('\n')}
+                        >
+                          <AlertTriangle size={14} />
+                        </span>
+                      )}
+                      {isOverdue(report) && (
+                        <span
+                          className="sla-overdue"
+                          title={t('admin.slaDue', { date: formatDateTime(report.sla.dueAt) })}
+                        >
+                          <Clock size={14} />
+                        </span>
+                      )}
                     </td>
                     <td>
                       <div className="action-buttons">
                         <button
                           onClick={() => viewReportDetails(report)}
                           className="btn-view"
-                          title="View Details"
+                          title={t('common.viewDetails')}
                         >
                           <Eye size={16} />
                         </button>
@@ -493,7 +763,7 @@ const AdminDashboard = () => {
                           <button
                             onClick={() => handleDeleteReport(report._id)}
                             className="btn-delete"
-                            title="Delete"
+                            title={t('common.delete')}
                           >
                             🗑️
                           </button>
@@ -508,6 +778,70 @@ const AdminDashboard = () => {
         </motion.div>
       )}
 
+      {/* Duplicate Review Tab */}
+      {activeTab === 'duplicates' && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="duplicates-review"
+        >
+          {duplicates.length === 0 ? (
+            <p className="duplicates-empty">{t('admin.noDuplicates')}</p>
+          ) : (
+            duplicates.map(report => {
+              const original = report.aiAnalysis?.duplicateOf;
+              return (
+                <div key={report._id} className="duplicate-pair">
+                  <div className="duplicate-pair-reports">
+                    {[{ label: t('admin.suggestedDuplicate'), item: report }, { label: t('admin.original'), item: original }].map(({ label, item }) => (
+                      <div key={label} className="duplicate-pair-report">
+                        <span className="duplicate-pair-label">{label}</span>
+                        {item ? (
+                          <>
+                            <h4>{item.title}</h4>
+                            <p>{item.description?.substring(0, 140)}</p>
+                            <span className="report-meta">
+                              <span className={`status-badge status-${item.status}`}>{t(`status.${item.status}`)}</span>
+                              {' '}{t(`categories.${item.category}`)} • {formatDate(item.createdAt)}
+                              {item.images?.length > 0 && ` • ${t('admin.photoCount', { count: item.images.length })}`}
+                            </span>
+                          </>
+                        ) : (
+                          <p>{t('admin.originalMissing')}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  {report.aiAnalysis?.duplicateRationale && (
+                    <p className="duplicate-pair-rationale">
+                      {t('admin.duplicateConfidence', {
+                        percent: Math.round((report.aiAnalysis.duplicateConfidence || 0) * 100),
+                        rationale: report.aiAnalysis.duplicateRationale
+                      })}
+                    </p>
+                  )}
+                  <div className="duplicate-pair-actions">
+                    <button
+                      onClick={() => handleMerge(report._id, original._id)}
+                      className="btn-bulk"
+                      disabled={!original}
+                    >
+                      {t('admin.mergeIntoOriginal')}
+                    </button>
+                    <button onClick={() => handleDismissDuplicate(report._id)} className="btn-secondary">
+                      {t('admin.notDuplicate')}
+                    </button>
+                    <button onClick={() => viewReportDetails(report)} className="btn-view" title={t('common.viewDetails')}>
+                      <Eye size={16} />
+                    </button>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </motion.div>
+      )}
+
       {/* Waste Dump Map Tab */}
       {activeTab === 'map' && (
         <motion.div
@@ -530,14 +864,14 @@ const AdminDashboard = () => {
             <table>
               <thead>
                 <tr>
-                  <th>Name</th>
-                  <th>Email</th>
-                  <th>Role</th>
-                  <th>Level</th>
-                  <th>Points</th>
-                  <th>Reports</th>
-                  <th>Joined</th>
-                  <th>Actions</th>
+                  <th>{t('admin.columns.name')}</th>
+                  <th>{t('admin.columns.email')}</th>
+                  <th>{t('admin.columns.role')}</th>
+                  <th>{t('admin.columns.level')}</th>
+                  <th>{t('admin.columns.points')}</th>
+                  <th>{t('admin.columns.reports')}</th>
+                  <th>{t('admin.columns.joined')}</th>
+                  <th>{t('admin.columns.actions')}</th>
                 </tr>
               </thead>
               <tbody>
@@ -560,17 +894,17 @@ const AdminDashboard = () => {
                         onChange={(e) => handleRoleChange(user._id, e.target.value)}
                         className={`role-badge role-${user.role}`}
                       >
-                        <option value="user">User</option>
-                        <option value="moderator">Moderator</option>
-                        <option value="admin">Admin</option>
+                        {['user', 'inspector', 'moderator', 'admin'].map(role => (
+                          <option key={role} value={role}>{t(`roles.${role}`)}</option>
+                        ))}
                       </select>
                     </td>
-                    <td>Level {user.level}</td>
-                    <td>{user.points} pts</td>
+                    <td>{t('common.level', { level: user.level })}</td>
+                    <td>{t('common.points', { count: user.points || 0 })}</td>
                     <td>{user.reportsSubmitted}</td>
-                    <td>{new Date(user.createdAt).toLocaleDateString()}</td>
+                    <td>{formatDate(user.createdAt)}</td>
                     <td>
-                      <button className="btn-sm" title="View Profile">
+                      <button className="btn-sm" title={t('admin.viewProfile')}>
                         👤
                       </button>
                     </td>
@@ -601,7 +935,7 @@ const AdminDashboard = () => {
             >
               {/* Modal Header */}
               <div className="modal-header">
-                <h2>Report Details</h2>
+                <h2>{t('admin.reportDetails')}</h2>
                 <button onClick={closeDetailModal} className="close-btn">
                   <X size={24} />
                 </button>
@@ -613,33 +947,33 @@ const AdminDashboard = () => {
                 <div className="detail-section">
                   <div className="section-header">
                     <FileText size={20} />
-                    <h3>Report Information</h3>
+                    <h3>{t('admin.reportInfo')}</h3>
                   </div>
                   <div className="detail-grid">
                     <div className="detail-item">
-                      <label>Title</label>
+                      <label>{t('admin.columns.title')}</label>
                       <p className="detail-value">{selectedReport.title}</p>
                     </div>
                     <div className="detail-item">
-                      <label>Issue Type</label>
+                      <label>{t('admin.issueType')}</label>
                       <p className="detail-value">{selectedReport.issueType || selectedReport.category}</p>
                     </div>
                     <div className="detail-item">
-                      <label>Category</label>
-                      <span className="badge badge-info">{selectedReport.category}</span>
+                      <label>{t('admin.columns.category')}</label>
+                      <span className="badge badge-info">{t(`categories.${selectedReport.category}`)}</span>
                     </div>
                     <div className="detail-item">
-                      <label>Severity</label>
+                      <label>{t('admin.columns.severity')}</label>
                       <span className={`badge badge-${selectedReport.severity === 'critical' ? 'danger' : selectedReport.severity === 'high' ? 'warning' : 'info'}`}>
-                        {selectedReport.severity}
+                        {t(`severity.${selectedReport.severity}`)}
                       </span>
                     </div>
                     <div className="detail-item">
-                      <label>Status</label>
-                      <span className={`badge badge-${selectedReport.status}`}>{selectedReport.status}</span>
+                      <label>{t('admin.columns.status')}</label>
+                      <span className={`badge badge-${selectedReport.status}`}>{t(`status.${selectedReport.status}`)}</span>
                     </div>
                     <div className="detail-item">
-                      <label>Report ID</label>
+                      <label>{t('admin.reportId')}</label>
                       <p className="detail-value detail-id">{selectedReport._id}</p>
                     </div>
                   </div>
@@ -649,7 +983,7 @@ const AdminDashboard = () => {
                 <div className="detail-section">
                   <div className="section-header">
                     <MessageSquare size={20} />
-                    <h3>Description</h3>
+                    <h3>{t('admin.description')}</h3>
                   </div>
                   <p className="description-text">{selectedReport.description}</p>
                 </div>
@@ -658,19 +992,27 @@ const AdminDashboard = () => {
                 <div className="detail-section">
                   <div className="section-header">
                     <MapPin size={20} />
-                    <h3>Location Details</h3>
+                    <h3>{t('admin.locationDetails')}</h3>
                   </div>
                   <div className="detail-grid">
                     <div className="detail-item full-width">
-                      <label>Address</label>
-                      <p className="detail-value">{selectedReport.location?.address || 'Not provided'}</p>
+                      <label>{t('admin.address')}</label>
+                      <p className="detail-value">{selectedReport.location?.address || t('admin.notProvided')}</p>
                     </div>
                     <div className="detail-item">
-                      <label>Coordinates</label>
+                      <label>{t('admin.coordinates')}</label>
                       <p className="detail-value">
                         {selectedReport.location?.coordinates?.[1]?.toFixed(6)}, {selectedReport.location?.coordinates?.[0]?.toFixed(6)}
                       </p>
                     </div>
+                    <div className="detail-item">
+                      <label>{t('admin.ward')}</label>
+                      <p className="detail-value">
+                        {selectedReport.ward
+                          ? `${selectedReport.ward.name}${selectedReport.ward.zone ? ` (${selectedReport.ward.zone})` : ''}`
+                          : t('admin.outsideWards')}
+                      </p>
+                    </div>
                   </div>
                 </div>
 
@@ -678,7 +1020,7 @@ const AdminDashboard = () => {
                 <div className="detail-section">
                   <div className="section-header">
                     <User size={20} />
-                    <h3>Reporter Information</h3>
+                    <h3>{t('admin.reporterInfo')}</h3>
                   </div>
                   <div className="reporter-info">
                     <img
@@ -689,80 +1031,248 @@ const AdminDashboard = () => {
                     <div className="reporter-details">
                       <p className="reporter-name">{selectedReport.userId?.name}</p>
                       <p className="reporter-email">{selectedReport.userId?.email}</p>
-                      <p className="reporter-meta">Level {selectedReport.userId?.level} • {selectedReport.userId?.points} points</p>
+                      <p className="reporter-meta">
+                        {t('admin.reporterMeta', { level: selectedReport.userId?.level, points: selectedReport.userId?.points })}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Merged Reports Section */}
+                {(selectedReport.mergedReports?.length > 0 || selectedReport.coReporters?.length > 0) && (
+                  <div className="detail-section">
+                    <div className="section-header">
+                      <Copy size={20} />
+                      <h3>{t('admin.mergedReports')}</h3>
                     </div>
+                    {selectedReport.coReporters?.length > 0 && (
+                      <p className="merged-co-reporters">
+                        {t('admin.alsoReportedBy', { names: selectedReport.coReporters.map(reporter => reporter.name || reporter).join(', ') })}
+                      </p>
+                    )}
+                    <ul className="merged-reports">
+                      {selectedReport.mergedReports?.map(merged => (
+                        <li key={merged.reportId?._id || merged.reportId}>
+                          <span>
+                            {t('admin.mergedOn', {
+                              title: merged.reportId?.title || merged.reportId,
+                              date: formatDate(merged.mergedAt)
+                            })}
+                          </span>
+                          <button
+                            onClick={() => handleUnmerge(merged.reportId?._id || merged.reportId)}
+                            className="btn-secondary"
+                          >
+                            {t('admin.unmerge')}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Assignment Section */}
+                <div className="detail-section">
+                  <div className="section-header">
+                    <ClipboardList size={20} />
+                    <h3>{t('admin.assignment')}</h3>
                   </div>
+                  <div className="assignment-controls">
+                    <select
+                      value={selectedReport.assignedTo?._id || ''}
+                      onChange={(e) => handleAssign(e.target.value)}
+                    >
+                      <option value="" disabled>{t('admin.unassigned')}</option>
+                      {inspectors.filter(i => i.userId).map(i => (
+                        <option key={i._id} value={i.userId._id}>
+                          {t(i.isAvailable ? 'admin.inspectorLoad' : 'admin.inspectorLoadUnavailable', {
+                            name: i.userId.name,
+                            active: i.activeTickets,
+                            max: i.maxCapacity
+                          })}
+                        </option>
+                      ))}
+                    </select>
+                    <button onClick={handleAutoAssign} className="btn-secondary">
+                      {t('admin.suggestInspector')}
+                    </button>
+                  </div>
+                  {selectedReport.assignment?.status && (
+                    <p className="assignment-state">
+                      {selectedReport.assignment.status === 'declined'
+                        ? t('admin.declinedWithReason', { reason: selectedReport.assignment.declineReason || t('admin.noReasonGiven') })
+                        : t(selectedReport.assignment.method === 'ai' ? 'admin.assignmentStateAi' : 'admin.assignmentState', {
+                          status: selectedReport.assignment.status
+                        })}
+                    </p>
+                  )}
                 </div>
 
+                {/* AI Pipeline Section */}
+                {selectedReport.aiPipeline?.stages?.length > 0 && (
+                  <div className="detail-section">
+                    <div className="section-header">
+                      <Bot size={20} />
+                      <h3>{t('admin.aiAnalysis', { status: selectedReport.aiPipeline.status })}</h3>
+                    </div>
+                    <ul className="pipeline-stages">
+                      {selectedReport.aiPipeline.stages.map(stage => (
+                        <li key={stage.key} title={stage.reason || ''}>
+                          <span className="pipeline-stage-name">
+                            {stage.stage}{stage.imageIndex !== undefined && stage.imageIndex !== null ? ` (${t('admin.imageNumber', { number: stage.imageIndex + 1 })})` : ''}
+                          </span>
+                          <span className={`pipeline-stage-status ${stage.status}`}>{stage.status}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Photo Metadata Section */}
+                {selectedReport.aiAnalysis?.metadataCheck?.images?.length > 0 && (
+                  <div className="detail-section">
+                    <div className="section-header">
+                      <ImageIcon size={20} />
+                      <h3>
+                        {t('admin.photoMetadata', {
+                          tamper: Math.round(selectedReport.aiAnalysis.metadataCheck.tamperScore * 100),
+                          stale: Math.round(selectedReport.aiAnalysis.metadataCheck.stalenessScore * 100)
+                        })}
+                      </h3>
+                    </div>
+                    <ul className="pipeline-stages">
+                      {selectedReport.aiAnalysis.metadataCheck.images.map(image => (
+                        <li key={image.imageIndex}>
+                          <span className="pipeline-stage-name">
+                            {t('admin.imageLabel', { number: image.imageIndex + 1 })}
+                            {image.capturedAt && t('admin.takenAt', { date: formatDateTime(image.capturedAt) })}
+                            {image.gpsDistanceMeters !== undefined && image.gpsDistanceMeters !== null &&
+                              t('admin.distanceFromReport', { meters: image.gpsDistanceMeters })}
+                          </span>
+                          <span className={`pipeline-stage-status ${image.flags.length > 0 ? 'failed' : 'completed'}`}>
+                            {image.flags.length > 0 ? image.flags.join(', ').replace(/_/g, ' ') : t('admin.consistent')}
+                          </span>
+                          {selectedReport.images?.[image.imageIndex] && (
+                            <button
+                              className="view-original-btn"
+                              onClick={() => handleViewOriginal(selectedReport.images[image.imageIndex]._id)}
+                            >
+                              {t('admin.viewOriginal')}
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 {/* Timeline Section */}
                 <div className="detail-section">
                   <div className="section-header">
                     <Calendar size={20} />
-                    <h3>Timeline</h3>
+                    <h3>{t('admin.timeline')}</h3>
                   </div>
                   <div className="timeline">
                     <div className="timeline-item">
                       <div className="timeline-dot"></div>
                       <div className="timeline-content">
-                        <p className="timeline-label">Created</p>
-                        <p className="timeline-value">{new Date(selectedReport.createdAt).toLocaleString()}</p>
+                        <p className="timeline-label">{t('admin.created')}</p>
+                        <p className="timeline-value">{formatDateTime(selectedReport.createdAt)}</p>
                       </div>
                     </div>
                     <div className="timeline-item">
                       <div className="timeline-dot"></div>
                       <div className="timeline-content">
-                        <p className="timeline-label">Last Updated</p>
-                        <p className="timeline-value">{new Date(selectedReport.updatedAt).toLocaleString()}</p>
+                        <p className="timeline-label">{t('admin.lastUpdated')}</p>
+                        <p className="timeline-value">{formatDateTime(selectedReport.updatedAt)}</p>
                       </div>
                     </div>
+                    {selectedReport.sla?.dueAt && (
+                      <div className="timeline-item">
+                        <div className="timeline-dot"></div>
+                        <div className="timeline-content">
+                          <p className="timeline-label">
+                            {t('admin.slaDueHours', { hours: selectedReport.sla.resolutionHours })}
+                            {isOverdue(selectedReport) ? t('admin.overdueSuffix') : ''}
+                          </p>
+                          <p className="timeline-value">{formatDateTime(selectedReport.sla.dueAt)}</p>
+                        </div>
+                      </div>
+                    )}
                     {selectedReport.resolvedAt && (
                       <div className="timeline-item">
                         <div className="timeline-dot resolved"></div>
                         <div className="timeline-content">
-                          <p className="timeline-label">Resolved</p>
-                          <p className="timeline-value">{new Date(selectedReport.resolvedAt).toLocaleString()}</p>
+                          <p className="timeline-label">{t('status.resolved')}</p>
+                          <p className="timeline-value">{formatDateTime(selectedReport.resolvedAt)}</p>
                         </div>
                       </div>
                     )}
                   </div>
                 </div>
 
-                {/* Images Section */}
-                {selectedReport.images && selectedReport.images.length > 0 && (
-                  <div className="detail-section">
-                    <div className="section-header">
-                      <ImageIcon size={20} />
-                      <h3>Attached Images ({selectedReport.images.length})</h3>
-                    </div>
-                    <div className="images-grid">
-                      {selectedReport.images.map((img, idx) => (
-                        <img
-                          key={idx}
-                          src={img}
-                          alt={`Report ${idx + 1}`}
-                          className="report-image"
-                          onClick={() => window.open(img, '_blank')}
-                        />
-                      ))}
-                    </div>
+                {/* Status History Section */}
+                <div className="detail-section">
+                  <div className="section-header">
+                    <Clock size={20} />
+                    <h3>{t('admin.statusHistory')}</h3>
                   </div>
-                )}
+                  <ReportTimeline
+                    key={`${selectedReport._id}-${historyVersion}`}
+                    reportId={selectedReport._id}
+                  />
+                </div>
+
+                {/* Before/After Photos Section */}
+                <div className="detail-section">
+                  <div className="section-header">
+                    <ImageIcon size={20} />
+                    <h3>{t('admin.beforeAfter')}</h3>
+                  </div>
+                  <BeforeAfterPhotos report={selectedReport} showEvidence />
+                  {['in-progress', 'resolved'].includes(selectedReport.status) && (
+                    <label className="after-photos-input">
+                      {t('admin.attachAfterPhotos')}
+                      <input
+                        type="file"
+                        accept="image/*"
+                        multiple
+                        onChange={(e) => setAfterPhotos(Array.from(e.target.files).slice(0, 5))}
+                      />
+                    </label>
+                  )}
+                </div>
 
                 {/* Action Section */}
+                <textarea
+                  value={statusNote}
+                  onChange={(e) => setStatusNote(e.target.value)}
+                  placeholder={t('admin.notePlaceholder')}
+                  className="status-note-input"
+                  maxLength={1000}
+                  rows={2}
+                />
                 <div className="modal-actions">
                   <select
                     value={selectedReport.status}
-                    onChange={(e) => {
-                      handleUpdateStatus(selectedReport._id, e.target.value);
-                      setSelectedReport({ ...selectedReport, status: e.target.value });
-                    }}
+                    onChange={(e) => handleModalStatusChange(e.target.value)}
                     className="status-select-modal"
                   >
-                    <option value="pending">Pending</option>
-                    <option value="in-progress">In Progress</option>
-                    <option value="resolved">Resolved</option>
-                    <option value="rejected">Rejected</option>
+                    {renderStatusOptions(selectedReport.status)}
                   </select>
+                  {selectedReport.status !== 'merged' && (
+                    <div className="merge-into">
+                      <input
+                        type="text"
+                        value={mergeTargetId}
+                        onChange={(e) => setMergeTargetId(e.target.value)}
+                        placeholder={t('admin.mergePlaceholder')}
+                      />
+                      <button onClick={handleModalMerge} className="btn-secondary" disabled={!mergeTargetId.trim()}>
+                        {t('admin.merge')}
+                      </button>
+                    </div>
+                  )}
                   {user.role === 'admin' && (
                     <button
                       onClick={() => {
@@ -771,11 +1281,11 @@ const AdminDashboard = () => {
                       }}
                       className="btn-danger"
                     >
-                      Delete Report
+                      {t('admin.deleteReport')}
                     </button>
                   )}
                   <button onClick={closeDetailModal} className="btn-secondary">
-                    Close
+                    {t('common.close')}
                   </button>
                 </div>
               </div>
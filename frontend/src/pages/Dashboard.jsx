@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../context/useTranslation";
 import { useNavigate } from "react-router-dom";
 import api from "../utils/api";
 import { 
@@ -18,6 +19,7 @@ import "./Dashboard.css";
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const { t, formatDate } = useTranslation();
   const navigate = useNavigate();
   const [stats, setStats] = useState({
     totalReports: 0,
@@ -71,19 +73,19 @@ const Dashboard = () => {
 
   const quickActions = [
     {
-      title: "Report Issue",
+      title: t("dashboard.reportIssue"),
       icon: <Plus size={20} />,
       color: "#3b82f6",
       action: () => navigate('/report-issue')
     },
     {
-      title: "Garbage Schedule",
+      title: t("dashboard.garbageSchedule"),
       icon: <Calendar size={20} />,
       color: "#10b981",
       action: () => navigate('/garbage-schedule')
     },
     {
-      title: "My Reports",
+      title: t("dashboard.myReports"),
       icon: <MapPin size={20} />,
       color: "#f59e0b",
       action: () => navigate('/profile')
@@ -92,28 +94,28 @@ const Dashboard = () => {
 
   const achievements = [
     { 
-      name: "First Report", 
+      name: t("dashboard.achievement.firstReport.name"), 
       unlocked: stats.totalReports >= 1,
       icon: "🎯",
-      description: "Submit your first report"
+      description: t("dashboard.achievement.firstReport.description")
     },
     { 
-      name: "Problem Solver", 
+      name: t("dashboard.achievement.problemSolver.name"), 
       unlocked: stats.resolvedReports >= 5,
       icon: "⭐",
-      description: "Get 5 reports resolved"
+      description: t("dashboard.achievement.problemSolver.description")
     },
     { 
-      name: "Active Citizen", 
+      name: t("dashboard.achievement.activeCitizen.name"), 
       unlocked: stats.totalReports >= 10,
       icon: "🏆",
-      description: "Submit 10 reports"
+      description: t("dashboard.achievement.activeCitizen.description")
     },
     { 
-      name: "Community Champion", 
+      name: t("dashboard.achievement.champion.name"), 
       unlocked: stats.userPoints >= 100,
       icon: "👑",
-      description: "Earn 100 points"
+      description: t("dashboard.achievement.champion.description")
     }
   ];
 
@@ -123,7 +125,7 @@ const Dashboard = () => {
         <div className="container">
           <div className="loading-spinner">
             <div className="spinner"></div>
-            <p>Loading dashboard...</p>
+            <p>{t("dashboard.loading")}</p>
           </div>
         </div>
       </div>
@@ -136,18 +138,18 @@ const Dashboard = () => {
         {/* Hero Section */}
         <div className="dashboard-hero">
           <div className="hero-content">
-            <h1>Welcome back, {user?.name}! 👋</h1>
-            <p className="hero-subtitle">Your personal civic action hub</p>
+            <h1>{t("dashboard.welcome", { name: user?.name })}</h1>
+            <p className="hero-subtitle">{t("dashboard.subtitle")}</p>
           </div>
           <div className="user-level-card">
             <div className="level-icon">
               <Trophy size={32} color="#fbbf24" />
             </div>
             <div className="level-info">
-              <span className="level-label">Level {stats.userLevel}</span>
+              <span className="level-label">{t("common.level", { level: stats.userLevel })}</span>
               <div className="points-display">
                 <Zap size={16} color="#fbbf24" />
-                <span>{stats.userPoints} Points</span>
+                <span>{t("common.pointsLong", { count: stats.userPoints })}</span>
               </div>
             </div>
           </div>
@@ -155,7 +157,7 @@ const Dashboard = () => {
 
         {/* Quick Actions */}
         <div className="quick-actions-section">
-          <h3 className="section-title">Quick Actions</h3>
+          <h3 className="section-title">{t("dashboard.quickActions")}</h3>
           <div className="quick-actions-grid">
             {quickActions.map((action, idx) => (
               <button
@@ -178,30 +180,30 @@ const Dashboard = () => {
           <div className="stat-box">
             <div className="stat-header">
               <MapPin size={20} color="#3b82f6" />
-              <span>Total Reports</span>
+              <span>{t("dashboard.totalReports")}</span>
             </div>
             <div className="stat-value">{stats.totalReports}</div>
           </div>
           <div className="stat-box">
             <div className="stat-header">
               <CheckCircle size={20} color="#10b981" />
-              <span>Resolved</span>
+              <span>{t("dashboard.resolved")}</span>
             </div>
             <div className="stat-value">{stats.resolvedReports}</div>
           </div>
           <div className="stat-box">
             <div className="stat-header">
               <Clock size={20} color="#f59e0b" />
-              <span>Pending</span>
+              <span>{t("dashboard.pending")}</span>
             </div>
             <div className="stat-value">{stats.pendingReports}</div>
           </div>
           <div className="stat-box">
             <div className="stat-header">
               <Target size={20} color="#8b5cf6" />
-              <span>Avg Response</span>
+              <span>{t("dashboard.avgResponse")}</span>
             </div>
-            <div className="stat-value">{stats.averageResponseTime}h</div>
+            <div className="stat-value">{t("dashboard.hours", { count: stats.averageResponseTime })}</div>
           </div>
         </div>
 
@@ -211,7 +213,7 @@ const Dashboard = () => {
           <div className="content-card recent-activity-card">
             <h3 className="card-title">
               <Activity size={20} />
-              Recent Activity
+              {t("dashboard.recentActivity")}
             </h3>
             {recentReports.length > 0 ? (
               <div className="activity-list">
@@ -223,10 +225,10 @@ const Dashboard = () => {
                       <p>{report.description?.substring(0, 60)}...</p>
                       <div className="activity-meta">
                         <span className={`status-pill ${report.status}`}>
-                          {report.status}
+                          {t(`status.${report.status}`)}
                         </span>
                         <span className="time-ago">
-                          {new Date(report.createdAt).toLocaleDateString()}
+                          {formatDate(report.createdAt)}
                         </span>
                       </div>
                     </div>
@@ -236,9 +238,9 @@ const Dashboard = () => {
             ) : (
               <div className="empty-state">
                 <MapPin size={48} color="#cbd5e1" />
-                <p>No activity yet</p>
+                <p>{t("dashboard.noActivity")}</p>
                 <button className="btn-primary" onClick={() => navigate('/report-issue')}>
-                  Submit Your First Report
+                  {t("dashboard.firstReport")}
                 </button>
               </div>
             )}
@@ -250,7 +252,7 @@ const Dashboard = () => {
             <div className="content-card achievements-card">
               <h3 className="card-title">
                 <Award size={20} />
-                Achievements
+                {t("dashboard.achievements")}
               </h3>
               <div className="achievements-grid">
                 {achievements.map((achievement, idx) => (
@@ -270,7 +272,7 @@ const Dashboard = () => {
             <div className="content-card schedule-card">
               <h3 className="card-title">
                 <Calendar size={20} />
-                Today's Collection
+                {t("dashboard.todaysCollection")}
               </h3>
               {todaysSchedule.length > 0 ? (
                 <div className="schedule-list">
@@ -281,19 +283,19 @@ const Dashboard = () => {
                         <span>{schedule.area}</span>
                       </div>
                       <div className="schedule-time">
-                        {schedule.todaySlots?.[0]?.startTime || 'TBD'}
+                        {schedule.todaySlots?.[0]?.startTime || t("dashboard.tbd")}
                       </div>
                     </div>
                   ))}
                 </div>
               ) : (
-                <p className="schedule-empty">No collections scheduled today</p>
+                <p className="schedule-empty">{t("dashboard.noCollections")}</p>
               )}
               <button 
                 className="view-more-btn"
                 onClick={() => navigate('/garbage-schedule')}
               >
-                View Full Schedule →
+                {t("dashboard.fullSchedule")}
               </button>
             </div>
           </div>
@@ -26,6 +26,7 @@ import {
   ResponsiveContainer 
 } from 'recharts';
 import { dashboardAPI } from '../utils/api';
+import { useTranslation } from '../context/useTranslation';
 import Leaderboard from '../components/Leaderboard';
 import LoadingSpinner from '../components/LoadingSpinner';
 import './EnhancedDashboard.css';
@@ -36,6 +37,7 @@ const EnhancedDashboard = () => {
   const [activity, setActivity] = useState([]);
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState('30');
+  const { t, formatDate } = useTranslation();
 
   const COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444'];
 
@@ -68,29 +70,29 @@ const EnhancedDashboard = () => {
 
   const statCards = [
     {
-      title: 'Total Reports',
+      title: t('analytics.totalReports'),
       value: stats?.totalReports || 0,
       icon: <TrendingUp />,
       color: 'blue',
       trend: '+12%'
     },
     {
-      title: 'Resolved Issues',
+      title: t('analytics.resolvedIssues'),
       value: stats?.resolvedReports || 0,
       icon: <CheckCircle />,
       color: 'green',
       trend: '+8%'
     },
     {
-      title: 'Pending Issues',
+      title: t('analytics.pendingIssues'),
       value: stats?.pendingReports || 0,
       icon: <Clock />,
       color: 'yellow',
       trend: '-5%'
     },
     {
-      title: 'Avg Resolution Time',
-      value: `${stats?.avgResolutionTime || 0}h`,
+      title: t('analytics.avgResolutionTime'),
+      value: t('dashboard.hours', { count: stats?.avgResolutionTime || 0 }),
       icon: <Target />,
       color: 'purple',
       trend: '-15%'
@@ -98,7 +100,7 @@ const EnhancedDashboard = () => {
   ];
 
   const categoryData = stats?.categoryStats.map(cat => ({
-    name: cat._id.charAt(0).toUpperCase() + cat._id.slice(1),
+    name: t(`categories.${cat._id}`),
     value: cat.count
   })) || [];
 
@@ -106,27 +108,27 @@ const EnhancedDashboard = () => {
     <div className="enhanced-dashboard">
       <div className="dashboard-header">
         <div>
-          <h1>Analytics Dashboard</h1>
-          <p>Monitor city cleanliness in real-time</p>
+          <h1>{t('analytics.title')}</h1>
+          <p>{t('analytics.subtitle')}</p>
         </div>
         <div className="time-range-selector">
           <button 
             className={timeRange === '7' ? 'active' : ''}
             onClick={() => setTimeRange('7')}
           >
-            7D
+            {t('analytics.days', { count: 7 })}
           </button>
           <button 
             className={timeRange === '30' ? 'active' : ''}
             onClick={() => setTimeRange('30')}
           >
-            30D
+            {t('analytics.days', { count: 30 })}
           </button>
           <button 
             className={timeRange === '90' ? 'active' : ''}
             onClick={() => setTimeRange('90')}
           >
-            90D
+            {t('analytics.days', { count: 90 })}
           </button>
         </div>
       </div>
@@ -160,7 +162,7 @@ const EnhancedDashboard = () => {
           animate={{ opacity: 1, scale: 1 }}
           transition={{ delay: 0.4 }}
         >
-          <h3>Reports Timeline</h3>
+          <h3>{t('analytics.reportsTimeline')}</h3>
           <ResponsiveContainer width="100%" height={300}>
             <LineChart data={stats?.reportsOverTime || []}>
               <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
@@ -176,6 +178,7 @@ const EnhancedDashboard = () => {
               <Line 
                 type="monotone" 
                 dataKey="count" 
+                name={t('analytics.reports')}
                 stroke="var(--primary)" 
                 strokeWidth={3}
                 dot={{ fill: 'var(--primary)', r: 5 }}
@@ -192,7 +195,7 @@ const EnhancedDashboard = () => {
           animate={{ opacity: 1, scale: 1 }}
           transition={{ delay: 0.5 }}
         >
-          <h3>Category Distribution</h3>
+          <h3>{t('analytics.categoryDistribution')}</h3>
           <ResponsiveContainer width="100%" height={300}>
             <PieChart>
               <Pie
@@ -231,7 +234,7 @@ const EnhancedDashboard = () => {
           animate={{ opacity: 1, x: 0 }}
           transition={{ delay: 0.7 }}
         >
-          <h3>Recent Activity</h3>
+          <h3>{t('analytics.recentActivity')}</h3>
           <div className="activity-list">
             {activity.map((item, index) => (
               <div key={index} className="activity-item">
@@ -245,9 +248,9 @@ const EnhancedDashboard = () => {
                       item.status === 'resolved' ? 'success' : 
                       item.status === 'in-progress' ? 'warning' : 'info'
                     }`}>
-                      {item.status}
+                      {t(`status.${item.status}`)}
                     </span>
-                    <span>{new Date(item.createdAt).toLocaleDateString()}</span>
+                    <span>{formatDate(item.createdAt)}</span>
                   </div>
                 </div>
               </div>
@@ -265,7 +268,7 @@ const EnhancedDashboard = () => {
       >
         <div className="resolution-header">
           <Award size={24} color="var(--primary)" />
-          <h3>Overall Resolution Rate</h3>
+          <h3>{t('analytics.resolutionRate')}</h3>
         </div>
         <div className="resolution-progress">
           <div 
@@ -276,7 +279,7 @@ const EnhancedDashboard = () => {
           </div>
         </div>
         <p className="resolution-text">
-          {stats?.resolvedReports} of {stats?.totalReports} issues resolved
+          {t('analytics.resolvedOf', { resolved: stats?.resolvedReports, total: stats?.totalReports })}
         </p>
       </motion.div>
     </div>
@@ -1,10 +1,13 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Camera, MapPin, Upload, AlertCircle, CheckCircle, Mic, X, Search, Navigation, Layers, ZoomIn, ZoomOut, Maximize2, Image as ImageIcon } from 'lucide-react';
 import { MapContainer, TileLayer, Marker, useMapEvents, Circle, Popup, useMap } from 'react-leaflet';
+import { useSearchParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import api, { reportAPI } from '../utils/api';
+import { useTranslation } from '../context/useTranslation';
 import VoiceInput from '../components/VoiceInput';
+import ReportChatbot from '../components/ReportChatbot';
 import 'leaflet/dist/leaflet.css';
 import './EnhancedReportIssue.css';
 
@@ -17,11 +20,24 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
+// Report categories; labels and descriptions are in reportIssue.categories.*
+const CATEGORIES = [
+  { value: 'waste', icon: '🗑️' },
+  { value: 'toilet', icon: '🚻' },
+  { value: 'restaurant', icon: '🍽️' },
+  { value: 'water', icon: '💧' },
+  { value: 'beach', icon: '🏖️' },
+  { value: 'street', icon: '🛣️' },
+  { value: 'park', icon: '🌳' },
+  { value: 'other', icon: '📋' }
+];
+
 // Custom map controls component
 function MapControls({ map, position, setPosition }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [isSearching, setIsSearching] = useState(false);
   const [mapStyle, setMapStyle] = useState('standard');
+  const { t } = useTranslation();
 
   const searchLocation = async () => {
     if (!searchQuery.trim()) return;
@@ -38,13 +54,13 @@ function MapControls({ map, position, setPosition }) {
         const newPos = [parseFloat(lat), parseFloat(lon)];
         setPosition(newPos);
         map.flyTo(newPos, 15);
-        toast.success('Location found!');
+        toast.success(t('reportIssue.map.found'));
       } else {
-        toast.error('Location not found. Try a different search term.');
+        toast.error(t('reportIssue.map.notFound'));
       }
     } catch (error) {
       console.error('Search error:', error);
-      toast.error('Search unavailable. Please use current location or click on map.');
+      toast.error(t('reportIssue.map.searchUnavailable'));
     } finally {
       setIsSearching(false);
     }
@@ -57,9 +73,9 @@ function MapControls({ map, position, setPosition }) {
           const newPos = [pos.coords.latitude, pos.coords.longitude];
           setPosition(newPos);
           map.flyTo(newPos, 15);
-          toast.success('Location updated!');
+          toast.success(t('reportIssue.map.updated'));
         },
-        () => toast.error('Unable to get location')
+        () => toast.error(t('reportIssue.map.unavailable'))
       );
     }
   };
@@ -91,7 +107,7 @@ function MapControls({ map, position, setPosition }) {
       }}>
         <input
           type="text"
-          placeholder="Search location..."
+          placeholder={t('reportIssue.map.searchPlaceholder')}
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
           onKeyPress={(e) => e.key === 'Enter' && searchLocation()}
@@ -141,7 +157,7 @@ function MapControls({ map, position, setPosition }) {
             alignItems: 'center',
             justifyContent: 'center'
           }}
-          title="Get current location"
+          title={t('reportIssue.map.currentLocation')}
         >
           <Navigation size={20} color="#10b981" />
         </button>
@@ -164,7 +180,7 @@ function MapControls({ map, position, setPosition }) {
             alignItems: 'center',
             justifyContent: 'center'
           }}
-          title="Change map style"
+          title={t('reportIssue.map.changeStyle')}
         >
           <Layers size={20} color="#10b981" />
         </button>
@@ -182,7 +198,7 @@ function MapControls({ map, position, setPosition }) {
             alignItems: 'center',
             justifyContent: 'center'
           }}
-          title="Zoom in"
+          title={t('reportIssue.map.zoomIn')}
         >
           <ZoomIn size={20} color="#10b981" />
         </button>
@@ -200,7 +216,7 @@ function MapControls({ map, position, setPosition }) {
             alignItems: 'center',
             justifyContent: 'center'
           }}
-          title="Zoom out"
+          title={t('reportIssue.map.zoomOut')}
         >
           <ZoomOut size={20} color="#10b981" />
         </button>
@@ -219,6 +235,7 @@ function MapControls({ map, position, setPosition }) {
 // Map controller to access map instance
 function MapController({ position, setPosition }) {
   const map = useMap();
+  const { t } = useTranslation();
   
   useMapEvents({
     click(e) {
@@ -231,7 +248,7 @@ function MapController({ position, setPosition }) {
       <Marker position={position}>
         <Popup>
           <div style={{ textAlign: 'center' }}>
-            <strong>Report Location</strong><br />
+            <strong>{t('reportIssue.map.reportLocation')}</strong><br />
             <small>{position[0].toFixed(6)}, {position[1].toFixed(6)}</small>
           </div>
         </Popup>
@@ -291,7 +308,13 @@ const EnhancedReportIssue = () => {
   const [selectedImageIndex, setSelectedImageIndex] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
+  // Chatbot draft this report is being completed from
+  const [draftId, setDraftId] = useState(null);
+  // Title and description in the reporter's language when the chatbot translated them
+  const [originalText, setOriginalText] = useState(null);
+  const [searchParams] = useSearchParams();
   const fileInputRef = useRef(null);
+  const { t } = useTranslation();
 
   useEffect(() => {
     // Get user's current location
@@ -307,6 +330,55 @@ const EnhancedReportIssue = () => {
     }
   }, []);
 
+  // Fill the fields the user hasn't filled yet from chatbot details.
+  // The reviewed payload from a finished conversation is preferred.
+  const applyReportDetails = useCallback((extracted, reportPayload) => {
+    const details = reportPayload || extracted;
+    if (!details) return;
+    if (details.original?.description) {
+      setOriginalText(details.original);
+    }
+    const location = typeof details.location === 'string'
+      ? { address: details.location }
+      : (details.location || {});
+    const knownCategory = CATEGORIES.some(c => c.value === details.category);
+
+    setFormData(prev => ({
+      ...prev,
+      category: prev.category || (knownCategory ? details.category : ''),
+      title: prev.title || details.title || '',
+      description: prev.description || details.description || '',
+      severity: ['low', 'medium', 'high', 'critical'].includes(details.severity) ? details.severity : prev.severity,
+      address: prev.address || location.address || '',
+      landmark: prev.landmark || location.landmark || ''
+    }));
+
+    // Coordinates come as [lng, lat]; the map works in [lat, lng]
+    const coordinates = location.coordinates || extracted?.coordinates;
+    if (Array.isArray(coordinates) && coordinates.length === 2) {
+      setPosition([coordinates[1], coordinates[0]]);
+    }
+  }, []);
+
+  // Open a saved draft (/report?draft=<id>)
+  useEffect(() => {
+    const id = searchParams.get('draft');
+    if (!id) return;
+
+    reportAPI.getDraft(id)
+      .then((response) => {
+        setDraftId(response.data.draft._id);
+        applyReportDetails(response.data.draft);
+        toast.info(t('reportIssue.draftLoaded'));
+      })
+      .catch(() => toast.error(t('reportIssue.draftNotFound')));
+  }, [searchParams, applyReportDetails, t]);
+
+  const handleDraftSaved = (draft) => {
+    setDraftId(draft._id);
+    applyReportDetails(draft);
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -338,7 +410,7 @@ const EnhancedReportIssue = () => {
       // Close modal
       setShowVoiceModal(false);
       
-      toast.success('Voice input added to description');
+      toast.success(t('reportIssue.voiceAdded'));
     }
   };
 
@@ -370,7 +442,7 @@ const EnhancedReportIssue = () => {
 
   const addImages = (files) => {
     if (files.length + images.length > 5) {
-      toast.error('Maximum 5 images allowed');
+      toast.error(t('reportIssue.maxImages'));
       return;
     }
 
@@ -395,7 +467,7 @@ const EnhancedReportIssue = () => {
     e.preventDefault();
     
     if (!formData.category || !formData.title || !formData.description) {
-      toast.error('Please fill all required fields');
+      toast.error(t('reportIssue.requiredFields'));
       return;
     }
 
@@ -417,9 +489,18 @@ const EnhancedReportIssue = () => {
         data.append('images', image);
       });
 
+      if (draftId) {
+        data.append('draftId', draftId);
+      }
+      if (originalText) {
+        data.append('original', JSON.stringify(originalText));
+      }
+
       await reportAPI.createReport(data);
+      setDraftId(null);
+      setOriginalText(null);
       
-      toast.success('Report submitted successfully! 🎉');
+      toast.success(t('reportIssue.submitted'));
       
       // Reset form
       setFormData({
@@ -435,63 +516,12 @@ const EnhancedReportIssue = () => {
       setStep(1);
     } catch (error) {
       console.error('Submit error:', error);
-      toast.error(error.response?.data?.message || 'Failed to submit report');
+      toast.error(error.response?.data?.message || t('reportIssue.submitFailed'));
     } finally {
       setLoading(false);
     }
   };
 
-  const categories = [
-    { 
-      value: 'waste', 
-      label: 'Waste Dump', 
-      icon: '🗑️',
-      description: 'Report garbage, litter, or illegal dumping'
-    },
-    { 
-      value: 'toilet', 
-      label: 'Public Toilet', 
-      icon: '🚻',
-      description: 'Report issues with public restrooms'
-    },
-    { 
-      value: 'restaurant', 
-      label: 'Restaurant Hygiene', 
-      icon: '🍽️',
-      description: 'Report food safety and hygiene concerns'
-    },
-    { 
-      value: 'water', 
-      label: 'Water Quality', 
-      icon: '💧',
-      description: 'Report contaminated or stagnant water'
-    },
-    { 
-      value: 'beach', 
-      label: 'Beach/River', 
-      icon: '🏖️',
-      description: 'Report pollution in water bodies'
-    },
-    { 
-      value: 'street', 
-      label: 'Street Cleaning', 
-      icon: '🛣️',
-      description: 'Report dirty streets or pavements'
-    },
-    { 
-      value: 'park', 
-      label: 'Park/Garden', 
-      icon: '🌳',
-      description: 'Report issues in public parks'
-    },
-    { 
-      value: 'other', 
-      label: 'Other', 
-      icon: '📋',
-      description: 'Report other hygiene concerns'
-    }
-  ];
-
   return (
     <div className="enhanced-report-container">
       <motion.div 
@@ -500,23 +530,23 @@ const EnhancedReportIssue = () => {
         animate={{ opacity: 1, y: 0 }}
       >
         <div className="report-header">
-          <h1>Report Hygiene Issue</h1>
-          <p>Help keep your city clean by reporting issues</p>
+          <h1>{t('reportIssue.title')}</h1>
+          <p>{t('reportIssue.subtitle')}</p>
         </div>
 
         {/* Progress Steps */}
         <div className="progress-steps">
           <div className={`step ${step >= 1 ? 'active' : ''}`}>
             <div className="step-number">1</div>
-            <span>Category</span>
+            <span>{t('reportIssue.steps.category')}</span>
           </div>
           <div className={`step ${step >= 2 ? 'active' : ''}`}>
             <div className="step-number">2</div>
-            <span>Details</span>
+            <span>{t('reportIssue.steps.details')}</span>
           </div>
           <div className={`step ${step >= 3 ? 'active' : ''}`}>
             <div className="step-number">3</div>
-            <span>Location</span>
+            <span>{t('reportIssue.steps.location')}</span>
           </div>
         </div>
 
@@ -528,9 +558,9 @@ const EnhancedReportIssue = () => {
               animate={{ opacity: 1, x: 0 }}
               exit={{ opacity: 0, x: -20 }}
             >
-              <h3 style={{ marginBottom: '24px', color: '#111827', fontSize: '24px' }}>Select Issue Category</h3>
+              <h3 style={{ marginBottom: '24px', color: '#111827', fontSize: '24px' }}>{t('reportIssue.selectCategory')}</h3>
               <div className="category-grid">
-                {categories.map(cat => (
+                {CATEGORIES.map(cat => (
                   <div
                     key={cat.value}
                     className={`category-card ${formData.category === cat.value ? 'selected' : ''}`}
@@ -549,7 +579,7 @@ const EnhancedReportIssue = () => {
                       fontSize: '16px',
                       marginBottom: '4px'
                     }}>
-                      {cat.label}
+                      {t(`reportIssue.categories.${cat.value}.label`)}
                     </span>
                     <span style={{ 
                       fontSize: '12px', 
@@ -557,7 +587,7 @@ const EnhancedReportIssue = () => {
                       textAlign: 'center',
                       display: 'block'
                     }}>
-                      {cat.description}
+                      {t(`reportIssue.categories.${cat.value}.description`)}
                     </span>
                   </div>
                 ))}
@@ -574,7 +604,7 @@ const EnhancedReportIssue = () => {
                   fontWeight: '600'
                 }}
               >
-                Next →
+                {t('reportIssue.next')}
               </button>
             </motion.div>
           )}
@@ -587,12 +617,12 @@ const EnhancedReportIssue = () => {
               exit={{ opacity: 0, x: -20 }}
             >
               <div className="form-group">
-                <label className="form-label">Issue Title *</label>
+                <label className="form-label">{t('reportIssue.issueTitle')}</label>
                 <input
                   type="text"
                   name="title"
                   className="form-input"
-                  placeholder="Brief description of the issue"
+                  placeholder={t('reportIssue.issueTitlePlaceholder')}
                   value={formData.title}
                   onChange={handleChange}
                   required
@@ -601,12 +631,12 @@ const EnhancedReportIssue = () => {
 
               <div className="form-group">
                 <label className="form-label" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-                  <span>Description *</span>
+                  <span>{t('reportIssue.description')}</span>
                   <button
                     type="button"
                     onClick={() => setShowVoiceModal(true)}
                     className="voice-input-btn"
-                    title="Add voice description"
+                    title={t('reportIssue.voiceDescription')}
                     style={{
                       background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
                       color: 'white',
@@ -636,7 +666,7 @@ const EnhancedReportIssue = () => {
                 <textarea
                   name="description"
                   className="form-textarea"
-                  placeholder="Provide detailed information about the issue..."
+                  placeholder={t('reportIssue.descriptionPlaceholder')}
                   value={formData.description}
                   onChange={handleChange}
                   required
@@ -647,57 +677,51 @@ const EnhancedReportIssue = () => {
               {/* Category-Specific Fields */}
               {formData.category === 'waste' && (
                 <div style={{ marginTop: '24px', padding: '20px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
-                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>Waste Details</h4>
+                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>{t('reportIssue.waste.title')}</h4>
                   
                   <div className="form-group">
-                    <label className="form-label">Type of Waste</label>
+                    <label className="form-label">{t('reportIssue.waste.type')}</label>
                     <select
                       name="wasteType"
                       className="form-select"
                       value={formData.wasteType}
                       onChange={handleChange}
                     >
-                      <option value="">Select waste type</option>
-                      <option value="household">Household Waste</option>
-                      <option value="construction">Construction Debris</option>
-                      <option value="plastic">Plastic Waste</option>
-                      <option value="medical">Medical Waste</option>
-                      <option value="electronic">Electronic Waste</option>
-                      <option value="mixed">Mixed Waste</option>
-                      <option value="other">Other</option>
+                      <option value="">{t('reportIssue.waste.selectType')}</option>
+                      {['household', 'construction', 'plastic', 'medical', 'electronic', 'mixed'].map(value => (
+                        <option key={value} value={value}>{t(`reportIssue.waste.types.${value}`)}</option>
+                      ))}
+                      <option value="other">{t('reportIssue.other')}</option>
                     </select>
                   </div>
 
                   <div className="form-group">
-                    <label className="form-label">Estimated Volume</label>
+                    <label className="form-label">{t('reportIssue.waste.volume')}</label>
                     <select
                       name="wasteVolume"
                       className="form-select"
                       value={formData.wasteVolume}
                       onChange={handleChange}
                     >
-                      <option value="">Select volume</option>
-                      <option value="small">Small (Few bags)</option>
-                      <option value="medium">Medium (Cart load)</option>
-                      <option value="large">Large (Truck load)</option>
-                      <option value="massive">Massive (Multiple trucks)</option>
+                      <option value="">{t('reportIssue.waste.selectVolume')}</option>
+                      {['small', 'medium', 'large', 'massive'].map(value => (
+                        <option key={value} value={value}>{t(`reportIssue.waste.volumes.${value}`)}</option>
+                      ))}
                     </select>
                   </div>
 
                   <div className="form-group">
-                    <label className="form-label">How long has it been there?</label>
+                    <label className="form-label">{t('reportIssue.waste.duration')}</label>
                     <select
                       name="daysPresent"
                       className="form-select"
                       value={formData.daysPresent}
                       onChange={handleChange}
                     >
-                      <option value="">Select duration</option>
-                      <option value="today">Today</option>
-                      <option value="few_days">Few days (2-5)</option>
-                      <option value="week">About a week</option>
-                      <option value="weeks">Several weeks</option>
-                      <option value="months">Months</option>
+                      <option value="">{t('reportIssue.waste.selectDuration')}</option>
+                      {['today', 'few_days', 'week', 'weeks', 'months'].map(value => (
+                        <option key={value} value={value}>{t(`reportIssue.waste.durations.${value}`)}</option>
+                      ))}
                     </select>
                   </div>
                 </div>
@@ -705,31 +729,28 @@ const EnhancedReportIssue = () => {
 
               {formData.category === 'toilet' && (
                 <div style={{ marginTop: '24px', padding: '20px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
-                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>Toilet Facility Details</h4>
+                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>{t('reportIssue.toilet.title')}</h4>
                   
                   <div className="form-group">
-                    <label className="form-label">Type of Facility</label>
+                    <label className="form-label">{t('reportIssue.toilet.type')}</label>
                     <select
                       name="toiletType"
                       className="form-select"
                       value={formData.toiletType}
                       onChange={handleChange}
                     >
-                      <option value="">Select facility type</option>
-                      <option value="public_toilet">Public Toilet</option>
-                      <option value="community_toilet">Community Toilet Block</option>
-                      <option value="sulabh">Sulabh Shauchalaya</option>
-                      <option value="railway">Railway Station Toilet</option>
-                      <option value="bus">Bus Stand Toilet</option>
-                      <option value="park">Park Toilet</option>
-                      <option value="other">Other</option>
+                      <option value="">{t('reportIssue.toilet.selectType')}</option>
+                      {['public_toilet', 'community_toilet', 'sulabh', 'railway', 'bus', 'park'].map(value => (
+                        <option key={value} value={value}>{t(`reportIssue.toilet.types.${value}`)}</option>
+                      ))}
+                      <option value="other">{t('reportIssue.other')}</option>
                     </select>
                   </div>
 
                   <div className="form-group">
-                    <label className="form-label">Issues (Select all that apply)</label>
+                    <label className="form-label">{t('reportIssue.toilet.issues')}</label>
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '8px' }}>
-                      {['Dirty/Uncleaned', 'No Water', 'Broken Fixtures', 'Foul Smell', 'No Lighting', 'Blocked Drain', 'No Door Lock', 'Not Accessible'].map(issue => (
+                      {['dirty', 'noWater', 'brokenFixtures', 'foulSmell', 'noLighting', 'blockedDrain', 'noDoorLock', 'notAccessible'].map(issue => (
                         <label key={issue} style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
                           <input
                             type="checkbox"
@@ -739,7 +760,7 @@ const EnhancedReportIssue = () => {
                             onChange={handleChange}
                             style={{ width: '18px', height: '18px' }}
                           />
-                          <span style={{ color: '#374151', fontSize: '14px' }}>{issue}</span>
+                          <span style={{ color: '#374151', fontSize: '14px' }}>{t(`reportIssue.toilet.issueOptions.${issue}`)}</span>
                         </label>
                       ))}
                     </div>
@@ -749,36 +770,36 @@ const EnhancedReportIssue = () => {
 
               {formData.category === 'restaurant' && (
                 <div style={{ marginTop: '24px', padding: '20px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
-                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>Restaurant Details</h4>
+                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>{t('reportIssue.restaurant.title')}</h4>
                   
                   <div className="form-group">
-                    <label className="form-label">Restaurant/Establishment Name</label>
+                    <label className="form-label">{t('reportIssue.restaurant.name')}</label>
                     <input
                       type="text"
                       name="restaurantName"
                       className="form-input"
-                      placeholder="Enter restaurant name"
+                      placeholder={t('reportIssue.restaurant.namePlaceholder')}
                       value={formData.restaurantName}
                       onChange={handleChange}
                     />
                   </div>
 
                   <div className="form-group">
-                    <label className="form-label">FSSAI License Number (if visible)</label>
+                    <label className="form-label">{t('reportIssue.restaurant.license')}</label>
                     <input
                       type="text"
                       name="licenseNumber"
                       className="form-input"
-                      placeholder="Enter license number"
+                      placeholder={t('reportIssue.restaurant.licensePlaceholder')}
                       value={formData.licenseNumber}
                       onChange={handleChange}
                     />
                   </div>
 
                   <div className="form-group">
-                    <label className="form-label">Hygiene Issues (Select all that apply)</label>
+                    <label className="form-label">{t('reportIssue.restaurant.issues')}</label>
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '8px' }}>
-                      {['Dirty Kitchen', 'Pest Infestation', 'Food Storage Issues', 'Unhygienic Staff', 'Dirty Utensils', 'No Hand Washing', 'Expired Ingredients', 'Poor Ventilation'].map(issue => (
+                      {['dirtyKitchen', 'pests', 'foodStorage', 'unhygienicStaff', 'dirtyUtensils', 'noHandWashing', 'expiredIngredients', 'poorVentilation'].map(issue => (
                         <label key={issue} style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
                           <input
                             type="checkbox"
@@ -788,7 +809,7 @@ const EnhancedReportIssue = () => {
                             onChange={handleChange}
                             style={{ width: '18px', height: '18px' }}
                           />
-                          <span style={{ color: '#374151', fontSize: '14px' }}>{issue}</span>
+                          <span style={{ color: '#374151', fontSize: '14px' }}>{t(`reportIssue.restaurant.issueOptions.${issue}`)}</span>
                         </label>
                       ))}
                     </div>
@@ -798,24 +819,21 @@ const EnhancedReportIssue = () => {
 
               {formData.category === 'water' && (
                 <div style={{ marginTop: '24px', padding: '20px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
-                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>Water Quality Details</h4>
+                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>{t('reportIssue.water.title')}</h4>
                   
                   <div className="form-group">
-                    <label className="form-label">Water Source</label>
+                    <label className="form-label">{t('reportIssue.water.source')}</label>
                     <select
                       name="waterSource"
                       className="form-select"
                       value={formData.waterSource}
                       onChange={handleChange}
                     >
-                      <option value="">Select water source</option>
-                      <option value="tap">Tap Water</option>
-                      <option value="well">Well/Borewell</option>
-                      <option value="tank">Water Tank</option>
-                      <option value="pond">Pond</option>
-                      <option value="lake">Lake</option>
-                      <option value="puddle">Stagnant Puddle</option>
-                      <option value="other">Other</option>
+                      <option value="">{t('reportIssue.water.selectSource')}</option>
+                      {['tap', 'well', 'tank', 'pond', 'lake', 'puddle'].map(value => (
+                        <option key={value} value={value}>{t(`reportIssue.water.sources.${value}`)}</option>
+                      ))}
+                      <option value="other">{t('reportIssue.other')}</option>
                     </select>
                   </div>
                 </div>
@@ -823,24 +841,21 @@ const EnhancedReportIssue = () => {
 
               {formData.category === 'beach' && (
                 <div style={{ marginTop: '24px', padding: '20px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
-                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>Pollution Details</h4>
+                  <h4 style={{ marginBottom: '16px', color: '#111827', fontSize: '18px' }}>{t('reportIssue.pollution.title')}</h4>
                   
                   <div className="form-group">
-                    <label className="form-label">Type of Pollution</label>
+                    <label className="form-label">{t('reportIssue.pollution.type')}</label>
                     <select
                       name="pollutionType"
                       className="form-select"
                       value={formData.pollutionType}
                       onChange={handleChange}
                     >
-                      <option value="">Select pollution type</option>
-                      <option value="plastic">Plastic Waste</option>
-                      <option value="sewage">Sewage Discharge</option>
-                      <option value="industrial">Industrial Waste</option>
-                      <option value="oil">Oil Spill</option>
-                      <option value="debris">General Debris</option>
-                      <option value="algae">Algae Bloom</option>
-                      <option value="other">Other</option>
+                      <option value="">{t('reportIssue.pollution.selectType')}</option>
+                      {['plastic', 'sewage', 'industrial', 'oil', 'debris', 'algae'].map(value => (
+                        <option key={value} value={value}>{t(`reportIssue.pollution.types.${value}`)}</option>
+                      ))}
+                      <option value="other">{t('reportIssue.other')}</option>
                     </select>
                   </div>
                 </div>
@@ -848,39 +863,38 @@ const EnhancedReportIssue = () => {
 
               {/* Vehicle Number (Optional for all categories) */}
               <div className="form-group" style={{ marginTop: '16px' }}>
-                <label className="form-label">Vehicle Number (Optional - if applicable)</label>
+                <label className="form-label">{t('reportIssue.vehicleNumber')}</label>
                 <input
                   type="text"
                   name="vehicleNumber"
                   className="form-input"
-                  placeholder="e.g., DL 01 AB 1234"
+                  placeholder={t('reportIssue.vehicleNumberPlaceholder')}
                   value={formData.vehicleNumber}
                   onChange={handleChange}
                 />
                 <small style={{ color: '#6b7280', fontSize: '12px' }}>
-                  For issues involving vehicles (illegal dumping, mobile food carts, etc.)
+                  {t('reportIssue.vehicleNumberHint')}
                 </small>
               </div>
 
               <div className="form-group">
-                <label className="form-label">Severity Level</label>
+                <label className="form-label">{t('reportIssue.severity')}</label>
                 <select
                   name="severity"
                   className="form-select"
                   value={formData.severity}
                   onChange={handleChange}
                 >
-                  <option value="low">Low - Minor inconvenience</option>
-                  <option value="medium">Medium - Needs attention</option>
-                  <option value="high">High - Urgent issue</option>
-                  <option value="critical">Critical - Health hazard</option>
+                  {['low', 'medium', 'high', 'critical'].map(severity => (
+                    <option key={severity} value={severity}>{t(`reportIssue.severities.${severity}`)}</option>
+                  ))}
                 </select>
               </div>
 
               <div className="form-group">
                 <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                   <ImageIcon size={20} color="#10b981" />
-                  Upload Images (Max 5)
+                  {t('reportIssue.uploadImages')}
                 </label>
                 <div 
                   className="image-upload-area"
@@ -906,10 +920,10 @@ const EnhancedReportIssue = () => {
                   <label htmlFor="image-upload" className="upload-label" style={{ cursor: 'pointer', padding: '40px', textAlign: 'center' }}>
                     <Camera size={48} color="#10b981" style={{ marginBottom: '12px' }} />
                     <div style={{ fontSize: '16px', fontWeight: '600', color: '#111827', marginBottom: '4px' }}>
-                      {dragActive ? 'Drop images here' : 'Click or drag images here'}
+                      {dragActive ? t('reportIssue.dropImages') : t('reportIssue.chooseImages')}
                     </div>
                     <div style={{ fontSize: '14px', color: '#6b7280' }}>
-                      PNG, JPG, JPEG (Max 5 images, 5MB each)
+                      {t('reportIssue.imageFormats')}
                     </div>
                   </label>
                 </div>
@@ -917,14 +931,14 @@ const EnhancedReportIssue = () => {
                   <div style={{ marginTop: '16px' }}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
                       <span style={{ fontSize: '14px', fontWeight: '600', color: '#111827' }}>
-                        {imagePreviews.length} / 5 images uploaded
+                        {t('reportIssue.imagesUploaded', { count: imagePreviews.length })}
                       </span>
                       <button
                         type="button"
                         onClick={() => {
                           setImages([]);
                           setImagePreviews([]);
-                          toast.info('All images removed');
+                          toast.info(t('reportIssue.imagesRemoved'));
                         }}
                         style={{
                           background: 'none',
@@ -935,7 +949,7 @@ const EnhancedReportIssue = () => {
                           textDecoration: 'underline'
                         }}
                       >
-                        Remove all
+                        {t('reportIssue.removeAll')}
                       </button>
                     </div>
                     <div className="image-previews" style={{ 
@@ -962,7 +976,7 @@ const EnhancedReportIssue = () => {
                         >
                           <img 
                             src={preview} 
-                            alt={`Preview ${index + 1}`}
+                            alt={t('reportIssue.preview', { number: index + 1 })}
                             style={{
                               width: '100%',
                               height: '100%',
@@ -1060,7 +1074,7 @@ const EnhancedReportIssue = () => {
                     >
                       <img
                         src={imagePreviews[selectedImageIndex]}
-                        alt={`Full view ${selectedImageIndex + 1}`}
+                        alt={t('reportIssue.fullView', { number: selectedImageIndex + 1 })}
                         style={{
                           maxWidth: '100%',
                           maxHeight: '90vh',
@@ -1109,14 +1123,14 @@ const EnhancedReportIssue = () => {
                   className="btn btn-outline"
                   onClick={() => setStep(1)}
                 >
-                  ← Back
+                  {t('reportIssue.back')}
                 </button>
                 <button 
                   type="button"
                   className="btn btn-primary"
                   onClick={() => setStep(3)}
                 >
-                  Next →
+                  {t('reportIssue.next')}
                 </button>
               </div>
             </motion.div>
@@ -1132,7 +1146,7 @@ const EnhancedReportIssue = () => {
               <div className="form-group">
                 <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
                   <MapPin size={20} color="#10b981" />
-                  <span style={{ fontSize: '18px', fontWeight: '600' }}>Pinpoint Exact Location</span>
+                  <span style={{ fontSize: '18px', fontWeight: '600' }}>{t('reportIssue.pinpoint')}</span>
                 </label>
                 
                 <div style={{
@@ -1147,7 +1161,7 @@ const EnhancedReportIssue = () => {
                 }}>
                   <AlertCircle size={20} color="#10b981" />
                   <div style={{ fontSize: '14px', color: '#047857' }}>
-                    <strong>Tip:</strong> Use search to find location, click on map to mark exact spot, or use your current location
+                    <strong>{t('reportIssue.tip')}</strong> {t('reportIssue.tipText')}
                   </div>
                 </div>
 
@@ -1182,22 +1196,22 @@ const EnhancedReportIssue = () => {
                   fontSize: '13px'
                 }}>
                   <div>
-                    <strong style={{ color: '#6b7280' }}>Latitude:</strong>
+                    <strong style={{ color: '#6b7280' }}>{t('reportIssue.latitude')}</strong>
                     <div style={{ color: '#111827', fontFamily: 'monospace' }}>{position[0].toFixed(6)}</div>
                   </div>
                   <div>
-                    <strong style={{ color: '#6b7280' }}>Longitude:</strong>
+                    <strong style={{ color: '#6b7280' }}>{t('reportIssue.longitude')}</strong>
                     <div style={{ color: '#111827', fontFamily: 'monospace' }}>{position[1].toFixed(6)}</div>
                   </div>
                 </div>
               </div>
 
               <div className="form-group">
-                <label className="form-label">Full Address *</label>
+                <label className="form-label">{t('reportIssue.address')}</label>
                 <textarea
                   name="address"
                   className="form-textarea"
-                  placeholder="Enter complete address with building/house number, street, area, city, pincode"
+                  placeholder={t('reportIssue.addressPlaceholder')}
                   value={formData.address}
                   onChange={handleChange}
                   required
@@ -1210,17 +1224,17 @@ const EnhancedReportIssue = () => {
               </div>
 
               <div className="form-group">
-                <label className="form-label">Nearby Landmark (Optional)</label>
+                <label className="form-label">{t('reportIssue.landmark')}</label>
                 <input
                   type="text"
                   name="landmark"
                   className="form-input"
-                  placeholder="e.g., Near Central Park, Opposite City Mall, Behind Police Station"
+                  placeholder={t('reportIssue.landmarkPlaceholder')}
                   value={formData.landmark}
                   onChange={handleChange}
                 />
                 <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
-                  Help us locate faster by mentioning a well-known landmark
+                  {t('reportIssue.landmarkHint')}
                 </small>
               </div>
 
@@ -1235,7 +1249,7 @@ const EnhancedReportIssue = () => {
                     gap: '8px'
                   }}
                 >
-                  ← Back
+                  {t('reportIssue.back')}
                 </button>
                 <button 
                   type="submit"
@@ -1259,12 +1273,12 @@ const EnhancedReportIssue = () => {
                         borderRadius: '50%',
                         animation: 'spin 1s linear infinite'
                       }} />
-                      Submitting...
+                      {t('reportIssue.submitting')}
                     </>
                   ) : (
                     <>
                       <CheckCircle size={18} />
-                      Submit Report
+                      {t('reportIssue.submit')}
                     </>
                   )}
                 </button>
@@ -1337,7 +1351,7 @@ const EnhancedReportIssue = () => {
               fontWeight: '600',
               color: '#111827'
             }}>
-              Voice Description
+              {t('reportIssue.voiceTitle')}
             </h3>
 
             <VoiceInput
@@ -1349,6 +1363,12 @@ const EnhancedReportIssue = () => {
           </div>
         </div>
       )}
+
+      <ReportChatbot
+        onReportDataExtracted={applyReportDetails}
+        onDraftSaved={handleDraftSaved}
+        photoCount={images.length}
+      />
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Search, MapPin, Calendar, Truck, Clock, Bell, BellOff, AlertCircle, CheckCircle, Trash2, Recycle } from 'lucide-react';
 import { toast } from 'react-toastify';
 import axios from 'axios';
+import { useTranslation } from '../context/useTranslation';
 import '../styles/GarbageSchedule.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
@@ -15,6 +16,7 @@ const GarbageSchedule = () => {
   const [selectedSchedule, setSelectedSchedule] = useState(null);
   const [activeTab, setActiveTab] = useState('search'); // search, today, subscribed
   const [userLocation, setUserLocation] = useState(null);
+  const { t, formatDate: formatLocaleDate } = useTranslation();
 
   useEffect(() => {
     fetchLocations();
@@ -63,7 +65,7 @@ const GarbageSchedule = () => {
   const handleSearch = async (e) => {
     e.preventDefault();
     if (!searchQuery.trim()) {
-      toast.error('Please enter an area name');
+      toast.error(t('garbage.enterArea'));
       return;
     }
 
@@ -83,12 +85,12 @@ const GarbageSchedule = () => {
       if (response.data.success) {
         setSchedules(response.data.schedules);
         if (response.data.schedules.length === 0) {
-          toast.info('No schedules found for this area');
+          toast.info(t('garbage.noneForArea'));
         }
       }
     } catch (error) {
       console.error('Error searching schedules:', error);
-      toast.error('Failed to fetch schedules');
+      toast.error(t('garbage.fetchFailed'));
     } finally {
       setLoading(false);
     }
@@ -97,7 +99,7 @@ const GarbageSchedule = () => {
   const handleSubscribe = async (scheduleId) => {
     const token = localStorage.getItem('token');
     if (!token) {
-      toast.error('Please login to subscribe');
+      toast.error(t('garbage.loginToSubscribe'));
       return;
     }
 
@@ -109,14 +111,14 @@ const GarbageSchedule = () => {
       );
 
       if (response.data.success) {
-        toast.success('Successfully subscribed to schedule notifications!');
+        toast.success(t('garbage.subscribed'));
         // Refresh schedules
         if (activeTab === 'search') {
           handleSearch({ preventDefault: () => {} });
         }
       }
     } catch (error) {
-      const message = error.response?.data?.message || 'Failed to subscribe';
+      const message = error.response?.data?.message || t('garbage.subscribeFailed');
       toast.error(message);
     }
   };
@@ -132,19 +134,19 @@ const GarbageSchedule = () => {
       );
 
       if (response.data.success) {
-        toast.success('Unsubscribed from schedule notifications');
+        toast.success(t('garbage.unsubscribed'));
         // Refresh schedules
         if (activeTab === 'search') {
           handleSearch({ preventDefault: () => {} });
         }
       }
     } catch (error) {
-      toast.error('Failed to unsubscribe');
+      toast.error(t('garbage.unsubscribeFailed'));
     }
   };
 
   const formatTime = (time) => {
-    if (!time) return 'N/A';
+    if (!time) return t('common.notAvailable');
     return time;
   };
 
@@ -166,9 +168,8 @@ const GarbageSchedule = () => {
   };
 
   const formatDate = (date) => {
-    if (!date) return 'N/A';
-    const d = new Date(date);
-    return d.toLocaleDateString('en-US', { 
+    if (!date) return t('common.notAvailable');
+    return formatLocaleDate(date, { 
       weekday: 'long', 
       year: 'numeric', 
       month: 'long', 
@@ -189,7 +190,7 @@ const GarbageSchedule = () => {
             <h3>{schedule.area}</h3>
             <div className="schedule-location">
               <MapPin size={14} />
-              <span>{schedule.ward} • {schedule.zone}</span>
+              <span>{schedule.ward?.name || t('garbage.unknownWard')}{schedule.zone ? ` • ${schedule.zone}` : ''}</span>
             </div>
           </div>
           <button
@@ -197,7 +198,7 @@ const GarbageSchedule = () => {
             onClick={() => isSubscribed ? handleUnsubscribe(schedule._id) : handleSubscribe(schedule._id)}
           >
             {isSubscribed ? <BellOff size={16} /> : <Bell size={16} />}
-            {isSubscribed ? 'Unsubscribe' : 'Subscribe'}
+            {isSubscribed ? t('garbage.unsubscribe') : t('garbage.subscribe')}
           </button>
         </div>
 
@@ -205,7 +206,7 @@ const GarbageSchedule = () => {
           <div className="next-collection">
             <div className="next-collection-header">
               <Calendar size={18} />
-              <strong>Next Collection</strong>
+              <strong>{t('garbage.nextCollection')}</strong>
             </div>
             <p className="next-date">{formatDate(nextCollection.date)}</p>
             <div className="collection-slots">
@@ -218,7 +219,7 @@ const GarbageSchedule = () => {
                     style={{ backgroundColor: getWasteTypeColor(slot.wasteType) }}
                   >
                     {getWasteTypeIcon(slot.wasteType)}
-                    {slot.wasteType}
+                    {t(`garbage.wasteTypes.${slot.wasteType}`)}
                   </span>
                 </div>
               ))}
@@ -230,10 +231,12 @@ const GarbageSchedule = () => {
           <div className="route-info">
             <Truck size={16} />
             <div className="route-details">
-              <strong>Route {schedule.route.routeNumber}</strong>
+              <strong>{t('garbage.route', { number: schedule.route.routeNumber })}</strong>
               <span>{schedule.route.routeName}</span>
               {schedule.route.estimatedDuration && (
-                <span className="duration">Est. Duration: {schedule.route.estimatedDuration}</span>
+                <span className="duration">
+                  {t('garbage.duration', { duration: schedule.route.estimatedDuration })}
+                </span>
               )}
             </div>
           </div>
@@ -241,7 +244,7 @@ const GarbageSchedule = () => {
 
         {schedule.vehicles && schedule.vehicles.length > 0 && (
           <div className="vehicle-info">
-            <h4>Assigned Vehicles:</h4>
+            <h4>{t('garbage.vehicles')}</h4>
             {schedule.vehicles.map((vehicle, idx) => (
               <div key={idx} className="vehicle-item">
                 <strong>{vehicle.vehicleNumber}</strong>
@@ -249,7 +252,7 @@ const GarbageSchedule = () => {
                   {vehicle.status}
                 </span>
                 {vehicle.driverName && (
-                  <span className="driver-name">Driver: {vehicle.driverName}</span>
+                  <span className="driver-name">{t('garbage.driver', { name: vehicle.driverName })}</span>
                 )}
               </div>
             ))}
@@ -258,7 +261,7 @@ const GarbageSchedule = () => {
 
         {schedule.contactPerson && (
           <div className="contact-info">
-            <h4>Contact:</h4>
+            <h4>{t('garbage.contact')}</h4>
             <p>{schedule.contactPerson.name}</p>
             {schedule.contactPerson.phone && (
               <p>📞 {schedule.contactPerson.phone}</p>
@@ -277,12 +280,12 @@ const GarbageSchedule = () => {
           <div className="statistics">
             <div className="stat-item">
               <CheckCircle size={16} />
-              <span>{schedule.statistics.totalCollections || 0} Total Collections</span>
+              <span>{t('garbage.totalCollections', { count: schedule.statistics.totalCollections || 0 })}</span>
             </div>
             {schedule.statistics.averageDelay > 0 && (
               <div className="stat-item delay">
                 <Clock size={16} />
-                <span>Avg Delay: {schedule.statistics.averageDelay} min</span>
+                <span>{t('garbage.averageDelay', { minutes: schedule.statistics.averageDelay })}</span>
               </div>
             )}
           </div>
@@ -292,7 +295,7 @@ const GarbageSchedule = () => {
           className="view-details-btn"
           onClick={() => setSelectedSchedule(schedule)}
         >
-          View Full Schedule
+          {t('garbage.viewSchedule')}
         </button>
       </div>
     );
@@ -305,7 +308,7 @@ const GarbageSchedule = () => {
       <div className="modal-overlay" onClick={onClose}>
         <div className="modal-content" onClick={(e) => e.stopPropagation()}>
           <div className="modal-header">
-            <h2>Weekly Schedule - {schedule.area}</h2>
+            <h2>{t('garbage.weeklyTitle', { area: schedule.area })}</h2>
             <button className="close-btn" onClick={onClose}>×</button>
           </div>
           <div className="modal-body">
@@ -316,7 +319,7 @@ const GarbageSchedule = () => {
                 
                 return (
                   <div key={day} className={`day-schedule ${isEnabled ? 'enabled' : 'disabled'}`}>
-                    <h4>{day.charAt(0).toUpperCase() + day.slice(1)}</h4>
+                    <h4>{t(`garbage.days.${day}`)}</h4>
                     {isEnabled && daySchedule.slots.length > 0 ? (
                       <div className="day-slots">
                         {daySchedule.slots.map((slot, idx) => (
@@ -328,13 +331,13 @@ const GarbageSchedule = () => {
                               style={{ backgroundColor: getWasteTypeColor(slot.wasteType) }}
                             >
                               {getWasteTypeIcon(slot.wasteType)}
-                              {slot.wasteType}
+                              {t(`garbage.wasteTypes.${slot.wasteType}`)}
                             </span>
                           </div>
                         ))}
                       </div>
                     ) : (
-                      <p className="no-collection">No collection</p>
+                      <p className="no-collection">{t('garbage.noCollection')}</p>
                     )}
                   </div>
                 );
@@ -350,8 +353,8 @@ const GarbageSchedule = () => {
     <div className="garbage-schedule-page">
       <div className="garbage-container">
         <header className="garbage-header">
-          <h1>🗑️ Garbage Collection Schedule</h1>
-          <p>Find collection schedules for your area and get notifications</p>
+          <h1>{t('garbage.title')}</h1>
+          <p>{t('garbage.subtitle')}</p>
         </header>
 
         <div className="tabs">
@@ -360,14 +363,14 @@ const GarbageSchedule = () => {
             onClick={() => setActiveTab('search')}
           >
             <Search size={18} />
-            Search Area
+            {t('garbage.tabSearch')}
           </button>
           <button 
             className={`tab ${activeTab === 'today' ? 'active' : ''}`}
             onClick={() => setActiveTab('today')}
           >
             <Calendar size={18} />
-            Today's Collection
+            {t('garbage.tabToday')}
           </button>
         </div>
 
@@ -379,7 +382,7 @@ const GarbageSchedule = () => {
                   <Search size={20} />
                   <input
                     type="text"
-                    placeholder="Enter your area, ward, or zone..."
+                    placeholder={t('garbage.searchPlaceholder')}
                     value={searchQuery}
                     onChange={(e) => setSearchQuery(e.target.value)}
                     list="location-suggestions"
@@ -391,14 +394,14 @@ const GarbageSchedule = () => {
                   </datalist>
                 </div>
                 <button type="submit" className="search-btn" disabled={loading}>
-                  {loading ? 'Searching...' : 'Search'}
+                  {loading ? t('garbage.searching') : t('common.search')}
                 </button>
               </form>
 
               {userLocation && (
                 <p className="location-status">
                   <MapPin size={14} />
-                  Using your current location for nearby results
+                  {t('garbage.usingLocation')}
                 </p>
               )}
             </div>
@@ -411,8 +414,8 @@ const GarbageSchedule = () => {
               ) : (
                 <div className="empty-state">
                   <Truck size={48} />
-                  <h3>No schedules found</h3>
-                  <p>Try searching for your area, ward, or zone</p>
+                  <h3>{t('garbage.noSchedules')}</h3>
+                  <p>{t('garbage.noSchedulesHint')}</p>
                 </div>
               )}
             </div>
@@ -421,7 +424,7 @@ const GarbageSchedule = () => {
 
         {activeTab === 'today' && (
           <div className="today-section">
-            <h2>Today's Collections</h2>
+            <h2>{t('garbage.todayTitle')}</h2>
             <div className="schedules-grid">
               {todaySchedules.length > 0 ? (
                 todaySchedules.map(schedule => (
@@ -430,8 +433,8 @@ const GarbageSchedule = () => {
               ) : (
                 <div className="empty-state">
                   <Calendar size={48} />
-                  <h3>No collections today</h3>
-                  <p>Check back tomorrow or search for your area</p>
+                  <h3>{t('garbage.noneToday')}</h3>
+                  <p>{t('garbage.noneTodayHint')}</p>
                 </div>
               )}
             </div>
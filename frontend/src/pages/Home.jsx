@@ -1,6 +1,7 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../context/useTranslation";
 import { 
   MapPin, 
   AlertCircle, 
@@ -18,32 +19,33 @@ import "../styles/home.css";
 const Home = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { t } = useTranslation();
 
   const stats = [
     { 
       icon: AlertCircle, 
-      title: "Total Reports", 
+      title: t("home.stats.totalReports"), 
       value: "1,250+", 
       color: "#3b82f6",
       trend: "+12%" 
     },
     { 
       icon: CheckCircle, 
-      title: "Issues Resolved", 
+      title: t("home.stats.issuesResolved"), 
       value: "980+", 
       color: "#10b981",
       trend: "+8%" 
     },
     { 
       icon: Users, 
-      title: "Active Citizens", 
+      title: t("home.stats.activeCitizens"), 
       value: "5,420+", 
       color: "#f59e0b",
       trend: "+25%" 
     },
     { 
       icon: MapPin, 
-      title: "Clean Zones", 
+      title: t("home.stats.cleanZones"), 
       value: "320+", 
       color: "#8b5cf6",
       trend: "+15%" 
@@ -53,47 +55,47 @@ const Home = () => {
   const features = [
     {
       icon: MapPin,
-      title: "Report Issues",
-      description: "Submit civic hygiene issues with photos and location",
+      title: t("home.features.reportIssues"),
+      description: t("home.features.reportIssuesDesc"),
       path: "/report-issue",
       color: "#ef4444",
       highlight: true
     },
     {
       icon: Shield,
-      title: "Admin Dashboard",
-      description: "Manage reports and monitor city cleanliness",
+      title: t("home.features.adminDashboard"),
+      description: t("home.features.adminDashboardDesc"),
       path: "/admin",
       color: "#8b5cf6",
       adminOnly: true
     },
     {
       icon: TrendingUp,
-      title: "Analytics",
-      description: "View trends and insights with interactive charts",
+      title: t("home.features.analytics"),
+      description: t("home.features.analyticsDesc"),
       path: "/analytics",
       color: "#3b82f6",
       protected: true
     },
     {
       icon: Award,
-      title: "Leaderboard",
-      description: "Compete with citizens and earn rewards",
+      title: t("home.features.leaderboard"),
+      description: t("home.features.leaderboardDesc"),
       path: "/dashboard",
       color: "#f59e0b",
       protected: true
     },
     {
       icon: MapPin,
-      title: "Toilet Finder",
-      description: "Locate nearby public toilets with ratings",
+      title: t("home.features.toiletFinder"),
+      description: t("home.features.toiletFinderDesc"),
       path: "/toilets",
       color: "#10b981"
     },
     {
       icon: Calendar,
-      title: "Garbage Schedule",
-      description: "Check waste collection timings in your area",
+      title: t("home.features.garbageSchedule"),
+      description: t("home.features.garbageScheduleDesc"),
       path: "/garbage",
       color: "#06b6d4"
     },
@@ -152,8 +154,8 @@ const Home = () => {
         <div className="container">
           <div className="section-header">
             <Sparkles className="section-icon" />
-            <h2>Explore Features</h2>
-            <p>Everything you need to keep your city clean and healthy</p>
+            <h2>{t("home.features.title")}</h2>
+            <p>{t("home.features.subtitle")}</p>
           </div>
           <div className="features-grid-modern">
             {filteredFeatures.map((feature, idx) => {
@@ -170,10 +172,10 @@ const Home = () => {
                   <h3>{feature.title}</h3>
                   <p>{feature.description}</p>
                   {feature.protected && !user && (
-                    <span className="feature-badge">Login Required</span>
+                    <span className="feature-badge">{t("home.features.loginRequired")}</span>
                   )}
                   {feature.adminOnly && (
-                    <span className="feature-badge admin">Admin Only</span>
+                    <span className="feature-badge admin">{t("home.features.adminOnly")}</span>
                   )}
                 </div>
               );
@@ -186,25 +188,25 @@ const Home = () => {
       <section className="cta-section">
         <div className="container">
           <div className="cta-content">
-            <h2>Ready to Make a Difference?</h2>
-            <p>Join thousands of citizens working together for cleaner cities</p>
+            <h2>{t("home.cta.title")}</h2>
+            <p>{t("home.cta.subtitle")}</p>
             <div className="cta-buttons">
               {!user ? (
                 <>
                   <button className="btn btn-primary btn-lg" onClick={() => navigate('/register')}>
-                    Get Started
+                    {t("home.cta.getStarted")}
                   </button>
                   <button className="btn btn-outline btn-lg" onClick={() => navigate('/login')}>
-                    Sign In
+                    {t("home.cta.signIn")}
                   </button>
                 </>
               ) : (
                 <>
                   <button className="btn btn-primary btn-lg" onClick={() => navigate('/report-issue')}>
-                    Report Issue
+                    {t("home.cta.reportIssue")}
                   </button>
                   <button className="btn btn-outline btn-lg" onClick={() => navigate('/dashboard')}>
-                    View Dashboard
+                    {t("home.cta.viewDashboard")}
                   </button>
                 </>
               )}
@@ -218,29 +220,24 @@ const Home = () => {
         <div className="container">
           <div className="about-content">
             <div className="about-text">
-              <h2>About SwachhSetu</h2>
-              <p>
-                SwachhSetu is a revolutionary civic hygiene platform that empowers citizens 
-                to actively participate in maintaining public cleanliness. Through our 
-                gamification system, community engagement, and real-time monitoring, we're 
-                building healthier and cleaner cities together.
-              </p>
+              <h2>{t("home.about.title")}</h2>
+              <p>{t("home.about.text")}</p>
               <div className="about-features">
                 <div className="about-feature">
                   <CheckCircle size={20} />
-                  <span>Real-time issue reporting</span>
+                  <span>{t("home.about.reporting")}</span>
                 </div>
                 <div className="about-feature">
                   <CheckCircle size={20} />
-                  <span>Gamification & rewards</span>
+                  <span>{t("home.about.gamification")}</span>
                 </div>
                 <div className="about-feature">
                   <CheckCircle size={20} />
-                  <span>Admin dashboard</span>
+                  <span>{t("home.about.adminDashboard")}</span>
                 </div>
                 <div className="about-feature">
                   <CheckCircle size={20} />
-                  <span>Community leaderboard</span>
+                  <span>{t("home.about.leaderboard")}</span>
                 </div>
               </div>
             </div>
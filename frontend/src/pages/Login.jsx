@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../context/useTranslation";
 import "../styles/Login.css";
 import { Eye, EyeOff, Shield, User } from "lucide-react";
 
@@ -13,23 +14,26 @@ const Login = () => {
 
   const navigate = useNavigate();
   const { login } = useAuth();
+  const { t } = useTranslation();
 
   const testAccounts = [
     {
-      role: "Admin",
+      role: t("roles.admin"),
       email: "admin@swachhsetu.com",
       password: "admin123",
+      autoFill: true,
       icon: Shield,
       color: "#8b5cf6",
-      description: "Full access to admin panel & management"
+      description: t("login.adminDescription")
     },
     {
-      role: "User",
-      email: "Register new account",
-      password: "Your password",
+      role: t("roles.user"),
+      email: t("login.registerNewAccount"),
+      password: t("login.yourPassword"),
+      autoFill: false,
       icon: User,
       color: "#3b82f6",
-      description: "Report issues and earn rewards"
+      description: t("login.userDescription")
     }
   ];
 
@@ -40,7 +44,7 @@ const Login = () => {
 
     try {
       if (!email || !password) {
-        setError("Please fill all fields.");
+        setError(t("login.fillAllFields"));
         setLoading(false);
         return;
       }
@@ -50,10 +54,10 @@ const Login = () => {
       if (result.success) {
         navigate("/dashboard");
       } else {
-        setError(result.message || "Login failed. Please check your credentials.");
+        setError(result.message || t("login.failed"));
       }
     } catch (err) {
-      setError("An error occurred. Please try again.");
+      setError(t("login.error"));
     } finally {
       setLoading(false);
     }
@@ -67,12 +71,12 @@ const Login = () => {
   return (
     <div className="login-page">
       <div className="login-container">
-        <h2 className="login-title">Sign in to Your Account</h2>
-        <p className="login-subtitle">Access your personalized dashboard</p>
+        <h2 className="login-title">{t("login.title")}</h2>
+        <p className="login-subtitle">{t("login.subtitle")}</p>
 
         {/* Test Accounts Section */}
         <div className="test-accounts-section">
-          <p className="test-accounts-title">Quick Login (Test Accounts)</p>
+          <p className="test-accounts-title">{t("login.testAccounts")}</p>
           <div className="test-accounts-grid">
             {testAccounts.map((account) => {
               const Icon = account.icon;
@@ -80,18 +84,18 @@ const Login = () => {
                 <div
                   key={account.role}
                   className="test-account-card"
-                  onClick={() => account.email !== "Register new account" && quickLogin(account.email, account.password)}
+                  onClick={() => account.autoFill && quickLogin(account.email, account.password)}
                   style={{ 
                     borderColor: account.color,
-                    cursor: account.email !== "Register new account" ? "pointer" : "default"
+                    cursor: account.autoFill ? "pointer" : "default"
                   }}
                 >
                   <Icon size={24} color={account.color} />
                   <div className="test-account-info">
                     <h4 style={{ color: account.color }}>{account.role}</h4>
                     <p>{account.description}</p>
-                    {account.email !== "Register new account" && (
-                      <span className="test-account-hint">Click to auto-fill</span>
+                    {account.autoFill && (
+                      <span className="test-account-hint">{t("login.clickToFill")}</span>
                     )}
                   </div>
                 </div>
@@ -101,12 +105,12 @@ const Login = () => {
         </div>
 
         <div className="divider">
-          <span>Or enter credentials</span>
+          <span>{t("login.orEnterCredentials")}</span>
         </div>
 
         <form onSubmit={handleLogin} className="login-form">
           <div className="form-group">
-            <label>Email Address</label>
+            <label>{t("login.email")}</label>
             <input
               type="email"
               placeholder="example@email.com"
@@ -117,11 +121,11 @@ const Login = () => {
           </div>
 
           <div className="form-group">
-            <label>Password</label>
+            <label>{t("login.password")}</label>
             <div className="password-wrapper">
               <input
                 type={showPassword ? "text" : "password"}
-                placeholder="Enter your password"
+                placeholder={t("login.passwordPlaceholder")}
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 autoComplete="current-password"
@@ -141,23 +145,23 @@ const Login = () => {
             {loading ? (
               <>
                 <span className="spinner"></span>
-                Signing in...
+                {t("login.signingIn")}
               </>
             ) : (
-              "Sign In"
+              t("login.signIn")
             )}
           </button>
 
           <div className="form-footer">
             <p className="signup-prompt">
-              Don't have an account?
+              {t("login.noAccount")}
             </p>
             <button 
               type="button"
               className="signup-btn"
               onClick={() => navigate("/register")}
             >
-              Create Account
+              {t("login.createAccount")}
             </button>
           </div>
         </form>
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import {
+  ClipboardList,
+  MapPin,
+  Calendar,
+  CheckCircle,
+  XCircle,
+  PlayCircle,
+  Navigation,
+  Upload
+} from "lucide-react";
+import { inspectorAPI, reportAPI } from "../utils/api";
+import { useTranslation } from "../context/useTranslation";
+import LoadingSpinner from "../components/LoadingSpinner";
+import "./MyAssignments.css";
+
+const MyAssignments = () => {
+  const [profile, setProfile] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [declining, setDeclining] = useState(null);
+  const [declineReason, setDeclineReason] = useState("");
+  const [resolving, setResolving] = useState(null);
+  const [afterPhotos, setAfterPhotos] = useState([]);
+  const { t, formatDate } = useTranslation();
+
+  const fetchData = useCallback(async () => {
+    try {
+      const [profileRes, assignmentsRes] = await Promise.all([
+        inspectorAPI.getMyProfile(),
+        inspectorAPI.getMyAssignments()
+      ]);
+      setProfile(profileRes.data.inspector);
+      setReports(assignmentsRes.data.reports);
+    } catch (error) {
+      console.error("Error fetching assignments:", error);
+      toast.error(error.response?.data?.message || t("assignments.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const runAction = async (reportId, action, successMessage) => {
+    try {
+      setBusyId(reportId);
+      await action();
+      toast.success(successMessage);
+      await fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t("assignments.actionFailed"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAccept = (reportId) =>
+    runAction(reportId, () => inspectorAPI.acceptAssignment(reportId), t("assignments.accepted"));
+
+  const handleDecline = async (reportId) => {
+    if (!declineReason.trim()) {
+      toast.error(t("assignments.declineReasonRequired"));
+      return;
+    }
+    await runAction(
+      reportId,
+      () => inspectorAPI.declineAssignment(reportId, declineReason.trim()),
+      t("assignments.declined")
+    );
+    setDeclining(null);
+    setDeclineReason("");
+  };
+
+  const handleStart = (reportId) =>
+    runAction(reportId, () => reportAPI.updateStatus(reportId, "in-progress"), t("assignments.workStarted"));
+
+  const handleResolve = async (reportId) => {
+    if (afterPhotos.length === 0) {
+      toast.error(t("assignments.afterPhotoRequired"));
+      return;
+    }
+    const formData = new FormData();
+    formData.append("status", "resolved");
+    afterPhotos.forEach((photo) => formData.append("afterImages", photo));
+
+    await runAction(
+      reportId,
+      () => reportAPI.updateStatusWithPhotos(reportId, formData),
+      t("assignments.resolved")
+    );
+    setResolving(null);
+    setAfterPhotos([]);
+  };
+
+  const handleToggleDuty = async () => {
+    try {
+      const response = await inspectorAPI.setOnDuty(!profile.onDuty);
+      setProfile({ ...profile, ...response.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || t("assignments.availabilityFailed"));
+    }
+  };
+
+  const handleShareLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error(t("assignments.locationUnsupported"));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        try {
+          await inspectorAPI.updateLocation(position.coords.latitude, position.coords.longitude);
+          toast.success(t("assignments.locationUpdated"));
+        } catch (error) {
+          toast.error(error.response?.data?.message || t("assignments.locationFailed"));
+        }
+      },
+      () => toast.error(t("assignments.locationUnavailable"))
+    );
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="assignments-page">
+      <div className="container">
+        <div className="assignments-header">
+          <div>
+            <h1>
+              <ClipboardList size={28} />
+              {t("assignments.title")}
+            </h1>
+            {profile && (
+              <p>
+                {t("assignments.capacity", { active: profile.activeTickets, max: profile.maxCapacity })}
+                {profile.homeWard && ` · ${profile.homeWard.name}`}
+              </p>
+            )}
+          </div>
+          {profile && (
+            <div className="assignments-actions">
+              <button className="btn-secondary" onClick={handleShareLocation}>
+                <Navigation size={16} />
+                {t("assignments.shareLocation")}
+              </button>
+              <button
+                className={`duty-toggle ${profile.onDuty ? "on" : "off"}`}
+                onClick={handleToggleDuty}
+              >
+                {profile.onDuty ? t("assignments.onDuty") : t("assignments.offDuty")}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {reports.length === 0 ? (
+          <div className="assignments-empty">
+            <CheckCircle size={48} />
+            <p>{t("assignments.empty")}</p>
+          </div>
+        ) : (
+          <div className="assignments-list">
+            {reports.map((report) => {
+              const awaitingResponse = report.assignment?.status === "pending";
+              const busy = busyId === report._id;
+
+              return (
+                <div key={report._id} className="assignment-card">
+                  <div className="assignment-card-header">
+                    <Link to={`/reports/${report._id}`}>
+                      <h3>{report.title}</h3>
+                    </Link>
+                    <span className={`assignment-status ${report.status}`}>{t(`status.${report.status}`)}</span>
+                  </div>
+                  <p className="assignment-category">
+                    {t("assignments.categorySeverity", {
+                      category: t(`categories.${report.category}`),
+                      severity: t(`severity.${report.severity}`)
+                    })}
+                  </p>
+                  <div className="assignment-meta">
+                    {report.location?.address && (
+                      <span>
+                        <MapPin size={14} />
+                        {report.location.address}
+                      </span>
+                    )}
+                    {report.ward && (
+                      <span>
+                        <MapPin size={14} />
+                        {report.ward.name}
+                      </span>
+                    )}
+                    {report.assignment?.assignedAt && (
+                      <span>
+                        <Calendar size={14} />
+                        {t("assignments.assigned", { date: formatDate(report.assignment.assignedAt) })}
+                      </span>
+                    )}
+                  </div>
+
+                  <div className="assignment-buttons">
+                    {awaitingResponse && (
+                      <>
+                        <button className="btn-primary" disabled={busy} onClick={() => handleAccept(report._id)}>
+                          <CheckCircle size={16} />
+                          {t("assignments.accept")}
+                        </button>
+                        <button
+                          className="btn-danger"
+                          disabled={busy || report.status !== "pending"}
+                          onClick={() => setDeclining(declining === report._id ? null : report._id)}
+                        >
+                          <XCircle size={16} />
+                          {t("assignments.decline")}
+                        </button>
+                      </>
+                    )}
+                    {!awaitingResponse && report.status === "pending" && (
+                      <button className="btn-primary" disabled={busy} onClick={() => handleStart(report._id)}>
+                        <PlayCircle size={16} />
+                        {t("assignments.startWork")}
+                      </button>
+                    )}
+                    {report.status === "in-progress" && (
+                      <button
+                        className="btn-primary"
+                        disabled={busy}
+                        onClick={() => setResolving(resolving === report._id ? null : report._id)}
+                      >
+                        <CheckCircle size={16} />
+                        {t("assignments.markResolved")}
+                      </button>
+                    )}
+                  </div>
+
+                  {declining === report._id && (
+                    <div className="assignment-form">
+                      <textarea
+                        value={declineReason}
+                        onChange={(e) => setDeclineReason(e.target.value)}
+                        placeholder={t("assignments.declinePlaceholder")}
+                        rows={2}
+                      />
+                      <button className="btn-danger" disabled={busy} onClick={() => handleDecline(report._id)}>
+                        {t("assignments.confirmDecline")}
+                      </button>
+                    </div>
+                  )}
+
+                  {resolving === report._id && (
+                    <div className="assignment-form">
+                      <label>
+                        <Upload size={16} />
+                        {t("assignments.afterPhotos")}
+                        <input
+                          type="file"
+                          accept="image/*"
+                          multiple
+                          onChange={(e) => setAfterPhotos(Array.from(e.target.files).slice(0, 5))}
+                        />
+                      </label>
+                      <button className="btn-primary" disabled={busy} onClick={() => handleResolve(report._id)}>
+                        {t("assignments.submitResolution")}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyAssignments;
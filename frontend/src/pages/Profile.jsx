@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../context/useTranslation';
 import { 
   User, 
   Mail, 
@@ -18,20 +19,32 @@ import {
   BarChart3,
   Settings,
   Bell,
-  CheckCircle2
+  CheckCircle2,
+  FileText,
+  History,
+  ThumbsUp,
+  RotateCcw,
+  Languages
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import { authAPI, reportAPI } from '../utils/api';
+import ReportTimeline from '../components/ReportTimeline';
 import './Profile.css';
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, changeLanguage } = useAuth();
+  const { t, language, languages, formatDate } = useTranslation();
   const [isEditing, setIsEditing] = useState(false);
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('personal');
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [stats, setStats] = useState({ total: 0, resolved: 0, pending: 0, points: 0 });
   const [achievements, setAchievements] = useState([]);
+  const [myReports, setMyReports] = useState([]);
+  const [expandedReportId, setExpandedReportId] = useState(null);
+  const [reopenReportId, setReopenReportId] = useState(null);
+  const [reopenData, setReopenData] = useState({ comment: '', photos: [] });
+  const [respondingId, setRespondingId] = useState(null);
   
   const [formData, setFormData] = useState({
     name: user?.name || '',
@@ -69,9 +82,10 @@ const Profile = () => {
     try {
       const response = await reportAPI.getMyReports();
       const reports = response.data.reports || [];
+      setMyReports(reports);
       setStats({
         total: reports.length,
-        resolved: reports.filter(r => r.status === 'resolved').length,
+        resolved: reports.filter(r => ['resolved', 'verified'].includes(r.status)).length,
         pending: reports.filter(r => r.status === 'pending').length,
         points: user.points || 0
       });
@@ -80,15 +94,61 @@ const Profile = () => {
     }
   };
 
+  const replaceMyReport = (updated) => {
+    setMyReports(reports => reports.map(r => (r._id === updated._id ? updated : r)));
+  };
+
+  const handleConfirmResolution = async (reportId) => {
+    setRespondingId(reportId);
+    try {
+      const response = await reportAPI.confirmResolution(reportId);
+      replaceMyReport(response.data.report);
+      toast.success(t('profile.fixConfirmed'));
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('profile.confirmFailed'));
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  const openReopenForm = (reportId) => {
+    setReopenReportId(reportId);
+    setReopenData({ comment: '', photos: [] });
+  };
+
+  const handleReopen = async (e) => {
+    e.preventDefault();
+    if (!reopenData.comment.trim() || reopenData.photos.length === 0) {
+      toast.error(t('profile.reopenDetailsRequired'));
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('comment', reopenData.comment);
+    reopenData.photos.forEach(photo => formData.append('images', photo));
+
+    setRespondingId(reopenReportId);
+    try {
+      const response = await reportAPI.reopenReport(reopenReportId, formData);
+      replaceMyReport(response.data.report);
+      setReopenReportId(null);
+      toast.success(t('profile.reopened'));
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('profile.reopenFailed'));
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
   const fetchAchievements = () => {
     const userAchievements = [];
     const points = user.points || 0;
     
-    if (points >= 10) userAchievements.push({ name: 'Beginner', icon: '🌱', desc: 'Earned 10+ points' });
-    if (points >= 50) userAchievements.push({ name: 'Contributor', icon: '⭐', desc: 'Earned 50+ points' });
-    if (points >= 100) userAchievements.push({ name: 'Expert', icon: '🏆', desc: 'Earned 100+ points' });
-    if (stats.total >= 5) userAchievements.push({ name: 'Reporter', icon: '📝', desc: 'Submitted 5+ reports' });
-    if (stats.resolved >= 3) userAchievements.push({ name: 'Problem Solver', icon: '✅', desc: '3+ reports resolved' });
+    if (points >= 10) userAchievements.push({ id: 'beginner', icon: '🌱' });
+    if (points >= 50) userAchievements.push({ id: 'contributor', icon: '⭐' });
+    if (points >= 100) userAchievements.push({ id: 'expert', icon: '🏆' });
+    if (stats.total >= 5) userAchievements.push({ id: 'reporter', icon: '📝' });
+    if (stats.resolved >= 3) userAchievements.push({ id: 'problemSolver', icon: '✅' });
     
     setAchievements(userAchievements);
   };
@@ -106,11 +166,11 @@ const Profile = () => {
       const response = await authAPI.updateProfile(formData);
       if (response.data.success) {
         updateUser(response.data.user);
-        toast.success('Profile updated successfully!');
+        toast.success(t('profile.updated'));
         setIsEditing(false);
       }
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to update profile');
+      toast.error(error.response?.data?.message || t('profile.updateFailed'));
     } finally {
       setLoading(false);
     }
@@ -132,11 +192,11 @@ const Profile = () => {
   const handlePasswordChange = async (e) => {
     e.preventDefault();
     if (passwordData.newPassword !== passwordData.confirmPassword) {
-      toast.error('Passwords do not match!');
+      toast.error(t('profile.passwordMismatch'));
       return;
     }
     if (passwordData.newPassword.length < 6) {
-      toast.error('Password must be at least 6 characters!');
+      toast.error(t('profile.passwordTooShort'));
       return;
     }
     
@@ -146,11 +206,11 @@ const Profile = () => {
         currentPassword: passwordData.currentPassword,
         newPassword: passwordData.newPassword 
       });
-      toast.success('Password updated successfully!');
+      toast.success(t('profile.passwordUpdated'));
       setShowPasswordModal(false);
       setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to update password');
+      toast.error(error.response?.data?.message || t('profile.passwordUpdateFailed'));
     } finally {
       setLoading(false);
     }
@@ -160,7 +220,7 @@ const Profile = () => {
     return (
       <div className="profile-page">
         <div className="profile-container">
-          <p>Please log in to view your profile.</p>
+          <p>{t('profile.loginRequired')}</p>
         </div>
       </div>
     );
@@ -179,7 +239,7 @@ const Profile = () => {
               <div className="profile-avatar-large">
                 {user.name.charAt(0).toUpperCase()}
               </div>
-              <button className="avatar-upload-btn" title="Change Avatar">
+              <button className="avatar-upload-btn" title={t('profile.changeAvatar')}>
                 <Camera size={16} />
               </button>
             </div>
@@ -192,18 +252,18 @@ const Profile = () => {
                              'linear-gradient(135deg, #10b981, #059669)'
                 }}>
                   <Shield size={14} />
-                  {user.role}
+                  {t(`roles.${user.role}`)}
                 </span>
                 <span className="points-badge">
                   <Trophy size={14} />
-                  {stats.points} Points
+                  {t('common.pointsLong', { count: stats.points })}
                 </span>
                 <span className="level-badge">
                   <Award size={14} />
-                  Level {Math.floor(stats.points / 10) || 1}
+                  {t('common.level', { level: Math.floor(stats.points / 10) || 1 })}
                 </span>
               </div>
-              <p className="profile-bio">Making our community cleaner, one report at a time! 🌱</p>
+              <p className="profile-bio">{t('profile.bio')}</p>
             </div>
           </div>
         </div>
@@ -216,7 +276,7 @@ const Profile = () => {
             </div>
             <div className="stat-details">
               <h3>{stats.total}</h3>
-              <p>Total Reports</p>
+              <p>{t('profile.totalReports')}</p>
             </div>
           </div>
           <div className="stat-card-mini">
@@ -225,7 +285,7 @@ const Profile = () => {
             </div>
             <div className="stat-details">
               <h3>{stats.resolved}</h3>
-              <p>Resolved</p>
+              <p>{t('status.resolved')}</p>
             </div>
           </div>
           <div className="stat-card-mini">
@@ -234,7 +294,7 @@ const Profile = () => {
             </div>
             <div className="stat-details">
               <h3>{stats.pending}</h3>
-              <p>Pending</p>
+              <p>{t('status.pending')}</p>
             </div>
           </div>
           <div className="stat-card-mini">
@@ -243,7 +303,7 @@ const Profile = () => {
             </div>
             <div className="stat-details">
               <h3>{achievements.length}</h3>
-              <p>Achievements</p>
+              <p>{t('profile.achievementsTitle')}</p>
             </div>
           </div>
         </div>
@@ -255,28 +315,35 @@ const Profile = () => {
             onClick={() => setActiveTab('personal')}
           >
             <User size={18} />
-            Personal Info
+            {t('profile.tabs.personal')}
+          </button>
+          <button 
+            className={`tab-btn ${activeTab === 'reports' ? 'active' : ''}`}
+            onClick={() => setActiveTab('reports')}
+          >
+            <FileText size={18} />
+            {t('profile.tabs.reports')}
           </button>
           <button 
             className={`tab-btn ${activeTab === 'achievements' ? 'active' : ''}`}
             onClick={() => setActiveTab('achievements')}
           >
             <Award size={18} />
-            Achievements
+            {t('profile.tabs.achievements')}
           </button>
           <button 
             className={`tab-btn ${activeTab === 'security' ? 'active' : ''}`}
             onClick={() => setActiveTab('security')}
           >
             <Lock size={18} />
-            Security
+            {t('profile.tabs.security')}
           </button>
           <button 
             className={`tab-btn ${activeTab === 'preferences' ? 'active' : ''}`}
             onClick={() => setActiveTab('preferences')}
           >
             <Settings size={18} />
-            Preferences
+            {t('profile.tabs.preferences')}
           </button>
         </div>
 
@@ -292,14 +359,14 @@ const Profile = () => {
                     <User size={32} />
                   </div>
                   <div>
-                    <h2>Personal Information</h2>
-                    <p>Manage your personal details and contact information</p>
+                    <h2>{t('profile.personalTitle')}</h2>
+                    <p>{t('profile.personalSubtitle')}</p>
                   </div>
                 </div>
                 {!isEditing ? (
                   <button className="edit-btn-modern" onClick={() => setIsEditing(true)}>
                     <Edit2 size={18} />
-                    Edit Profile
+                    {t('profile.editProfile')}
                   </button>
                 ) : (
                   <div className="edit-actions-modern">
@@ -309,11 +376,11 @@ const Profile = () => {
                       disabled={loading}
                     >
                       <Save size={18} />
-                      {loading ? 'Saving...' : 'Save Changes'}
+                      {loading ? t('common.saving') : t('profile.saveChanges')}
                     </button>
                     <button className="cancel-btn-modern" onClick={handleCancel}>
                       <X size={18} />
-                      Cancel
+                      {t('common.cancel')}
                     </button>
                   </div>
                 )}
@@ -325,13 +392,13 @@ const Profile = () => {
                   <div className="section-icon">
                     <User size={20} />
                   </div>
-                  <h3>Basic Information</h3>
+                  <h3>{t('profile.basicInfo')}</h3>
                 </div>
                 <div className="info-grid-modern">
                   <div className="info-field">
                     <label className="field-label">
                       <User size={16} />
-                      Full Name
+                      {t('profile.fullName')}
                     </label>
                     {isEditing ? (
                       <div className="input-wrapper">
@@ -341,7 +408,7 @@ const Profile = () => {
                           value={formData.name}
                           onChange={handleChange}
                           className="modern-input"
-                          placeholder="Enter your full name"
+                          placeholder={t('profile.fullNamePlaceholder')}
                         />
                       </div>
                     ) : (
@@ -352,22 +419,22 @@ const Profile = () => {
                   <div className="info-field">
                     <label className="field-label">
                       <Mail size={16} />
-                      Email Address
+                      {t('profile.email')}
                     </label>
                     <div className="field-value with-badge">
                       {user.email}
                       <span className="verified-badge">
                         <CheckCircle2 size={14} />
-                        Verified
+                        {t('profile.verified')}
                       </span>
                     </div>
-                    <span className="field-hint">Your email address is verified and cannot be changed</span>
+                    <span className="field-hint">{t('profile.emailHint')}</span>
                   </div>
 
                   <div className="info-field">
                     <label className="field-label">
                       <Phone size={16} />
-                      Phone Number
+                      {t('profile.phone')}
                     </label>
                     {isEditing ? (
                       <div className="input-wrapper">
@@ -381,23 +448,25 @@ const Profile = () => {
                         />
                       </div>
                     ) : (
-                      <div className="field-value">{user.phone || <span className="empty-value">Not provided</span>}</div>
+                      <div className="field-value">{user.phone || <span className="empty-value">{t('profile.notProvided')}</span>}</div>
                     )}
                   </div>
 
                   <div className="info-field">
                     <label className="field-label">
                       <Calendar size={16} />
-                      Member Since
+                      {t('profile.memberSince')}
                     </label>
                     <div className="field-value">
-                      {new Date(user.createdAt).toLocaleDateString('en-US', {
+                      {formatDate(user.createdAt, {
                         year: 'numeric',
                         month: 'long',
                         day: 'numeric'
                       })}
                       <span className="membership-duration">
-                        ({Math.floor((new Date() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24))} days)
+                        {t('profile.memberDays', {
+                          count: Math.floor((new Date() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24))
+                        })}
                       </span>
                     </div>
                   </div>
@@ -410,13 +479,13 @@ const Profile = () => {
                   <div className="section-icon">
                     <MapPin size={20} />
                   </div>
-                  <h3>Address Information</h3>
+                  <h3>{t('profile.addressInfo')}</h3>
                 </div>
                 <div className="info-grid-modern">
                   <div className="info-field full-width">
                     <label className="field-label">
                       <MapPin size={16} />
-                      Street Address
+                      {t('profile.street')}
                     </label>
                     {isEditing ? (
                       <div className="input-wrapper">
@@ -426,17 +495,17 @@ const Profile = () => {
                           value={formData.address}
                           onChange={handleChange}
                           className="modern-input"
-                          placeholder="Enter your street address"
+                          placeholder={t('profile.streetPlaceholder')}
                         />
                       </div>
                     ) : (
-                      <div className="field-value">{user.address || <span className="empty-value">Not provided</span>}</div>
+                      <div className="field-value">{user.address || <span className="empty-value">{t('profile.notProvided')}</span>}</div>
                     )}
                   </div>
 
                   <div className="info-field">
                     <label className="field-label">
-                      City
+                      {t('profile.city')}
                     </label>
                     {isEditing ? (
                       <div className="input-wrapper">
@@ -446,17 +515,17 @@ const Profile = () => {
                           value={formData.city}
                           onChange={handleChange}
                           className="modern-input"
-                          placeholder="City"
+                          placeholder={t('profile.city')}
                         />
                       </div>
                     ) : (
-                      <div className="field-value">{user.city || <span className="empty-value">Not provided</span>}</div>
+                      <div className="field-value">{user.city || <span className="empty-value">{t('profile.notProvided')}</span>}</div>
                     )}
                   </div>
 
                   <div className="info-field">
                     <label className="field-label">
-                      State / Province
+                      {t('profile.state')}
                     </label>
                     {isEditing ? (
                       <div className="input-wrapper">
@@ -466,17 +535,17 @@ const Profile = () => {
                           value={formData.state}
                           onChange={handleChange}
                           className="modern-input"
-                          placeholder="State"
+                          placeholder={t('profile.state')}
                         />
                       </div>
                     ) : (
-                      <div className="field-value">{user.state || <span className="empty-value">Not provided</span>}</div>
+                      <div className="field-value">{user.state || <span className="empty-value">{t('profile.notProvided')}</span>}</div>
                     )}
                   </div>
 
                   <div className="info-field">
                     <label className="field-label">
-                      Postal Code
+                      {t('profile.postalCode')}
                     </label>
                     {isEditing ? (
                       <div className="input-wrapper">
@@ -491,7 +560,7 @@ const Profile = () => {
                         />
                       </div>
                     ) : (
-                      <div className="field-value">{user.pincode || <span className="empty-value">Not provided</span>}</div>
+                      <div className="field-value">{user.pincode || <span className="empty-value">{t('profile.notProvided')}</span>}</div>
                     )}
                   </div>
                 </div>
@@ -503,7 +572,7 @@ const Profile = () => {
                   <div className="section-icon">
                     <BarChart3 size={20} />
                   </div>
-                  <h3>Account Statistics</h3>
+                  <h3>{t('profile.accountStats')}</h3>
                 </div>
                 <div className="stats-grid-mini">
                   <div className="stat-mini-card">
@@ -511,7 +580,7 @@ const Profile = () => {
                       <Trophy size={20} />
                     </div>
                     <div className="stat-mini-info">
-                      <p className="stat-mini-label">Total Points</p>
+                      <p className="stat-mini-label">{t('profile.totalPoints')}</p>
                       <h4 className="stat-mini-value">{stats.points}</h4>
                     </div>
                   </div>
@@ -520,7 +589,7 @@ const Profile = () => {
                       <CheckCircle2 size={20} />
                     </div>
                     <div className="stat-mini-info">
-                      <p className="stat-mini-label">Reports Resolved</p>
+                      <p className="stat-mini-label">{t('profile.reportsResolved')}</p>
                       <h4 className="stat-mini-value">{stats.resolved}</h4>
                     </div>
                   </div>
@@ -529,7 +598,7 @@ const Profile = () => {
                       <Award size={20} />
                     </div>
                     <div className="stat-mini-info">
-                      <p className="stat-mini-label">Current Level</p>
+                      <p className="stat-mini-label">{t('profile.currentLevel')}</p>
                       <h4 className="stat-mini-value">{Math.floor(stats.points / 10) || 1}</h4>
                     </div>
                   </div>
@@ -538,7 +607,7 @@ const Profile = () => {
                       <Activity size={20} />
                     </div>
                     <div className="stat-mini-info">
-                      <p className="stat-mini-label">Active Reports</p>
+                      <p className="stat-mini-label">{t('profile.activeReports')}</p>
                       <h4 className="stat-mini-value">{stats.pending}</h4>
                     </div>
                   </div>
@@ -547,27 +616,133 @@ const Profile = () => {
             </div>
           )}
 
+          {/* My Reports Tab */}
+          {activeTab === 'reports' && (
+            <div className="profile-card-full">
+              <div className="card-header">
+                <h2>{t('profile.tabs.reports')}</h2>
+                <span className="achievement-count">{t('profile.submitted', { count: myReports.length })}</span>
+              </div>
+              {myReports.length > 0 ? (
+                <div className="my-reports-list">
+                  {myReports.map((report) => (
+                    <div key={report._id} className="my-report-item">
+                      <div className="my-report-header">
+                        <div>
+                          <h3>{report.title}</h3>
+                          <p className="my-report-meta">
+                            {t(`categories.${report.category}`)} • {formatDate(report.createdAt)}
+                          </p>
+                        </div>
+                        <span className={`my-report-status ${report.status}`}>{t(`status.${report.status}`)}</span>
+                      </div>
+                      {report.status === 'resolved' && reopenReportId !== report._id && (
+                        <div className="my-report-resolution">
+                          <p>{t('profile.resolvedPrompt')}</p>
+                          <div className="my-report-resolution-actions">
+                            <button
+                              className="btn-confirm-fix"
+                              onClick={() => handleConfirmResolution(report._id)}
+                              disabled={respondingId === report._id}
+                            >
+                              <ThumbsUp size={16} />
+                              {t('profile.confirmFix')}
+                            </button>
+                            <button
+                              className="btn-reopen"
+                              onClick={() => openReopenForm(report._id)}
+                              disabled={respondingId === report._id}
+                            >
+                              <RotateCcw size={16} />
+                              {t('profile.reopen')}
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                      {reopenReportId === report._id && (
+                        <form className="my-report-reopen-form" onSubmit={handleReopen}>
+                          <textarea
+                            value={reopenData.comment}
+                            onChange={(e) => setReopenData({ ...reopenData, comment: e.target.value })}
+                            placeholder={t('profile.reopenPlaceholder')}
+                            maxLength={1000}
+                            rows={3}
+                            required
+                          />
+                          <input
+                            type="file"
+                            accept="image/*"
+                            multiple
+                            onChange={(e) => setReopenData({
+                              ...reopenData,
+                              photos: Array.from(e.target.files).slice(0, 3)
+                            })}
+                          />
+                          <div className="my-report-resolution-actions">
+                            <button
+                              type="submit"
+                              className="btn-reopen"
+                              disabled={respondingId === report._id}
+                            >
+                              {respondingId === report._id ? t('profile.reopening') : t('profile.reopenSubmit')}
+                            </button>
+                            <button
+                              type="button"
+                              className="my-report-history-btn"
+                              onClick={() => setReopenReportId(null)}
+                            >
+                              {t('common.cancel')}
+                            </button>
+                          </div>
+                        </form>
+                      )}
+                      <button
+                        className="my-report-history-btn"
+                        onClick={() => setExpandedReportId(
+                          expandedReportId === report._id ? null : report._id
+                        )}
+                      >
+                        <History size={16} />
+                        {expandedReportId === report._id ? t('profile.hideHistory') : t('profile.viewHistory')}
+                      </button>
+                      {expandedReportId === report._id && (
+                        <div className="my-report-history">
+                          <ReportTimeline reportId={report._id} />
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="no-achievements">
+                  <FileText size={48} />
+                  <p>{t('profile.noReports')}</p>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Achievements Tab */}
           {activeTab === 'achievements' && (
             <div className="profile-card-full">
               <div className="card-header">
-                <h2>Your Achievements</h2>
-                <span className="achievement-count">{achievements.length} Unlocked</span>
+                <h2>{t('profile.yourAchievements')}</h2>
+                <span className="achievement-count">{t('profile.unlockedCount', { count: achievements.length })}</span>
               </div>
               <div className="achievements-grid">
                 {achievements.length > 0 ? (
                   achievements.map((achievement, index) => (
                     <div key={index} className="achievement-card unlocked">
                       <div className="achievement-icon">{achievement.icon}</div>
-                      <h3>{achievement.name}</h3>
-                      <p>{achievement.desc}</p>
-                      <span className="achievement-status">Unlocked</span>
+                      <h3>{t(`profile.achievements.${achievement.id}.name`)}</h3>
+                      <p>{t(`profile.achievements.${achievement.id}.earned`)}</p>
+                      <span className="achievement-status">{t('profile.unlocked')}</span>
                     </div>
                   ))
                 ) : (
                   <div className="no-achievements">
                     <Award size={48} />
-                    <p>No achievements yet. Keep reporting to unlock badges!</p>
+                    <p>{t('profile.noAchievements')}</p>
                   </div>
                 )}
                 
@@ -575,25 +750,25 @@ const Profile = () => {
                 {stats.points < 10 && (
                   <div className="achievement-card locked">
                     <div className="achievement-icon">🌱</div>
-                    <h3>Beginner</h3>
-                    <p>Earn 10+ points</p>
-                    <span className="achievement-status">Locked</span>
+                    <h3>{t('profile.achievements.beginner.name')}</h3>
+                    <p>{t('profile.achievements.beginner.goal')}</p>
+                    <span className="achievement-status">{t('profile.locked')}</span>
                   </div>
                 )}
                 {stats.points < 50 && (
                   <div className="achievement-card locked">
                     <div className="achievement-icon">⭐</div>
-                    <h3>Contributor</h3>
-                    <p>Earn 50+ points</p>
-                    <span className="achievement-status">Locked</span>
+                    <h3>{t('profile.achievements.contributor.name')}</h3>
+                    <p>{t('profile.achievements.contributor.goal')}</p>
+                    <span className="achievement-status">{t('profile.locked')}</span>
                   </div>
                 )}
                 {stats.points < 100 && (
                   <div className="achievement-card locked">
                     <div className="achievement-icon">🏆</div>
-                    <h3>Expert</h3>
-                    <p>Earn 100+ points</p>
-                    <span className="achievement-status">Locked</span>
+                    <h3>{t('profile.achievements.expert.name')}</h3>
+                    <p>{t('profile.achievements.expert.goal')}</p>
+                    <span className="achievement-status">{t('profile.locked')}</span>
                   </div>
                 )}
               </div>
@@ -604,46 +779,46 @@ const Profile = () => {
           {activeTab === 'security' && (
             <div className="profile-card-full">
               <div className="card-header">
-                <h2>Security Settings</h2>
+                <h2>{t('profile.securityTitle')}</h2>
               </div>
               <div className="security-section">
                 <div className="security-item">
                   <div className="security-info">
                     <Lock size={24} />
                     <div>
-                      <h3>Change Password</h3>
-                      <p>Update your password to keep your account secure</p>
+                      <h3>{t('profile.changePassword')}</h3>
+                      <p>{t('profile.changePasswordHint')}</p>
                     </div>
                   </div>
                   <button 
                     className="action-btn"
                     onClick={() => setShowPasswordModal(true)}
                   >
-                    Change Password
+                    {t('profile.changePassword')}
                   </button>
                 </div>
                 <div className="security-item">
                   <div className="security-info">
                     <Shield size={24} />
                     <div>
-                      <h3>Two-Factor Authentication</h3>
-                      <p>Add an extra layer of security to your account</p>
+                      <h3>{t('profile.twoFactor')}</h3>
+                      <p>{t('profile.twoFactorHint')}</p>
                     </div>
                   </div>
                   <button className="action-btn secondary">
-                    Enable 2FA
+                    {t('profile.enable2fa')}
                   </button>
                 </div>
                 <div className="security-item">
                   <div className="security-info">
                     <Activity size={24} />
                     <div>
-                      <h3>Login Activity</h3>
-                      <p>View your recent login history</p>
+                      <h3>{t('profile.loginActivity')}</h3>
+                      <p>{t('profile.loginActivityHint')}</p>
                     </div>
                   </div>
                   <button className="action-btn secondary">
-                    View Activity
+                    {t('profile.viewActivity')}
                   </button>
                 </div>
               </div>
@@ -654,15 +829,33 @@ const Profile = () => {
           {activeTab === 'preferences' && (
             <div className="profile-card-full">
               <div className="card-header">
-                <h2>Preferences</h2>
+                <h2>{t('profile.preferencesTitle')}</h2>
               </div>
               <div className="preferences-section">
+                <div className="preference-item">
+                  <div className="preference-info">
+                    <Languages size={24} />
+                    <div>
+                      <h3>{t('common.language')}</h3>
+                      <p>{t('profile.languageHint')}</p>
+                    </div>
+                  </div>
+                  <select
+                    className="preference-select"
+                    value={language}
+                    onChange={(e) => changeLanguage(e.target.value)}
+                  >
+                    {languages.map(option => (
+                      <option key={option.code} value={option.code}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
                 <div className="preference-item">
                   <div className="preference-info">
                     <Bell size={24} />
                     <div>
-                      <h3>Email Notifications</h3>
-                      <p>Receive updates about your reports via email</p>
+                      <h3>{t('profile.emailNotifications')}</h3>
+                      <p>{t('profile.emailNotificationsHint')}</p>
                     </div>
                   </div>
                   <label className="toggle-switch">
@@ -674,8 +867,8 @@ const Profile = () => {
                   <div className="preference-info">
                     <Bell size={24} />
                     <div>
-                      <h3>Push Notifications</h3>
-                      <p>Get real-time updates on your device</p>
+                      <h3>{t('profile.pushNotifications')}</h3>
+                      <p>{t('profile.pushNotificationsHint')}</p>
                     </div>
                   </div>
                   <label className="toggle-switch">
@@ -687,8 +880,8 @@ const Profile = () => {
                   <div className="preference-info">
                     <Activity size={24} />
                     <div>
-                      <h3>Activity Alerts</h3>
-                      <p>Notify when your reports are updated</p>
+                      <h3>{t('profile.activityAlerts')}</h3>
+                      <p>{t('profile.activityAlertsHint')}</p>
                     </div>
                   </div>
                   <label className="toggle-switch">
@@ -707,14 +900,14 @@ const Profile = () => {
         <div className="modal-overlay" onClick={() => setShowPasswordModal(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h2>Change Password</h2>
+              <h2>{t('profile.changePassword')}</h2>
               <button className="modal-close" onClick={() => setShowPasswordModal(false)}>
                 <X size={24} />
               </button>
             </div>
             <form onSubmit={handlePasswordChange}>
               <div className="form-group">
-                <label>Current Password</label>
+                <label>{t('profile.currentPassword')}</label>
                 <input
                   type="password"
                   value={passwordData.currentPassword}
@@ -724,7 +917,7 @@ const Profile = () => {
                 />
               </div>
               <div className="form-group">
-                <label>New Password</label>
+                <label>{t('profile.newPassword')}</label>
                 <input
                   type="password"
                   value={passwordData.newPassword}
@@ -735,7 +928,7 @@ const Profile = () => {
                 />
               </div>
               <div className="form-group">
-                <label>Confirm New Password</label>
+                <label>{t('profile.confirmPassword')}</label>
                 <input
                   type="password"
                   value={passwordData.confirmPassword}
@@ -747,10 +940,10 @@ const Profile = () => {
               <div className="modal-actions">
                 <button type="submit" className="save-btn" disabled={loading}>
                   <Save size={16} />
-                  {loading ? 'Updating...' : 'Update Password'}
+                  {loading ? t('profile.updating') : t('profile.updatePassword')}
                 </button>
                 <button type="button" className="cancel-btn" onClick={() => setShowPasswordModal(false)}>
-                  Cancel
+                  {t('common.cancel')}
                 </button>
               </div>
             </form>
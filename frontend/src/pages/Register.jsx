@@ -2,12 +2,14 @@ import React, { useState } from "react";
 import { Eye, EyeOff, User } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../context/useTranslation";
 import { toast } from "react-toastify";
 import "../styles/Register.css";
 
 const Register = () => {
   const navigate = useNavigate();
   const { register } = useAuth();
+  const { t, language, languages, setLanguage } = useTranslation();
   const [form, setForm] = useState({
     name: "",
     email: "",
@@ -26,12 +28,12 @@ const Register = () => {
     e.preventDefault();
     
     if (form.password !== form.confirmPassword) {
-      toast.error("Passwords do not match!");
+      toast.error(t("register.passwordMismatch"));
       return;
     }
 
     if (form.password.length < 6) {
-      toast.error("Password must be at least 6 characters long");
+      toast.error(t("register.passwordTooShort"));
       return;
     }
 
@@ -46,13 +48,13 @@ const Register = () => {
       });
       
       if (result.success) {
-        toast.success("Registration successful! Welcome to SwachhSetu!");
+        toast.success(t("register.success"));
         navigate("/dashboard");
       } else {
-        toast.error(result.message || "Registration failed. Please try again.");
+        toast.error(result.message || t("register.failed"));
       }
     } catch (error) {
-      toast.error("An error occurred. Please try again.");
+      toast.error(t("register.error"));
     } finally {
       setLoading(false);
     }
@@ -61,27 +63,27 @@ const Register = () => {
   return (
     <div className="register-page">
       <div className="register-container">
-        <h2>Create an Account</h2>
+        <h2>{t("register.title")}</h2>
         <p className="register-subtitle">
-          Join SwachhSetu and start reporting civic hygiene issues 🌿
+          {t("register.subtitle")}
         </p>
 
         {/* Info Box */}
         <div className="info-box">
           <User size={20} />
           <div>
-            <strong>New users register as "User" role</strong>
-            <p>Report issues, earn points, and climb the leaderboard!</p>
+            <strong>{t("register.roleInfo")}</strong>
+            <p>{t("register.roleInfoText")}</p>
           </div>
         </div>
 
         <form className="register-form" onSubmit={handleSubmit}>
           <div className="input-group">
-            <label>Full Name</label>
+            <label>{t("register.name")}</label>
             <input
               type="text"
               name="name"
-              placeholder="Enter your name"
+              placeholder={t("register.namePlaceholder")}
               value={form.name}
               onChange={handleChange}
               required
@@ -89,11 +91,11 @@ const Register = () => {
           </div>
 
           <div className="input-group">
-            <label>Email Address</label>
+            <label>{t("register.email")}</label>
             <input
               type="email"
               name="email"
-              placeholder="Enter your email"
+              placeholder={t("register.emailPlaceholder")}
               value={form.email}
               onChange={handleChange}
               required
@@ -101,23 +103,38 @@ const Register = () => {
           </div>
 
           <div className="input-group">
-            <label>Phone Number (Optional)</label>
+            <label>{t("register.phone")}</label>
             <input
               type="tel"
               name="phone"
-              placeholder="Enter your phone number"
+              placeholder={t("register.phonePlaceholder")}
               value={form.phone}
               onChange={handleChange}
             />
           </div>
 
+          <div className="input-group">
+            <label>{t("register.language")}</label>
+            <select
+              name="language"
+              className="role-select"
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              title={t("register.languageHint")}
+            >
+              {languages.map(option => (
+                <option key={option.code} value={option.code}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           <div className="input-group password-group">
-            <label>Password</label>
+            <label>{t("register.password")}</label>
             <div className="password-wrapper">
               <input
                 type={showPassword ? "text" : "password"}
                 name="password"
-                placeholder="Enter password (min 6 characters)"
+                placeholder={t("register.passwordPlaceholder")}
                 value={form.password}
                 onChange={handleChange}
                 required
@@ -133,12 +150,12 @@ const Register = () => {
           </div>
 
           <div className="input-group password-group">
-            <label>Confirm Password</label>
+            <label>{t("register.confirmPassword")}</label>
             <div className="password-wrapper">
               <input
                 type={showPassword ? "text" : "password"}
                 name="confirmPassword"
-                placeholder="Confirm password"
+                placeholder={t("register.confirmPasswordPlaceholder")}
                 value={form.confirmPassword}
                 onChange={handleChange}
                 required
@@ -156,23 +173,23 @@ const Register = () => {
             {loading ? (
               <>
                 <span className="spinner"></span>
-                Creating Account...
+                {t("register.creating")}
               </>
             ) : (
-              "Create Account"
+              t("register.create")
             )}
           </button>
 
           <div className="form-footer">
             <p className="login-prompt">
-              Already have an account?
+              {t("register.haveAccount")}
             </p>
             <button 
               type="button"
               className="login-btn-link"
               onClick={() => navigate("/login")}
             >
-              Sign In
+              {t("register.signIn")}
             </button>
           </div>
         </form>
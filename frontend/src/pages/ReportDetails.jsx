@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { MapPin, Calendar, AlertCircle, Users, Image as ImageIcon } from "lucide-react";
+import { reportAPI } from "../utils/api";
+import { useTranslation } from "../context/useTranslation";
+import LoadingSpinner from "../components/LoadingSpinner";
+import BeforeAfterPhotos from "../components/BeforeAfterPhotos";
+import "./ReportDetails.css";
+
+const ReportDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { t, formatDate } = useTranslation();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await reportAPI.getReport(id);
+        // Merged duplicates are redirected to the report they were merged into
+        if (response.data.report._id !== id) {
+          navigate(`/reports/${response.data.report._id}`, { replace: true });
+        }
+        setReport(response.data.report);
+      } catch (err) {
+        console.error("Error fetching report:", err);
+        setError(err.response?.status === 404 ? "reportDetails.notFound" : "reportDetails.loadFailed");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [id, navigate]);
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="report-details-page">
+      <div className="container">
+        {error ? (
+          <div className="report-details-card report-details-error">
+            <AlertCircle size={48} />
+            <p>{t(error)}</p>
+          </div>
+        ) : (
+          <div className="report-details-card">
+            <div className="report-details-header">
+              <div>
+                <h1>{report.title}</h1>
+                <p className="report-details-category">{t(`categories.${report.category}`)}</p>
+              </div>
+              <span className={`report-details-status ${report.status}`}>{t(`status.${report.status}`)}</span>
+            </div>
+
+            <p className="report-details-description">{report.description}</p>
+
+            <div className="report-details-meta">
+              {report.location?.address && (
+                <span>
+                  <MapPin size={16} />
+                  {report.location.address}
+                </span>
+              )}
+              {report.ward && (
+                <span>
+                  <MapPin size={16} />
+                  {report.ward.name}{report.zone ? `, ${report.zone}` : ""}
+                </span>
+              )}
+              <span>
+                <Calendar size={16} />
+                {t("reportDetails.reported", { date: formatDate(report.createdAt) })}
+              </span>
+              {report.coReporters?.length > 0 && (
+                <span>
+                  <Users size={16} />
+                  {t("reportDetails.alsoReportedBy", { names: report.coReporters.map(reporter => reporter.name).join(", ") })}
+                </span>
+              )}
+              {report.resolvedAt && (
+                <span>
+                  <Calendar size={16} />
+                  {t("reportDetails.resolved", { date: formatDate(report.resolvedAt) })}
+                </span>
+              )}
+            </div>
+
+            <h2>
+              <ImageIcon size={20} />
+              {t("reportDetails.beforeAfter")}
+            </h2>
+            <BeforeAfterPhotos report={report} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportDetails;
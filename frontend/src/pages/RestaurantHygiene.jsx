@@ -1,23 +1,159 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
+import { poiAPI } from "../utils/api";
+import { useTranslation } from "../context/useTranslation";
+import {
+  Search,
+  MapPin,
+  Utensils,
+  ClipboardCheck,
+  AlertTriangle,
+  AlertCircle
+} from "lucide-react";
+import "./RestaurantHygiene.css";
+
+// Labels are under restaurants.bands.<value>; "" is all ratings
+const SCORE_BANDS = ["", "excellent", "good", "fair", "poor", "unrated"];
 
 const RestaurantHygiene = () => {
-  const [restaurants] = useState([
-    { name: "Spice Villa", hygieneScore: 92 },
-    { name: "Urban Eatery", hygieneScore: 78 },
-    { name: "Green Leaf Café", hygieneScore: 85 },
-  ]);
+  const [filters, setFilters] = useState({ name: "", area: "", band: "" });
+  const [restaurants, setRestaurants] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { t, formatDate } = useTranslation();
+
+  const fetchRestaurants = async (params = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const query = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value)
+      );
+      const response = await poiAPI.searchRestaurants(query);
+      setRestaurants(response.data.restaurants);
+    } catch (err) {
+      console.error("Error fetching restaurants:", err);
+      setError("restaurants.loadFailed");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRestaurants();
+  }, []);
+
+  const handleChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchRestaurants(filters);
+  };
 
   return (
-    <div className="auth-container">
-      <h2>Restaurant Hygiene Checker</h2>
-      <div className="report-list">
-        {restaurants.map((res, idx) => (
-          <div key={idx} className="report-card">
-            <h3>{res.name}</h3>
-            <p>Hygiene Score: {res.hygieneScore}%</p>
-            <p>Status: {res.hygieneScore > 80 ? "✅ Clean" : "⚠️ Needs Inspection"}</p>
+    <div className="hygiene-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <h1>
+              <Utensils size={32} />
+              {t("restaurants.title")}
+            </h1>
+            <p>{t("restaurants.subtitle")}</p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSearch} className="hygiene-search">
+          <div className="hygiene-input">
+            <Search size={18} />
+            <input
+              type="text"
+              name="name"
+              placeholder={t("restaurants.namePlaceholder")}
+              value={filters.name}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="hygiene-input">
+            <MapPin size={18} />
+            <input
+              type="text"
+              name="area"
+              placeholder={t("restaurants.areaPlaceholder")}
+              value={filters.area}
+              onChange={handleChange}
+            />
+          </div>
+          <select name="band" value={filters.band} onChange={handleChange}>
+            {SCORE_BANDS.map((band) => (
+              <option key={band} value={band}>
+                {t(`restaurants.bands.${band || "all"}`)}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="hygiene-search-btn">
+            {t("restaurants.search")}
+          </button>
+        </form>
+
+        {loading ? (
+          <div className="loading-spinner">
+            <div className="spinner"></div>
+            <p>{t("restaurants.loading")}</p>
+          </div>
+        ) : error ? (
+          <div className="no-results">
+            <AlertCircle size={48} />
+            <p>{t(error)}</p>
+          </div>
+        ) : restaurants.length === 0 ? (
+          <div className="no-results">
+            <AlertCircle size={48} />
+            <p>{t("restaurants.noResults")}</p>
+          </div>
+        ) : (
+          <div className="hygiene-cards">
+            {restaurants.map((restaurant) => {
+              const hygiene = restaurant.hygiene || {};
+              return (
+                <div key={restaurant._id} className="hygiene-card">
+                  <div className="hygiene-card-header">
+                    <h3>{restaurant.name}</h3>
+                    <span className={`score-badge ${hygiene.scoreBand || "unrated"}`}>
+                      {hygiene.score !== undefined && hygiene.score !== null
+                        ? `${hygiene.score}/100`
+                        : t("restaurants.unrated")}
+                    </span>
+                  </div>
+
+                  {restaurant.location?.address && (
+                    <div className="info-item">
+                      <MapPin size={16} />
+                      <span>{restaurant.location.address}</span>
+                    </div>
+                  )}
+
+                  <div className="info-item">
+                    <ClipboardCheck size={16} />
+                    <span>
+                      {t("restaurants.lastInspected", {
+                        date: hygiene.lastInspectedAt ? formatDate(hygiene.lastInspectedAt) : t("common.never")
+                      })}
+                    </span>
+                  </div>
+
+                  {hygiene.needsInspection && (
+                    <div className="info-item needs-inspection">
+                      <AlertTriangle size={16} />
+                      <span>{t("restaurants.needsInspection", { reason: hygiene.needsInspectionReason })}</span>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
           </div>
-        ))}
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { MapContainer, TileLayer, Marker, Popup, Circle } from "react-leaflet";
-import api from "../utils/api";
+import { poiAPI } from "../utils/api";
+import { useTranslation } from "../context/useTranslation";
 import { 
   Search, 
   MapPin, 
@@ -24,6 +25,20 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
+// Map a POI record from the API to the shape used by the cards
+const toToilet = (poi) => {
+  const today = new Date().toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+  const hours = poi.operatingHours?.[today];
+  return {
+    ...poi,
+    address: poi.location?.address,
+    rating: poi.reviewCount > 0 ? poi.ratings?.overall : null,
+    facilities: poi.amenities,
+    timings: hours?.open && hours?.close ? `${hours.open} - ${hours.close}` : null,
+    contact: poi.contact?.phone
+  };
+};
+
 const ToiletFinder = () => {
   const [search, setSearch] = useState("");
   const [toilets, setToilets] = useState([]);
@@ -31,6 +46,7 @@ const ToiletFinder = () => {
   const [loading, setLoading] = useState(true);
   const [userLocation, setUserLocation] = useState(null);
   const [mapCenter, setMapCenter] = useState([28.7041, 77.1025]); // Delhi
+  const { t } = useTranslation();
 
   useEffect(() => {
     getUserLocation();
@@ -62,10 +78,8 @@ const ToiletFinder = () => {
   const fetchToilets = async () => {
     try {
       setLoading(true);
-      const response = await api.get('/poi');
-      const toiletPOIs = response.data.filter(poi => 
-        poi.type && poi.type.toLowerCase().includes('toilet')
-      );
+      const response = await poiAPI.getPOIs({ type: 'toilet', limit: 100 });
+      const toiletPOIs = response.data.pois.map(toToilet);
       setToilets(toiletPOIs);
       setFilteredToilets(toiletPOIs);
     } catch (error) {
@@ -136,7 +150,9 @@ const ToiletFinder = () => {
       Math.sin(dLon/2) * Math.sin(dLon/2);
     const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
     const distance = R * c;
-    return distance < 1 ? `${(distance * 1000).toFixed(0)}m` : `${distance.toFixed(1)}km`;
+    return distance < 1
+      ? t('toilets.meters', { value: (distance * 1000).toFixed(0) })
+      : t('toilets.kilometers', { value: distance.toFixed(1) });
   };
 
   const handleSearch = (e) => {
@@ -150,7 +166,7 @@ const ToiletFinder = () => {
         <div className="container">
           <div className="loading-spinner">
             <div className="spinner"></div>
-            <p>Finding nearby toilets...</p>
+            <p>{t('toilets.loading')}</p>
           </div>
         </div>
       </div>
@@ -164,9 +180,9 @@ const ToiletFinder = () => {
           <div className="header-content">
             <h1>
               <MapPin size={32} />
-              Public Toilet Finder
+              {t('toilets.title')}
             </h1>
-            <p>Find clean and accessible public toilets near you</p>
+            <p>{t('toilets.subtitle')}</p>
           </div>
         </div>
 
@@ -176,13 +192,13 @@ const ToiletFinder = () => {
               <Search size={20} />
               <input
                 type="text"
-                placeholder="Search by location or toilet name..."
+                placeholder={t('toilets.searchPlaceholder')}
                 value={search}
                 onChange={(e) => setSearch(e.target.value)}
               />
             </div>
             <button type="submit" className="search-btn">
-              Search
+              {t('common.search')}
             </button>
             <button 
               type="button" 
@@ -190,7 +206,7 @@ const ToiletFinder = () => {
               onClick={getUserLocation}
             >
               <Navigation size={18} />
-              My Location
+              {t('toilets.myLocation')}
             </button>
           </form>
         </div>
@@ -210,7 +226,7 @@ const ToiletFinder = () => {
               {userLocation && (
                 <>
                   <Marker position={[userLocation.lat, userLocation.lng]}>
-                    <Popup>Your Location</Popup>
+                    <Popup>{t('toilets.yourLocation')}</Popup>
                   </Marker>
                   <Circle
                     center={[userLocation.lat, userLocation.lng]}
@@ -235,7 +251,7 @@ const ToiletFinder = () => {
                         <p>{toilet.address}</p>
                         <div className="popup-rating">
                           <Star size={14} fill="#fbbf24" color="#fbbf24" />
-                          {toilet.rating || 'N/A'}
+                          {toilet.rating || t('common.notAvailable')}
                         </div>
                       </div>
                     </Popup>
@@ -247,7 +263,7 @@ const ToiletFinder = () => {
 
           <div className="toilets-list">
             <h3>
-              Found {filteredToilets.length} Public Toilets
+              {t('toilets.found', { count: filteredToilets.length })}
             </h3>
             {filteredToilets.length > 0 ? (
               <div className="toilet-cards">
@@ -257,7 +273,7 @@ const ToiletFinder = () => {
                       <h4>{toilet.name}</h4>
                       <div className="rating">
                         <Star size={16} fill="#fbbf24" color="#fbbf24" />
-                        <span>{toilet.rating || 'N/A'}</span>
+                        <span>{toilet.rating || t('common.notAvailable')}</span>
                       </div>
                     </div>
 
@@ -271,12 +287,14 @@ const ToiletFinder = () => {
                         <div className="info-item">
                           <Navigation size={16} />
                           <span>
-                            {calculateDistance(
-                              userLocation.lat,
-                              userLocation.lng,
-                              toilet.location.coordinates[1],
-                              toilet.location.coordinates[0]
-                            )} away
+                            {t('toilets.away', {
+                              distance: calculateDistance(
+                                userLocation.lat,
+                                userLocation.lng,
+                                toilet.location.coordinates[1],
+                                toilet.location.coordinates[0]
+                              )
+                            })}
                           </span>
                         </div>
                       )}
@@ -288,6 +306,13 @@ const ToiletFinder = () => {
                         </div>
                       )}
 
+                      {toilet.isOpenNow !== undefined && (
+                        <div className={`info-item ${toilet.isOpenNow ? 'open-now' : 'closed-now'}`}>
+                          {toilet.isOpenNow ? <CheckCircle size={16} /> : <XCircle size={16} />}
+                          <span>{toilet.isOpenNow ? t('toilets.openNow') : t('toilets.closed')}</span>
+                        </div>
+                      )}
+
                       {toilet.contact && (
                         <div className="info-item">
                           <Phone size={16} />
@@ -310,7 +335,7 @@ const ToiletFinder = () => {
                     <div className="toilet-footer">
                       <button className="directions-btn">
                         <Navigation size={16} />
-                        Get Directions
+                        {t('toilets.directions')}
                       </button>
                     </div>
                   </div>
@@ -319,7 +344,7 @@ const ToiletFinder = () => {
             ) : (
               <div className="no-results">
                 <AlertCircle size={48} />
-                <p>No toilets found matching your search.</p>
+                <p>{t('toilets.noResults')}</p>
               </div>
             )}
           </div>
@@ -54,9 +54,45 @@ export const reportAPI = {
   getReports: (params) => api.get('/reports', { params }),
   getReport: (id) => api.get(`/reports/${id}`),
   getMyReports: () => api.get('/reports/my-reports'),
+  getDrafts: () => api.get('/reports/drafts'),
+  getDraft: (id) => api.get(`/reports/drafts/${id}`),
+  deleteDraft: (id) => api.delete(`/reports/drafts/${id}`),
   upvoteReport: (id) => api.post(`/reports/${id}/upvote`),
   addComment: (id, text) => api.post(`/reports/${id}/comment`, { text }),
-  updateStatus: (id, status) => api.put(`/reports/${id}/status`, { status })
+  updateStatus: (id, status, note) => api.put(`/reports/${id}/status`, { status, note }),
+  updateStatusWithPhotos: (id, formData) => {
+    return api.put(`/reports/${id}/status`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getHistory: (id) => api.get(`/reports/${id}/history`),
+  confirmResolution: (id, comment) => api.post(`/reports/${id}/confirm-resolution`, { comment }),
+  reopenReport: (id, formData) => {
+    return api.post(`/reports/${id}/reopen`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  }
+};
+
+// Chatbot APIs (anonymous users send the token they were given with the first message)
+const chatbotHeaders = (anonymousToken) => (anonymousToken ? { 'X-Chatbot-Token': anonymousToken } : {});
+
+export const chatbotAPI = {
+  getGreeting: () => api.get('/ai/chatbot/greeting'),
+  getSession: (sessionId, anonymousToken) => api.get('/ai/chatbot/session', {
+    params: { sessionId },
+    headers: chatbotHeaders(anonymousToken)
+  }),
+  // context: { photoCount, coordinates: [lng, lat] } from the report form
+  chat: (sessionId, message, anonymousToken, context = {}) => api.post('/ai/chatbot/chat', { sessionId, message, ...context }, {
+    headers: chatbotHeaders(anonymousToken)
+  }),
+  reset: (sessionId, anonymousToken) => api.post('/ai/chatbot/reset', { sessionId }, {
+    headers: chatbotHeaders(anonymousToken)
+  }),
+  submitDraft: (sessionId, anonymousToken) => api.post('/ai/chatbot/submit', { sessionId }, {
+    headers: chatbotHeaders(anonymousToken)
+  })
 };
 
 // Dashboard APIs
@@ -67,13 +103,69 @@ export const dashboardAPI = {
   getHeatmap: () => api.get('/dashboard/heatmap')
 };
 
+// POI APIs
+export const poiAPI = {
+  getPOIs: (params) => api.get('/poi', { params }),
+  getPOI: (id) => api.get(`/poi/${id}`),
+  createPOI: (data) => api.post('/poi', data),
+  updatePOI: (id, data) => api.put(`/poi/${id}`, data),
+  verifyPOI: (id, verified = true) => api.put(`/poi/${id}/verify`, { verified }),
+  deletePOI: (id) => api.delete(`/poi/${id}`),
+  addReview: (id, review) => api.post(`/poi/${id}/reviews`, review),
+  deleteReview: (id, reviewId) => api.delete(`/poi/${id}/reviews/${reviewId}`),
+  searchRestaurants: (params) => api.get('/poi/restaurants', { params }),
+  getInspections: (id) => api.get(`/poi/${id}/inspections`),
+  addInspection: (id, inspection) => api.post(`/poi/${id}/inspections`, inspection)
+};
+
 // Admin APIs
+export const wardAPI = {
+  getWards: (params) => api.get('/wards', { params }),
+  getWard: (id) => api.get(`/wards/${id}`),
+  lookupWard: (lat, lng) => api.get('/wards/lookup', { params: { lat, lng } }),
+  updateWard: (id, data) => api.put(`/wards/${id}`, data),
+  importWards: (data) => api.post('/wards/import', data)
+};
+
+export const inspectorAPI = {
+  // Inspector
+  getMyProfile: () => api.get('/inspectors/me'),
+  updateLocation: (latitude, longitude) => api.patch('/inspectors/me/location', { latitude, longitude }),
+  setOnDuty: (onDuty) => api.patch('/inspectors/me/availability', { onDuty }),
+  getMyAssignments: (params) => api.get('/inspectors/me/assignments', { params }),
+  acceptAssignment: (reportId) => api.post(`/inspectors/me/assignments/${reportId}/accept`),
+  declineAssignment: (reportId, reason) => api.post(`/inspectors/me/assignments/${reportId}/decline`, { reason }),
+
+  // Admin
+  getInspectors: (params) => api.get('/inspectors', { params }),
+  createInspector: (data) => api.post('/inspectors', data),
+  updateInspector: (id, data) => api.put(`/inspectors/${id}`, data)
+};
+
 export const adminAPI = {
   // Reports
   getAllReports: (params) => api.get('/admin/reports', { params }),
   updateReport: (id, data) => api.put(`/admin/reports/${id}`, data),
   deleteReport: (id) => api.delete(`/admin/reports/${id}`),
   bulkUpdateReports: (data) => api.put('/admin/reports/bulk-update', data),
+  getWorkflow: () => api.get('/admin/workflow'),
+  autoAssign: (reportId) => api.post('/ai/assign', { reportId }),
+
+  // Duplicates
+  getDuplicateQueue: (params) => api.get('/admin/duplicates', { params }),
+  mergeReport: (id, data) => api.post(`/admin/reports/${id}/merge`, data),
+  unmergeReport: (id, data) => api.post(`/admin/reports/${id}/unmerge`, data),
+  dismissDuplicate: (id, data) => api.post(`/admin/reports/${id}/dismiss-duplicate`, data),
+  getImageOriginal: (id, imageId) => api.get(`/admin/reports/${id}/images/${imageId}/original`),
+  
+  // Translations
+  getTranslations: (params) => api.get('/admin/translations', { params }),
+  reviewTranslation: (id, data) => api.put(`/admin/translations/${id}`, data),
+  deleteTranslation: (id) => api.delete(`/admin/translations/${id}`),
+  getGlossary: () => api.get('/admin/glossary'),
+  createGlossaryTerm: (data) => api.post('/admin/glossary', data),
+  updateGlossaryTerm: (id, data) => api.put(`/admin/glossary/${id}`, data),
+  deleteGlossaryTerm: (id) => api.delete(`/admin/glossary/${id}`),
   
   // Waste Dump Map
   getWasteDumpMapData: (params) => api.get('/admin/waste-dump-map', { params }),
@@ -0,0 +1,51 @@
+import en from '../locales/en.json';
+import hi from '../locales/hi.json';
+
+const bundles = { en, hi };
+
+// Languages the app is translated into; labels are in the language itself
+export const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en-IN' },
+  { code: 'hi', label: 'हिन्दी', locale: 'hi-IN' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+const STORAGE_KEY = 'language';
+
+export const isSupported = (code) => Boolean(bundles[code]);
+
+// Saved choice, else the browser's language, else English
+export const initialLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (isSupported(saved)) return saved;
+  const browser = (navigator.language || '').slice(0, 2);
+  return isSupported(browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (code) => localStorage.setItem(STORAGE_KEY, code);
+
+export const localeFor = (code) =>
+  (LANGUAGES.find(language => language.code === code) || LANGUAGES[0]).locale;
+
+const lookup = (bundle, key) =>
+  key.split('.').reduce((node, part) => (node ? node[part] : undefined), bundle);
+
+// Text for a key in a language, falling back to English and then the key.
+// {{name}} placeholders are filled from params; with params.count the key's
+// _one/_other form is used when there is one.
+export const translate = (code, key, params = {}) => {
+  const candidates = params.count === undefined
+    ? [key]
+    : [`${key}_${params.count === 1 ? 'one' : 'other'}`, key];
+
+  let text;
+  for (const bundle of [bundles[code], bundles[DEFAULT_LANGUAGE]]) {
+    text = candidates.map(candidate => lookup(bundle, candidate)).find(value => typeof value === 'string');
+    if (text !== undefined) break;
+  }
+  if (text === undefined) return key;
+
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    params[name] === undefined || params[name] === null ? '' : String(params[name])
+  ));
+};
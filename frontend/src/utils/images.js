@@ -0,0 +1,12 @@
+import { API_URL } from '../config';
+
+// Stored file URLs are relative to the API server unless storage is remote (S3)
+export const fileUrl = (url) => (/^https?:\/\//.test(url) ? url : `${API_URL}${url}`);
+
+// URL of an uploaded image. size is 'thumb', 'medium' or 'webp'; the server
+// falls back to the original when that variant doesn't exist.
+export const imageUrl = (image, size) => {
+  if (!size) return fileUrl(image.url);
+  if (image.variants?.[size]) return fileUrl(image.variants[size]);
+  return image.url.startsWith('/uploads/') ? `${fileUrl(image.url)}?size=${size}` : fileUrl(image.url);
+};